@@ -3,7 +3,8 @@
 var config = require('./config');
 
 
-var MOUNT_PATH = config.ini.MOUNT_PATH,
+var MOCK_WS = config.ini.MOCK_WS,
+    MOUNT_PATH = config.ini.MOUNT_PATH,
     OFFSITE_HOST = config.ini.OFFSITE_HOST,
     OFFSITE_PORT = config.ini.OFFSITE_PORT;
 
@@ -19,6 +20,13 @@ var addMiddleware = function (connect, options, middlewares) {
       }
     })
   );
+  if (MOCK_WS === true || MOCK_WS === 'true') {
+    // serve /ws/edge/ locally instead of proxying to OFFSITE_HOST
+    middlewares.unshift(require('../' + config.lib + '/mock-edge-ws')({
+      etc: config.etc + '/ws/edge',
+      mountPath: '/ws/edge'
+    }));
+  }
   return middlewares;
 };
 
@@ -10,7 +10,8 @@ var jshint = {
   },
   gruntfile: [
     'Gruntfile.js',
-    'gruntconfig/**/*.js'
+    'gruntconfig/**/*.js',
+    config.lib + '/**/*.js'
   ],
   scripts: [
     config.src + '/htdocs/**/*.js'
@@ -0,0 +1,722 @@
+'use strict';
+
+var fs = require('fs'),
+    path = require('path'),
+    url = require('url');
+
+
+var _DEFAULTS = {
+  etc: path.join(__dirname, '..', 'etc', 'ws', 'edge'),
+  mountPath: '/ws/edge',
+  now: function () {
+    return new Date();
+  },
+  streamInterval: 1000
+};
+
+// largest hash value, used as modulus for _hash
+var _HASH_MAX = 2147483647;
+
+// minutes of arc per radian
+var _RAD2MIN = 180 * 60 / Math.PI;
+
+// maximum number of samples, for all elements, in one request
+var _REQUEST_LIMIT = 345600;
+
+var _SAMPLING_PERIODS = [1, 60, 3600, 86400];
+
+// longest time before now that a stream sends first, in milliseconds
+var _STREAM_BACKFILL = 3600000;
+
+// milliseconds before a closed stream is reconnected by the browser
+var _STREAM_RETRY = 5000;
+
+var _TYPES = ['variation', 'adjusted', 'quasi-definitive', 'definitive'];
+
+// offsets added to variation data for other types, by element
+var _TYPE_OFFSETS = {
+  H: -15,
+  X: -14,
+  Y: 3,
+  Z: 8
+};
+
+
+var _formatIaga2002,
+    _hash,
+    _random,
+    _storm;
+
+
+/**
+ * Deterministic string hash.
+ *
+ * @param s {String}
+ *        string to hash.
+ * @return {Number}
+ *         integer between 0 and _HASH_MAX.
+ */
+_hash = function (s) {
+  var h,
+      i;
+
+  h = 7;
+  for (i = 0; i < s.length; i++) {
+    h = (h * 31 + s.charCodeAt(i)) % _HASH_MAX;
+  }
+
+  return h;
+};
+
+/**
+ * Deterministic pseudo random number.
+ *
+ * @param s {String}
+ *        seed.
+ * @return {Number}
+ *         number between 0 and 1.
+ */
+_random = function (s) {
+  // hash twice so similar seeds are not correlated
+  return _hash(_hash(s) + s) / _HASH_MAX;
+};
+
+/**
+ * Storm disturbance, shared by all observatories.
+ *
+ * About one day in five has a storm, with a main phase that develops over
+ * an hour and recovers over about half a day.
+ *
+ * @param time {Number}
+ *        epoch milliseconds.
+ * @return {Number}
+ *         disturbance in nT, zero or negative.
+ */
+_storm = function (time) {
+  var day,
+      disturbance,
+      elapsed,
+      i,
+      magnitude,
+      onset;
+
+  day = Math.floor(time / 86400000);
+  disturbance = 0;
+  // storms from the previous few days may still be recovering
+  for (i = day - 3; i <= day; i++) {
+    if (_hash('storm' + i) % 5 !== 0) {
+      continue;
+    }
+    onset = i * 86400000 + (_hash('onset' + i) % 24) * 3600000;
+    elapsed = time - onset;
+    if (elapsed < 0) {
+      continue;
+    }
+    magnitude = 100 + _hash('magnitude' + i) % 300;
+    disturbance -= magnitude * Math.exp(-elapsed / 43200000) *
+        (1 - Math.exp(-elapsed / 3600000));
+  }
+
+  return disturbance;
+};
+
+/**
+ * Format a response as IAGA-2002.
+ *
+ * @param response {Object}
+ *        response in the json format.
+ * @return {String}
+ *         IAGA-2002 formatted response.
+ */
+_formatIaga2002 = function (response) {
+  var code,
+      header,
+      imo,
+      intermagnet,
+      lines,
+      pad;
+
+  pad = function (s, length, right) {
+    s = String(s);
+    while (s.length < length) {
+      s = (right ? ' ' + s : s + ' ');
+    }
+    return s;
+  };
+
+  header = function (key, value) {
+    return ' ' + pad(key, 23) + pad(value, 45) + '|';
+  };
+
+  intermagnet = response.metadata.intermagnet;
+  imo = intermagnet.imo;
+  code = imo.iaga_code;
+  lines = [
+    header('Format', 'IAGA-2002'),
+    header('Source of Data', 'United States Geological Survey (USGS)'),
+    header('Station Name', imo.name),
+    header('IAGA CODE', code),
+    header('Geodetic Latitude', imo.coordinates[1].toFixed(3)),
+    header('Geodetic Longitude', imo.coordinates[0].toFixed(3)),
+    header('Elevation', imo.coordinates[2]),
+    header('Reported', intermagnet.reported_orientation),
+    header('Sensor Orientation', intermagnet.sensor_orientation),
+    header('Digital Sampling', intermagnet.digital_sampling_rate + ' second'),
+    header('Data Interval Type',
+        intermagnet.sampling_period === 1 ? '1-second' :
+        intermagnet.sampling_period === 60 ? '1-minute' :
+        intermagnet.sampling_period === 3600 ? '1-hour' : '1-day'),
+    header('Data Type', intermagnet.data_type),
+    ' ' + pad('# Synthetic data from local mock web service.', 68) + '|',
+    'DATE       TIME         DOY  ' +
+        response.values.map(function (value) {
+          return pad(code + value.id, 10, true);
+        }).join('') + '   |'
+  ];
+
+  response.times.forEach(function (time, index) {
+    var date,
+        doy;
+
+    date = new Date(time);
+    doy = Math.floor((date.getTime() -
+        Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000) + 1;
+    lines.push(time.substring(0, 10) + ' ' +
+        time.substring(11, 19) + '.000 ' +
+        pad(doy, 3, true).replace(/ /g, '0') + '  ' +
+        response.values.map(function (value) {
+          var v = value.values[index];
+          return pad((v === null ? 99999 : v).toFixed(2), 10, true);
+        }).join(''));
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+
+/**
+ * Local stand-in for the geomag edge web service.
+ *
+ * Connect middleware that serves elements.json and observatories.json from
+ * the etc directory, and generates deterministic synthetic timeseries with
+ * diurnal variation, storms, noise, and gaps for any observatory in
+ * observatories.json. Samples after the current time are null.
+ *
+ * Supports the same parameters as TimeseriesFactory.parseTimeseriesOptions:
+ * id, elements, starttime, endtime, sampling_period, type, and format.
+ *
+ * Also streams new samples as server sent events from mountPath/stream,
+ * see #parseStreamQuery and TimeseriesStream.
+ *
+ * @param options {Object}
+ * @param options.etc {String}
+ *        directory containing elements.json and observatories.json.
+ * @param options.mountPath {String}
+ *        default '/ws/edge'.
+ *        path where the service is mounted.
+ * @param options.now {Function}
+ *        returns current time, samples after this time are null.
+ * @param options.streamInterval {Number}
+ *        default 1000.
+ *        milliseconds between checks for new streamed samples.
+ * @return {Function(req, res, next)}
+ *         middleware.
+ */
+var MockEdgeWs = function (options) {
+  var _this,
+      _initialize,
+
+      _elementsJson,
+      _mountPath,
+      _now,
+      _observatories,
+      _observatoriesJson,
+      _streamInterval;
+
+
+  _this = function (req, res, next) {
+    _this.handle(req, res, next);
+  };
+
+  _initialize = function (options) {
+    var etc;
+
+    options = options || {};
+    etc = options.etc || _DEFAULTS.etc;
+    _mountPath = (options.mountPath || _DEFAULTS.mountPath)
+        .replace(/\/$/, '');
+    _now = options.now || _DEFAULTS.now;
+    _streamInterval = options.streamInterval || _DEFAULTS.streamInterval;
+
+    _elementsJson = fs.readFileSync(path.join(etc, 'elements.json'), 'utf-8');
+    _observatoriesJson = fs.readFileSync(
+        path.join(etc, 'observatories.json'), 'utf-8');
+
+    _observatories = {};
+    JSON.parse(_observatoriesJson).features.forEach(function (feature) {
+      _observatories[feature.id] = feature;
+    });
+  };
+
+
+  /**
+   * Generate one sample.
+   *
+   * @param observatory {Object}
+   *        observatory feature.
+   * @param element {String}
+   *        element id.
+   * @param time {Number}
+   *        epoch milliseconds.
+   * @param type {String}
+   *        data type.
+   * @return {Number}
+   *         value, or null when the sample is in a gap.
+   */
+  _this.getValue = function (observatory, element, time, type) {
+    var coordinates,
+        declination,
+        e,
+        h,
+        latitude,
+        localHour,
+        noise,
+        quiet,
+        storm,
+        value,
+        z;
+
+    // about one 10 minute gap per day, for all elements
+    if (_hash(observatory.id + Math.floor(time / 600000)) % 144 === 0) {
+      return null;
+    }
+
+    coordinates = observatory.geometry.coordinates;
+    latitude = coordinates[1] * Math.PI / 180;
+    localHour = (time / 3600000 + coordinates[0] / 15) % 24;
+
+    // quiet day variation, strongest near local noon
+    quiet = -25 * Math.cos(latitude) *
+        Math.max(0, Math.cos(2 * Math.PI * (localHour - 12) / 24));
+    storm = _storm(time) * Math.cos(latitude);
+    noise = _random(observatory.id + element + time) - 0.5;
+
+    // dipole field
+    h = 30000 * Math.cos(latitude) + quiet + storm;
+    z = 60000 * Math.sin(latitude) + quiet * 0.3 - storm * 0.2;
+    e = 10 * Math.sin(2 * Math.PI * localHour / 24);
+    declination = (observatory.properties.declination_base || 0) / 10 +
+        Math.atan2(e, h) * _RAD2MIN;
+
+    switch (element) {
+      case 'D':
+        value = declination + noise * 0.01;
+        break;
+      case 'E':
+        value = e + noise;
+        break;
+      case 'F':
+        value = Math.sqrt(h * h + e * e + z * z) + noise * 0.1;
+        break;
+      case 'G':
+        value = noise * 0.2;
+        break;
+      case 'H':
+        value = h + noise;
+        break;
+      case 'X':
+        value = h * Math.cos(declination / _RAD2MIN) + noise;
+        break;
+      case 'Y':
+        value = h * Math.sin(declination / _RAD2MIN) + noise;
+        break;
+      case 'Z':
+        value = z + noise;
+        break;
+      case 'MSD':
+        value = -storm + noise;
+        break;
+      default:
+        value = noise;
+        break;
+    }
+
+    if (type !== 'variation' && _TYPE_OFFSETS.hasOwnProperty(element)) {
+      value += _TYPE_OFFSETS[element];
+    }
+
+    return Math.round(value * 1000) / 1000;
+  };
+
+  /**
+   * Handle a request.
+   *
+   * @param req {http.IncomingMessage}
+   *        request.
+   * @param res {http.ServerResponse}
+   *        response.
+   * @param next {Function}
+   *        called for requests outside mountPath.
+   */
+  _this.handle = function (req, res, next) {
+    var parsed,
+        pathname,
+        response;
+
+    parsed = url.parse(req.url, true);
+    pathname = parsed.pathname;
+
+    if (pathname === _mountPath + '/elements.json') {
+      _this.send(res, 200, 'application/json', _elementsJson);
+    } else if (pathname === _mountPath + '/observatories.json') {
+      _this.send(res, 200, 'application/json', _observatoriesJson);
+    } else if (pathname === _mountPath + '/stream' ||
+        pathname === _mountPath + '/stream/') {
+      try {
+        _this.stream(req, res, _this.parseStreamQuery(parsed.query,
+            req.headers['last-event-id']));
+      } catch (e) {
+        _this.send(res, 400, 'text/plain', 'Bad Request\n\n' + e.message);
+      }
+    } else if (pathname === _mountPath || pathname === _mountPath + '/') {
+      try {
+        response = _this.getTimeseries(_this.parseQuery(parsed.query));
+        response.metadata.url = req.url;
+        if (parsed.query.format === 'iaga2002') {
+          _this.send(res, 200, 'text/plain', _formatIaga2002(response));
+        } else {
+          _this.send(res, 200, 'application/json', JSON.stringify(response));
+        }
+      } catch (e) {
+        _this.send(res, 400, 'text/plain', 'Bad Request\n\n' + e.message);
+      }
+    } else {
+      next();
+    }
+  };
+
+  /**
+   * Generate a timeseries response.
+   *
+   * @param query {Object}
+   *        parsed query, from parseQuery.
+   * @return {Object}
+   *         response in the json format.
+   */
+  _this.getTimeseries = function (query) {
+    var end,
+        now,
+        observatory,
+        period,
+        t,
+        times;
+
+    observatory = _observatories[query.id];
+    period = query.sampling_period * 1000;
+    now = _now().getTime();
+
+    times = [];
+    end = query.endtime.getTime();
+    for (t = Math.ceil(query.starttime.getTime() / period) * period;
+        t <= end; t += period) {
+      times.push(t);
+    }
+
+    if (times.length * query.elements.length > _REQUEST_LIMIT) {
+      throw new Error('Request exceeds limit of ' + _REQUEST_LIMIT +
+          ' samples');
+    }
+
+    return {
+      type: 'Timeseries',
+      metadata: {
+        intermagnet: {
+          imo: {
+            iaga_code: observatory.id,
+            name: observatory.properties.station_name,
+            coordinates: observatory.geometry.coordinates
+          },
+          reported_orientation: query.elements.join(''),
+          sensor_orientation: observatory.properties.sensor_orientation,
+          data_type: query.type,
+          sampling_period: query.sampling_period,
+          digital_sampling_rate:
+              observatory.properties.sensor_sampling_rate || 0.01
+        },
+        status: 200,
+        generated: new Date(now).toISOString().replace('.000Z', 'Z'),
+        url: null,
+        api: 'mock'
+      },
+      times: times.map(function (time) {
+        return new Date(time).toISOString().replace('.000Z', 'Z');
+      }),
+      values: query.elements.map(function (element) {
+        return {
+          id: element,
+          metadata: {
+            element: element,
+            network: 'NT',
+            station: observatory.id
+          },
+          values: times.map(function (time) {
+            if (time > now) {
+              // not yet available
+              return null;
+            }
+            return _this.getValue(observatory, element, time, query.type);
+          })
+        };
+      })
+    };
+  };
+
+  /**
+   * Parse and validate request parameters.
+   *
+   * @param params {Object}
+   *        query string parameters.
+   * @return {Object}
+   *         obj.elements {Array<String>} default ['X', 'Y', 'Z', 'F'].
+   *         obj.endtime {Date} default starttime plus one day.
+   *         obj.id {String} observatory id.
+   *         obj.sampling_period {Number} default 60.
+   *         obj.starttime {Date} default start of current UTC day.
+   *         obj.type {String} default 'variation'.
+   * @throws {Error}
+   *         when a parameter is invalid.
+   */
+  _this.parseQuery = function (params) {
+    var endtime,
+        now,
+        query,
+        starttime;
+
+    query = {};
+
+    if (!params.id || !_observatories.hasOwnProperty(params.id)) {
+      throw new Error('Unknown observatory id "' + (params.id || '') + '"');
+    }
+    query.id = params.id;
+
+    query.elements = (params.elements || 'X,Y,Z,F').split(',');
+
+    query.sampling_period = Number(params.sampling_period || 60);
+    if (_SAMPLING_PERIODS.indexOf(query.sampling_period) === -1) {
+      throw new Error('Bad sampling_period "' + params.sampling_period +
+          '", valid values are ' + _SAMPLING_PERIODS.join(', '));
+    }
+
+    query.type = params.type || 'variation';
+    if (_TYPES.indexOf(query.type) === -1) {
+      throw new Error('Bad type "' + params.type + '", valid values are ' +
+          _TYPES.join(', '));
+    }
+
+    if (params.format && params.format !== 'json' &&
+        params.format !== 'iaga2002') {
+      throw new Error('Bad format "' + params.format +
+          '", valid values are json, iaga2002');
+    }
+
+    if (params.starttime) {
+      starttime = new Date(params.starttime);
+    } else {
+      now = _now();
+      starttime = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(),
+          now.getUTCDate()));
+    }
+    if (isNaN(starttime.getTime())) {
+      throw new Error('Bad starttime "' + params.starttime + '"');
+    }
+    query.starttime = starttime;
+
+    if (params.endtime) {
+      endtime = new Date(params.endtime);
+    } else {
+      endtime = new Date(starttime.getTime() + 86400000);
+    }
+    if (isNaN(endtime.getTime())) {
+      throw new Error('Bad endtime "' + params.endtime + '"');
+    }
+    if (endtime < starttime) {
+      throw new Error('Starttime must be before endtime');
+    }
+    query.endtime = endtime;
+
+    return query;
+  };
+
+  /**
+   * Parse and validate stream parameters.
+   *
+   * @param params {Object}
+   *        query string parameters.
+   *        params.subscribe {String} comma separated observatory/element
+   *            pairs, e.g. "BOU/H,BOU/Z".
+   *        params.sampling_period {Number} default 60.
+   *        params.since {String} optional, default now.
+   *            samples after this time are sent first.
+   *        params.type {String} default 'variation'.
+   * @param lastEventId {String}
+   *        optional, Last-Event-ID header sent by browsers when
+   *        reconnecting, used instead of since.
+   * @return {Object}
+   *         obj.sampling_period {Number}
+   *         obj.since {Date} no more than _STREAM_BACKFILL before now.
+   *         obj.subscriptions {Array<Object>} objects with observatory
+   *             and element properties.
+   *         obj.type {String}
+   * @throws {Error}
+   *         when a parameter is invalid.
+   */
+  _this.parseStreamQuery = function (params, lastEventId) {
+    var now,
+        query,
+        since;
+
+    query = {};
+
+    query.subscriptions = (params.subscribe || '').split(',')
+        .filter(function (pair) {
+          return pair !== '';
+        }).map(function (pair) {
+          var parts;
+
+          parts = pair.split('/');
+          if (parts.length !== 2 || !_observatories.hasOwnProperty(parts[0])) {
+            throw new Error('Bad subscription "' + pair + '"');
+          }
+          return {
+            element: parts[1],
+            observatory: _observatories[parts[0]]
+          };
+        });
+    if (query.subscriptions.length === 0) {
+      throw new Error('Missing subscribe, e.g. "BOU/H,BOU/Z"');
+    }
+
+    query.sampling_period = Number(params.sampling_period || 60);
+    if (_SAMPLING_PERIODS.indexOf(query.sampling_period) === -1) {
+      throw new Error('Bad sampling_period "' + params.sampling_period +
+          '", valid values are ' + _SAMPLING_PERIODS.join(', '));
+    }
+
+    query.type = params.type || 'variation';
+    if (_TYPES.indexOf(query.type) === -1) {
+      throw new Error('Bad type "' + params.type + '", valid values are ' +
+          _TYPES.join(', '));
+    }
+
+    now = _now();
+    since = lastEventId || params.since;
+    since = (since ? new Date(since) : now);
+    if (isNaN(since.getTime())) {
+      throw new Error('Bad since "' + params.since + '"');
+    }
+    query.since = new Date(Math.min(now.getTime(),
+        Math.max(since.getTime(), now.getTime() - _STREAM_BACKFILL)));
+
+    return query;
+  };
+
+  /**
+   * Send a response.
+   *
+   * @param res {http.ServerResponse}
+   *        response.
+   * @param status {Number}
+   *        http status code.
+   * @param contentType {String}
+   *        content type.
+   * @param body {String}
+   *        response body.
+   */
+  _this.send = function (res, status, contentType, body) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.end(body);
+  };
+
+  /**
+   * Stream samples as server sent events until the request closes.
+   *
+   * Each event is the json data for one subscription, with samples after
+   * the previous event. Event ids are the time of the last sample, so
+   * browsers resume from there when they reconnect.
+   *
+   * @param req {http.IncomingMessage}
+   *        request.
+   * @param res {http.ServerResponse}
+   *        response.
+   * @param query {Object}
+   *        parsed query, from parseStreamQuery.
+   */
+  _this.stream = function (req, res, query) {
+    var interval,
+        last,
+        period,
+        sendSamples;
+
+    period = query.sampling_period * 1000;
+    // time of last sample sent
+    last = Math.floor(query.since.getTime() / period) * period;
+
+    sendSamples = function () {
+      var now,
+          t,
+          times;
+
+      now = _now().getTime();
+      times = [];
+      for (t = last + period; t <= now; t += period) {
+        times.push(t);
+      }
+      if (times.length === 0) {
+        // keep connection open through proxies
+        res.write(': keepalive\n\n');
+        return;
+      }
+      last = times[times.length - 1];
+
+      query.subscriptions.forEach(function (subscription) {
+        res.write('id: ' + new Date(last).toISOString() + '\n' +
+            'data: ' + JSON.stringify({
+              id: subscription.observatory.id,
+              element: subscription.element,
+              sampling_period: query.sampling_period,
+              type: query.type,
+              times: times.map(function (time) {
+                return new Date(time).toISOString().replace('.000Z', 'Z');
+              }),
+              values: times.map(function (time) {
+                return _this.getValue(subscription.observatory,
+                    subscription.element, time, query.type);
+              })
+            }) + '\n\n');
+      });
+    };
+
+    res.writeHead(200, {
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Content-Type': 'text/event-stream'
+    });
+    res.write('retry: ' + _STREAM_RETRY + '\n\n');
+    sendSamples();
+
+    interval = setInterval(sendSamples, _streamInterval);
+    req.on('close', function () {
+      clearInterval(interval);
+    });
+  };
+
+
+  _initialize(options);
+  options = null;
+  return _this;
+};
+
+
+module.exports = MockEdgeWs;
@@ -0,0 +1,169 @@
+/* global URL */
+'use strict';
+
+var http = require('http'),
+    https = require('https'),
+    querystring = require('querystring');
+
+
+/**
+ * Define the browser globals hazdev-webutils reads when it is loaded,
+ * unless they already exist, so TimeseriesFactory loads in node.
+ *
+ * Only what is read while loading is defined, other browser features
+ * are still unavailable.
+ */
+var __defineBrowserGlobals = function () {
+  if (typeof global.window === 'undefined') {
+    global.window = {
+      addEventListener: function () {},
+      onhashchange: null
+    };
+  }
+  if (typeof global.document === 'undefined') {
+    global.document = {
+      createElement: function () {
+        return {
+          setAttribute: function () {},
+          type: 'text'
+        };
+      }
+    };
+  }
+  if (typeof global.navigator === 'undefined') {
+    global.navigator = {
+      userAgent: 'node'
+    };
+  }
+};
+
+__defineBrowserGlobals();
+
+
+/**
+ * TimeseriesFactory transport that makes requests using node http/https,
+ * for use in node scripts.
+ *
+ * Lives outside src/htdocs/js so it is not included in the browser bundle.
+ * Require it before TimeseriesFactory, see __defineBrowserGlobals.
+ *
+ *     var NodeHttpTransport = require('./lib/node-http-transport'),
+ *         TimeseriesFactory = require('plots/TimeseriesFactory');
+ *
+ *     TimeseriesFactory({transport: NodeHttpTransport()});
+ *
+ * @param options {Object}
+ * @param options.headers {Object}
+ *        default {}.
+ *        request headers.
+ * @see XhrTransport#get
+ */
+var NodeHttpTransport = function (options) {
+  var _this,
+      _initialize,
+
+      _headers;
+
+
+  _this = {};
+
+  _initialize = function (options) {
+    options = options || {};
+    _headers = options.headers || {};
+  };
+
+
+  /**
+   * Free references.
+   */
+  _this.destroy = function () {
+    _headers = null;
+
+    _initialize = null;
+    _this = null;
+  };
+
+  /**
+   * Make a GET request.
+   *
+   * Responses with a json content type are parsed, others are text.
+   *
+   * @see XhrTransport#get
+   */
+  _this.get = function (options) {
+    var aborted,
+        request,
+        requestUrl,
+        target;
+
+    aborted = false;
+    requestUrl = options.url;
+    if (options.data) {
+      requestUrl += (requestUrl.indexOf('?') === -1 ? '?' : '&') +
+          querystring.stringify(options.data);
+    }
+
+    target = new URL(requestUrl);
+    request = (target.protocol === 'https:' ? https : http).get({
+      headers: _headers,
+      hostname: target.hostname,
+      path: target.pathname + target.search,
+      port: target.port,
+      protocol: target.protocol
+    }, function (response) {
+      var body;
+
+      body = [];
+      response.setEncoding('utf-8');
+      response.on('data', function (chunk) {
+        body.push(chunk);
+      });
+      response.on('end', function () {
+        var contentType,
+            data;
+
+        if (aborted) {
+          return;
+        }
+
+        body = body.join('');
+        if (response.statusCode !== 200) {
+          options.error(response.statusCode, {responseText: body});
+          return;
+        }
+
+        contentType = response.headers['content-type'] || '';
+        try {
+          data = (contentType.indexOf('json') !== -1) ?
+              JSON.parse(body) : body;
+        } catch (e) {
+          options.error(e);
+          return;
+        }
+        options.success(data);
+      });
+    });
+
+    request.on('error', function () {
+      if (!aborted) {
+        // server not reached
+        options.error(0);
+      }
+    });
+
+    return {
+      abort: function () {
+        aborted = true;
+        request.destroy();
+      }
+    };
+  };
+
+
+  _initialize(options);
+  options = null;
+  return _this;
+};
+
+
+module.exports = NodeHttpTransport;
@@ -0,0 +1,205 @@
+'use strict';
+
+
+var Collection = require('mvc/Collection'),
+    Util = require('util/Util'),
+    View = require('mvc/View');
+
+
+var _DEFAULTS,
+    _ID;
+
+_DEFAULTS = {
+  title: 'Agency',
+  titleTag: 'h3'
+};
+
+_ID = 0; // Identifier to keep multiple agency views separate
+
+
+/**
+ * This class provides an interface for the user to choose which agencies
+ * observatories are listed from.
+ *
+ * Agencies are the distinct "agency" properties of loaded observatories,
+ * labeled using "agency_name" when available.
+ * Updates the model "agencies" property, null means all agencies.
+ * At least one agency stays selected.
+ *
+ * @param options {Object}
+ *     all options are passed to View.
+ * @param options.observatories {Collection}
+ *     default Collection().
+ *     all loaded observatories.
+ * @param options.title {String}
+ *     The title to display above the agency view interface.
+ * @param options.titleTag {String}
+ *     The HTML tag name to use for the title element.
+ */
+var AgencyView = function (options) {
+  var _this,
+      _initialize,
+
+      _id,
+      _listEl,
+      _observatories,
+      _onChange;
+
+
+  options = Util.extend({}, _DEFAULTS, options);
+  _this = View(options);
+
+  _initialize = function (options) {
+    _id = _ID++;
+    _observatories = options.observatories || Collection();
+
+    _this.el.classList.add('agency-view');
+    _this.el.innerHTML = [
+      '<', options.titleTag, '>', options.title, '</', options.titleTag, '>',
+      '<ul class="no-style"></ul>'
+    ].join('');
+    _listEl = _this.el.querySelector('ul');
+
+    _this.el.addEventListener('change', _onChange);
+    _this.model.on('change:agencies', _this.render);
+    _observatories.on('reset', _this.renderAgencies);
+
+    _this.renderAgencies();
+  };
+
+
+  /**
+   * Private event listener for DOMChange events on this view's element.
+   * This method only calls the public version `_this.onChange`.
+   */
+  _onChange = function (evt) {
+    _this.onChange(evt);
+  };
+
+
+  /**
+   * Frees resources associated with this view.
+   */
+  _this.destroy = Util.compose(function () {
+    _this.el.removeEventListener('change', _onChange);
+    _this.model.off('change:agencies', _this.render);
+    _observatories.off('reset', _this.renderAgencies);
+
+    _id = null;
+    _listEl = null;
+    _observatories = null;
+    _onChange = null;
+
+    _initialize = null;
+    _this = null;
+  }, _this.destroy);
+
+  /**
+   * Get distinct agencies of loaded observatories.
+   *
+   * @return {Array<Object>}
+   *     agencies, sorted by display name.
+   *     obj.display {String} agency name.
+   *     obj.id {String} agency id.
+   */
+  _this.getAgencies = function () {
+    var agencies,
+        ids;
+
+    agencies = [];
+    ids = {};
+    _observatories.data().forEach(function (obs) {
+      var properties;
+
+      properties = obs.properties || {};
+      if (properties.agency && !ids.hasOwnProperty(properties.agency)) {
+        ids[properties.agency] = true;
+        agencies.push({
+          display: properties.agency_name || properties.agency,
+          id: properties.agency
+        });
+      }
+    });
+
+    agencies.sort(function (a, b) {
+      if (a.display < b.display) {
+        return -1;
+      } else if (a.display > b.display) {
+        return 1;
+      }
+      return 0;
+    });
+    return agencies;
+  };
+
+  /**
+   * Event handler for change events on this view.
+   *
+   * Checking or unchecking an agency updates the model `agencies`
+   * property, unchecking the last agency is ignored.
+   *
+   * @param evt {Object}
+   *     An object with a `target` attribute that is an HTMLElement.
+   */
+  _this.onChange = function (evt) {
+    var agencies;
+
+    if (evt.target.name !== 'agency') {
+      return;
+    }
+
+    agencies = Array.prototype.map.call(
+        _listEl.querySelectorAll('input:checked'),
+        function (input) {
+          return input.value;
+        });
+
+    if (agencies.length === 0) {
+      _this.render();
+    } else {
+      _this.model.set({agencies: agencies});
+    }
+  };
+
+  /**
+   * Updates checked agencies from the model.
+   */
+  _this.render = function () {
+    var agencies;
+
+    agencies = _this.model.get('agencies');
+    Array.prototype.forEach.call(_listEl.querySelectorAll('input'),
+        function (input) {
+          input.checked = (!agencies || agencies.indexOf(input.value) !== -1);
+        });
+  };
+
+  /**
+   * Updates the list of agencies from loaded observatories.
+   */
+  _this.renderAgencies = function () {
+    _listEl.innerHTML = _this.getAgencies().map(function (agency) {
+      var id;
+
+      id = 'agency-' + _id + '-' + agency.id;
+      return [
+        '<li>',
+          '<input type="checkbox" name="agency" ',
+              'value="', agency.id, '" ',
+              'id="', id, '"/>',
+          '<label for="', id, '">', agency.display, '</label>',
+        '</li>'
+      ].join('');
+    }).join('');
+
+    _this.render();
+  };
+
+
+  _initialize(options);
+  options = null;
+  return _this;
+};
+
+
+module.exports = AgencyView;
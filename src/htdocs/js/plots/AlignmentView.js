@@ -0,0 +1,134 @@
+'use strict';
+
+
+var TimeAlignment = require('plots/TimeAlignment'),
+    Util = require('util/Util'),
+    View = require('mvc/View');
+
+
+var _DEFAULTS,
+    _ID;
+
+_DEFAULTS = {
+  title: 'Time Alignment',
+  titleTag: 'h3'
+};
+
+_ID = 0; // Identifier to keep multiple alignment views separate
+
+
+/**
+ * This class provides an interface for the user to choose how samples from
+ * different timeseries are matched by time.
+ *
+ * Updates the model "alignment" property.
+ *
+ * @param options {Object}
+ *     all options are passed to View.
+ * @param options.title {String}
+ *     The title to display above the alignment view interface.
+ * @param options.titleTag {String}
+ *     The HTML tag name to use for the title element.
+ */
+var AlignmentView = function (options) {
+  var _this,
+      _initialize,
+
+      _id,
+      _onChange;
+
+
+  options = Util.extend({}, _DEFAULTS, options);
+  _this = View(options);
+
+  _initialize = function (options) {
+    _id = _ID++;
+
+    _this.el.classList.add('alignment-view');
+    _this.el.innerHTML = [
+      '<', options.titleTag, '>', options.title, '</', options.titleTag, '>',
+      '<ul class="no-style">',
+        TimeAlignment.getAll().map(function (method) {
+          var id;
+
+          id = 'alignment-' + _id + '-' + method.id;
+          return [
+            '<li>',
+              '<input type="radio" name="alignment" ',
+                  'value="', method.id, '" ',
+                  'id="', id, '"/>',
+              '<label for="', id, '">', method.display, '</label>',
+            '</li>'
+          ].join('');
+        }).join(''),
+      '</ul>'
+    ].join('');
+
+    _this.el.addEventListener('change', _onChange);
+    _this.model.on('change:alignment', _this.render);
+
+    _this.render();
+  };
+
+
+  /**
+   * Private event listener for DOMChange events on this view's element.
+   * This method only calls the public version `_this.onChange`.
+   */
+  _onChange = function (evt) {
+    _this.onChange(evt);
+  };
+
+
+  /**
+   * Frees resources associated with this view.
+   */
+  _this.destroy = Util.compose(function () {
+    _this.el.removeEventListener('change', _onChange);
+    _this.model.off('change:alignment', _this.render);
+
+    _id = null;
+    _onChange = null;
+
+    _initialize = null;
+    _this = null;
+  }, _this.destroy);
+
+  /**
+   * Event handler for change events on this view.
+   *
+   * Selecting a method updates the model `alignment` property.
+   *
+   * @param evt {Object}
+   *     An object with a `target` attribute that is an HTMLElement.
+   */
+  _this.onChange = function (evt) {
+    var target;
+
+    target = evt.target;
+    if (target.name === 'alignment' && target.checked) {
+      _this.model.set({alignment: target.value});
+    }
+  };
+
+  /**
+   * Updates the view rendering from the model.
+   */
+  _this.render = function () {
+    var input;
+
+    input = _this.el.querySelector(
+        '[value="' + (_this.model.get('alignment') || 'nearest') + '"]');
+    if (input) {
+      input.checked = true;
+    }
+  };
+
+
+  _initialize(options);
+  options = null;
+  return _this;
+};
+
+
+module.exports = AlignmentView;
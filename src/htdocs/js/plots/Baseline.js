@@ -0,0 +1,220 @@
+'use strict';
+
+
+var Registry = require('plots/Registry');
+
+
+// milliseconds per day
+var _DAY = 86400000;
+
+
+/**
+ * Median of values that are not null.
+ *
+ * @param values {Array<Number>}
+ *        values, may include nulls.
+ * @return {Number}
+ *         median, or null if there are no values.
+ */
+var __median = function (values) {
+  var middle,
+      sorted;
+
+  sorted = values.filter(function (v) {
+    return v !== null && typeof v !== 'undefined' && !isNaN(v);
+  }).sort(function (a, b) {
+    return a - b;
+  });
+
+  if (sorted.length === 0) {
+    return null;
+  }
+
+  middle = Math.floor(sorted.length / 2);
+  return (sorted.length % 2 === 1) ? sorted[middle] :
+      (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Repeat one offset for every sample.
+ *
+ * @param times {Array<Date>}
+ *        sample times.
+ * @param offset {Number}
+ *        offset, or null.
+ * @return {Array<Number>}
+ *         offsets, or null when offset is null.
+ */
+var __uniform = function (times, offset) {
+  if (offset === null || typeof offset === 'undefined' || isNaN(offset)) {
+    return null;
+  }
+
+  return times.map(function () {
+    return offset;
+  });
+};
+
+
+/**
+ * Registry of baseline removal modes.
+ *
+ * Each mode has an id, display name, and getOffsets function.
+ *
+ * getOffsets {Function(times, values, constant)}
+ *     compute the baseline of each sample.
+ *     times {Array<Date>} sample times.
+ *     values {Array<Number>} sample values, null for gaps.
+ *     constant {Number} user entered baseline.
+ *     returns {Array<Number>} baseline for each sample,
+ *         or null when no baseline is removed.
+ * uniform {Boolean}
+ *     whether every sample has the same baseline.
+ */
+var _MODES = Registry([
+  {
+    id: 'none',
+    display: 'None',
+    uniform: true,
+    getOffsets: function () {
+      return null;
+    }
+  },
+  {
+    id: 'mean',
+    display: 'Window Mean',
+    uniform: true,
+    getOffsets: function (times, values) {
+      var count,
+          sum;
+
+      count = 0;
+      sum = 0;
+      values.forEach(function (v) {
+        if (v !== null && typeof v !== 'undefined' && !isNaN(v)) {
+          count++;
+          sum += v;
+        }
+      });
+
+      return __uniform(times, count > 0 ? sum / count : null);
+    }
+  },
+  {
+    id: 'first',
+    display: 'First Value',
+    uniform: true,
+    getOffsets: function (times, values) {
+      var i;
+
+      for (i = 0; i < values.length; i++) {
+        if (values[i] !== null && typeof values[i] !== 'undefined' &&
+            !isNaN(values[i])) {
+          return __uniform(times, values[i]);
+        }
+      }
+
+      return null;
+    }
+  },
+  {
+    id: 'dailymedian',
+    display: 'Daily Median',
+    uniform: false,
+    getOffsets: function (times, values) {
+      var days,
+          medians;
+
+      // group values by UTC day
+      days = {};
+      times.forEach(function (time, i) {
+        var day;
+
+        day = Math.floor(time.getTime() / _DAY);
+        if (!days.hasOwnProperty(day)) {
+          days[day] = [];
+        }
+        days[day].push(values[i]);
+      });
+
+      medians = {};
+      Object.keys(days).forEach(function (day) {
+        medians[day] = __median(days[day]);
+      });
+
+      return times.map(function (time) {
+        return medians[Math.floor(time.getTime() / _DAY)];
+      });
+    }
+  },
+  {
+    id: 'constant',
+    display: 'Constant',
+    uniform: true,
+    getOffsets: function (times, values, constant) {
+      return __uniform(times, constant);
+    }
+  }
+]);
+
+
+var _apply;
+
+
+/**
+ * Remove a baseline from timeseries values.
+ *
+ * Plots, tooltips and any other display of baseline removed values should
+ * use this function so they agree.
+ *
+ * @param times {Array<Date>}
+ *        sample times.
+ * @param values {Array<Number>}
+ *        sample values, null for gaps.
+ * @param mode {String}
+ *        id of baseline mode, unknown modes are treated as "none".
+ * @param constant {Number}
+ *        baseline for "constant" mode.
+ * @return {Object}
+ *         obj.offset {Number} baseline removed from every sample,
+ *             or null when the baseline varies or nothing was removed.
+ *         obj.offsets {Array<Number>} baseline removed from each sample,
+ *             or null when nothing was removed.
+ *         obj.values {Array<Number>} values with baseline removed,
+ *             null where the value or baseline is null.
+ */
+_apply = function (times, values, mode, constant) {
+  var offsets;
+
+  times = times || [];
+  values = values || [];
+  mode = _MODES.get(mode) || _MODES.get('none');
+  offsets = mode.getOffsets(times, values, constant);
+
+  if (offsets === null) {
+    return {
+      offset: null,
+      offsets: null,
+      values: values
+    };
+  }
+
+  return {
+    offset: (mode.uniform && offsets.length > 0 ? offsets[0] : null),
+    offsets: offsets,
+    values: values.map(function (value, i) {
+      if (value === null || offsets[i] === null) {
+        return null;
+      }
+      return value - offsets[i];
+    })
+  };
+};
+
+
+
+module.exports = {
+  apply: _apply,
+  get: _MODES.get,
+  getAll: _MODES.getAll
+};
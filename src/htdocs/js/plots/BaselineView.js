@@ -0,0 +1,155 @@
+'use strict';
+
+
+var Baseline = require('plots/Baseline'),
+    Util = require('util/Util'),
+    View = require('mvc/View');
+
+
+var _DEFAULTS,
+    _ID;
+
+_DEFAULTS = {
+  title: 'Baseline',
+  titleTag: 'h3'
+};
+
+_ID = 0; // Identifier to keep multiple baseline views separate
+
+
+/**
+ * This class provides an interface for the user to select the baseline
+ * removed from plotted values.
+ *
+ * Updates the model "baseline" and "baselineConstant" properties.
+ *
+ * @param options {Object}
+ *     all options are passed to View.
+ * @param options.title {String}
+ *     The title to display above the baseline view interface.
+ * @param options.titleTag {String}
+ *     The HTML tag name to use for the title element.
+ */
+var BaselineView = function (options) {
+  var _this,
+      _initialize,
+
+      _constantEl,
+      _id,
+      _onChange;
+
+
+  options = Util.extend({}, _DEFAULTS, options);
+  _this = View(options);
+
+  _initialize = function (options) {
+    _id = _ID++;
+
+    _this.el.classList.add('baseline-view');
+    _this.el.innerHTML = [
+      '<', options.titleTag, '>', options.title, '</', options.titleTag, '>',
+      '<ul class="no-style">',
+        Baseline.getAll().map(function (mode) {
+          var id;
+
+          id = 'baseline-' + _id + '-' + mode.id;
+          return [
+            '<li>',
+              '<input type="radio" name="baseline" ',
+                  'value="', mode.id, '" ',
+                  'id="', id, '"/>',
+              '<label for="', id, '">', mode.display, '</label>',
+            '</li>'
+          ].join('');
+        }).join(''),
+      '</ul>',
+      '<label for="baseline-', _id, '-value">Constant Value</label>',
+      '<input type="number" step="any" class="baseline-constant" ',
+          'id="baseline-', _id, '-value"/>'
+    ].join('');
+
+    _constantEl = _this.el.querySelector('.baseline-constant');
+    _this.el.addEventListener('change', _onChange);
+    _this.model.on('change', _this.render);
+
+    _this.render();
+  };
+
+
+  /**
+   * Private event listener for DOMChange events on this view's element.
+   * This method only calls the public version `_this.onChange`.
+   */
+  _onChange = function (evt) {
+    _this.onChange(evt);
+  };
+
+
+  /**
+   * Frees resources associated with this view.
+   */
+  _this.destroy = Util.compose(function () {
+    _this.el.removeEventListener('change', _onChange);
+    _this.model.off('change', _this.render);
+
+    _constantEl = null;
+    _id = null;
+    _onChange = null;
+
+    _initialize = null;
+    _this = null;
+  }, _this.destroy);
+
+  /**
+   * Event handler for change events on this view.
+   *
+   * Selecting a mode updates the model `baseline` property.
+   * Entering a constant updates the model `baselineConstant` property and
+   * selects the "constant" mode.
+   *
+   * @param evt {Object}
+   *     An object with a `target` attribute that is an HTMLElement.
+   */
+  _this.onChange = function (evt) {
+    var target,
+        value;
+
+    target = evt.target;
+    if (target === _constantEl) {
+      value = parseFloat(target.value);
+      _this.model.set({
+        baseline: 'constant',
+        baselineConstant: (isNaN(value) ? 0 : value)
+      });
+    } else if (target.name === 'baseline' && target.checked) {
+      _this.model.set({baseline: target.value});
+    }
+  };
+
+  /**
+   * Updates the view rendering from the model.
+   */
+  _this.render = function () {
+    var constant,
+        input;
+
+    input = _this.el.querySelector(
+        '[value="' + (_this.model.get('baseline') || 'none') + '"]');
+    if (input) {
+      input.checked = true;
+    }
+
+    constant = _this.model.get('baselineConstant');
+    if (document.activeElement !== _constantEl) {
+      _constantEl.value = (typeof constant === 'number' ? constant : '');
+    }
+  };
+
+
+  _initialize(options);
+  options = null;
+  return _this;
+};
+
+
+module.exports = BaselineView;
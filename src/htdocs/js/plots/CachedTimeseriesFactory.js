@@ -0,0 +1,490 @@
+/* global Promise */
+'use strict';
+
+var TimeseriesResponse = require('plots/TimeseriesResponse'),
+    Util = require('util/Util');
+
+
+var _DEFAULTS = {
+  Promise: (typeof Promise === 'undefined' ? null : Promise)
+};
+
+
+/**
+ * Timeseries factory that answers requests from a TimeseriesCache when
+ * possible.
+ *
+ * Cached ranges are looked up for each requested element, and each
+ * interval of time missing for any element is fetched from the wrapped
+ * factory. Fetched data is stored in the cache, and combined with cached
+ * data into one response.
+ *
+ * Requests without an observatory id, elements or sampling period are
+ * passed to the wrapped factory unchanged.
+ *
+ * @param options {Object}
+ * @param options.cache {TimeseriesCache}
+ *     cache of fetched data.
+ * @param options.factory {TimeseriesFactory}
+ *     factory used to fetch data not in the cache.
+ * @param options.Promise {Function}
+ *     default global Promise.
+ *     Promise constructor, getTimeseries does not return a promise
+ *     when null.
+ */
+var CachedTimeseriesFactory = function (options) {
+  var _this,
+      _initialize,
+
+      _Promise;
+
+
+  _this = {};
+
+  _initialize = function (options) {
+    options = Util.extend({}, _DEFAULTS, options);
+    _this.cache = options.cache;
+    _this.factory = options.factory;
+    _Promise = options.Promise;
+  };
+
+
+  /**
+   * Combine cached and fetched samples into a response.
+   *
+   * @param options {Object}
+   *     request options.
+   * @param cached {Array<Array<Object>>}
+   *     cached ranges for each element.
+   * @param fetched {Array<TimeseriesResponse>}
+   *     fetched data, empty when all data was cached.
+   * @return {TimeseriesResponse}
+   *     combined response, with samples between options.starttime and
+   *     options.endtime.
+   */
+  _this.createResponse = function (options, cached, fetched) {
+    var endtime,
+        lookups,
+        metadata,
+        starttime,
+        times,
+        valueMetadata;
+
+    starttime = options.starttime.getTime();
+    endtime = options.endtime.getTime();
+    times = {};
+    metadata = null;
+    valueMetadata = {};
+
+    fetched = fetched.map(function (response) {
+      var values;
+
+      if (metadata === null) {
+        metadata = response.get('metadata') || null;
+      }
+      values = {};
+      (response.get('values') || []).forEach(function (value) {
+        var element;
+
+        element = (value.metadata && value.metadata.element) || value.id;
+        values[element] = value.values;
+        valueMetadata[element] = value.metadata || null;
+      });
+
+      return {
+        times: response.get('times').map(function (t) {
+          return Date.parse(t);
+        }),
+        values: values
+      };
+    });
+
+    // map time to value for each element, fetched samples replace cached
+    lookups = options.elements.map(function (element, index) {
+      var lookup;
+
+      lookup = {};
+      cached[index].forEach(function (range) {
+        if (metadata === null && range.metadata) {
+          metadata = range.metadata.response || null;
+        }
+        if (!valueMetadata[element] && range.metadata) {
+          valueMetadata[element] = range.metadata.value || null;
+        }
+        range.times.forEach(function (time, i) {
+          if (time >= starttime && time <= endtime) {
+            lookup[time] = range.values[i];
+            times[time] = true;
+          }
+        });
+      });
+
+      fetched.forEach(function (response) {
+        if (response.values[element]) {
+          response.times.forEach(function (time, i) {
+            lookup[time] = response.values[element][i];
+          });
+        }
+      });
+
+      return lookup;
+    });
+
+    fetched.forEach(function (response) {
+      response.times.forEach(function (time) {
+        times[time] = true;
+      });
+    });
+
+    times = Object.keys(times).map(Number).sort(function (a, b) {
+      return a - b;
+    });
+
+    return TimeseriesResponse({
+      type: 'Timeseries',
+      metadata: metadata,
+      times: times.map(function (time) {
+        return new Date(time).toISOString();
+      }),
+      values: options.elements.map(function (element, index) {
+        var lookup;
+
+        lookup = lookups[index];
+        return {
+          id: element,
+          metadata: valueMetadata[element] || {
+            element: element,
+            station: options.id
+          },
+          values: times.map(function (time) {
+            return (lookup.hasOwnProperty(time) ? lookup[time] : null);
+          })
+        };
+      })
+    });
+  };
+
+  /**
+   * Free references.
+   */
+  _this.destroy = function () {
+    _this.cache = null;
+    _this.factory = null;
+
+    _Promise = null;
+
+    _initialize = null;
+    _this = null;
+  };
+
+  /**
+   * Find the intervals of time not covered by cached ranges.
+   *
+   * @param cached {Array<Array<Object>>}
+   *     cached ranges for each element, ordered by starttime.
+   * @param starttime {Number}
+   *     epoch millisecond start of request.
+   * @param endtime {Number}
+   *     epoch millisecond end of request.
+   * @param period {Number}
+   *     sampling period in milliseconds.
+   * @return {Array<Object>}
+   *     intervals missing for any element, ordered by starttime,
+   *     each with starttime and endtime of the first and last missing
+   *     sample. Empty when all samples are cached.
+   */
+  _this.getMissingSpans = function (cached, starttime, endtime, period) {
+    var missing,
+        spans;
+
+    missing = [];
+    cached.forEach(function (ranges) {
+      var next;
+
+      next = starttime;
+      ranges.forEach(function (range) {
+        if (range.starttime > next && next <= endtime) {
+          missing.push({
+            starttime: next,
+            endtime: Math.min(endtime, range.starttime - period)
+          });
+        }
+        next = Math.max(next, range.endtime + period);
+      });
+      if (next <= endtime) {
+        missing.push({
+          starttime: next,
+          endtime: endtime
+        });
+      }
+    });
+
+    // combine overlapping and adjacent intervals
+    spans = [];
+    missing.sort(function (a, b) {
+      return a.starttime - b.starttime;
+    }).forEach(function (span) {
+      var last;
+
+      last = spans[spans.length - 1];
+      if (last && span.starttime <= last.endtime + period) {
+        last.endtime = Math.max(last.endtime, span.endtime);
+      } else {
+        spans.push({
+          starttime: span.starttime,
+          endtime: span.endtime
+        });
+      }
+    });
+
+    return spans;
+  };
+
+  /**
+   * Get timeseries data.
+   *
+   * Accepts the same options as TimeseriesFactory#getTimeseries.
+   * Callbacks are always called asynchronously.
+   *
+   * @param options {Object}
+   *     request options.
+   * @return {Promise<TimeseriesResponse>}
+   *     resolved with the response, or rejected with the error,
+   *     with the same abort method as TimeseriesFactory#getTimeseries.
+   *     When options.Promise is null, an object with only abort.
+   */
+  _this.getTimeseries = function (options) {
+    var abort,
+        abortRequests,
+        cache,
+        cached,
+        callback,
+        complete,
+        errback,
+        factory,
+        onCached,
+        promise,
+        reject,
+        remaining,
+        requests,
+        resolve;
+
+    if (!options.id || !options.sampling_period || !options.elements ||
+        !options.starttime || !options.endtime) {
+      return _this.factory.getTimeseries(options);
+    }
+
+    cache = _this.cache;
+    callback = options.callback || function () {};
+    complete = false;
+    errback = options.errback || function () {};
+    factory = _this.factory;
+    reject = function () {};
+    requests = [];
+    resolve = function () {};
+
+    if (_Promise) {
+      promise = new _Promise(function (resolvePromise, rejectPromise) {
+        reject = rejectPromise;
+        resolve = resolvePromise;
+      });
+      if (options.callback || options.errback) {
+        // callers using callbacks report rejections through errback
+        promise.catch(function () {});
+      }
+    } else {
+      promise = {};
+    }
+
+    abort = function () {
+      var err;
+
+      if (complete) {
+        return;
+      }
+      complete = true;
+      abortRequests();
+
+      err = new Error('Request aborted');
+      err.name = 'AbortError';
+      reject(err);
+    };
+
+    abortRequests = function () {
+      requests.forEach(function (request) {
+        if (request) {
+          request.abort();
+        }
+      });
+      requests = [];
+    };
+
+    options = {
+      elements: [].concat(options.elements),
+      endtime: options.endtime,
+      id: options.id,
+      sampling_period: options.sampling_period,
+      starttime: options.starttime,
+      type: options.type
+    };
+
+    onCached = function () {
+      var fetched,
+          response,
+          spans;
+
+      spans = _this.getMissingSpans(cached,
+          options.starttime.getTime(),
+          options.endtime.getTime(),
+          options.sampling_period * 1000);
+
+      if (spans.length === 0) {
+        complete = true;
+        response = _this.createResponse(options, cached, []);
+        callback(response);
+        resolve(response);
+        return;
+      }
+
+      fetched = [];
+      remaining = spans.length;
+      spans.forEach(function (span, index) {
+        requests[index] = factory.getTimeseries({
+          elements: options.elements,
+          endtime: new Date(span.endtime),
+          id: options.id,
+          sampling_period: options.sampling_period,
+          starttime: new Date(span.starttime),
+          type: options.type,
+          callback: function (response) {
+            requests[index] = null;
+            if (complete) {
+              return;
+            }
+            _this.putResponse(options, span, response);
+            fetched[index] = response;
+            remaining--;
+            if (remaining === 0) {
+              complete = true;
+              response = _this.createResponse(options, cached, fetched);
+              callback(response);
+              resolve(response);
+            }
+          },
+          errback: function (err, response) {
+            requests[index] = null;
+            if (complete) {
+              return;
+            }
+            complete = true;
+            // other intervals are not useful without this one
+            abortRequests();
+            reject(typeof factory.createError === 'function' ?
+                factory.createError(err, response) : err);
+            errback.apply(null, arguments);
+          }
+        });
+      });
+    };
+
+    cached = [];
+    remaining = options.elements.length;
+    options.elements.forEach(function (element, index) {
+      cache.getRanges(
+          _this.getKey(options, element),
+          options.starttime.getTime(),
+          options.endtime.getTime(),
+          function (ranges) {
+            cached[index] = ranges;
+            remaining--;
+            if (remaining === 0 && !complete) {
+              onCached();
+            }
+          });
+    });
+
+    promise.abort = abort;
+    return promise;
+  };
+
+  /**
+   * Get the cache key for one element of a request.
+   *
+   * @param options {Object}
+   *     request options.
+   * @param element {String}
+   *     element id.
+   * @return {String}
+   *     cache key.
+   */
+  _this.getKey = function (options, element) {
+    return _this.cache.getKey({
+      element: element,
+      id: options.id,
+      sampling_period: options.sampling_period,
+      type: options.type
+    });
+  };
+
+  /**
+   * Store fetched data in the cache.
+   *
+   * Only the part of the span covered by the response is stored.
+   *
+   * @param options {Object}
+   *     request options.
+   * @param span {Object}
+   *     span that was fetched, with starttime and endtime.
+   * @param response {TimeseriesResponse}
+   *     fetched data.
+   */
+  _this.putResponse = function (options, span, response) {
+    var endtime,
+        metadata,
+        starttime,
+        times;
+
+    metadata = response.get('metadata') || null;
+    times = response.get('times').map(function (t) {
+      return Date.parse(t);
+    });
+    if (times.length === 0) {
+      return;
+    }
+    starttime = Math.max(span.starttime, times[0]);
+    endtime = Math.min(span.endtime, times[times.length - 1]);
+    if (endtime < starttime) {
+      return;
+    }
+
+    (response.get('values') || []).forEach(function (value) {
+      var element;
+
+      element = (value.metadata && value.metadata.element) || value.id;
+      if (options.elements.indexOf(element) === -1) {
+        return;
+      }
+
+      _this.cache.putRange(_this.getKey(options, element), {
+        endtime: endtime,
+        metadata: {
+          response: metadata,
+          value: value.metadata || null
+        },
+        sampling_period: options.sampling_period,
+        starttime: starttime,
+        times: times,
+        type: options.type,
+        values: value.values
+      });
+    });
+  };
+
+
+  _initialize(options);
+  options = null;
+  return _this;
+};
+
+
+module.exports = CachedTimeseriesFactory;
@@ -3,6 +3,8 @@
 
 var d3 = require('d3'),
     D3GraphView = require('plots/D3GraphView'),
+    Decimator = require('plots/Decimator'),
+    TimeAlignment = require('plots/TimeAlignment'),
     Util = require('util/Util');
 
 
@@ -38,10 +40,24 @@ var __yAxisTooltip = function (v) {
 /**
  * Display a Timeseries model.
  *
+ * The tooltip shows the sample at plot model "tooltipX", shared by all
+ * plots, using the plot model "alignment" method, see
+ * TimeAlignment#getSample.
+ *
  * @param options {Object}
  *        all options are passed to D3GraphView.
  * @param options.data {Timeseries}
  *        data to plot.
+ * @param options.extentData {Timeseries}
+ *        default null.
+ *        data used to compute the y extent instead of options.data,
+ *        with the same times.
+ * @param options.interpolated {Array<Number>}
+ *        default [].
+ *        indices of samples in options.data that fill gaps, drawn dashed.
+ * @param options.outliers {Array<Number>}
+ *        default [].
+ *        indices of suspect samples in options.data, drawn as markers.
  */
 var D3TimeseriesView = function (options) {
   var _this,
@@ -51,7 +67,12 @@ var D3TimeseriesView = function (options) {
       _el,
       _gaps,
       _gapsEl,
+      _interpolated,
+      _interpolatedEl,
+      _interpolatedLine,
       _line,
+      _outliers,
+      _outliersEl,
       _point,
       _timeseries,
       _x,
@@ -59,6 +80,7 @@ var D3TimeseriesView = function (options) {
       _yAxisTooltip,
       // methods
       _defined,
+      _definedInterpolated,
       _gapStart,
       _getX,
       _getY,
@@ -67,7 +89,10 @@ var D3TimeseriesView = function (options) {
       _onMouseOut;
 
   options = Util.extend({
+    extentData: null,
     height: 300,
+    interpolated: [],
+    outliers: [],
     width: 960,
     xAxisFormat: __dateFormat,
     xAxisScale: d3.time.scale.utc()
@@ -88,6 +113,14 @@ var D3TimeseriesView = function (options) {
     _timeseries = el.append('path')
         .attr('class', 'timeseries')
         .attr('clip-path', 'url(#plotAreaClip)');
+    // filled gaps
+    _interpolatedEl = el.append('path')
+        .attr('class', 'interpolated')
+        .attr('clip-path', 'url(#plotAreaClip)');
+    // suspect samples
+    _outliersEl = el.append('g')
+        .attr('class', 'outliers')
+        .attr('clip-path', 'url(#plotAreaClip)');
     // hovered data point
     _point = el.append('circle')
         .attr('class', 'point');
@@ -96,6 +129,11 @@ var D3TimeseriesView = function (options) {
         .x(_getX)
         .y(_getY)
         .defined(_defined);
+    // used to plot _interpolatedEl
+    _interpolatedLine = d3.svg.line()
+        .x(_getX)
+        .y(_getY)
+        .defined(_definedInterpolated);
     // mouse tracking event handlers
     _el = d3.select(_this.el.querySelector('.inner-frame'));
     _el.on('mousemove', _onMouseMove);
@@ -115,12 +153,18 @@ var D3TimeseriesView = function (options) {
     _el = null;
     _gaps = null;
     _gapsEl = null;
+    _interpolated = null;
+    _interpolatedEl = null;
+    _interpolatedLine = null;
     _line = null;
+    _outliers = null;
+    _outliersEl = null;
     _point = null;
     _timeseries = null;
     _x = null;
     _y = null;
     _defined = null;
+    _definedInterpolated = null;
     _gapStart = null;
     _getX = null;
     _getY = null;
@@ -135,10 +179,23 @@ var D3TimeseriesView = function (options) {
    * @param d {Number}
    *        index of point.
    * @return {Boolean}
-   *         true if value is not null, false otherwise.
+   *         true if value is not null and not interpolated,
+   *         false otherwise.
    */
   _defined = function (d) {
-    return _data.values[d] !== null;
+    return _data.values[d] !== null && !_interpolated.hasOwnProperty(d);
+  };
+
+  /**
+   * Check whether point is part of a filled gap.
+   *
+   * @param d {Number}
+   *        index of point, or null between filled gaps.
+   * @return {Boolean}
+   *         true if point is not null, false otherwise.
+   */
+  _definedInterpolated = function (d) {
+    return d !== null;
   };
 
   /**
@@ -255,6 +312,9 @@ var D3TimeseriesView = function (options) {
 
   _this.renderTooltip = function () {
     var i,
+        interpolated,
+        outlier,
+        sample,
         tooltipX,
         x,
         xpos,
@@ -268,13 +328,21 @@ var D3TimeseriesView = function (options) {
       // hide tooltip
       _this.showTooltip(null);
     } else {
-      i = d3.bisectLeft(_data.times, tooltipX, 1);
-      x = _data.times[i];
-      y = _data.values[i];
+      sample = TimeAlignment.getSample(_data.times, _data.values, tooltipX, {
+        method: _this.plotModel.get('alignment') || 'nearest'
+      });
+      if (sample === null) {
+        // no sample near this time, other plots may still show tooltip
+        _point.classed({'visible': false});
+        _this.showTooltip(null);
+        return;
+      }
+      x = sample.time;
+      y = sample.value;
 
       if (y === null) {
         // gap or out of plot
-        i = d3.bisector(_gapStart).left(_gaps, x) - 1;
+        i = d3.bisector(_gapStart).right(_gaps, x) - 1;
         if (i >= 0) {
           // found gap
           _onGapOver(_gaps[i], x);
@@ -286,6 +354,14 @@ var D3TimeseriesView = function (options) {
 
       xpos = _x(x);
 
+      // flag the samples used, both neighbors when interpolated
+      interpolated = sample.indexes.some(function (index) {
+        return _interpolated && _interpolated.hasOwnProperty(index);
+      });
+      outlier = sample.indexes.some(function (index) {
+        return _outliers && _outliers.hasOwnProperty(index);
+      });
+
       // show data point on line (if in plot extent)
       _point.attr('transform', 'translate(' + xpos + ',' + _y(y) + ')')
           .classed({'visible': (xpos>0)});
@@ -301,7 +377,10 @@ var D3TimeseriesView = function (options) {
             class: 'time',
             text: __formatTooltipDate(x)
           }
-        ]
+        ].concat(interpolated ?
+          [{class: 'interpolated', text: 'INTERPOLATED'}] : [])
+        .concat(outlier ?
+          [{class: 'outlier', text: 'SUSPECT'}] : [])
       );
     }
   };
@@ -327,7 +406,8 @@ var D3TimeseriesView = function (options) {
    *         y extent.
    */
   _this.getYExtent = function (xExtent) {
-    var dataValues,
+    var data,
+        stats,
         yExtent = _this.model.get('yExtent'),
         yExtentSize,
         yMean,
@@ -336,32 +416,35 @@ var D3TimeseriesView = function (options) {
 
     if (yExtent === null) {
       _data = _this.model.get('data').get();
-      dataValues = _data.values;
+      // may exclude samples, times are the same
+      data = _this.model.get('extentData') || _this.model.get('data');
 
       if (xExtent) {
         minXIndex = d3.bisectLeft(_data.times, xExtent[0]);
         maxXIndex = d3.bisectLeft(_data.times, xExtent[1]);
-        dataValues = _data.values.slice(
+        stats = data.getStatisticsByIndex(
             // include points just outside range
-            Math.max(0, minXIndex - 1),
-            Math.min(_data.values.length, maxXIndex + 2)
+            minXIndex - 1,
+            maxXIndex + 2
         );
+      } else {
+        stats = data.getStatistics();
       }
 
       yExtentSize = _this.plotModel.get('yExtentSize');
 
       if (!yExtentSize) {
-        yExtent = d3.extent(dataValues);
-        if (isNaN(yExtent[0]) || isNaN(yExtent[1])) {
+        if (stats.count === 0) {
           // if undefined over current x range, try entire range
-          yExtent = d3.extent(_data.values);
+          stats = data.getStatistics();
         }
-        if (isNaN(yExtent[0]) || isNaN(yExtent[1])) {
+        if (stats.count === 0) {
           // if still undefined use arbitrary scale
           return [0, 1];
         }
+        yExtent = [stats.min, stats.max];
       } else {
-        yMean = d3.mean(dataValues) || 0;
+        yMean = stats.mean || 0;
         yExtent = [(yMean - yExtentSize / 2), (yMean + yExtentSize / 2)];
       }
 
@@ -378,9 +461,12 @@ var D3TimeseriesView = function (options) {
    *        when undefined, render everything.
    */
   _this.plot = function (changed) {
-    var gaps,
+    var filled,
+        gaps,
         gapCache,
+        lineValues,
         options,
+        outliers,
         yExtent;
 
     changed = changed || _this.model.get();
@@ -394,6 +480,16 @@ var D3TimeseriesView = function (options) {
     // update references used by _line function callbacks
     _data = options.data.get();
     _gaps = options.data.getGaps();
+    _interpolated = {};
+    (options.interpolated || []).forEach(function (index) {
+      _interpolated[index] = true;
+    });
+    _outliers = {};
+    (options.outliers || []).forEach(function (index) {
+      if (_data.values[index] !== null) {
+        _outliers[index] = true;
+      }
+    });
     _x = options.xAxisScale;
     _y = options.yAxisScale;
 
@@ -428,8 +524,51 @@ var D3TimeseriesView = function (options) {
     gaps.exit()
         .remove();
 
-    // plot timeseries
-    _timeseries.attr('d', _line(d3.range(_data.times.length)));
+    // plot timeseries, reduced to min/max per pixel column
+    // tooltips still use full resolution _data
+    lineValues = _data.values;
+    if (options.interpolated && options.interpolated.length > 0) {
+      // keep filled gaps as breaks in the line
+      lineValues = _data.values.slice();
+      options.interpolated.forEach(function (index) {
+        lineValues[index] = null;
+      });
+    }
+    _timeseries.attr('d', _line(
+        Decimator.minMax(_data.times, lineValues, _x)));
+
+    // plot filled gaps, joined to the samples on either side,
+    // with null between runs to break the line
+    filled = [];
+    (options.interpolated || []).forEach(function (index, i, indices) {
+      if (i === 0 || indices[i - 1] !== index - 1) {
+        if (i !== 0) {
+          filled.push(null);
+        }
+        if (index > 0) {
+          filled.push(index - 1);
+        }
+      }
+      filled.push(index);
+      if ((i === indices.length - 1 || indices[i + 1] !== index + 1) &&
+          index < _data.values.length - 1) {
+        filled.push(index + 1);
+      }
+    });
+    _interpolatedEl.attr('d', filled.length > 0 ?
+        _interpolatedLine(filled) : null);
+
+    // plot suspect samples
+    outliers = _outliersEl.selectAll('circle')
+        .data(Object.keys(_outliers).map(Number));
+    outliers.enter()
+        .append('circle')
+        .attr('class', 'outlier')
+        .attr('r', options.pointRadius);
+    outliers.attr('cx', _getX)
+        .attr('cy', _getY);
+    outliers.exit()
+        .remove();
 
     _this.renderTooltip();
   };
@@ -0,0 +1,119 @@
+'use strict';
+
+
+var d3 = require('d3');
+
+
+// number of samples kept per pixel column: first, min, max, last
+var _SAMPLES_PER_COLUMN = 4;
+
+
+var _minMax;
+
+
+/**
+ * Reduce a series to the samples needed to draw it at pixel resolution.
+ *
+ * For each pixel column, keeps the first, minimum, maximum and last
+ * sample, so spikes remain visible. Null values split a column so gaps
+ * are preserved; the first null of each gap is kept so that a line
+ * using "defined" breaks there. One sample on each side of the x domain
+ * is kept so lines extend to the plot edges.
+ *
+ * @param times {Array<Date>}
+ *        sample times, in order.
+ * @param values {Array<Number>}
+ *        sample values, null for gaps.
+ * @param xScale {d3.scale}
+ *        scale mapping time to pixel x coordinate.
+ * @return {Array<Number>}
+ *         indices of samples to plot, in order.
+ */
+_minMax = function (times, values, xScale) {
+  var bucket,
+      column,
+      domain,
+      end,
+      flush,
+      i,
+      indices,
+      range,
+      start,
+      value,
+      x;
+
+  if (!times || times.length === 0) {
+    return [];
+  }
+
+  domain = xScale.domain();
+  range = xScale.range();
+  start = Math.max(0, d3.bisectLeft(times, domain[0]) - 1);
+  end = Math.min(times.length - 1, d3.bisectRight(times, domain[1]));
+
+  if (end - start + 1 <= _SAMPLES_PER_COLUMN *
+      Math.abs(range[1] - range[0])) {
+    // already at or below pixel resolution
+    return d3.range(start, end + 1);
+  }
+
+  indices = [];
+  bucket = null;
+  column = null;
+
+  flush = function () {
+    if (bucket !== null) {
+      [bucket.first, bucket.min, bucket.max, bucket.last]
+          .sort(function (a, b) { return a - b; })
+          .forEach(function (index) {
+            if (indices[indices.length - 1] !== index) {
+              indices.push(index);
+            }
+          });
+      bucket = null;
+    }
+  };
+
+  for (i = start; i <= end; i++) {
+    x = Math.floor(xScale(times[i]));
+    if (x !== column) {
+      flush();
+      column = x;
+    }
+
+    value = values[i];
+    if (value === null) {
+      if (bucket !== null || i === start || values[i - 1] !== null) {
+        // keep first null of gap
+        flush();
+        indices.push(i);
+      }
+      continue;
+    }
+
+    if (bucket === null) {
+      bucket = {
+        first: i,
+        last: i,
+        max: i,
+        min: i
+      };
+    } else {
+      bucket.last = i;
+      if (value < values[bucket.min]) {
+        bucket.min = i;
+      }
+      if (value > values[bucket.max]) {
+        bucket.max = i;
+      }
+    }
+  }
+  flush();
+
+  return indices;
+};
+
+
+module.exports = {
+  minMax: _minMax
+};
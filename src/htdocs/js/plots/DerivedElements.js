@@ -0,0 +1,190 @@
+'use strict';
+
+
+var Registry = require('plots/Registry'),
+    TimeAlignment = require('plots/TimeAlignment');
+
+
+// radians to minutes of arc
+var _RAD2MIN = 180 * 60 / Math.PI;
+
+
+/**
+ * Get the time between samples of a timeseries.
+ *
+ * @param timeseries {Timeseries}
+ *        timeseries to check.
+ * @return {Number}
+ *         milliseconds between samples, from the sampling_period attribute
+ *         or the first two samples, or null when unknown.
+ */
+var __getSamplingPeriod = function (timeseries) {
+  var times;
+
+  if (timeseries.get('sampling_period')) {
+    return timeseries.get('sampling_period') * 1000;
+  }
+
+  times = timeseries.get('times') || [];
+  if (times.length > 1) {
+    return times[1].getTime() - times[0].getTime();
+  }
+  return null;
+};
+
+
+/**
+ * Registry of elements computed from fetched elements.
+ *
+ * Each element is formatted like a feature from elements.json, with
+ * additional properties:
+ *
+ * inputs {Array<String>}
+ *     ids of elements needed to compute this element.
+ * calculate {Function(values, observatory)}
+ *     compute one sample.
+ *     values {Array<Number>} one value for each input, never null.
+ *     observatory {Object} observatory feature, may be null.
+ *     returns {Number} computed value.
+ */
+var _ELEMENTS = Registry([
+  {
+    id: 'HXY',
+    inputs: ['X', 'Y'],
+    calculate: function (values) {
+      var x = values[0],
+          y = values[1];
+
+      return Math.sqrt(x * x + y * y);
+    },
+    properties: {
+      abbreviation: 'H(XY)',
+      name: 'Horizontal Intensity from X/Y',
+      units: 'nT'
+    }
+  },
+  {
+    id: 'DHE',
+    inputs: ['H', 'E'],
+    calculate: function (values, observatory) {
+      var base;
+
+      // declination_base is in tenths of minutes
+      base = (observatory && observatory.properties &&
+          observatory.properties.declination_base) || 0;
+      return base / 10 + Math.atan2(values[1], values[0]) * _RAD2MIN;
+    },
+    properties: {
+      abbreviation: 'D(HE)',
+      name: 'Declination from H/E',
+      units: '′'
+    }
+  },
+  {
+    id: 'FV',
+    inputs: ['H', 'E', 'Z'],
+    calculate: function (values) {
+      var e = values[1],
+          h = values[0],
+          z = values[2];
+
+      return Math.sqrt(h * h + e * e + z * z);
+    },
+    properties: {
+      abbreviation: 'Fv',
+      name: 'Vector Total Field from H/E/Z',
+      units: 'nT'
+    }
+  },
+  {
+    id: 'DFV',
+    inputs: ['F', 'H', 'E', 'Z'],
+    calculate: function (values) {
+      var e = values[2],
+          f = values[0],
+          h = values[1],
+          z = values[3];
+
+      return f - Math.sqrt(h * h + e * e + z * z);
+    },
+    properties: {
+      abbreviation: 'F-Fv',
+      name: 'Total Field minus Vector Total Field',
+      units: 'nT'
+    }
+  }
+]);
+
+
+var _calculate;
+
+
+/**
+ * Compute a derived element.
+ *
+ * Samples are aligned to the times of the first input, see
+ * TimeAlignment#align, using input samples at most one sampling period of
+ * the slowest input away.
+ * A sample is null when any input is null or missing at that time.
+ *
+ * @param id {String}
+ *        id of derived element.
+ * @param inputs {Array<Timeseries>}
+ *        timeseries for each input element, in the order of element.inputs.
+ * @param observatory {Object}
+ *        observatory feature, passed to element.calculate.
+ * @param alignment {String}
+ *        default 'none'.
+ *        id of alignment method used to match input samples.
+ * @return {Object}
+ *         obj.times {Array<Date>} times of computed samples.
+ *         obj.values {Array<Number>} computed values.
+ */
+_calculate = function (id, inputs, observatory, alignment) {
+  var aligned,
+      element,
+      maxDistance,
+      values;
+
+  element = _ELEMENTS.get(id);
+  maxDistance = null;
+  inputs.forEach(function (input) {
+    var period;
+
+    period = __getSamplingPeriod(input);
+    if (period !== null && (maxDistance === null || period > maxDistance)) {
+      maxDistance = period;
+    }
+  });
+  aligned = TimeAlignment.align(inputs, null, {
+    maxDistance: (maxDistance === null ? Infinity : maxDistance),
+    method: alignment || 'none'
+  });
+
+  values = aligned.times.map(function (time, index) {
+    var sample;
+
+    sample = aligned.values.map(function (inputValues) {
+      var value = inputValues[index];
+      return (typeof value === 'undefined' ? null : value);
+    });
+
+    if (sample.indexOf(null) !== -1) {
+      return null;
+    }
+    return element.calculate(sample, observatory);
+  });
+
+  return {
+    times: aligned.times,
+    values: values
+  };
+};
+
+
+
+module.exports = {
+  calculate: _calculate,
+  get: _ELEMENTS.get,
+  getAll: _ELEMENTS.getAll
+};
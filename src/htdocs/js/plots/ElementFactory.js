@@ -0,0 +1,88 @@
+'use strict';
+
+
+var MetadataFactory = require('plots/MetadataFactory'),
+    Util = require('util/Util');
+
+
+var _DEFAULTS = {
+  url: '/ws/edge/elements.json'
+};
+
+
+/**
+ * Factory for element metadata.
+ *
+ * @param options {Object}
+ *        all options are passed to MetadataFactory.
+ * @param options.url {String}
+ *        default '/ws/edge/elements.json'.
+ *        url of elements feature collection.
+ */
+var ElementFactory = function (options) {
+  var _this;
+
+
+  _this = MetadataFactory(Util.extend({}, _DEFAULTS, options));
+
+  /**
+   * Free references.
+   */
+  _this.destroy = Util.compose(function () {
+    _this = null;
+  }, _this.destroy);
+
+  /**
+   * Get elements that match a query.
+   *
+   * @param options {Object}
+   *        callbacks, see MetadataFactory#getFeatures,
+   *        and query options, see #matches.
+   * @return {Promise<Array<Object>>}
+   *         matching elements.
+   */
+  _this.getElements = function (options) {
+    return _this.getFeatures(options);
+  };
+
+  /**
+   * Check whether an element matches a query.
+   *
+   * @param feature {Object}
+   *        element feature.
+   * @param options {Object}
+   * @param options.search {String}
+   *        optional, case insensitive text found in id or name.
+   * @param options.units {String}
+   *        optional, units of element, e.g. 'nT'.
+   * @return {Boolean}
+   *         true when the element matches all options.
+   */
+  _this.matches = function (feature, options) {
+    var properties,
+        search;
+
+    properties = feature.properties || {};
+
+    if (options.units && properties.units !== options.units) {
+      return false;
+    }
+
+    if (options.search) {
+      search = options.search.toLowerCase();
+      return [feature.id, properties.name].some(function (text) {
+        return typeof text === 'string' &&
+            text.toLowerCase().indexOf(search) !== -1;
+      });
+    }
+
+    return true;
+  };
+
+
+  options = null;
+  return _this;
+};
+
+
+module.exports = ElementFactory;
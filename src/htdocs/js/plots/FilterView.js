@@ -0,0 +1,199 @@
+'use strict';
+
+
+var Filters = require('plots/Filters'),
+    Util = require('util/Util'),
+    View = require('mvc/View');
+
+
+var _DEFAULTS,
+    _ID;
+
+_DEFAULTS = {
+  title: 'Filters',
+  titleTag: 'h3'
+};
+
+_ID = 0; // Identifier to keep multiple filter views separate
+
+
+/**
+ * This class provides an interface for the user to choose the filters
+ * applied to plotted values.
+ *
+ * Updates the model "filters" property with the checked filters, in the
+ * order they are listed, see Filters#apply.
+ *
+ * @param options {Object}
+ *     all options are passed to View.
+ * @param options.title {String}
+ *     The title to display above the filter view interface.
+ * @param options.titleTag {String}
+ *     The HTML tag name to use for the title element.
+ */
+var FilterView = function (options) {
+  var _this,
+      _initialize,
+
+      _id,
+      _onChange;
+
+
+  options = Util.extend({}, _DEFAULTS, options);
+  _this = View(options);
+
+  _initialize = function (options) {
+    _id = _ID++;
+
+    _this.el.classList.add('filter-view');
+    _this.el.innerHTML = [
+      '<', options.titleTag, '>', options.title, '</', options.titleTag, '>',
+      '<ul class="no-style">',
+        Filters.getAll().map(function (filter) {
+          var id;
+
+          id = 'filter-' + _id + '-' + filter.id;
+          return [
+            '<li>',
+              '<input type="checkbox" name="filter" ',
+                  'value="', filter.id, '" ',
+                  'id="', id, '"/>',
+              '<label for="', id, '">', filter.display, '</label>',
+              filter.params.map(function (param) {
+                return [
+                  '<label class="filter-param-label" ',
+                      'for="', id, '-', param.id, '">',
+                    param.display,
+                  '</label>',
+                  '<input type="number" step="any" min="0" ',
+                      'class="filter-param" ',
+                      'id="', id, '-', param.id, '" ',
+                      'data-filter="', filter.id, '" ',
+                      'data-param="', param.id, '" ',
+                      'value="', param.value, '"/>'
+                ].join('');
+              }).join(''),
+            '</li>'
+          ].join('');
+        }).join(''),
+      '</ul>'
+    ].join('');
+
+    _this.el.addEventListener('change', _onChange);
+    _this.model.on('change:filters', _this.render);
+
+    _this.render();
+  };
+
+
+  /**
+   * Private event listener for DOMChange events on this view's element.
+   * This method only calls the public version `_this.onChange`.
+   */
+  _onChange = function (evt) {
+    _this.onChange(evt);
+  };
+
+
+  /**
+   * Frees resources associated with this view.
+   */
+  _this.destroy = Util.compose(function () {
+    _this.el.removeEventListener('change', _onChange);
+    _this.model.off('change:filters', _this.render);
+
+    _id = null;
+    _onChange = null;
+
+    _initialize = null;
+    _this = null;
+  }, _this.destroy);
+
+  /**
+   * Read the chosen filters from the inputs.
+   *
+   * @return {Array<Object>}
+   *     checked filters, with the entered parameter values.
+   */
+  _this.getFilters = function () {
+    var filters;
+
+    filters = [];
+    Filters.getAll().forEach(function (filter) {
+      var input,
+          options;
+
+      input = _this.el.querySelector('[name="filter"][value="' +
+          filter.id + '"]');
+      if (!input.checked) {
+        return;
+      }
+
+      options = {id: filter.id};
+      filter.params.forEach(function (param) {
+        var value;
+
+        value = parseFloat(_this.el.querySelector(
+            '[data-filter="' + filter.id + '"]' +
+            '[data-param="' + param.id + '"]').value);
+        options[param.id] = (isNaN(value) ? param.value : value);
+      });
+      filters.push(options);
+    });
+
+    return filters;
+  };
+
+  /**
+   * Event handler for change events on this view.
+   *
+   * Updates the model `filters` property.
+   */
+  _this.onChange = function () {
+    _this.model.set({filters: _this.getFilters()});
+  };
+
+  /**
+   * Updates the view rendering from the model.
+   */
+  _this.render = function () {
+    var filters;
+
+    filters = _this.model.get('filters') || [];
+
+    Array.prototype.forEach.call(
+        _this.el.querySelectorAll('[name="filter"]'),
+        function (input) {
+          input.checked = false;
+        });
+
+    filters.forEach(function (options) {
+      var input;
+
+      input = _this.el.querySelector('[name="filter"][value="' +
+          options.id + '"]');
+      if (!input) {
+        return;
+      }
+
+      input.checked = true;
+      Object.keys(options).forEach(function (key) {
+        var param;
+
+        param = _this.el.querySelector('[data-filter="' + options.id + '"]' +
+            '[data-param="' + key + '"]');
+        if (param) {
+          param.value = options[key];
+        }
+      });
+    });
+  };
+
+
+  _initialize(options);
+  options = null;
+  return _this;
+};
+
+
+module.exports = FilterView;
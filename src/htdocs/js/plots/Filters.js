@@ -0,0 +1,442 @@
+'use strict';
+
+
+var Registry = require('plots/Registry');
+
+
+// quality factor of a second order butterworth section
+var _BUTTERWORTH_Q = Math.SQRT1_2;
+
+
+/**
+ * Whether a value is a number.
+ *
+ * @param value {Number}
+ *        value to check.
+ * @return {Boolean}
+ *         false for null, undefined and NaN.
+ */
+var __isValue = function (value) {
+  return value !== null && typeof value !== 'undefined' && !isNaN(value);
+};
+
+/**
+ * Apply a function to each run of consecutive values without gaps.
+ *
+ * @param values {Array<Number>}
+ *        values, null for gaps.
+ * @param callback {Function(Array<Number>)}
+ *        called with each run of values, returns filtered values.
+ * @return {Array<Number>}
+ *         filtered values, null for gaps.
+ */
+var __eachSegment = function (values, callback) {
+  var filtered,
+      i,
+      j,
+      segment,
+      start;
+
+  filtered = values.slice();
+  start = null;
+  for (i = 0; i <= values.length; i++) {
+    if (i < values.length && __isValue(values[i])) {
+      if (start === null) {
+        start = i;
+      }
+    } else {
+      if (start !== null) {
+        // copy by index, segments may be too long for function arguments
+        segment = callback(values.slice(start, i));
+        for (j = 0; j < segment.length; j++) {
+          filtered[start + j] = segment[j];
+        }
+        start = null;
+      }
+      if (i < values.length) {
+        filtered[i] = null;
+      }
+    }
+  }
+
+  return filtered;
+};
+
+/**
+ * Create a second order butterworth section.
+ *
+ * @param type {String}
+ *        'lowpass' or 'highpass'.
+ * @param period {Number}
+ *        cutoff period in seconds.
+ * @param samplingPeriod {Number}
+ *        sampling period in seconds.
+ * @return {Object}
+ *         normalized coefficients a1, a2, b0, b1, b2 and dc gain,
+ *         or null when the sampling period is unknown or the cutoff is not
+ *         below the nyquist frequency.
+ */
+var __getButterworth = function (type, period, samplingPeriod) {
+  var a0,
+      alpha,
+      cos,
+      w0;
+
+  if (!__isValue(period) || !__isValue(samplingPeriod) ||
+      samplingPeriod <= 0 || period <= 2 * samplingPeriod) {
+    return null;
+  }
+
+  w0 = 2 * Math.PI * samplingPeriod / period;
+  cos = Math.cos(w0);
+  alpha = Math.sin(w0) / (2 * _BUTTERWORTH_Q);
+  a0 = 1 + alpha;
+
+  if (type === 'lowpass') {
+    return {
+      a1: -2 * cos / a0,
+      a2: (1 - alpha) / a0,
+      b0: (1 - cos) / 2 / a0,
+      b1: (1 - cos) / a0,
+      b2: (1 - cos) / 2 / a0,
+      gain: 1
+    };
+  }
+
+  return {
+    a1: -2 * cos / a0,
+    a2: (1 - alpha) / a0,
+    b0: (1 + cos) / 2 / a0,
+    b1: -(1 + cos) / a0,
+    b2: (1 + cos) / 2 / a0,
+    gain: 0
+  };
+};
+
+/**
+ * Run a second order section forward then backward, so the result has no
+ * phase shift.
+ *
+ * State is initialized as if the first value had been constant, which
+ * reduces edge effects.
+ *
+ * @param values {Array<Number>}
+ *        values without gaps.
+ * @param section {Object}
+ *        coefficients from __getButterworth.
+ * @return {Array<Number>}
+ *         filtered values.
+ */
+var __filtfilt = function (values, section) {
+  var pass;
+
+  pass = function (x) {
+    var i,
+        x1,
+        x2,
+        y,
+        y1,
+        y2;
+
+    y = [];
+    x1 = x2 = x[0];
+    y1 = y2 = x[0] * section.gain;
+    for (i = 0; i < x.length; i++) {
+      y[i] = section.b0 * x[i] + section.b1 * x1 + section.b2 * x2 -
+          section.a1 * y1 - section.a2 * y2;
+      x2 = x1;
+      x1 = x[i];
+      y2 = y1;
+      y1 = y[i];
+    }
+    return y;
+  };
+
+  return pass(pass(values).reverse()).reverse();
+};
+
+/**
+ * Apply a butterworth filter to values with gaps.
+ *
+ * @param type {String}
+ *        'lowpass' or 'highpass'.
+ * @param values {Array<Number>}
+ *        values, null for gaps.
+ * @param period {Number}
+ *        cutoff period in seconds.
+ * @param samplingPeriod {Number}
+ *        sampling period in seconds.
+ * @return {Array<Number>}
+ *         filtered values, or values when cutoff is not valid.
+ */
+var __butterworth = function (type, values, period, samplingPeriod) {
+  var section;
+
+  section = __getButterworth(type, period, samplingPeriod);
+  if (section === null) {
+    return values;
+  }
+
+  return __eachSegment(values, function (segment) {
+    return __filtfilt(segment, section);
+  });
+};
+
+
+/**
+ * Registry of filters.
+ *
+ * Each filter has an id, display name, parameters and functions:
+ *
+ * params {Array<Object>}
+ *     param.id {String} parameter name.
+ *     param.display {String} parameter label.
+ *     param.value {Number} default value.
+ * filter {Function(times, values, samplingPeriod, options)}
+ *     times {Array<Date>} sample times.
+ *     values {Array<Number>} sample values, null for gaps.
+ *     samplingPeriod {Number} seconds between samples.
+ *     options {Object} filter with parameter values.
+ *     returns {Array<Number>} filtered values, null for gaps.
+ * format {Function(options)}
+ *     returns {String} description of filter for display.
+ *
+ * Gaps are preserved. Filters that depend on neighboring samples filter
+ * each run of values between gaps separately.
+ */
+var _FILTERS = Registry([
+  {
+    id: 'detrend',
+    display: 'Linear Detrend',
+    params: [],
+    filter: function (times, values) {
+      var count,
+          intercept,
+          slope,
+          sumT,
+          sumTT,
+          sumTV,
+          sumV,
+          t0;
+
+      // least squares line through all values
+      count = 0;
+      sumT = sumTT = sumTV = sumV = 0;
+      t0 = (times.length > 0 ? times[0].getTime() : 0);
+      values.forEach(function (v, i) {
+        var t;
+
+        if (__isValue(v)) {
+          t = (times[i].getTime() - t0) / 1000;
+          count++;
+          sumT += t;
+          sumTT += t * t;
+          sumTV += t * v;
+          sumV += v;
+        }
+      });
+
+      if (count === 0) {
+        return values;
+      }
+
+      slope = (count * sumTT - sumT * sumT);
+      slope = (slope === 0 ? 0 : (count * sumTV - sumT * sumV) / slope);
+      intercept = (sumV - slope * sumT) / count;
+
+      return values.map(function (v, i) {
+        if (!__isValue(v)) {
+          return null;
+        }
+        return v - (intercept + slope * (times[i].getTime() - t0) / 1000);
+      });
+    },
+    format: function () {
+      return 'Detrended';
+    }
+  },
+  {
+    id: 'movingaverage',
+    display: 'Moving Average',
+    params: [
+      {id: 'period', display: 'Window (s)', value: 600}
+    ],
+    filter: function (times, values, samplingPeriod, options) {
+      var half;
+
+      half = Math.floor(Math.round(options.period / samplingPeriod) / 2);
+      if (isNaN(half) || half < 1) {
+        return values;
+      }
+
+      return __eachSegment(values, function (segment) {
+        var averaged,
+            end,
+            i,
+            start,
+            sum;
+
+        // centered window, truncated at segment ends
+        averaged = [];
+        sum = 0;
+        start = 0;
+        end = 0;
+        for (i = 0; i < segment.length; i++) {
+          while (end < segment.length && end <= i + half) {
+            sum += segment[end];
+            end++;
+          }
+          while (start < i - half) {
+            sum -= segment[start];
+            start++;
+          }
+          averaged.push(sum / (end - start));
+        }
+        return averaged;
+      });
+    },
+    format: function (options) {
+      return 'Moving Average ' + options.period + ' s';
+    }
+  },
+  {
+    id: 'lowpass',
+    display: 'Low-pass',
+    params: [
+      {id: 'period', display: 'Cutoff Period (s)', value: 600}
+    ],
+    filter: function (times, values, samplingPeriod, options) {
+      return __butterworth('lowpass', values, options.period,
+          samplingPeriod);
+    },
+    format: function (options) {
+      return 'Low-pass ' + options.period + ' s';
+    }
+  },
+  {
+    id: 'highpass',
+    display: 'High-pass',
+    params: [
+      {id: 'period', display: 'Cutoff Period (s)', value: 3600}
+    ],
+    filter: function (times, values, samplingPeriod, options) {
+      return __butterworth('highpass', values, options.period,
+          samplingPeriod);
+    },
+    format: function (options) {
+      return 'High-pass ' + options.period + ' s';
+    }
+  },
+  {
+    id: 'bandpass',
+    display: 'Band-pass',
+    params: [
+      {id: 'minPeriod', display: 'Shortest Period (s)', value: 10},
+      {id: 'maxPeriod', display: 'Longest Period (s)', value: 600}
+    ],
+    filter: function (times, values, samplingPeriod, options) {
+      values = __butterworth('highpass', values, options.maxPeriod,
+          samplingPeriod);
+      return __butterworth('lowpass', values, options.minPeriod,
+          samplingPeriod);
+    },
+    format: function (options) {
+      return 'Band-pass ' + options.minPeriod + '-' + options.maxPeriod +
+          ' s';
+    }
+  }
+]);
+
+
+var _apply,
+    _format,
+    _getOptions;
+
+
+/**
+ * Apply a filter pipeline.
+ *
+ * @param times {Array<Date>}
+ *        sample times.
+ * @param values {Array<Number>}
+ *        sample values, null for gaps.
+ * @param filters {Array<Object>}
+ *        filters to apply, in order.
+ *        Each has an "id" and a value for each of its parameters,
+ *        missing parameters use their default value.
+ *        Unknown filters are ignored.
+ * @param samplingPeriod {Number}
+ *        seconds between samples.
+ * @return {Array<Number>}
+ *         filtered values.
+ */
+_apply = function (times, values, filters, samplingPeriod) {
+  times = times || [];
+  values = values || [];
+
+  (filters || []).forEach(function (options) {
+    var filter;
+
+    filter = _FILTERS.get(options.id);
+    if (filter !== null) {
+      values = filter.filter(times, values, samplingPeriod,
+          _getOptions(filter, options));
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Describe a filter pipeline.
+ *
+ * @param filters {Array<Object>}
+ *        filters, as passed to #apply.
+ * @return {String}
+ *         description of each known filter, in order,
+ *         or empty string if there are none.
+ */
+_format = function (filters) {
+  return (filters || []).map(function (options) {
+    var filter;
+
+    filter = _FILTERS.get(options.id);
+    if (filter === null) {
+      return null;
+    }
+    return filter.format(_getOptions(filter, options));
+  }).filter(function (description) {
+    return description !== null;
+  }).join(', ');
+};
+
+
+/**
+ * Fill in default parameter values.
+ *
+ * @param filter {Object}
+ *        filter from registry.
+ * @param options {Object}
+ *        filter options.
+ * @return {Object}
+ *         options with a value for every parameter.
+ */
+_getOptions = function (filter, options) {
+  var result;
+
+  result = {id: filter.id};
+  filter.params.forEach(function (param) {
+    result[param.id] = (__isValue(options[param.id]) ?
+        options[param.id] : param.value);
+  });
+
+  return result;
+};
+
+
+module.exports = {
+  apply: _apply,
+  format: _format,
+  get: _FILTERS.get,
+  getAll: _FILTERS.getAll
+};
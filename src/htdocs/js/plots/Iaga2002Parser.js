@@ -0,0 +1,221 @@
+'use strict';
+
+
+// values used by IAGA-2002 to represent missing data
+var _FILL_VALUES = [88888, 99999];
+
+// header field names mapped to the "metadata.intermagnet" key they populate
+var _HEADER_FIELDS = {
+  'DATA INTERVAL TYPE': 'data_interval_type',
+  'DATA TYPE': 'data_type',
+  'DIGITAL SAMPLING': 'digital_sampling_rate',
+  'ELEVATION': 'elevation',
+  'FORMAT': 'format',
+  'GEODETIC LATITUDE': 'latitude',
+  'GEODETIC LONGITUDE': 'longitude',
+  'IAGA CODE': 'iaga_code',
+  'REPORTED': 'reported_orientation',
+  'SENSOR ORIENTATION': 'sensor_orientation',
+  'SOURCE OF DATA': 'source',
+  'STATION NAME': 'name'
+};
+
+
+var _getSamplingPeriod,
+    _parse,
+    _parseHeader,
+    _parseTime,
+    _parseValue;
+
+
+/**
+ * Determine sampling period.
+ *
+ * Uses the interval between the first two samples when available,
+ * otherwise the "Data Interval Type" header.
+ *
+ * @param times {Array<String>}
+ *        ISO8601 sample times.
+ * @param intervalType {String}
+ *        "Data Interval Type" header value, e.g. "filtered 1-minute".
+ * @return {Number}
+ *         sampling period in seconds, or null if unknown.
+ */
+_getSamplingPeriod = function (times, intervalType) {
+  if (times.length > 1) {
+    return (Date.parse(times[1]) - Date.parse(times[0])) / 1000;
+  }
+
+  intervalType = (intervalType || '').toLowerCase();
+  if (intervalType.indexOf('1-second') !== -1) {
+    return 1;
+  } else if (intervalType.indexOf('1-minute') !== -1) {
+    return 60;
+  } else if (intervalType.indexOf('1-hour') !== -1) {
+    return 3600;
+  } else if (intervalType.indexOf('1-day') !== -1) {
+    return 86400;
+  }
+
+  return null;
+};
+
+/**
+ * Parse an IAGA-2002 header line.
+ *
+ * @param line {String}
+ *        header line, e.g. " IAGA CODE              BOU       |".
+ * @return {Object}
+ *         obj.key {String} upper case field name.
+ *         obj.value {String} field value.
+ */
+_parseHeader = function (line) {
+  return {
+    key: line.substring(0, 24).trim().toUpperCase(),
+    value: line.substring(24).replace(/\|\s*$/, '').trim()
+  };
+};
+
+/**
+ * Convert IAGA-2002 date and time columns to an ISO8601 string.
+ *
+ * @param date {String}
+ *        date column, e.g. "2015-03-19".
+ * @param time {String}
+ *        time column, e.g. "16:10:10.000".
+ * @return {String}
+ *         ISO8601 time, e.g. "2015-03-19T16:10:10Z".
+ */
+_parseTime = function (date, time) {
+  return date + 'T' + time.replace(/\.0+$/, '') + 'Z';
+};
+
+/**
+ * Convert an IAGA-2002 value column to a number.
+ *
+ * @param value {String}
+ *        value column.
+ * @return {Number}
+ *         parsed value, or null for fill values.
+ */
+_parseValue = function (value) {
+  value = parseFloat(value);
+  if (isNaN(value) || _FILL_VALUES.indexOf(value) !== -1) {
+    return null;
+  }
+  return value;
+};
+
+/**
+ * Parse IAGA-2002 text into the structure used by the JSON format.
+ *
+ * @param text {String}
+ *        IAGA-2002 formatted data.
+ * @return {Object}
+ *         object that can be passed to TimeseriesResponse.
+ * @throws {Error}
+ *         when text does not contain a data header line.
+ */
+_parse = function (text) {
+  var columns,
+      elements,
+      header,
+      i,
+      j,
+      line,
+      lines,
+      observatory,
+      times,
+      values;
+
+  header = {};
+  lines = text.split(/\r?\n/);
+
+  // header and comments, up to column headers
+  for (i = 0; i < lines.length; i++) {
+    line = lines[i];
+    if (/^DATE\s+TIME/.test(line)) {
+      break;
+    }
+    if (/^\s#/.test(line) || line.trim() === '') {
+      // comment or blank line
+      continue;
+    }
+    line = _parseHeader(line);
+    if (_HEADER_FIELDS.hasOwnProperty(line.key)) {
+      header[_HEADER_FIELDS[line.key]] = line.value;
+    }
+  }
+
+  if (i === lines.length) {
+    throw new Error('IAGA-2002 data header not found');
+  }
+
+  // column headers, e.g. "DATE TIME DOY BOUH BOUD BOUZ BOUF |"
+  observatory = header.iaga_code || '';
+  columns = lines[i].replace('|', '').trim().split(/\s+/).slice(3);
+  elements = columns.map(function (column) {
+    if (observatory && column.indexOf(observatory) === 0) {
+      return column.substring(observatory.length);
+    }
+    return column;
+  });
+
+  times = [];
+  values = elements.map(function () {
+    return [];
+  });
+
+  // data lines
+  for (i = i + 1; i < lines.length; i++) {
+    line = lines[i].trim();
+    if (line === '') {
+      continue;
+    }
+    columns = line.split(/\s+/);
+    times.push(_parseTime(columns[0], columns[1]));
+    for (j = 0; j < elements.length; j++) {
+      values[j].push(_parseValue(columns[j + 3]));
+    }
+  }
+
+  return {
+    type: 'Timeseries',
+    metadata: {
+      intermagnet: {
+        imo: {
+          iaga_code: header.iaga_code || null,
+          name: header.name || null,
+          coordinates: [
+            parseFloat(header.longitude),
+            parseFloat(header.latitude),
+            parseFloat(header.elevation)
+          ]
+        },
+        reported_orientation: header.reported_orientation || null,
+        sensor_orientation: header.sensor_orientation || null,
+        data_type: header.data_type || null,
+        sampling_period: _getSamplingPeriod(times,
+            header.data_interval_type),
+        digital_sampling_rate: parseFloat(header.digital_sampling_rate) ||
+            null
+      }
+    },
+    times: times,
+    values: elements.map(function (element, index) {
+      return {
+        id: element,
+        metadata: {
+          element: element,
+          station: header.iaga_code || null
+        },
+        values: values[index]
+      };
+    })
+  };
+};
+
+
+module.exports = {
+  parse: _parse
+};
@@ -0,0 +1,191 @@
+'use strict';
+
+
+var Registry = require('plots/Registry'),
+    Util = require('util/Util');
+
+
+var _DEFAULTS = {
+  maxGap: 300,
+  method: 'none'
+};
+
+
+/**
+ * Whether a value is a number.
+ *
+ * @param value {Number}
+ *        value to check.
+ * @return {Boolean}
+ *         false for null, undefined and NaN.
+ */
+var __isValue = function (value) {
+  return value !== null && typeof value !== 'undefined' && !isNaN(value);
+};
+
+/**
+ * Estimate the slope at a sample from its neighbors.
+ *
+ * @param times {Array<Number>}
+ *        epoch millisecond times.
+ * @param values {Array<Number>}
+ *        values.
+ * @param index {Number}
+ *        index of sample, which has a value.
+ * @param other {Number}
+ *        index of sample on the other side of the gap, used when the
+ *        neighbor away from the gap has no value.
+ * @param away {Number}
+ *        index of neighbor away from the gap.
+ * @return {Number}
+ *         slope, in value per millisecond.
+ */
+var __getSlope = function (times, values, index, other, away) {
+  if (away >= 0 && away < values.length && __isValue(values[away])) {
+    // centered difference across sample
+    return (values[other] - values[away]) / (times[other] - times[away]);
+  }
+  // one sided difference across gap
+  return (values[other] - values[index]) / (times[other] - times[index]);
+};
+
+
+/**
+ * Registry of interpolation methods.
+ *
+ * Each method has an id, display name, and interpolate function.
+ *
+ * interpolate {Function(times, values, before, after, time)}
+ *     times {Array<Number>} epoch millisecond times.
+ *     values {Array<Number>} values.
+ *     before {Number} index of last value before gap.
+ *     after {Number} index of first value after gap.
+ *     time {Number} epoch millisecond time to interpolate.
+ *     returns {Number} interpolated value.
+ */
+var _METHODS = Registry([
+  {
+    id: 'none',
+    display: 'None',
+    interpolate: null
+  },
+  {
+    id: 'linear',
+    display: 'Linear',
+    interpolate: function (times, values, before, after, time) {
+      var t;
+
+      t = (time - times[before]) / (times[after] - times[before]);
+      return values[before] + t * (values[after] - values[before]);
+    }
+  },
+  {
+    id: 'spline',
+    display: 'Spline',
+    // cubic hermite spline, with slopes from neighboring samples
+    interpolate: function (times, values, before, after, time) {
+      var dt,
+          m0,
+          m1,
+          t,
+          t2,
+          t3;
+
+      dt = times[after] - times[before];
+      t = (time - times[before]) / dt;
+      t2 = t * t;
+      t3 = t2 * t;
+      m0 = __getSlope(times, values, before, after, before - 1) * dt;
+      m1 = __getSlope(times, values, after, before, after + 1) * dt;
+
+      return (2 * t3 - 3 * t2 + 1) * values[before] +
+          (t3 - 2 * t2 + t) * m0 +
+          (-2 * t3 + 3 * t2) * values[after] +
+          (t3 - t2) * m1;
+    }
+  }
+]);
+
+
+var _fill;
+
+
+/**
+ * Fill short gaps by interpolation.
+ *
+ * Gaps at the start or end of the values are not filled.
+ *
+ * @param times {Array<Date>}
+ *        sample times.
+ * @param values {Array<Number>}
+ *        sample values, null for gaps.
+ * @param options {Object}
+ * @param options.maxGap {Number}
+ *        default 300.
+ *        longest gap filled, in seconds between the samples on either side
+ *        of the gap.
+ * @param options.method {String}
+ *        default 'none'.
+ *        id of interpolation method.
+ * @return {Object}
+ *         obj.interpolated {Array<Number>} indices of filled samples.
+ *         obj.values {Array<Number>} values, with filled gaps.
+ */
+_fill = function (times, values, options) {
+  var after,
+      before,
+      filled,
+      i,
+      interpolated,
+      j,
+      method,
+      t;
+
+  options = Util.extend({}, _DEFAULTS, options);
+  times = times || [];
+  values = values || [];
+  method = _METHODS.get(options.method);
+
+  if (method === null || method.interpolate === null) {
+    return {
+      interpolated: [],
+      values: values
+    };
+  }
+
+  t = times.map(function (time) {
+    return time.getTime();
+  });
+  filled = values.slice();
+  interpolated = [];
+  before = null;
+
+  for (i = 0; i < values.length; i++) {
+    if (!__isValue(values[i])) {
+      continue;
+    }
+
+    after = i;
+    if (before !== null && after - before > 1 &&
+        t[after] - t[before] <= options.maxGap * 1000) {
+      for (j = before + 1; j < after; j++) {
+        filled[j] = method.interpolate(t, values, before, after, t[j]);
+        interpolated.push(j);
+      }
+    }
+    before = after;
+  }
+
+  return {
+    interpolated: interpolated,
+    values: filled
+  };
+};
+
+
+
+module.exports = {
+  fill: _fill,
+  get: _METHODS.get,
+  getAll: _METHODS.getAll
+};
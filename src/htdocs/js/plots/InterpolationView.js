@@ -0,0 +1,157 @@
+'use strict';
+
+
+var Interpolation = require('plots/Interpolation'),
+    Util = require('util/Util'),
+    View = require('mvc/View');
+
+
+var _DEFAULTS,
+    _ID;
+
+_DEFAULTS = {
+  title: 'Short Gaps',
+  titleTag: 'h3'
+};
+
+_ID = 0; // Identifier to keep multiple interpolation views separate
+
+
+/**
+ * This class provides an interface for the user to choose how short gaps
+ * in plotted values are filled.
+ *
+ * Updates the model "interpolation" and "interpolationMaxGap" properties.
+ *
+ * @param options {Object}
+ *     all options are passed to View.
+ * @param options.title {String}
+ *     The title to display above the interpolation view interface.
+ * @param options.titleTag {String}
+ *     The HTML tag name to use for the title element.
+ */
+var InterpolationView = function (options) {
+  var _this,
+      _initialize,
+
+      _id,
+      _maxGapEl,
+      _onChange;
+
+
+  options = Util.extend({}, _DEFAULTS, options);
+  _this = View(options);
+
+  _initialize = function (options) {
+    _id = _ID++;
+
+    _this.el.classList.add('interpolation-view');
+    _this.el.innerHTML = [
+      '<', options.titleTag, '>', options.title, '</', options.titleTag, '>',
+      '<ul class="no-style">',
+        Interpolation.getAll().map(function (method) {
+          var id;
+
+          id = 'interpolation-' + _id + '-' + method.id;
+          return [
+            '<li>',
+              '<input type="radio" name="interpolation" ',
+                  'value="', method.id, '" ',
+                  'id="', id, '"/>',
+              '<label for="', id, '">', method.display, '</label>',
+            '</li>'
+          ].join('');
+        }).join(''),
+      '</ul>',
+      '<label for="interpolation-', _id, '-max-gap">Longest Gap (s)</label>',
+      '<input type="number" step="any" min="0" ',
+          'class="interpolation-max-gap" ',
+          'id="interpolation-', _id, '-max-gap"/>'
+    ].join('');
+
+    _maxGapEl = _this.el.querySelector('.interpolation-max-gap');
+    _this.el.addEventListener('change', _onChange);
+    _this.model.on('change', _this.render);
+
+    _this.render();
+  };
+
+
+  /**
+   * Private event listener for DOMChange events on this view's element.
+   * This method only calls the public version `_this.onChange`.
+   */
+  _onChange = function (evt) {
+    _this.onChange(evt);
+  };
+
+
+  /**
+   * Frees resources associated with this view.
+   */
+  _this.destroy = Util.compose(function () {
+    _this.el.removeEventListener('change', _onChange);
+    _this.model.off('change', _this.render);
+
+    _id = null;
+    _maxGapEl = null;
+    _onChange = null;
+
+    _initialize = null;
+    _this = null;
+  }, _this.destroy);
+
+  /**
+   * Event handler for change events on this view.
+   *
+   * Selecting a method updates the model `interpolation` property.
+   * Entering a longest gap updates the model `interpolationMaxGap`
+   * property, invalid values are ignored.
+   *
+   * @param evt {Object}
+   *     An object with a `target` attribute that is an HTMLElement.
+   */
+  _this.onChange = function (evt) {
+    var target,
+        value;
+
+    target = evt.target;
+    if (target === _maxGapEl) {
+      value = parseFloat(target.value);
+      if (!isNaN(value) && value > 0) {
+        _this.model.set({interpolationMaxGap: value});
+      } else {
+        _this.render();
+      }
+    } else if (target.name === 'interpolation' && target.checked) {
+      _this.model.set({interpolation: target.value});
+    }
+  };
+
+  /**
+   * Updates the view rendering from the model.
+   */
+  _this.render = function () {
+    var input,
+        maxGap;
+
+    input = _this.el.querySelector(
+        '[value="' + (_this.model.get('interpolation') || 'none') + '"]');
+    if (input) {
+      input.checked = true;
+    }
+
+    maxGap = _this.model.get('interpolationMaxGap');
+    if (document.activeElement !== _maxGapEl) {
+      _maxGapEl.value = (typeof maxGap === 'number' ? maxGap : '');
+    }
+  };
+
+
+  _initialize(options);
+  options = null;
+  return _this;
+};
+
+
+module.exports = InterpolationView;
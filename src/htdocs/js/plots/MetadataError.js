@@ -0,0 +1,42 @@
+'use strict';
+
+
+/**
+ * Error loading metadata, such as observatories or elements.
+ *
+ * Errors are Error objects, named "MetadataError", with a `type`:
+ *     MetadataError.HTTP    the service responded with an error status.
+ *     MetadataError.NETWORK the service could not be reached.
+ *     MetadataError.PARSE   the response was not a feature collection.
+ *
+ * @param options {Object}
+ * @param options.message {String}
+ *        error message.
+ * @param options.status {Number}
+ *        optional, http status code.
+ * @param options.type {String}
+ *        error type.
+ * @param options.url {String}
+ *        optional, requested url.
+ * @return {Error}
+ *         error with name, status, type, and url properties.
+ */
+var MetadataError = function (options) {
+  var _this;
+
+  _this = new Error(options.message);
+  _this.name = 'MetadataError';
+  _this.status = (typeof options.status === 'number' ? options.status : null);
+  _this.type = options.type;
+  _this.url = options.url || null;
+
+  return _this;
+};
+
+
+MetadataError.HTTP = 'http';
+MetadataError.NETWORK = 'network';
+MetadataError.PARSE = 'parse';
+
+
+module.exports = MetadataError;
@@ -0,0 +1,335 @@
+/* global Promise */
+'use strict';
+
+
+var MetadataError = require('plots/MetadataError'),
+    Util = require('util/Util'),
+    XhrTransport = require('util/XhrTransport');
+
+
+var _DEFAULTS = {
+  features: null,
+  Promise: (typeof Promise === 'undefined' ? null : Promise),
+  transport: null,
+  url: null
+};
+
+
+/**
+ * Base factory for metadata in geojson format,
+ * see ObservatoryFactory and ElementFactory.
+ *
+ * The feature collection is requested once and cached, later queries use
+ * the cached features. Failed requests are not cached, so they can be
+ * retried.
+ *
+ * @param options {Object}
+ * @param options.features {Array<Object>}
+ *        optional features added after loading,
+ *        unless a loaded feature has the same id.
+ * @param options.Promise {Function}
+ *        default global Promise.
+ *        Promise constructor, getFeatures does not return a promise
+ *        when null.
+ * @param options.transport {Object}
+ *        default XhrTransport().
+ *        transport used to make requests, see XhrTransport#get.
+ *        only destroyed by the factory when it is the default.
+ * @param options.url {String}
+ *        url of feature collection.
+ */
+var MetadataFactory = function (options) {
+  var _this,
+      _initialize,
+
+      _destroyTransport,
+      _features,
+      _loaded,
+      _pending,
+      _Promise,
+      _request,
+      _transport,
+      _url;
+
+
+  _this = {};
+
+  _initialize = function (options) {
+    options = Util.extend({}, _DEFAULTS, options);
+    _features = options.features || [];
+    _loaded = null;
+    _pending = [];
+    _Promise = options.Promise;
+    _request = null;
+    _url = options.url;
+
+    _transport = options.transport;
+    _destroyTransport = false;
+    if (!_transport) {
+      _transport = XhrTransport();
+      _destroyTransport = true;
+    }
+  };
+
+
+  /**
+   * Remove cached features, the next query requests them again.
+   */
+  _this.clearCache = function () {
+    _loaded = null;
+  };
+
+  /**
+   * Create a MetadataError for a failed request.
+   *
+   * @param err {Number|Error}
+   *        http status code, 0 when the service is not reached,
+   *        or error thrown while parsing.
+   * @return {Error}
+   *         MetadataError.
+   */
+  _this.createError = function (err) {
+    if (err === 0) {
+      return MetadataError({
+        message: 'Unable to connect to ' + _url,
+        status: 0,
+        type: MetadataError.NETWORK,
+        url: _url
+      });
+    } else if (typeof err === 'number') {
+      return MetadataError({
+        message: 'Error ' + err + ' loading ' + _url,
+        status: err,
+        type: MetadataError.HTTP,
+        url: _url
+      });
+    }
+    return MetadataError({
+      message: 'Unable to parse ' + _url +
+          (err && err.message ? ': ' + err.message : ''),
+      type: MetadataError.PARSE,
+      url: _url
+    });
+  };
+
+  /**
+   * Free references.
+   */
+  _this.destroy = function () {
+    if (_request && typeof _request.abort === 'function') {
+      _request.abort();
+    }
+    if (_destroyTransport) {
+      _transport.destroy();
+    }
+
+    _destroyTransport = null;
+    _features = null;
+    _loaded = null;
+    _pending = null;
+    _Promise = null;
+    _request = null;
+    _transport = null;
+    _url = null;
+
+    _initialize = null;
+    _this = null;
+  };
+
+  /**
+   * Get features that match a query.
+   *
+   * @param options {Object}
+   * @param options.callback {Function(Array<Object>)}
+   *        called with matching features.
+   * @param options.errback {Function(Error)}
+   *        called with a MetadataError when features cannot be loaded.
+   * @param options... {Mixed}
+   *        query options, see #matches.
+   * @return {Promise<Array<Object>>}
+   *         matching features,
+   *         undefined when Promise is not available.
+   */
+  _this.getFeatures = function (options) {
+    var callback,
+        errback,
+        promise,
+        reject,
+        resolve;
+
+    callback = options.callback || function () {};
+    errback = options.errback || function () {};
+    reject = function () {};
+    resolve = function () {};
+
+    if (_Promise) {
+      promise = new _Promise(function (resolvePromise, rejectPromise) {
+        reject = rejectPromise;
+        resolve = resolvePromise;
+      });
+      // callers using errback may not handle rejections
+      promise.catch(function () {});
+    }
+
+    _this.load(function (features) {
+      features = features.filter(function (feature) {
+        return _this.matches(feature, options);
+      });
+      resolve(features);
+      callback(features);
+    }, function (err) {
+      reject(err);
+      errback(err);
+    });
+
+    return promise;
+  };
+
+  /**
+   * Load features, using the cache when available.
+   *
+   * Callbacks are called synchronously when features are cached.
+   * Concurrent calls share one request.
+   *
+   * @param callback {Function(Array<Object>)}
+   *        called with all features.
+   * @param errback {Function(Error)}
+   *        called with a MetadataError.
+   */
+  _this.load = function (callback, errback) {
+    var placeholder,
+        request;
+
+    if (_loaded !== null) {
+      callback(_loaded);
+      return;
+    }
+
+    _pending.push({
+      callback: callback,
+      errback: errback
+    });
+    if (_request !== null) {
+      return;
+    }
+
+    placeholder = {};
+    _request = placeholder;
+    request = _transport.get({
+      url: _url,
+      success: _this.onLoad,
+      error: _this.onError
+    });
+    if (_request === placeholder) {
+      // not completed synchronously
+      _request = request;
+    }
+  };
+
+  /**
+   * Check whether a feature matches a query.
+   *
+   * Subclasses override this method to support query options.
+   *
+   * @param feature {Object}
+   *        geojson feature.
+   * @param options {Object}
+   *        query options.
+   * @return {Boolean}
+   *         true, all features match by default.
+   */
+  _this.matches = function (/* feature, options */) {
+    return true;
+  };
+
+  /**
+   * Transport error handler, notifies pending callers.
+   *
+   * @param err {Number|Error}
+   *        http status code, or error.
+   */
+  _this.onError = function (err) {
+    var error,
+        pending;
+
+    error = _this.createError(err);
+    pending = _pending;
+    _pending = [];
+    _request = null;
+
+    pending.forEach(function (p) {
+      p.errback(error);
+    });
+  };
+
+  /**
+   * Transport success handler, caches features and notifies pending
+   * callers.
+   *
+   * @param data {Object|String}
+   *        feature collection.
+   */
+  _this.onLoad = function (data) {
+    var features,
+        pending;
+
+    try {
+      features = _this.parseFeatures(data);
+    } catch (e) {
+      _this.onError(e);
+      return;
+    }
+
+    _loaded = features;
+    pending = _pending;
+    _pending = [];
+    _request = null;
+
+    pending.forEach(function (p) {
+      p.callback(features);
+    });
+  };
+
+  /**
+   * Parse a feature collection, and add configured features.
+   *
+   * @param data {Object|String}
+   *        feature collection.
+   * @return {Array<Object>}
+   *         features.
+   * @throws {Error}
+   *         when data is not a feature collection.
+   */
+  _this.parseFeatures = function (data) {
+    var features;
+
+    if (typeof data === 'string') {
+      data = JSON.parse(data);
+    }
+    if (!data || !Array.isArray(data.features)) {
+      throw new Error('missing features');
+    }
+
+    features = data.features.slice();
+    _features.forEach(function (feature) {
+      var exists;
+
+      exists = features.some(function (f) {
+        return f.id === feature.id;
+      });
+      if (!exists) {
+        features.push(feature);
+      }
+    });
+
+    return features;
+  };
+
+
+  _initialize(options);
+  options = null;
+  return _this;
+};
+
+
+module.exports = MetadataFactory;
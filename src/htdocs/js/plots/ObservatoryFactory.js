@@ -0,0 +1,165 @@
+'use strict';
+
+
+var MetadataFactory = require('plots/MetadataFactory'),
+    Util = require('util/Util');
+
+
+var _DEFAULTS = {
+  url: '/ws/edge/observatories.json'
+};
+
+
+/**
+ * Normalize a longitude to the range [-180, 180).
+ *
+ * @param longitude {Number}
+ *        longitude in degrees.
+ * @return {Number}
+ *         normalized longitude.
+ */
+var __normalizeLongitude = function (longitude) {
+  return ((longitude + 180) % 360 + 360) % 360 - 180;
+};
+
+/**
+ * Check whether a longitude is inside a range.
+ *
+ * @param west {Number}
+ *        western edge of range, in degrees.
+ * @param east {Number}
+ *        eastern edge of range, in degrees.
+ *        ranges where east - west is at least 360 include all longitudes,
+ *        ranges where east is less than west cross the antimeridian.
+ * @param longitude {Number}
+ *        longitude in degrees.
+ * @return {Boolean}
+ *         true if longitude is inside range.
+ */
+var __containsLongitude = function (west, east, longitude) {
+  if (east - west >= 360) {
+    return true;
+  }
+
+  longitude = __normalizeLongitude(longitude);
+  west = __normalizeLongitude(west);
+  east = __normalizeLongitude(east);
+  if (west <= east) {
+    return (longitude >= west && longitude <= east);
+  }
+  return (longitude >= west || longitude <= east);
+};
+
+
+/**
+ * Factory for observatory metadata.
+ *
+ * @param options {Object}
+ *        all options are passed to MetadataFactory.
+ * @param options.url {String}
+ *        default '/ws/edge/observatories.json'.
+ *        url of observatories feature collection.
+ */
+var ObservatoryFactory = function (options) {
+  var _this;
+
+
+  _this = MetadataFactory(Util.extend({}, _DEFAULTS, options));
+
+  /**
+   * Free references.
+   */
+  _this.destroy = Util.compose(function () {
+    _this = null;
+  }, _this.destroy);
+
+  /**
+   * Get observatories that match a query.
+   *
+   * @param options {Object}
+   *        callbacks, see MetadataFactory#getFeatures,
+   *        and query options, see #matches.
+   * @return {Promise<Array<Object>>}
+   *         matching observatories.
+   */
+  _this.getObservatories = function (options) {
+    return _this.getFeatures(options);
+  };
+
+  /**
+   * Check whether an observatory matches a query.
+   *
+   * @param feature {Object}
+   *        observatory feature.
+   * @param options {Object}
+   * @param options.agency {String|Array<String>}
+   *        optional, agency ids, e.g. 'USGS'.
+   * @param options.bbox {Array<Number>}
+   *        optional, [west, south, east, north] in degrees.
+   *        west may be greater than east for boxes that cross the
+   *        antimeridian. Features without coordinates do not match.
+   * @param options.orientation {String}
+   *        optional, sensor orientation, e.g. 'HDZF'.
+   * @param options.search {String}
+   *        optional, case insensitive text found in id, station name,
+   *        or agency name.
+   * @return {Boolean}
+   *         true when the observatory matches all options.
+   */
+  _this.matches = function (feature, options) {
+    var agencies,
+        bbox,
+        coordinates,
+        properties,
+        search;
+
+    properties = feature.properties || {};
+
+    if (options.agency) {
+      agencies = [].concat(options.agency);
+      if (agencies.indexOf(properties.agency) === -1) {
+        return false;
+      }
+    }
+
+    if (options.bbox) {
+      bbox = options.bbox;
+      coordinates = (feature.geometry && feature.geometry.coordinates);
+      if (!coordinates) {
+        return false;
+      }
+
+      if (coordinates[1] < bbox[1] || coordinates[1] > bbox[3] ||
+          !__containsLongitude(bbox[0], bbox[2], coordinates[0])) {
+        return false;
+      }
+    }
+
+    if (options.orientation &&
+        (properties.sensor_orientation || '').toUpperCase() !==
+            options.orientation.toUpperCase()) {
+      return false;
+    }
+
+    if (options.search) {
+      search = options.search.toLowerCase();
+      return [
+        feature.id,
+        properties.station_name,
+        properties.agency_name
+      ].some(function (text) {
+        return typeof text === 'string' &&
+            text.toLowerCase().indexOf(search) !== -1;
+      });
+    }
+
+    return true;
+  };
+
+
+  options = null;
+  return _this;
+};
+
+
+module.exports = ObservatoryFactory;
@@ -0,0 +1,164 @@
+'use strict';
+
+
+var Util = require('util/Util'),
+    View = require('mvc/View');
+
+
+var _DEFAULTS,
+    _ID;
+
+_DEFAULTS = {
+  threshold: 5,
+  title: 'Spikes',
+  titleTag: 'h3'
+};
+
+_ID = 0; // Identifier to keep multiple outlier views separate
+
+
+/**
+ * This class provides an interface for the user to configure detection of
+ * suspect samples.
+ *
+ * Updates the model "outlierThreshold" property, null when detection is
+ * off, and the "outlierExclude" property.
+ *
+ * @param options {Object}
+ *     all options are passed to View.
+ * @param options.threshold {Number}
+ *     default 5.
+ *     threshold used when detection is turned on without a value.
+ * @param options.title {String}
+ *     The title to display above the outlier view interface.
+ * @param options.titleTag {String}
+ *     The HTML tag name to use for the title element.
+ */
+var OutlierView = function (options) {
+  var _this,
+      _initialize,
+
+      _detectEl,
+      _excludeEl,
+      _id,
+      _onChange,
+      _threshold,
+      _thresholdEl;
+
+
+  options = Util.extend({}, _DEFAULTS, options);
+  _this = View(options);
+
+  _initialize = function (options) {
+    _id = _ID++;
+    _threshold = options.threshold;
+
+    _this.el.classList.add('outlier-options-view');
+    _this.el.innerHTML = [
+      '<', options.titleTag, '>', options.title, '</', options.titleTag, '>',
+      '<ul class="no-style">',
+        '<li>',
+          '<input type="checkbox" class="outlier-detect" ',
+              'id="outlier-', _id, '-detect"/>',
+          '<label for="outlier-', _id, '-detect">Mark Suspect Samples</label>',
+        '</li>',
+        '<li>',
+          '<input type="checkbox" class="outlier-exclude" ',
+              'id="outlier-', _id, '-exclude"/>',
+          '<label for="outlier-', _id, '-exclude">Exclude From Scale</label>',
+        '</li>',
+      '</ul>',
+      '<label for="outlier-', _id, '-threshold">Threshold (MADs)</label>',
+      '<input type="number" step="any" min="0" class="outlier-threshold" ',
+          'id="outlier-', _id, '-threshold"/>'
+    ].join('');
+
+    _detectEl = _this.el.querySelector('.outlier-detect');
+    _excludeEl = _this.el.querySelector('.outlier-exclude');
+    _thresholdEl = _this.el.querySelector('.outlier-threshold');
+
+    _this.el.addEventListener('change', _onChange);
+    _this.model.on('change', _this.render);
+
+    _this.render();
+  };
+
+
+  /**
+   * Private event listener for DOMChange events on this view's element.
+   * This method only calls the public version `_this.onChange`.
+   */
+  _onChange = function (evt) {
+    _this.onChange(evt);
+  };
+
+
+  /**
+   * Frees resources associated with this view.
+   */
+  _this.destroy = Util.compose(function () {
+    _this.el.removeEventListener('change', _onChange);
+    _this.model.off('change', _this.render);
+
+    _detectEl = null;
+    _excludeEl = null;
+    _id = null;
+    _onChange = null;
+    _threshold = null;
+    _thresholdEl = null;
+
+    _initialize = null;
+    _this = null;
+  }, _this.destroy);
+
+  /**
+   * Event handler for change events on this view.
+   *
+   * Entering a threshold turns on detection.
+   *
+   * @param evt {Object}
+   *     An object with a `target` attribute that is an HTMLElement.
+   */
+  _this.onChange = function (evt) {
+    var threshold;
+
+    threshold = parseFloat(_thresholdEl.value);
+    if (!isNaN(threshold) && threshold > 0) {
+      _threshold = threshold;
+    }
+    if (evt && evt.target === _thresholdEl) {
+      _detectEl.checked = true;
+    }
+
+    _this.model.set({
+      outlierExclude: _excludeEl.checked,
+      outlierThreshold: (_detectEl.checked ? _threshold : null)
+    });
+  };
+
+  /**
+   * Updates the view rendering from the model.
+   */
+  _this.render = function () {
+    var threshold;
+
+    threshold = _this.model.get('outlierThreshold');
+    if (threshold) {
+      _threshold = threshold;
+    }
+
+    _detectEl.checked = !!threshold;
+    _excludeEl.checked = !!_this.model.get('outlierExclude');
+    if (document.activeElement !== _thresholdEl) {
+      _thresholdEl.value = _threshold;
+    }
+  };
+
+
+  _initialize(options);
+  options = null;
+  return _this;
+};
+
+
+module.exports = OutlierView;
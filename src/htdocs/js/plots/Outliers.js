@@ -0,0 +1,133 @@
+'use strict';
+
+
+var Util = require('util/Util');
+
+
+var _DEFAULTS = {
+  threshold: 5,
+  window: 15
+};
+
+// scales median absolute deviation to standard deviation for normal data
+var _MAD_SCALE = 1.4826;
+
+
+/**
+ * Compare numbers for sorting.
+ */
+var __sortNumbers = function (a, b) {
+  return a - b;
+};
+
+/**
+ * Median of sorted values.
+ *
+ * @param sorted {Array<Number>}
+ *        values, sorted ascending.
+ * @return {Number}
+ *         median value.
+ */
+var __median = function (sorted) {
+  var middle;
+
+  middle = Math.floor(sorted.length / 2);
+  return (sorted.length % 2 === 1) ? sorted[middle] :
+      (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Median absolute deviation.
+ *
+ * @param values {Array<Number>}
+ *        values.
+ * @param median {Number}
+ *        median of values.
+ * @return {Number}
+ *         median distance of values from median.
+ */
+var __medianDeviation = function (values, median) {
+  var deviations,
+      i;
+
+  deviations = [];
+  for (i = 0; i < values.length; i++) {
+    deviations.push(Math.abs(values[i] - median));
+  }
+  return __median(deviations.sort(__sortNumbers));
+};
+
+
+var _detect;
+
+
+/**
+ * Find suspect samples using a rolling median and median absolute
+ * deviation (MAD).
+ *
+ * A sample is suspect when its distance from the median of the
+ * surrounding window is more than threshold times the scaled MAD of that
+ * window. Null values are ignored, and windows where the MAD is zero do
+ * not mark any samples.
+ *
+ * @param values {Array<Number>}
+ *        sample values, null for gaps.
+ * @param options {Object}
+ * @param options.threshold {Number}
+ *        default 5.
+ *        number of scaled MADs from the median before a sample is suspect.
+ * @param options.window {Number}
+ *        default 15.
+ *        number of samples in each window, including the sample.
+ * @return {Array<Number>}
+ *         indices of suspect samples, in order.
+ */
+_detect = function (values, options) {
+  var half,
+      i,
+      j,
+      mad,
+      median,
+      outliers,
+      samples,
+      value;
+
+  options = Util.extend({}, _DEFAULTS, options);
+  values = values || [];
+  half = Math.max(1, Math.floor(options.window / 2));
+  outliers = [];
+
+  for (i = 0; i < values.length; i++) {
+    value = values[i];
+    if (value === null || typeof value === 'undefined' || isNaN(value)) {
+      continue;
+    }
+
+    samples = [];
+    for (j = Math.max(0, i - half);
+        j <= Math.min(values.length - 1, i + half); j++) {
+      if (values[j] !== null && typeof values[j] !== 'undefined' &&
+          !isNaN(values[j])) {
+        samples.push(values[j]);
+      }
+    }
+    if (samples.length < 3) {
+      continue;
+    }
+
+    samples.sort(__sortNumbers);
+    median = __median(samples);
+    mad = __medianDeviation(samples, median) * _MAD_SCALE;
+
+    if (mad > 0 && Math.abs(value - median) > options.threshold * mad) {
+      outliers.push(i);
+    }
+  }
+
+  return outliers;
+};
+
+
+module.exports = {
+  detect: _detect
+};
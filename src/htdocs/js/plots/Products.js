@@ -0,0 +1,101 @@
+'use strict';
+
+
+var Registry = require('plots/Registry');
+
+
+/**
+ * Registry of composite products.
+ *
+ * A product is a pseudo-observatory whose data is computed from several
+ * observatories, such as a disturbance index. Each product is formatted
+ * like a feature from observatories.json, with additional properties:
+ *
+ * elements {Array<String>}
+ *     ids of elements the product supports.
+ * defaultElement {String}
+ *     id of element displayed when the product is selected.
+ * display {Object}
+ *     display.allElements {Boolean}
+ *         when true, selecting the product displays every supported element,
+ *         otherwise only defaultElement.
+ *     display.withElement {Boolean}
+ *         when true, the product is displayed with observatories when a
+ *         supported element is selected.
+ */
+var _PRODUCTS = Registry([
+  {
+    type: 'Feature',
+    id: 'USGS',
+    elements: ['MSD'],
+    defaultElement: 'MSD',
+    display: {
+      allElements: false,
+      withElement: true
+    },
+    geometry: null,
+    properties: {
+      agency: 'USGS',
+      agency_name: 'United States Geological Survey (USGS)',
+      name: 'USGS Disturbance Index',
+      station_name: 'USGS'
+    }
+  }
+]);
+
+
+var _filterObservatories,
+    _getElements;
+
+
+/**
+ * Remove products that should not be displayed with an element.
+ *
+ * @param ids {Array<String>}
+ *        observatory ids.
+ * @param element {String}
+ *        id of selected element.
+ * @return {Array<String>}
+ *         ids of observatories, and products displayed with element.
+ */
+_filterObservatories = function (ids, element) {
+  return ids.filter(function (id) {
+    var product;
+
+    product = _PRODUCTS.get(id);
+    return product === null ||
+        (product.display.withElement &&
+            product.elements.indexOf(element) !== -1);
+  });
+};
+
+
+/**
+ * Get elements displayed when a product is selected.
+ *
+ * @param id {String}
+ *        product id.
+ * @return {Array<String>}
+ *         element ids, or null if id is not a product.
+ */
+_getElements = function (id) {
+  var product;
+
+  product = _PRODUCTS.get(id);
+  if (product === null) {
+    return null;
+  }
+
+  if (product.display.allElements) {
+    return product.elements.slice();
+  }
+  return [product.defaultElement];
+};
+
+
+module.exports = {
+  filterObservatories: _filterObservatories,
+  get: _PRODUCTS.get,
+  getAll: _PRODUCTS.getAll,
+  getElements: _getElements
+};
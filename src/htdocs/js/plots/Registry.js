@@ -0,0 +1,65 @@
+'use strict';
+
+
+/**
+ * Look up entries by id.
+ *
+ * Modules with a fixed set of choices (baseline modes, filters, alignment
+ * and interpolation methods, products, derived elements) declare their
+ * entries and expose this lookup.
+ *
+ * @param entries {Array<Object>}
+ *        entries, each with a unique "id".
+ */
+var Registry = function (entries) {
+  var _this,
+      _initialize,
+
+      _entries;
+
+
+  _this = {};
+
+  _initialize = function (entries) {
+    _entries = (entries || []).slice();
+  };
+
+
+  /**
+   * Get an entry.
+   *
+   * @param id {String}
+   *        entry id.
+   * @return {Object}
+   *         entry, or null if id is not registered.
+   */
+  _this.get = function (id) {
+    var i;
+
+    for (i = 0; i < _entries.length; i++) {
+      if (_entries[i].id === id) {
+        return _entries[i];
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Get all entries.
+   *
+   * @return {Array<Object>}
+   *         entries, in the order they were declared.
+   */
+  _this.getAll = function () {
+    return _entries.slice();
+  };
+
+
+  _initialize(entries);
+  entries = null;
+  return _this;
+};
+
+
+module.exports = Registry;
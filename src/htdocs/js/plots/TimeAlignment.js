@@ -0,0 +1,276 @@
+'use strict';
+
+
+var Registry = require('plots/Registry'),
+    Util = require('util/Util');
+
+
+var _DEFAULTS = {
+  maxDistance: Infinity,
+  method: 'nearest'
+};
+
+
+/**
+ * Convert a time to epoch milliseconds.
+ *
+ * @param time {Date|Number}
+ *        time to convert.
+ * @return {Number}
+ *         epoch milliseconds.
+ */
+var __getTime = function (time) {
+  return (time instanceof Date ? time.getTime() : time);
+};
+
+/**
+ * Find the first sample at or after a time.
+ *
+ * @param times {Array<Date>}
+ *        sample times, in order.
+ * @param time {Number}
+ *        epoch milliseconds.
+ * @return {Number}
+ *         index of first sample at or after time, or times.length.
+ */
+var __bisect = function (times, time) {
+  var hi,
+      lo,
+      mid;
+
+  lo = 0;
+  hi = times.length;
+  while (lo < hi) {
+    mid = Math.floor((lo + hi) / 2);
+    if (__getTime(times[mid]) < time) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+
+  return lo;
+};
+
+
+/**
+ * Registry of alignment methods.
+ *
+ * Each method has an id, display name, and align function.
+ *
+ * align {Function(times, values, time, after, maxDistance)}
+ *     times {Array<Date>} sample times, in order.
+ *     values {Array<Number>} sample values.
+ *     time {Number} epoch milliseconds to align.
+ *     after {Number} index of first sample at or after time.
+ *     maxDistance {Number} milliseconds to the farthest sample used.
+ *     returns {Object} aligned sample, see #getSample, or null.
+ */
+var _METHODS = Registry([
+  {
+    id: 'none',
+    display: 'Exact Times',
+    align: function (times, values, time, after) {
+      if (after < times.length && __getTime(times[after]) === time) {
+        return {
+          index: after,
+          indexes: [after],
+          time: times[after],
+          value: values[after]
+        };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'nearest',
+    display: 'Nearest Sample',
+    align: function (times, values, time, after, maxDistance) {
+      var before,
+          index;
+
+      before = after - 1;
+      if (after >= times.length) {
+        index = before;
+      } else if (before < 0) {
+        index = after;
+      } else {
+        index = (time - __getTime(times[before]) <
+            __getTime(times[after]) - time) ? before : after;
+      }
+
+      if (Math.abs(__getTime(times[index]) - time) > maxDistance) {
+        return null;
+      }
+      return {
+        index: index,
+        indexes: [index],
+        time: times[index],
+        value: values[index]
+      };
+    }
+  },
+  {
+    id: 'linear',
+    display: 'Linear',
+    align: function (times, values, time, after, maxDistance) {
+      var before,
+          t0,
+          t1;
+
+      if (after < times.length && __getTime(times[after]) === time) {
+        return {
+          index: after,
+          indexes: [after],
+          time: times[after],
+          value: values[after]
+        };
+      }
+
+      before = after - 1;
+      if (before < 0 || after >= times.length) {
+        return null;
+      }
+
+      t0 = __getTime(times[before]);
+      t1 = __getTime(times[after]);
+      if (Math.max(time - t0, t1 - time) > maxDistance) {
+        return null;
+      }
+      return {
+        index: null,
+        indexes: [before, after],
+        time: new Date(time),
+        value: (values[before] === null || values[after] === null) ? null :
+            values[before] + (values[after] - values[before]) *
+                (time - t0) / (t1 - t0)
+      };
+    }
+  }
+]);
+
+
+var _align,
+    _getSample,
+    _union;
+
+
+/**
+ * Align several timeseries onto common times.
+ *
+ * @param series {Array<Timeseries>}
+ *        timeseries to align.
+ * @param times {Array<Date>}
+ *        optional, default times of the first timeseries.
+ *        common times, e.g. from #union.
+ * @param options {Object}
+ *        see #getSample.
+ * @return {Object}
+ *         obj.times {Array<Date>} common times.
+ *         obj.values {Array<Array<Number>>} values of each timeseries at
+ *             the common times, null when a timeseries has no sample.
+ */
+_align = function (series, times, options) {
+  if (!times) {
+    times = (series.length > 0 ? series[0].get('times') : null) || [];
+  }
+
+  return {
+    times: times,
+    values: series.map(function (timeseries) {
+      var seriesTimes,
+          seriesValues;
+
+      seriesTimes = timeseries.get('times') || [];
+      seriesValues = timeseries.get('values') || [];
+      return times.map(function (time) {
+        var sample;
+
+        sample = _getSample(seriesTimes, seriesValues, time, options);
+        return (sample === null ? null : sample.value);
+      });
+    })
+  };
+};
+
+
+/**
+ * Get the sample of one timeseries that aligns with a time.
+ *
+ * Times outside the first and last sample are not aligned.
+ *
+ * @param times {Array<Date>}
+ *        sample times, in order.
+ * @param values {Array<Number>}
+ *        sample values.
+ * @param time {Date}
+ *        time to align.
+ * @param options {Object}
+ * @param options.maxDistance {Number}
+ *        default Infinity.
+ *        milliseconds from time to the farthest sample used.
+ * @param options.method {String}
+ *        default 'nearest'.
+ *        id of alignment method, unknown methods use 'none'.
+ * @return {Object}
+ *         aligned sample, or null when there is none.
+ *         obj.index {Number} index of sample, null when interpolated.
+ *         obj.indexes {Array<Number>} indexes of samples used, the
+ *             samples before and after time when interpolated.
+ *         obj.time {Date} time of sample.
+ *         obj.value {Number} value of sample, may be null.
+ */
+_getSample = function (times, values, time, options) {
+  var method;
+
+  options = Util.extend({}, _DEFAULTS, options);
+  method = _METHODS.get(options.method) || _METHODS.get('none');
+  time = __getTime(time);
+
+  if (!times || times.length === 0 || time === null ||
+      time < __getTime(times[0]) ||
+      time > __getTime(times[times.length - 1])) {
+    return null;
+  }
+
+  return method.align(times, values, time, __bisect(times, time),
+      options.maxDistance);
+};
+
+/**
+ * Get the union of the sample times of several timeseries.
+ *
+ * @param series {Array<Timeseries>}
+ *        timeseries with sample times in order.
+ * @return {Array<Date>}
+ *         every time that any timeseries has a sample, in order,
+ *         without duplicates.
+ */
+_union = function (series) {
+  var times;
+
+  times = [];
+  series.forEach(function (timeseries) {
+    (timeseries.get('times') || []).forEach(function (time) {
+      times.push(__getTime(time));
+    });
+  });
+  times.sort(function (a, b) {
+    return a - b;
+  });
+
+  return times.filter(function (time, index) {
+    return (index === 0 || time !== times[index - 1]);
+  }).map(function (time) {
+    return new Date(time);
+  });
+};
+
+
+module.exports = {
+  align: _align,
+  get: _METHODS.get,
+  getAll: _METHODS.getAll,
+  getSample: _getSample,
+  union: _union
+};
@@ -4,10 +4,36 @@ var Model = require('mvc/Model'),
     Util = require('util/Util');
 
 
+// number of statistics ranges cached by each timeseries
+var _STATISTICS_CACHE_SIZE = 20;
+
+
+/**
+ * Convert a time to epoch milliseconds.
+ *
+ * @param time {Date|String|Number}
+ *        time to convert.
+ * @return {Number}
+ *         epoch milliseconds.
+ */
+var __getTime = function (time) {
+  if (time instanceof Date) {
+    return time.getTime();
+  } else if (typeof time === 'string') {
+    return Date.parse(time);
+  }
+  return time;
+};
+
+
 /**
  * Represents a Timeseries of data points
  *
  * @param options {Object}
+ * @param options.status {String}
+ *        default 'idle'.
+ *        'idle', 'loading', 'loaded', or 'error',
+ *        set by TimeseriesManagerRequest as data is requested.
  * @param options.times {Array<Dates>}
  *        times of data points.
  * @param options.values {Array<Number>}
@@ -15,13 +41,94 @@ var Model = require('mvc/Model'),
  *        null values represents data gaps.
  */
 var Timeseries = function (options) {
-  var _this;
+  var _this,
+      _initialize,
+
+      _statistics,
+      _statisticsKeys,
+      _statisticsTimes,
+      _statisticsValues;
 
   _this = Model(Util.extend({
+    status: 'idle',
     times: null,
     values: null
   }, options));
 
+  _initialize = function () {
+    _statistics = {};
+    _statisticsKeys = [];
+    _statisticsTimes = null;
+    _statisticsValues = null;
+  };
+
+
+  /**
+   * Add samples, usually as they arrive from a stream.
+   *
+   * Samples after the last time are appended, samples at existing times
+   * replace those values, and other samples are ignored.
+   *
+   * @param times {Array<Date>}
+   *        times of new samples, in order.
+   * @param values {Array<Number>}
+   *        values of new samples.
+   * @param options {Object}
+   * @param options.maxDuration {Number}
+   *        optional, milliseconds.
+   *        samples older than this before the last sample are removed.
+   * @return {Boolean}
+   *         true if any samples were added or replaced.
+   */
+  _this.appendSamples = function (times, values, options) {
+    var changed,
+        i,
+        index,
+        oldTimes,
+        oldValues,
+        start,
+        time;
+
+    oldTimes = (_this.get('times') || []).slice();
+    oldValues = (_this.get('values') || []).slice();
+    changed = false;
+
+    for (i = 0; i < times.length; i++) {
+      time = __getTime(times[i]);
+      if (oldTimes.length === 0 ||
+          time > __getTime(oldTimes[oldTimes.length - 1])) {
+        oldTimes.push(new Date(time));
+        oldValues.push(values[i]);
+        changed = true;
+      } else {
+        index = _this.getIndexRange(time, time);
+        if (index.start < index.end && oldValues[index.start] !== values[i]) {
+          oldValues[index.start] = values[i];
+          changed = true;
+        }
+      }
+    }
+
+    if (!changed) {
+      return false;
+    }
+
+    if (options && options.maxDuration && oldTimes.length > 0) {
+      time = __getTime(oldTimes[oldTimes.length - 1]) - options.maxDuration;
+      start = 0;
+      while (start < oldTimes.length && __getTime(oldTimes[start]) < time) {
+        start++;
+      }
+      oldTimes = oldTimes.slice(start);
+      oldValues = oldValues.slice(start);
+    }
+
+    _this.set({
+      times: oldTimes,
+      values: oldValues
+    });
+    return true;
+  };
 
   /**
    * Find data gaps.
@@ -79,6 +186,291 @@ var Timeseries = function (options) {
     return gaps;
   };
 
+  /**
+   * Get the percentage of samples that are not null.
+   *
+   * @param starttime {Date}
+   *        optional, time of first sample to include.
+   * @param endtime {Date}
+   *        optional, time of last sample to include.
+   * @return {Number}
+   *         percent completeness from 0 to 100,
+   *         or null if there are no samples.
+   * @see #getStatistics
+   */
+  _this.getCompleteness = function (starttime, endtime) {
+    return _this.getStatistics(starttime, endtime).completeness;
+  };
+
+  /**
+   * Get the number of samples that are not null.
+   *
+   * @see #getStatistics
+   */
+  _this.getCount = function (starttime, endtime) {
+    return _this.getStatistics(starttime, endtime).count;
+  };
+
+  /**
+   * Find the range of indices between two times.
+   *
+   * @param starttime {Date}
+   *        optional, default first sample.
+   *        time of first sample to include.
+   * @param endtime {Date}
+   *        optional, default last sample.
+   *        time of last sample to include.
+   * @return {Object}
+   *         obj.start {Number} index of first sample in range.
+   *         obj.end {Number} index after last sample in range.
+   */
+  _this.getIndexRange = function (starttime, endtime) {
+    var bisect,
+        times;
+
+    times = _this.get('times') || [];
+
+    bisect = function (time) {
+      var hi,
+          lo,
+          mid;
+
+      lo = 0;
+      hi = times.length;
+      while (lo < hi) {
+        mid = Math.floor((lo + hi) / 2);
+        if (__getTime(times[mid]) < time) {
+          lo = mid + 1;
+        } else {
+          hi = mid;
+        }
+      }
+      return lo;
+    };
+
+    return {
+      start: (starttime ? bisect(__getTime(starttime)) : 0),
+      // include sample at endtime
+      end: (endtime ? bisect(__getTime(endtime) + 1) : times.length)
+    };
+  };
+
+  /**
+   * Get the maximum value.
+   *
+   * @see #getStatistics
+   */
+  _this.getMax = function (starttime, endtime) {
+    return _this.getStatistics(starttime, endtime).max;
+  };
+
+  /**
+   * Get the mean value.
+   *
+   * @see #getStatistics
+   */
+  _this.getMean = function (starttime, endtime) {
+    return _this.getStatistics(starttime, endtime).mean;
+  };
+
+  /**
+   * Get the median value.
+   *
+   * @see #getStatistics
+   */
+  _this.getMedian = function (starttime, endtime) {
+    return _this.getStatistics(starttime, endtime).median;
+  };
+
+  /**
+   * Get the minimum value.
+   *
+   * @see #getStatistics
+   */
+  _this.getMin = function (starttime, endtime) {
+    return _this.getStatistics(starttime, endtime).min;
+  };
+
+  /**
+   * Get the standard deviation.
+   *
+   * @see #getStatistics
+   */
+  _this.getStandardDeviation = function (starttime, endtime) {
+    return _this.getStatistics(starttime, endtime).standardDeviation;
+  };
+
+  /**
+   * Compute statistics over the full series or a time range.
+   *
+   * @param starttime {Date}
+   *        optional, default first sample.
+   *        time of first sample to include.
+   * @param endtime {Date}
+   *        optional, default last sample.
+   *        time of last sample to include.
+   * @return {Object}
+   *         statistics, see #getStatisticsByIndex.
+   */
+  _this.getStatistics = function (starttime, endtime) {
+    var range;
+
+    range = _this.getIndexRange(starttime, endtime);
+    return _this.getStatisticsByIndex(range.start, range.end);
+  };
+
+  /**
+   * Compute statistics over a range of samples.
+   *
+   * Null values are ignored. Results for the most recently used ranges are
+   * cached until the times or values arrays are replaced.
+   * The median is only computed, by sorting, when it is read.
+   *
+   * @param start {Number}
+   *        index of first sample to include.
+   * @param end {Number}
+   *        index after last sample to include.
+   * @return {Object}
+   *         obj.completeness {Number} percent of samples that are not null.
+   *         obj.count {Number} number of samples that are not null.
+   *         obj.max {Number} maximum value.
+   *         obj.mean {Number} mean value.
+   *         obj.median {Number} median value.
+   *         obj.min {Number} minimum value.
+   *         obj.standardDeviation {Number} population standard deviation.
+   *         obj.total {Number} number of samples, including null values.
+   *         When count is 0, all values except count and total are null.
+   */
+  _this.getStatisticsByIndex = function (start, end) {
+    var count,
+        i,
+        index,
+        key,
+        max,
+        mean,
+        median,
+        min,
+        stats,
+        sum,
+        times,
+        value,
+        values,
+        variance;
+
+    times = _this.get('times');
+    values = _this.get('values');
+    if (times !== _statisticsTimes || values !== _statisticsValues) {
+      // arrays were replaced, even by a silent set
+      _statistics = {};
+      _statisticsKeys = [];
+      _statisticsTimes = times;
+      _statisticsValues = values;
+    }
+    values = values || [];
+
+    start = Math.max(0, start);
+    end = Math.min(values.length, end);
+    key = start + '-' + end;
+
+    if (_statistics.hasOwnProperty(key)) {
+      // most recently used last
+      index = _statisticsKeys.indexOf(key);
+      _statisticsKeys.splice(index, 1);
+      _statisticsKeys.push(key);
+      return _statistics[key];
+    }
+
+    count = 0;
+    max = null;
+    min = null;
+    sum = 0;
+    for (i = start; i < end; i++) {
+      value = values[i];
+      if (value !== null && typeof value !== 'undefined' && !isNaN(value)) {
+        if (count === 0 || value < min) {
+          min = value;
+        }
+        if (count === 0 || value > max) {
+          max = value;
+        }
+        count++;
+        sum += value;
+      }
+    }
+
+    stats = {
+      completeness: null,
+      count: count,
+      max: null,
+      mean: null,
+      min: null,
+      standardDeviation: null,
+      total: Math.max(0, end - start)
+    };
+
+    if (stats.total > 0) {
+      stats.completeness = 100 * count / stats.total;
+    }
+
+    median = null;
+    if (count > 0) {
+      mean = sum / count;
+
+      variance = 0;
+      for (i = start; i < end; i++) {
+        value = values[i];
+        if (value !== null && typeof value !== 'undefined' && !isNaN(value)) {
+          variance += (value - mean) * (value - mean);
+        }
+      }
+      variance = variance / count;
+
+      stats.max = max;
+      stats.mean = mean;
+      stats.min = min;
+      stats.standardDeviation = Math.sqrt(variance);
+
+      median = function () {
+        var middle,
+            sorted;
+
+        sorted = values.slice(start, end).filter(function (value) {
+          return value !== null && typeof value !== 'undefined' &&
+              !isNaN(value);
+        });
+        sorted.sort(function (a, b) { return a - b; });
+        middle = Math.floor(count / 2);
+        return (count % 2 === 1) ? sorted[middle] :
+            (sorted[middle - 1] + sorted[middle]) / 2;
+      };
+    }
+
+    // computed when first read
+    Object.defineProperty(stats, 'median', {
+      configurable: true,
+      enumerable: true,
+      get: function () {
+        var value;
+
+        value = (median === null ? null : median());
+        Object.defineProperty(stats, 'median', {
+          enumerable: true,
+          value: value
+        });
+        return value;
+      }
+    });
+
+    _statistics[key] = stats;
+    _statisticsKeys.push(key);
+    if (_statisticsKeys.length > _STATISTICS_CACHE_SIZE) {
+      delete _statistics[_statisticsKeys.shift()];
+    }
+    return stats;
+  };
+
+
+  _initialize();
   options = null;
   return _this;
 };
@@ -2,22 +2,29 @@
 'use strict';
 
 
-var Collection = require('mvc/Collection'),
+var CachedTimeseriesFactory = require('plots/CachedTimeseriesFactory'),
+    Collection = require('mvc/Collection'),
+    DerivedElements = require('plots/DerivedElements'),
+    ElementFactory = require('plots/ElementFactory'),
     Model = require('mvc/Model'),
+    ObservatoryFactory = require('plots/ObservatoryFactory'),
+    Products = require('plots/Products'),
     View = require('mvc/View'),
     Util = require('util/Util'),
-    Xhr = require('util/Xhr'),
 
     TimeseriesCollectionView = require('plots/TimeseriesCollectionView'),
+    TimeseriesCache = require('plots/TimeseriesCache'),
     TimeseriesFactory = require('plots/TimeseriesFactory'),
     TimeseriesManager = require('plots/TimeseriesManager'),
-    TimeseriesSelectView = require('plots/TimeseriesSelectView');
+    TimeseriesSelectView = require('plots/TimeseriesSelectView'),
+    TimeseriesStream = require('plots/TimeseriesStream');
 
 
 var _DEFAULTS = {
   elementsMetaUrl: '/ws/edge/elements.json',
   obsMetaUrl: '/ws/edge/observatories.json',
-  obsDataUrl: '/ws/edge/'
+  obsDataUrl: '/ws/edge/',
+  obsStreamUrl: '/ws/edge/stream/'
 };
 
 
@@ -26,6 +33,9 @@ var _DEFAULTS = {
  *
  * @param options {Object}
  *        all options are passed to View.
+ * @param options.cache {TimeseriesCache}
+ *        default TimeseriesCache().
+ *        persistent cache of fetched timeseries data.
  * @param options.elements {Array}
  *        elements to display, passed to CompactSelectView.
  * @param options.config {Model}
@@ -33,13 +43,18 @@ var _DEFAULTS = {
  * @param options.configEl {DOMElement}
  *        optional, new element is inserted into options.el by default.
  *        element for TimeseriesSelectView.
- * @param observatories {Collection}
- *        default Collection().
- *        collection of observatories for reference.
- * @param observatoryFactory {ObservatoryFactory}
- *        default ObservatoryFactory().
- *        observatory factory used to populate observatories collection,
- *        if collection is not configured.
+ * @param options.elementFactory {ElementFactory}
+ *        default ElementFactory() using options.elementsMetaUrl.
+ *        element factory used to populate elements collection.
+ * @param options.observatoryFactory {ObservatoryFactory}
+ *        default ObservatoryFactory() using options.obsMetaUrl.
+ *        observatory factory used to populate observatories collection.
+ * @param options.obsStreamUrl {String}
+ *        default '/ws/edge/stream/'.
+ *        url for realtime samples, see TimeseriesStream.
+ * @param options.stream {TimeseriesStream}
+ *        default TimeseriesStream().
+ *        streams realtime samples, polling is used when unavailable.
  * @param options.timeseries {Array<Timeseries>}
  *        timeseries to display.
  */
@@ -49,9 +64,17 @@ var TimeseriesApp = function (options) {
 
       _configView,
       _descriptionEl,
+      _destroyCache,
+      _destroyElementFactory,
+      _destroyObservatoryFactory,
+      _destroyStream,
       _formatErrorMessage,
+      _metadataErrorEl,
+      _metadataErrorMessageEl,
       _model,
       _observatories,
+      _onMetadataRetryClick,
+      _retryButton,
       _timeseriesEl,
       _timeseriesFactory,
       _timeseriesView;
@@ -70,6 +93,10 @@ var TimeseriesApp = function (options) {
     el.classList.add('timeseries-app');
     el.innerHTML =
         '<div class="description"></div>' +
+        '<div class="metadata-error alert error">' +
+          '<p class="metadata-error-message"></p>' +
+          '<button type="button" class="retry">Retry</button>' +
+        '</div>' +
         '<div class="view"></div>' +
         '<div class="load">' +
           '<div class="load-mask"></div>' +
@@ -82,44 +109,93 @@ var TimeseriesApp = function (options) {
     }
 
     _descriptionEl = el.querySelector('.description');
+    _metadataErrorEl = el.querySelector('.metadata-error');
+    _metadataErrorMessageEl = el.querySelector('.metadata-error-message');
+    _retryButton = _metadataErrorEl.querySelector('.retry');
+    _retryButton.addEventListener('click', _onMetadataRetryClick);
     viewEl = el.querySelector('.view');
 
     _this.config = Model(Util.extend({
+      agencies: ['USGS'],
       elements: null,
       endtime: null,
       observatories: null,
+      sampling_period: null,
       starttime: null,
-      timemode: 'pastday'
+      timemode: 'pastday',
+      type: 'variation'
     }, options.config));
 
+    _this.allObservatories = Collection();
     _this.elements = Collection();
     _this.observatories = Collection();
     _this.timeseries = Collection();
 
-    _timeseriesFactory = TimeseriesFactory({
-      observatories: _this.observatories,
-      url: options.obsDataUrl
+    _destroyCache = !options.cache;
+    _this.cache = options.cache || TimeseriesCache();
+
+    _timeseriesFactory = CachedTimeseriesFactory({
+      cache: _this.cache,
+      factory: TimeseriesFactory({
+        observatories: _this.observatories,
+        url: options.obsDataUrl
+      })
+    });
+
+    _destroyElementFactory = !options.elementFactory;
+    _this.elementFactory = options.elementFactory || ElementFactory({
+      features: DerivedElements.getAll(),
+      url: options.elementsMetaUrl
+    });
+
+    _destroyObservatoryFactory = !options.observatoryFactory;
+    _this.observatoryFactory = options.observatoryFactory ||
+        ObservatoryFactory({
+          features: Products.getAll(),
+          url: options.obsMetaUrl
+        });
+
+    _destroyStream = !options.stream;
+    _this.stream = options.stream || TimeseriesStream({
+      url: options.obsStreamUrl
+    });
+
+    _this.plotModel = Model({
+      alignment: 'nearest',
+      baseline: 'none',
+      baselineConstant: 0,
+      filters: [],
+      interpolation: 'none',
+      interpolationMaxGap: 300,
+      outlierExclude: false,
+      outlierThreshold: null,
+      yExtentSize: null
     });
 
     _this.timeseriesManager = TimeseriesManager({
       config: _this.config,
       elements: _this.elements,
       factory: _timeseriesFactory,
+      getPriority: _this.getRequestPriority,
       observatories: _this.observatories,
+      plotModel: _this.plotModel,
+      stream: _this.stream,
       timeseries: _this.timeseries
     });
-
-    _this.plotModel = Model({
-      yExtentSize: null
-    });
+    _this.timeseriesManager.on('loading', _this.onLoading);
 
     _configView = TimeseriesSelectView({
+      allObservatories: _this.allObservatories,
       config: _this.config,
       el: configEl,
       elements: _this.elements,
       observatories: _this.observatories,
       plotModel: _this.plotModel
     });
+    _configView.on('clearcache', _this.onClearCache);
+    _this.timeseriesManager.on('samplingperiod', _this.onSamplingPeriod);
+    _this.stream.on('reopen', _this.onStreamReopen);
+    _this.stream.on('status', _this.onStreamStatus);
 
     _timeseriesView = TimeseriesCollectionView({
       el: viewEl,
@@ -128,21 +204,12 @@ var TimeseriesApp = function (options) {
     });
     _timeseriesEl = el;
 
+    _this.allObservatories.on('reset', _this.filterObservatories);
+    _this.config.on('change:agencies', _this.filterObservatories);
     _this.elements.on('reset', _this.onCollectionLoad);
     _this.observatories.on('reset', _this.onCollectionLoad);
 
-    _this.loadCollection({
-      collection: _this.elements,
-      url: options.elementsMetaUrl
-    });
-    _this.loadCollection({
-      collection: _this.observatories,
-      filter: function (obs) {
-        return obs.properties.agency === 'USGS';
-      },
-      sort: _this.sortByLatitudeDescending,
-      url: options.obsMetaUrl
-    });
+    _this.loadMetadata();
 
     _this.config.on('change', _this.onConfigChange);
     _this.plotModel.on('change', _this.onConfigChange);
@@ -153,35 +220,72 @@ var TimeseriesApp = function (options) {
   };
 
   /**
-   * Load a collection from a geojson url.
+   * List observatories from the configured agencies.
+   *
+   * Resets the observatories collection with observatories from
+   * allObservatories whose agency is in config "agencies",
+   * or all observatories when "agencies" is null.
+   */
+  _this.filterObservatories = function () {
+    var agencies,
+        observatories;
+
+    agencies = _this.config.get('agencies');
+    observatories = _this.allObservatories.data().filter(function (obs) {
+      return !agencies ||
+          _this.observatoryFactory.matches(obs, {agency: agencies});
+    });
+
+    _this.observatories.error = _this.allObservatories.error;
+    _this.observatories.loaded = _this.allObservatories.loaded;
+    _this.observatories.reset(observatories);
+  };
+
+  /**
+   * Priority for timeseries requests, plots nearest the viewport first.
+   *
+   * @param timeseries {Timeseries}
+   *     displayed timeseries.
+   * @return {Number}
+   *     distance of plot from viewport.
+   */
+  _this.getRequestPriority = function (timeseries) {
+    if (!_timeseriesView) {
+      return 0;
+    }
+    return _timeseriesView.getViewportDistance(timeseries);
+  };
+
+  /**
+   * Private click listener for the metadata retry button.
+   * This method only calls the public version `_this.onMetadataRetry`.
+   */
+  _onMetadataRetryClick = function () {
+    _this.onMetadataRetry();
+  };
+
+
+  /**
+   * Load a collection using a metadata factory.
    *
    * @param options {Object}
    * @param options.collection {Collection}
    *     collection to load.
-   * @param options.filter {Function}
-   *     optional filter function for features.
+   * @param options.factory {MetadataFactory}
+   *     factory used to get features.
+   * @param options.query {Object}
+   *     optional query options, see the factory `matches` method.
    * @param options.sort {Function}
    *     optional sort function for features.
-   * @param options.url {String}
-   *     url containing collection data in geojson format.
    */
   _this.loadCollection = function (options) {
-    var collection,
-        url;
+    var collection;
 
     collection = options.collection;
-    url = options.url;
 
     collection.loaded = false;
-    Xhr.ajax({
-      url: url,
-      success: function (data) {
-        var features;
-
-        features = data.features;
-        if (typeof options.filter === 'function') {
-          features = features.filter(options.filter);
-        }
+    options.factory.getFeatures(Util.extend({}, options.query, {
+      callback: function (features) {
         if (typeof options.sort === 'function') {
           features.sort(options.sort);
         }
@@ -189,20 +293,46 @@ var TimeseriesApp = function (options) {
         collection.error = false;
         collection.loaded = true;
         collection.reset(features);
+        _this.renderMetadataError();
       },
-      error: function (err) {
+      errback: function (err) {
         collection.error = err;
         collection.loaded = true;
         collection.reset([]);
+        _this.renderMetadataError();
       }
-    });
+    }));
+  };
+
+  /**
+   * Load elements and observatories collections.
+   *
+   * @param errorsOnly {Boolean}
+   *     default false.
+   *     only load collections that failed to load.
+   */
+  _this.loadMetadata = function (errorsOnly) {
+    if (!errorsOnly || _this.elements.error) {
+      _this.loadCollection({
+        collection: _this.elements,
+        factory: _this.elementFactory
+      });
+    }
+    if (!errorsOnly || _this.allObservatories.error) {
+      _this.loadCollection({
+        collection: _this.allObservatories,
+        factory: _this.observatoryFactory,
+        sort: _this.sortByLatitudeDescending
+      });
+    }
   };
 
   /**
    * Called after collections have loaded.
    */
   _this.onCollectionLoad = function () {
-    if (_this.elements.loaded && _this.observatories.loaded) {
+    if (_this.elements.loaded && _this.observatories.loaded &&
+        !_this.elements.getSelected()) {
       _this.elements.selectById('H');
     }
   };
@@ -217,20 +347,145 @@ var TimeseriesApp = function (options) {
     }
   };
 
+  /**
+   * Config view "clearcache" listener, removes all cached data.
+   */
+  _this.onClearCache = function () {
+    _this.cache.clear();
+  };
+
+  /**
+   * Metadata retry button listener, loads collections that failed.
+   */
+  _this.onMetadataRetry = function () {
+    _this.loadMetadata(true);
+  };
+
+  /**
+   * Timeseries manager "samplingperiod" listener, shows when the selected
+   * sampling period is replaced to limit the number of samples.
+   *
+   * @param samplingPeriod {Number}
+   *     sampling period being fetched.
+   */
+  _this.onSamplingPeriod = function (samplingPeriod) {
+    _configView.setSamplingPeriodLimit(samplingPeriod);
+  };
+
+  /**
+   * Stream "reopen" listener, fetches the current realtime interval to fill
+   * in samples missed while the stream was disconnected.
+   */
+  _this.onStreamReopen = function () {
+    if (_this.config.get('timemode') === 'realtime') {
+      // always a new interval, which fetches data
+      _configView.setRealtime();
+    }
+  };
+
+  /**
+   * Stream "status" listener, polls for realtime data unless the stream is
+   * connected or reconnecting.
+   *
+   * Connections that do not open count as stream errors, so the stream
+   * falls back to polling when it cannot connect.
+   *
+   * @param status {String}
+   *     stream status.
+   */
+  _this.onStreamStatus = function (status) {
+    _configView.setStreaming(status === 'connecting' || status === 'open');
+  };
+
+  /**
+   * Timeseries manager "loading" listener, shows or hides loading mask.
+   *
+   * @param loading {Boolean}
+   *     whether any requests are pending.
+   */
+  _this.onLoading = function (loading) {
+    if (loading) {
+      _this.el.classList.add('loading');
+    } else {
+      _this.el.classList.remove('loading');
+    }
+  };
+
+  /**
+   * Show or hide the metadata error, with a message for each collection
+   * that failed to load.
+   */
+  _this.renderMetadataError = function () {
+    var messages;
+
+    messages = [];
+    if (_this.elements.error) {
+      messages.push('Failed to load elements: ' +
+          (_this.elements.error.message || _this.elements.error));
+    }
+    if (_this.allObservatories.error) {
+      messages.push('Failed to load observatories: ' +
+          (_this.allObservatories.error.message ||
+              _this.allObservatories.error));
+    }
+
+    _metadataErrorMessageEl.textContent = messages.join('\n');
+    if (messages.length > 0) {
+      _metadataErrorEl.classList.add('show');
+    } else {
+      _metadataErrorEl.classList.remove('show');
+    }
+  };
+
   /**
    * Destroy this application.
    */
   _this.destroy = Util.compose(function () {
+    _this.allObservatories.off('reset', _this.filterObservatories);
+    _this.config.off('change:agencies', _this.filterObservatories);
     _this.config.off('change', _this.onConfigChange);
+    _this.timeseriesManager.off('loading', _this.onLoading);
     _this.plotModel.off('change', _this.onConfigChange);
+    _retryButton.removeEventListener('click', _onMetadataRetryClick);
+    _configView.off('clearcache', _this.onClearCache);
+    _this.timeseriesManager.off('samplingperiod', _this.onSamplingPeriod);
+    _this.stream.off('reopen', _this.onStreamReopen);
+    _this.stream.off('status', _this.onStreamStatus);
+    _this.timeseriesManager.destroy();
+    _timeseriesFactory.factory.destroy();
+    _timeseriesFactory.destroy();
+    if (_destroyStream) {
+      _this.stream.destroy();
+    }
+    _this.stream = null;
     _configView.destroy();
+    if (_destroyCache) {
+      _this.cache.destroy();
+    }
+    _this.cache = null;
+    if (_destroyElementFactory) {
+      _this.elementFactory.destroy();
+    }
+    _this.elementFactory = null;
+    if (_destroyObservatoryFactory) {
+      _this.observatoryFactory.destroy();
+    }
+    _this.observatoryFactory = null;
     _timeseriesView.destroy();
 
     _configView = null;
     _descriptionEl = null;
+    _destroyCache = null;
+    _destroyElementFactory = null;
+    _destroyObservatoryFactory = null;
+    _destroyStream = null;
     _formatErrorMessage = null;
+    _metadataErrorEl = null;
+    _metadataErrorMessageEl = null;
     _model = null;
     _observatories = null;
+    _onMetadataRetryClick = null;
+    _retryButton = null;
     _timeseriesEl = null;
     _timeseriesFactory = null;
     _timeseriesView = null;
@@ -0,0 +1,723 @@
+'use strict';
+
+var Util = require('util/Util');
+
+
+var _DEFAULTS = {
+  // ranges ending within this many milliseconds of now expire quickly
+  recentAge: 86400000,
+  recentExpires: 60000,
+  // definitive and quasi-definitive data rarely changes
+  definitiveExpires: 31536000000,
+  // other historical data
+  historicalExpires: 86400000,
+  indexedDB: (typeof window !== 'undefined' && window.indexedDB) || null,
+  maxSamples: 5000000,
+  name: 'geomag-plots-timeseries'
+};
+
+var _ACCESSED_STORE = 'accessed';
+var _STORE = 'ranges';
+
+
+/**
+ * Merge two sets of samples into one set ordered by time.
+ *
+ * When both sets contain a sample at the same time, the sample from the
+ * second set is used.
+ *
+ * @param times1 {Array<Number>}
+ *     epoch millisecond times of first set.
+ * @param values1 {Array<Number>}
+ *     values of first set.
+ * @param times2 {Array<Number>}
+ *     epoch millisecond times of second set.
+ * @param values2 {Array<Number>}
+ *     values of second set.
+ * @return {Object}
+ *     obj.times {Array<Number>} merged times.
+ *     obj.values {Array<Number>} merged values.
+ */
+var __mergeSamples = function (times1, values1, times2, values2) {
+  var i1,
+      i2,
+      times,
+      values;
+
+  i1 = 0;
+  i2 = 0;
+  times = [];
+  values = [];
+  while (i1 < times1.length || i2 < times2.length) {
+    if (i2 >= times2.length ||
+        (i1 < times1.length && times1[i1] < times2[i2])) {
+      times.push(times1[i1]);
+      values.push(values1[i1]);
+      i1++;
+    } else {
+      if (i1 < times1.length && times1[i1] === times2[i2]) {
+        // replaced by second set
+        i1++;
+      }
+      times.push(times2[i2]);
+      values.push(values2[i2]);
+      i2++;
+    }
+  }
+
+  return {
+    times: times,
+    values: values
+  };
+};
+
+
+/**
+ * Persistent cache of timeseries data, stored in IndexedDB.
+ *
+ * Data is stored as contiguous time ranges, keyed by observatory, element,
+ * data type and sampling period. Overlapping or adjacent ranges with the
+ * same key are merged when stored, and samples less than recentAge old are
+ * kept in a separate range.
+ *
+ * Each range expires based on how recent and how final its data is, and
+ * the least recently used ranges are evicted when the cache holds more than
+ * maxSamples. Access times are kept in a separate store, so reading a range
+ * does not rewrite its samples.
+ *
+ * When IndexedDB is not available, the cache is always empty.
+ * Callbacks are always called asynchronously.
+ *
+ * @param options {Object}
+ * @param options.definitiveExpires {Number}
+ *     default 1 year.
+ *     milliseconds to keep historical definitive and quasi-definitive data.
+ * @param options.historicalExpires {Number}
+ *     default 1 day.
+ *     milliseconds to keep other historical data.
+ * @param options.indexedDB {IDBFactory}
+ *     default window.indexedDB.
+ * @param options.maxSamples {Number}
+ *     default 5000000.
+ *     number of samples to keep before evicting ranges.
+ * @param options.name {String}
+ *     database name.
+ * @param options.recentAge {Number}
+ *     default 1 day.
+ *     ranges ending less than this many milliseconds ago are recent.
+ * @param options.recentExpires {Number}
+ *     default 1 minute.
+ *     milliseconds to keep recent ranges.
+ */
+var TimeseriesCache = function (options) {
+  var _this,
+      _initialize,
+
+      _db,
+      _queue;
+
+
+  _this = {};
+
+  _initialize = function (options) {
+    var request;
+
+    options = Util.extend({}, _DEFAULTS, options);
+
+    _this.definitiveExpires = options.definitiveExpires;
+    _this.historicalExpires = options.historicalExpires;
+    _this.maxSamples = options.maxSamples;
+    _this.recentAge = options.recentAge;
+    _this.recentExpires = options.recentExpires;
+
+    _db = null;
+    // operations waiting for database to open
+    _queue = [];
+
+    if (!options.indexedDB) {
+      _queue = null;
+      return;
+    }
+
+    try {
+      request = options.indexedDB.open(options.name, 2);
+    } catch (e) {
+      // e.g. storage disabled
+      _queue = null;
+      return;
+    }
+
+    request.onupgradeneeded = function (e) {
+      var store;
+
+      if (e.oldVersion < 1) {
+        store = request.result.createObjectStore(_STORE, {
+          autoIncrement: true,
+          keyPath: 'id'
+        });
+        store.createIndex('key', 'key', {unique: false});
+      }
+      if (e.oldVersion < 2) {
+        request.result.createObjectStore(_ACCESSED_STORE, {keyPath: 'id'});
+      }
+    };
+    request.onsuccess = function () {
+      var queue;
+
+      if (_queue === null) {
+        // destroyed while opening
+        request.result.close();
+        return;
+      }
+
+      _db = request.result;
+      queue = _queue;
+      _queue = null;
+      queue.forEach(function (callback) {
+        callback();
+      });
+    };
+    request.onerror = function () {
+      var queue;
+
+      if (_queue === null) {
+        // destroyed while opening
+        return;
+      }
+
+      queue = _queue;
+      _queue = null;
+      queue.forEach(function (callback) {
+        callback();
+      });
+    };
+  };
+
+
+  /**
+   * Call a function when the database is ready, or unavailable.
+   *
+   * @param callback {Function}
+   *     function to call, asynchronously.
+   */
+  _this.whenReady = function (callback) {
+    if (_queue !== null) {
+      _queue.push(callback);
+    } else {
+      setTimeout(callback, 0);
+    }
+  };
+
+  /**
+   * Remove all ranges.
+   *
+   * @param callback {Function}
+   *     optional, called when complete.
+   */
+  _this.clear = function (callback) {
+    _this.whenReady(function () {
+      var transaction;
+
+      if (_db === null) {
+        if (callback) {
+          callback();
+        }
+        return;
+      }
+
+      transaction = _db.transaction([_ACCESSED_STORE, _STORE], 'readwrite');
+      transaction.objectStore(_ACCESSED_STORE).clear();
+      transaction.objectStore(_STORE).clear();
+      transaction.oncomplete = transaction.onerror = function () {
+        if (callback) {
+          callback();
+        }
+      };
+    });
+  };
+
+  /**
+   * Free references.
+   */
+  _this.destroy = function () {
+    if (_db !== null) {
+      _db.close();
+    }
+
+    _db = null;
+    _queue = null;
+
+    _initialize = null;
+    _this = null;
+  };
+
+  /**
+   * Remove expired ranges, then least recently used ranges until total
+   * size is below maxSamples.
+   *
+   * @param callback {Function}
+   *     optional, called when complete.
+   */
+  _this.evict = function (callback) {
+    var accessed,
+        accessedStore,
+        now,
+        records,
+        store,
+        transaction;
+
+    if (_db === null) {
+      if (callback) {
+        callback();
+      }
+      return;
+    }
+
+    accessed = {};
+    now = new Date().getTime();
+    records = [];
+    transaction = _db.transaction([_ACCESSED_STORE, _STORE], 'readwrite');
+    accessedStore = transaction.objectStore(_ACCESSED_STORE);
+    store = transaction.objectStore(_STORE);
+    accessedStore.openCursor().onsuccess = function (e) {
+      var cursor = e.target.result;
+
+      if (cursor) {
+        accessed[cursor.value.id] = cursor.value.accessed;
+        cursor.continue();
+        return;
+      }
+
+      store.openCursor().onsuccess = function (e) {
+        var cursor,
+            record;
+
+        cursor = e.target.result;
+        if (cursor) {
+          record = cursor.value;
+          if (record.expires < now) {
+            cursor.delete();
+            accessedStore.delete(record.id);
+          } else {
+            records.push({
+              accessed: Math.max(record.accessed, accessed[record.id] || 0),
+              id: record.id,
+              size: record.size
+            });
+          }
+          cursor.continue();
+          return;
+        }
+
+        _this.getEvictions(records).forEach(function (id) {
+          accessedStore.delete(id);
+          store.delete(id);
+        });
+      };
+    };
+    transaction.oncomplete = transaction.onerror = function () {
+      if (callback) {
+        callback();
+      }
+    };
+  };
+
+  /**
+   * Choose ranges to evict.
+   *
+   * @param records {Array<Object>}
+   *     summary of each stored range, with accessed, id and size.
+   * @return {Array<Number>}
+   *     ids of least recently accessed ranges to remove so total size
+   *     is at most maxSamples.
+   */
+  _this.getEvictions = function (records) {
+    var ids,
+        total;
+
+    total = 0;
+    records.forEach(function (record) {
+      total += record.size;
+    });
+
+    ids = [];
+    records.slice().sort(function (a, b) {
+      return a.accessed - b.accessed;
+    }).forEach(function (record) {
+      if (total > _this.maxSamples) {
+        ids.push(record.id);
+        total -= record.size;
+      }
+    });
+
+    return ids;
+  };
+
+  /**
+   * Compute when a range expires.
+   *
+   * @param type {String}
+   *     data type.
+   * @param endtime {Number}
+   *     epoch millisecond time of last sample in range.
+   * @param now {Number}
+   *     current epoch millisecond time.
+   * @return {Number}
+   *     epoch millisecond expiration time.
+   */
+  _this.getExpires = function (type, endtime, now) {
+    if (now - endtime < _this.recentAge) {
+      return now + _this.recentExpires;
+    } else if (type === 'definitive' || type === 'quasi-definitive') {
+      return now + _this.definitiveExpires;
+    }
+    return now + _this.historicalExpires;
+  };
+
+  /**
+   * Create the key for a timeseries.
+   *
+   * @param options {Object}
+   * @param options.element {String}
+   *     element id.
+   * @param options.id {String}
+   *     observatory id.
+   * @param options.sampling_period {Number}
+   *     sampling period in seconds.
+   * @param options.type {String}
+   *     data type.
+   * @return {String}
+   *     cache key.
+   */
+  _this.getKey = function (options) {
+    return [
+      options.id,
+      options.element,
+      options.type || '',
+      options.sampling_period
+    ].join('/');
+  };
+
+  /**
+   * Get cached ranges that overlap an interval.
+   *
+   * Expired ranges are skipped, and removed by evict. Returned ranges are
+   * marked as used, see #touch.
+   *
+   * @param key {String}
+   *     cache key, from getKey.
+   * @param starttime {Number}
+   *     epoch millisecond start of interval.
+   * @param endtime {Number}
+   *     epoch millisecond end of interval.
+   * @param callback {Function(Array<Object>)}
+   *     called with ranges ordered by starttime, each with starttime,
+   *     endtime, metadata, times and values.
+   */
+  _this.getRanges = function (key, starttime, endtime, callback) {
+    _this.whenReady(function () {
+      var now,
+          ranges,
+          transaction;
+
+      if (_db === null) {
+        callback([]);
+        return;
+      }
+
+      now = new Date().getTime();
+      ranges = [];
+      transaction = _db.transaction(_STORE, 'readonly');
+      transaction.objectStore(_STORE).index('key')
+          .openCursor(_this.keyRange(key)).onsuccess = function (e) {
+        var cursor,
+            record;
+
+        cursor = e.target.result;
+        if (!cursor) {
+          return;
+        }
+
+        record = cursor.value;
+        if (record.expires >= now && record.starttime <= endtime &&
+            record.endtime >= starttime) {
+          ranges.push(record);
+        }
+        cursor.continue();
+      };
+      transaction.oncomplete = function () {
+        ranges.sort(function (a, b) {
+          return a.starttime - b.starttime;
+        });
+        _this.touch(ranges.map(function (range) {
+          return range.id;
+        }), now);
+        callback(ranges);
+      };
+      transaction.onerror = function () {
+        callback([]);
+      };
+    });
+  };
+
+  /**
+   * Create the records stored for merged samples.
+   *
+   * Samples less than recentAge old are stored in their own record, so they
+   * expire separately from older samples.
+   *
+   * @param key {String}
+   *     cache key, from getKey.
+   * @param range {Object}
+   *     merged range, with endtime, metadata, sampling_period, starttime,
+   *     times, type and values.
+   * @param now {Number}
+   *     current epoch millisecond time.
+   * @return {Array<Object>}
+   *     records to store, ordered by starttime.
+   */
+  _this.getRecords = function (key, range, now) {
+    var index,
+        period,
+        records,
+        split;
+
+    records = [];
+    period = range.sampling_period * 1000;
+    // first sample time that is recent
+    split = now - _this.recentAge;
+    if (period > 0 && split > range.starttime) {
+      split = range.starttime +
+          Math.ceil((split - range.starttime) / period) * period;
+    }
+    split = Math.max(split, range.starttime);
+
+    index = 0;
+    while (index < range.times.length && range.times[index] < split) {
+      index++;
+    }
+
+    [
+      {
+        endtime: Math.min(range.endtime, split - (period || 1)),
+        starttime: range.starttime,
+        times: range.times.slice(0, index),
+        values: range.values.slice(0, index)
+      },
+      {
+        endtime: range.endtime,
+        starttime: Math.max(range.starttime, split),
+        times: range.times.slice(index),
+        values: range.values.slice(index)
+      }
+    ].forEach(function (record) {
+      if (record.endtime < record.starttime) {
+        return;
+      }
+      records.push({
+        accessed: now,
+        endtime: record.endtime,
+        expires: _this.getExpires(range.type, record.endtime, now),
+        key: key,
+        metadata: range.metadata || null,
+        size: record.times.length,
+        starttime: record.starttime,
+        times: record.times,
+        values: record.values
+      });
+    });
+
+    return records;
+  };
+
+  /**
+   * Find the end of the samples in a range that may be stored.
+   *
+   * Samples after the current time, and trailing null values that may
+   * still be filled in, are not stored.
+   *
+   * @param range {Object}
+   *     range with endtime, times and values.
+   * @param now {Number}
+   *     current epoch millisecond time.
+   * @return {Number}
+   *     epoch millisecond time of last sample to store,
+   *     or null when no samples have values.
+   */
+  _this.getStoredEnd = function (range, now) {
+    var i,
+        time,
+        value;
+
+    for (i = range.times.length - 1; i >= 0; i--) {
+      time = range.times[i];
+      value = range.values[i];
+      if (time <= now && time <= range.endtime &&
+          value !== null && typeof value !== 'undefined') {
+        return time;
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Create a key range for one key.
+   *
+   * @param key {String}
+   *     cache key.
+   * @return {IDBKeyRange}
+   *     key range matching only key.
+   */
+  _this.keyRange = function (key) {
+    return window.IDBKeyRange.only(key);
+  };
+
+  /**
+   * Store a range.
+   *
+   * Samples after the current time, and trailing null values, are not
+   * stored.
+   *
+   * @param key {String}
+   *     cache key, from getKey.
+   * @param range {Object}
+   * @param range.endtime {Number}
+   *     epoch millisecond end of range.
+   * @param range.metadata {Object}
+   *     response metadata.
+   * @param range.sampling_period {Number}
+   *     sampling period in seconds, used to find adjacent ranges.
+   * @param range.starttime {Number}
+   *     epoch millisecond start of range.
+   * @param range.times {Array<Number>}
+   *     epoch millisecond sample times.
+   * @param range.type {String}
+   *     data type, used to compute expiration.
+   * @param range.values {Array<Number>}
+   *     sample values.
+   * @param callback {Function}
+   *     optional, called when complete.
+   */
+  _this.putRange = function (key, range, callback) {
+    _this.whenReady(function () {
+      var endtime,
+          last,
+          merged,
+          now,
+          period,
+          starttime,
+          store,
+          transaction;
+
+      now = new Date().getTime();
+      period = range.sampling_period * 1000;
+      starttime = range.starttime;
+      last = _this.getStoredEnd(range, now);
+      endtime = last;
+      if (_db === null || last === null || last < starttime) {
+        if (callback) {
+          callback();
+        }
+        return;
+      }
+
+      merged = {
+        times: [],
+        values: []
+      };
+      transaction = _db.transaction([_ACCESSED_STORE, _STORE], 'readwrite');
+      store = transaction.objectStore(_STORE);
+      store.index('key').openCursor(_this.keyRange(key)).onsuccess =
+          function (e) {
+        var count,
+            cursor,
+            record;
+
+        cursor = e.target.result;
+        if (cursor) {
+          record = cursor.value;
+          if (record.expires < now) {
+            // not merged, so expired samples are not kept
+            cursor.delete();
+            transaction.objectStore(_ACCESSED_STORE).delete(record.id);
+          } else if (record.starttime <= endtime + period &&
+              record.endtime >= starttime - period) {
+            // overlapping or adjacent, merge and replace
+            merged = __mergeSamples(merged.times, merged.values,
+                record.times, record.values);
+            starttime = Math.min(starttime, record.starttime);
+            endtime = Math.max(endtime, record.endtime);
+            cursor.delete();
+            transaction.objectStore(_ACCESSED_STORE).delete(record.id);
+          }
+          cursor.continue();
+          return;
+        }
+
+        // new samples replace cached samples
+        count = 0;
+        while (count < range.times.length && range.times[count] <= last) {
+          count++;
+        }
+        merged = __mergeSamples(merged.times, merged.values,
+            range.times.slice(0, count), range.values.slice(0, count));
+
+        _this.getRecords(key, {
+          endtime: endtime,
+          metadata: range.metadata,
+          sampling_period: range.sampling_period,
+          starttime: starttime,
+          times: merged.times,
+          type: range.type,
+          values: merged.values
+        }, now).forEach(function (record) {
+          store.put(record);
+        });
+      };
+      transaction.oncomplete = function () {
+        _this.evict(callback);
+      };
+      transaction.onerror = function () {
+        if (callback) {
+          callback();
+        }
+      };
+    });
+  };
+
+  /**
+   * Mark ranges as used.
+   *
+   * Only access times are written, stored samples are not rewritten.
+   *
+   * @param ids {Array<Number>}
+   *     ids of used ranges.
+   * @param now {Number}
+   *     current epoch millisecond time.
+   */
+  _this.touch = function (ids, now) {
+    var store;
+
+    if (_db === null || ids.length === 0) {
+      return;
+    }
+
+    store = _db.transaction(_ACCESSED_STORE, 'readwrite')
+        .objectStore(_ACCESSED_STORE);
+    ids.forEach(function (id) {
+      store.put({
+        accessed: now,
+        id: id
+      });
+    });
+  };
+
+
+  _initialize(options);
+  options = null;
+  return _this;
+};
+
+
+module.exports = TimeseriesCache;
@@ -117,6 +117,33 @@ var TimeseriesCollectionView = function (options) {
     _onTimeseriesAdd(_collection.data());
   };
 
+  /**
+   * Get the distance of a timeseries plot from the viewport.
+   *
+   * @param timeseries {Timeseries}
+   *        timeseries to check.
+   * @return {Number}
+   *         0 when the plot is visible, otherwise the distance in pixels
+   *         above or below the viewport, or Infinity when not displayed.
+   */
+  _this.getViewportDistance = function (timeseries) {
+    var rect,
+        view;
+
+    view = _views.get(timeseries.id);
+    if (view === null) {
+      return Infinity;
+    }
+
+    rect = view.el.getBoundingClientRect();
+    if (rect.bottom < 0) {
+      return -rect.bottom;
+    } else if (rect.top > window.innerHeight) {
+      return rect.top - window.innerHeight;
+    }
+    return 0;
+  };
+
   /**
    * Destroy this view.
    */
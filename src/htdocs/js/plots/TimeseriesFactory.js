@@ -1,21 +1,68 @@
+/* global Promise */
 'use strict';
 
 
 var Formatter = require('util/Formatter'),
+    Iaga2002Parser = require('plots/Iaga2002Parser'),
     TimeseriesResponse = require('plots/TimeseriesResponse'),
     Util = require('util/Util'),
-    Xhr = require('util/Xhr');
+    XhrTransport = require('util/XhrTransport');
 
 
 var _DEFAULTS = {
+  format: 'json',
+  Promise: (typeof Promise === 'undefined' ? null : Promise),
+  transport: null,
   url: 'http://geomag.usgs.gov/ws/edge/'
 };
 
 
 /**
- * TimeseriesFactory uses ajax to retrieve Timeseries
+ * Create the Error a request is rejected with.
+ *
+ * @param err {Number|Error}
+ *     http status code, 0 when the server is not reached, or an Error.
+ * @param response {Object}
+ *     failed response, if any.
+ * @return {Error}
+ *     err when it is an Error, otherwise an Error with
+ *     "status" and "responseText" properties.
+ */
+var __createError = function (err, response) {
+  var error;
+
+  if (err instanceof Error) {
+    return err;
+  }
+
+  error = new Error(err === 0 ? 'Server not reached' :
+      'Request failed with status ' + err);
+  error.status = err;
+  error.responseText = (response && response.responseText) || null;
+  return error;
+};
+
+
+/**
+ * TimeseriesFactory retrieves Timeseries from the edge web service.
+ *
+ * Requests are made by a transport, see XhrTransport#get, so the same
+ * factory can use XMLHttpRequest (util/XhrTransport), fetch
+ * (util/FetchTransport), node http (lib/node-http-transport.js), or fixed
+ * responses (util/StaticTransport).
  *
  * @params options {Object}
+ * @params options.format {String}
+ *      default 'json'.
+ *      response format to request, 'json' or 'iaga2002'.
+ * @params options.Promise {Function}
+ *      default global Promise.
+ *      Promise constructor, getTimeseries does not return a promise
+ *      when null.
+ * @params options.transport {Object}
+ *      default XhrTransport().
+ *      transport used to make requests,
+ *      only destroyed by the factory when it is the default.
  * @params options.url {String}
  *      get_geomag_data web service.
  */
@@ -23,6 +70,11 @@ var TimeseriesFactory = function (options) {
   var _this,
       _initialize,
 
+      _destroyTransport,
+      _format,
+      _Promise,
+      _requests,
+      _transport,
       _url;
 
 
@@ -30,38 +82,100 @@ var TimeseriesFactory = function (options) {
 
   _initialize = function (options) {
     options = Util.extend({}, _DEFAULTS, options);
+    _format = options.format;
+    _Promise = options.Promise;
+    _requests = [];
     _url = options.url;
+
+    _transport = options.transport;
+    _destroyTransport = false;
+    if (!_transport) {
+      _transport = XhrTransport();
+      _destroyTransport = true;
+    }
   };
 
 
   /**
    * Makes certain everything is destroyed upon exit.
+   *
+   * Pending requests are aborted, and call neither callback nor settle
+   * their promise.
    */
   _this.destroy = function () {
+    if (_this === null) {
+      return;
+    }
+
+    _requests.forEach(function (request) {
+      request.abort();
+    });
+
+    if (_destroyTransport) {
+      _transport.destroy();
+    }
+
+    _destroyTransport = null;
+    _format = null;
+    _Promise = null;
+    _requests = null;
+    _transport = null;
     _url = null;
 
     _initialize = null;
     _this = null;
   };
 
+  /**
+   * Create the Error a request is rejected with.
+   *
+   * @see __createError
+   */
+  _this.createError = __createError;
+
   /**
    * Fetches timeseries data based on the given options. This method occurs
    * asynchronously and provides the resulting {TimeseriesResponse} object via
-   * the provided options.callback function.
+   * the provided options.callback function, and the returned promise.
+   *
+   * Each request calls either callback or errback, never both.
+   * Errors thrown by callback are not caught, and the promise resolves
+   * after callback returns.
+   *
+   * Aborted requests call neither callback, and reject the promise with an
+   * Error named "AbortError". Other failures reject the promise with an
+   * Error from #createError.
+   *
+   * When either callback is given, the caller handles failures through
+   * errback and promise rejections are not reported as unhandled.
+   * Otherwise callers using the promise must attach a rejection handler.
    *
    * @param options.callback {Function}
    *     The callback function to call when a request succeeds
    * @param options.errback {Fucntion}
-   *     The callback function to call when a request fails
+   *     The callback function to call when a request fails,
+   *     with an http status code (0 when the server is not reached)
+   *     or an Error, and the failed response if any.
    * @param options... {Mixed}
    *     Additional options to provide to either `parseTimeseriesOptions` or
    *     `parseTimeseriesOptionsLegacy`. See those methods for additional
    *     documentation details.
+   * @return {Promise<TimeseriesResponse>}
+   *     request, with an `abort` method to cancel it.
+   *     An object with only the `abort` method when Promise is not
+   *     available.
    */
   _this.getTimeseries = function (options) {
-    var callback,
+    var abort,
+        callback,
+        complete,
         data,
-        errback;
+        done,
+        errback,
+        promise,
+        reject,
+        request,
+        resolve;
 
     if (options.hasOwnProperty('observatory') ||
         options.hasOwnProperty('element') ||
@@ -72,16 +186,122 @@ var TimeseriesFactory = function (options) {
     }
 
     callback = options.callback || function () {};
+    complete = false;
     errback = options.errback || function () {};
+    reject = function () {};
+    resolve = function () {};
+
+    if (_Promise) {
+      promise = new _Promise(function (resolvePromise, rejectPromise) {
+        reject = rejectPromise;
+        resolve = resolvePromise;
+      });
+      if (options.callback || options.errback) {
+        // callers using callbacks report rejections through errback
+        promise.catch(function () {});
+      }
+    } else {
+      promise = {};
+    }
+
+    done = function () {
+      var index;
+
+      complete = true;
+      if (_requests !== null) {
+        index = _requests.indexOf(request);
+        if (index !== -1) {
+          _requests.splice(index, 1);
+        }
+      }
+    };
 
-    return Xhr.ajax({
+    abort = function () {
+      var err;
+
+      if (complete) {
+        return;
+      }
+      done();
+      if (request) {
+        request.abort();
+      }
+
+      err = new Error('Request aborted');
+      err.name = 'AbortError';
+      reject(err);
+    };
+
+    request = _transport.get({
       url: _url,
       data: data,
       success: function (response) {
-        callback(TimeseriesResponse(response));
+        if (complete || _this === null) {
+          // aborted or destroyed
+          return;
+        }
+        done();
+        try {
+          response = _this.parseResponse(response, data.format);
+        } catch (e) {
+          reject(e);
+          errback(e);
+          return;
+        }
+        callback(response);
+        resolve(response);
       },
-      error: errback
+      error: function (err, response) {
+        if (complete || _this === null) {
+          // aborted or destroyed
+          return;
+        }
+        done();
+        reject(__createError(err, response));
+        errback(err, response);
+      }
     });
+    if (!complete) {
+      // aborted by destroy
+      _requests.push(request);
+    }
+
+    promise.abort = abort;
+    return promise;
+  };
+
+  /**
+   * Parse a response.
+   *
+   * @param response {Object|String}
+   *     response from transport.
+   * @param format {String}
+   *     requested format, 'json' or 'iaga2002'.
+   * @return {TimeseriesResponse}
+   *     parsed response.
+   * @throws {Error}
+   *     when response cannot be parsed.
+   */
+  _this.parseResponse = function (response, format) {
+    if (format === 'iaga2002') {
+      response = _this.parseIaga2002(response);
+    } else if (typeof response === 'string') {
+      response = JSON.parse(response);
+    }
+    return TimeseriesResponse(response);
+  };
+
+  /**
+   * Parse an IAGA-2002 response.
+   *
+   * @param text {String}
+   *     IAGA-2002 formatted response.
+   * @return {Object}
+   *     response in the same structure as the json format.
+   * @see Iaga2002Parser#parse
+   */
+  _this.parseIaga2002 = function (text) {
+    return Iaga2002Parser.parse(text);
   };
 
   /**
@@ -95,6 +315,9 @@ var TimeseriesFactory = function (options) {
    *     The elements (elements) to fetch
    * @param options.endtime {Date}
    *     The end of the time window of interest
+   * @param options.format {String}
+   *     Response format, 'json' or 'iaga2002'.
+   *     Defaults to the factory format.
    * @param options.id {String}
    *     Observatory id
    * @param options.sampling_period {Integer}
@@ -138,7 +361,7 @@ var TimeseriesFactory = function (options) {
       data.type = options.type;
     }
 
-    data.format = 'json';
+    data.format = options.format || _format;
 
     return data;
   };
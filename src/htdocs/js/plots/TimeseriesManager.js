@@ -1,6 +1,8 @@
 'use strict';
 
 var Collection = require('mvc/Collection'),
+    DerivedElements = require('plots/DerivedElements'),
+    Events = require('util/Events'),
     Model = require('mvc/Model'),
     Timeseries = require('plots/Timeseries'),
     TimeseriesFactory = require('plots/TimeseriesFactory'),
@@ -8,7 +10,29 @@ var Collection = require('mvc/Collection'),
     Util = require('util/Util');
 
 
-var _DEFAULTS = {};
+var _DEFAULTS = {
+  getPriority: null,
+  maxConcurrentRequests: 4,
+  maxRequestSamples: 86400,
+  maxTotalSamples: 2000000,
+  requestRetries: 3,
+  requestRetryDelay: 1000,
+  requestTimeout: 30000
+};
+
+// sampling periods used when data would exceed maxTotalSamples, in seconds
+var _SAMPLING_PERIODS = [1, 60, 3600, 86400];
+
+// automatic sampling period, for intervals up to maxDuration seconds
+var _AUTO_SAMPLING_PERIODS = [
+  {maxDuration: 1800, sampling_period: 1},
+  {maxDuration: 604800, sampling_period: 60},
+  {maxDuration: 31622400, sampling_period: 3600},
+  {maxDuration: Infinity, sampling_period: 86400}
+];
+
+// derived timeseries use the first of these found in their inputs
+var _STATUS_ORDER = ['error', 'loading', 'idle', 'loaded'];
 
 
 /**
@@ -17,6 +41,9 @@ var _DEFAULTS = {};
  * Creates model objects based on current configuration,
  * and requests data when time interval changes.
  *
+ * Elements in the DerivedElements registry are computed from their input
+ * elements, which are fetched automatically.
+ *
  * @param options {Object}
  * @param options.config {Model}
  *     configuration.
@@ -24,17 +51,60 @@ var _DEFAULTS = {};
  *     collection of elements.
  * @param options.factory {TimeseriesFactory}
  *     factory used to fetch data.
+ * @param options.getPriority {Function(Timeseries)}
+ *     optional, returns a number for a displayed timeseries,
+ *     requests for lower numbers start first.
+ *     by default, requests start in the order they are made.
+ * @param options.maxConcurrentRequests {Number}
+ *     default 4.
+ *     number of requests that may be in progress at one time,
+ *     additional requests wait in a queue.
+ * @param options.maxRequestSamples {Number}
+ *     default 86400.
+ *     maximum number of samples in one web service call,
+ *     longer requests are split into chunks.
+ * @param options.maxTotalSamples {Number}
+ *     default 2000000.
+ *     maximum number of samples for all timeseries,
+ *     a longer sampling period is used for larger requests.
  * @param options.observatories {Collection}
  *     collection of observatories.
+ * @param options.plotModel {Model}
+ *     optional, plot options.
+ *     "alignment" is the TimeAlignment method used to match inputs of
+ *     derived timeseries within one sampling period, see
+ *     DerivedElements#calculate. TimeseriesApp uses 'nearest',
+ *     only exact times are matched when not set.
+ * @param options.stream {TimeseriesStream}
+ *     optional, streams new samples while "timemode" is "realtime".
+ *     subscribed after requests finish, see #updateStream.
+ * @param options.requestRetries {Number}
+ *     default 3.
+ *     number of times a failed request is retried.
+ * @param options.requestRetryDelay {Number}
+ *     default 1000.
+ *     milliseconds before first retry, doubled for each later retry.
+ * @param options.requestTimeout {Number}
+ *     default 30000.
+ *     milliseconds before an incomplete request is aborted.
  * @param options.timeseries {Collection}
  *     collection of Timeseries objects to manage.
+ *
+ * Timeseries in the collection trigger a "retry" event to request their
+ * data again.
+ *
+ * Triggers a "loading" event, with a boolean argument, when pending
+ * requests start or finish.
+ *
+ * Triggers a "samplingperiod" event, with the sampling period being
+ * fetched, each time data is fetched.
  */
 var TimeseriesManager = function (options) {
   var _this,
       _initialize;
 
 
-  _this = {};
+  _this = Events();
 
   _initialize = function (options) {
     options = Util.extend({}, _DEFAULTS, options);
@@ -42,23 +112,46 @@ var TimeseriesManager = function (options) {
     _this.config = options.config || Model();
     _this.elements = options.elements || Collection();
     _this.factory = options.factory || TimeseriesFactory();
+    _this.getPriority = options.getPriority;
+    _this.maxConcurrentRequests = options.maxConcurrentRequests;
+    _this.maxRequestSamples = options.maxRequestSamples;
+    _this.maxTotalSamples = options.maxTotalSamples;
     _this.observatories = options.observatories || Collection();
+    _this.plotModel = options.plotModel || Model();
+    _this.requestRetries = options.requestRetries;
+    _this.requestRetryDelay = options.requestRetryDelay;
+    _this.requestTimeout = options.requestTimeout;
+    _this.stream = options.stream || null;
     _this.timeseries = options.timeseries || Collection();
 
-    // keep track of incomplete requests.
+    // derived timeseries, and their inputs
+    _this.derived = [];
+    // input timeseries that are not in the timeseries collection
+    _this.inputTimeseries = [];
+
+    // keep track of incomplete requests, queued or active.
+    _this.activeRequests = [];
+    _this.loading = false;
     _this.pendingRequests = [];
+    // whether the stream is updated when requests finish
+    _this.streamUpdate = false;
 
     _this.config.on('change', 'onConfigChange', _this);
+    _this.plotModel.on('change:alignment', 'updateDerived', _this);
+    if (_this.stream !== null) {
+      _this.stream.on('samples', 'onStreamSamples', _this);
+    }
   };
 
 
   /**
-   * Abort any pending data requests.
+   * Abort and destroy any pending data requests, queued or active.
    */
   _this.abortRequests = function () {
     _this.pendingRequests.forEach(function (request) {
-      request.abort();
+      request.destroy();
     });
+    _this.activeRequests = [];
     _this.pendingRequests = [];
   };
 
@@ -67,7 +160,9 @@ var TimeseriesManager = function (options) {
    * observatories.
    */
   _this.createTimeseries = function () {
-    var elements,
+    var derived,
+        elements,
+        inputs,
         models,
         observatories;
 
@@ -76,10 +171,13 @@ var TimeseriesManager = function (options) {
     observatories = _this.config.get('observatories') || [];
 
     // create models
+    derived = [];
     models = [];
     elements.forEach(function (elementId) {
-      var element;
-      element = _this.elements.get(elementId);
+      var derivedElement,
+          element;
+      derivedElement = DerivedElements.get(elementId);
+      element = _this.elements.get(elementId) || derivedElement;
       observatories.forEach(function (observatoryId) {
         var id,
             model,
@@ -95,28 +193,70 @@ var TimeseriesManager = function (options) {
             times: [],
             values: []
           });
+          model.on('retry', 'onRetry', _this);
         }
         models.push(model);
+        if (derivedElement !== null) {
+          derived.push({
+            element: derivedElement,
+            observatoryId: observatoryId,
+            timeseries: model
+          });
+        }
+      });
+    });
+
+    // find or create inputs for derived timeseries
+    inputs = [];
+    _this.derived = derived.map(function (d) {
+      d.inputs = d.element.inputs.map(function (inputId) {
+        var input;
+
+        input = _this.getInputTimeseries(d.observatoryId, inputId, models);
+        if (models.indexOf(input) === -1 && inputs.indexOf(input) === -1) {
+          inputs.push(input);
+        }
+        return input;
       });
+      return d;
     });
+    _this.inputTimeseries = inputs;
 
     // reset timeseries collection
     _this.timeseries.reset(models);
+
+    // inputs may already be loaded
+    _this.updateDerived();
   };
 
   /**
    * Destroy object and free references.
    */
-  _this.destroy = function () {
+  _this.destroy = Util.compose(function () {
     if (_this === null) {
       return;
     }
 
     _this.abortRequests();
+    _this.config.off('change', 'onConfigChange', _this);
+    _this.plotModel.off('change:alignment', 'updateDerived', _this);
+    _this.timeseries.data().forEach(function (t) {
+      t.off('retry', 'onRetry', _this);
+    });
+    if (_this.stream !== null) {
+      _this.stream.off('samples', 'onStreamSamples', _this);
+      _this.stream.unsubscribe();
+    }
+
+    _this.activeRequests = null;
+    _this.derived = null;
+    _this.getPriority = null;
+    _this.inputTimeseries = null;
+    _this.stream = null;
 
     _initialize = null;
     _this = null;
-  };
+  }, _this.destroy);
 
   /**
    * Configuration "change" event handler.
@@ -130,47 +270,258 @@ var TimeseriesManager = function (options) {
       // update timeseries collection, then fetch data
       _this.createTimeseries();
       _this.fetchData();
-    } else if ('starttime' in changes || 'endtime' in changes) {
-      // new interval, fetch data
+    } else if ('starttime' in changes || 'endtime' in changes ||
+        'sampling_period' in changes || 'type' in changes) {
+      // new interval, sampling period, or data type, fetch data
       _this.fetchData();
     }
   };
 
   /**
    * Fetch data for timeseries in collection.
+   *
+   * Timeseries are grouped by observatory, and each group is fetched using
+   * one request.
    */
   _this.fetchData = function () {
-    var endtime,
-        sampling_period,
-        starttime;
+    var groups,
+        timeseries;
 
     // abort any existing requests
     _this.abortRequests();
 
+    // make new requests
+    _this.streamUpdate = true;
+    timeseries = _this.getFetchTimeseries();
+    groups = _this.groupByObservatory(timeseries);
+    groups.forEach(_this.fetchGroup);
+
+    _this.updateDerived();
+    _this.updateLoading();
+    _this.trigger('samplingperiod', _this.getSamplingPeriod(
+        _this.config.get('starttime'), _this.config.get('endtime'),
+        timeseries.length));
+  };
+
+  /**
+   * Fetch data for one group of timeseries, using current configuration.
+   *
+   * @param group {Array<Timeseries>}
+   *     timeseries to fetch, all from the same observatory.
+   */
+  _this.fetchGroup = function (group) {
+    var endtime,
+        request,
+        requested,
+        sampling_period,
+        starttime,
+        type;
+
     // figure out requested time
     endtime = _this.config.get('endtime');
     starttime = _this.config.get('starttime');
-    // minutes data by default
-    sampling_period = 60;
-    if (endtime - starttime <= 1800000) {
-      // 30 minutes or less
-      sampling_period = 1;
+    type = _this.config.get('type');
+    requested = _this.config.get('sampling_period') || null;
+    sampling_period = _this.getSamplingPeriod(starttime, endtime,
+        _this.getFetchTimeseries().length);
+
+    request = _this.getTimeseriesRequest({
+      endtime: endtime,
+      requested_sampling_period: (requested === sampling_period ?
+          null : requested),
+      sampling_period: sampling_period,
+      starttime: starttime,
+      timeseries: group,
+      type: type
+    });
+
+    _this.pendingRequests.push(request);
+    _this.startRequests();
+    if (_this.pendingRequests.indexOf(request) !== -1 &&
+        _this.activeRequests.indexOf(request) === -1) {
+      // show queued requests as loading until they start
+      request.setStatus('loading');
     }
 
-    // make new requests
-    _this.timeseries.data().forEach(function (timeseries) {
-      var request;
-
-      request = _this.getTimeseriesRequest({
-        endtime: endtime,
-        sampling_period: sampling_period,
-        starttime: starttime,
-        timeseries: timeseries
+    _this.updateLoading();
+  };
+
+  /**
+   * Find the queued request with the highest priority.
+   *
+   * @return {TimeseriesManagerRequest}
+   *     queued request with the lowest priority number, first queued
+   *     when equal, or null if no requests are queued.
+   */
+  _this.getNextRequest = function () {
+    var next,
+        priority;
+
+    next = null;
+    priority = Infinity;
+    _this.pendingRequests.forEach(function (request) {
+      var p;
+
+      if (_this.activeRequests.indexOf(request) !== -1) {
+        return;
+      }
+      p = _this.getRequestPriority(request);
+      if (next === null || p < priority) {
+        next = request;
+        priority = p;
+      }
+    });
+
+    return next;
+  };
+
+  /**
+   * Get the priority of a request.
+   *
+   * A request has the lowest priority of the displayed timeseries it
+   * fetches, either directly or as inputs of derived timeseries.
+   *
+   * @param request {TimeseriesManagerRequest}
+   *     request to check.
+   * @return {Number}
+   *     priority, lower numbers start first.
+   */
+  _this.getRequestPriority = function (request) {
+    var displayed,
+        priority;
+
+    if (typeof _this.getPriority !== 'function') {
+      return 0;
+    }
+
+    displayed = [];
+    request.timeseries.forEach(function (t) {
+      if (_this.timeseries.get(t.id) === t) {
+        displayed.push(t);
+      }
+      _this.derived.forEach(function (d) {
+        if (d.inputs.indexOf(t) !== -1 &&
+            displayed.indexOf(d.timeseries) === -1) {
+          displayed.push(d.timeseries);
+        }
       });
+    });
+
+    priority = Infinity;
+    displayed.forEach(function (t) {
+      priority = Math.min(priority, _this.getPriority(t));
+    });
+
+    return priority;
+  };
+
+  /**
+   * Choose the sampling period to fetch.
+   *
+   * Uses the configured "sampling_period" when set, otherwise the first
+   * tier in _AUTO_SAMPLING_PERIODS long enough for the interval: one-second
+   * data for 30 minutes or less, minute data up to 7 days, hourly data up
+   * to 366 days, and daily data for longer intervals.
+   * When the data would exceed maxTotalSamples, the next longer sampling
+   * period is used, even when "sampling_period" is configured. Requests
+   * then set the "requested_sampling_period" of each timeseries, and
+   * #fetchData triggers a "samplingperiod" event.
+   *
+   * @param starttime {Date}
+   *     time of first sample.
+   * @param endtime {Date}
+   *     time of last sample.
+   * @param count {Number}
+   *     number of timeseries being fetched.
+   * @return {Number}
+   *     sampling period in seconds.
+   */
+  _this.getSamplingPeriod = function (starttime, endtime, count) {
+    var duration,
+        i,
+        sampling_period;
+
+    duration = (endtime - starttime) / 1000;
+    sampling_period = _this.config.get('sampling_period');
+    if (!sampling_period) {
+      for (i = 0; i < _AUTO_SAMPLING_PERIODS.length; i++) {
+        if (duration <= _AUTO_SAMPLING_PERIODS[i].maxDuration) {
+          sampling_period = _AUTO_SAMPLING_PERIODS[i].sampling_period;
+          break;
+        }
+      }
+    }
+
+    count = Math.max(1, count);
+    for (i = 0; i < _SAMPLING_PERIODS.length &&
+        (duration / sampling_period + 1) * count > _this.maxTotalSamples;
+        i++) {
+      sampling_period = Math.max(sampling_period, _SAMPLING_PERIODS[i]);
+    }
+
+    return sampling_period;
+  };
 
-      _this.pendingRequests.push(request);
-      request.start();
+  /**
+   * Get timeseries that are fetched from the web service.
+   *
+   * @return {Array<Timeseries>}
+   *     timeseries in collection that are not derived,
+   *     and inputs of derived timeseries.
+   */
+  _this.getFetchTimeseries = function () {
+    var derived;
+
+    derived = _this.derived.map(function (d) {
+      return d.timeseries;
     });
+
+    return _this.timeseries.data().filter(function (t) {
+      return derived.indexOf(t) === -1;
+    }).concat(_this.inputTimeseries);
+  };
+
+  /**
+   * Find or create an input for a derived timeseries.
+   *
+   * @param observatoryId {String}
+   *     observatory of input.
+   * @param elementId {String}
+   *     element of input.
+   * @param models {Array<Timeseries>}
+   *     timeseries that will be displayed, reused when they match.
+   * @return {Timeseries}
+   *     input timeseries.
+   */
+  _this.getInputTimeseries = function (observatoryId, elementId, models) {
+    var id,
+        i,
+        input;
+
+    id = observatoryId + '_' + elementId;
+
+    for (i = 0; i < models.length; i++) {
+      if (models[i].id === id) {
+        return models[i];
+      }
+    }
+
+    for (i = 0; i < _this.inputTimeseries.length; i++) {
+      if (_this.inputTimeseries[i].id === id) {
+        return _this.inputTimeseries[i];
+      }
+    }
+
+    input = Timeseries({
+      id: id,
+      element: _this.elements.get(elementId) || {id: elementId},
+      observatory: _this.observatories.get(observatoryId) ||
+          {id: observatoryId},
+      times: [],
+      values: []
+    });
+
+    return input;
   };
 
   /**
@@ -179,12 +530,16 @@ var TimeseriesManager = function (options) {
    * @param options {Object}
    * @param options.endtime {Date}
    *     time of last sample.
+   * @param options.requested_sampling_period {Number}
+   *     configured sampling period, when a longer one is fetched.
    * @param options.sampling_period {Number}
    *     requested sampling_period.
    * @param options.starttime {Date}
    *     time of first sample.
-   * @param options.timeseries {Timeseries}
-   *     timeseries to request.
+   * @param options.timeseries {Array<Timeseries>}
+   *     timeseries to request, all from the same observatory.
+   * @param options.type {String}
+   *     requested data type.
    */
   _this.getTimeseriesRequest = function (options) {
     var request;
@@ -193,30 +548,269 @@ var TimeseriesManager = function (options) {
       callback: _this.onFetchComplete,
       endtime: options.endtime,
       factory: _this.factory,
+      maxRequestSamples: _this.maxRequestSamples,
+      requested_sampling_period: options.requested_sampling_period,
+      retries: _this.requestRetries,
+      retryDelay: _this.requestRetryDelay,
       sampling_period: options.sampling_period,
       starttime: options.starttime,
-      timeseries: options.timeseries
+      timeout: _this.requestTimeout,
+      timeseries: options.timeseries,
+      type: options.type
     });
 
     return request;
   };
 
+  /**
+   * Group timeseries by observatory.
+   *
+   * @param timeseries {Array<Timeseries>}
+   *     timeseries to group.
+   * @return {Array<Array<Timeseries>>}
+   *     one array per observatory, in order of first appearance.
+   */
+  _this.groupByObservatory = function (timeseries) {
+    var groups,
+        index;
+
+    groups = [];
+    index = {};
+    timeseries.forEach(function (t) {
+      var id;
+
+      id = t.get('observatory').id;
+      if (!index.hasOwnProperty(id)) {
+        index[id] = groups.length;
+        groups.push([]);
+      }
+      groups[index[id]].push(t);
+    });
+
+    return groups;
+  };
+
   /**
    * Callback called when request is complete.
    */
   _this.onFetchComplete = function (request) {
+    _this.removeRequest(request);
+
+    _this.updateDerived();
+    _this.startRequests();
+    _this.updateLoading();
+  };
+
+  /**
+   * Timeseries "retry" event handler.
+   *
+   * Fetches data again for all timeseries from the same observatory,
+   * including inputs when the timeseries is derived.
+   *
+   * @param timeseries {Timeseries}
+   *     timeseries to retry.
+   */
+  _this.onRetry = function (timeseries) {
+    var group,
+        observatoryId;
+
+    observatoryId = timeseries.get('observatory').id;
+
+    // abort existing request for observatory
+    _this.pendingRequests.filter(function (request) {
+      return request.timeseries[0].get('observatory').id === observatoryId;
+    }).forEach(_this.removeRequest);
+
+    group = _this.getFetchTimeseries().filter(function (t) {
+      return t.get('observatory').id === observatoryId;
+    });
+    if (group.length > 0) {
+      _this.fetchGroup(group);
+    }
+
+    _this.updateDerived();
+    _this.startRequests();
+    _this.updateLoading();
+  };
+
+  /**
+   * Stream "samples" listener, updates derived timeseries.
+   */
+  _this.onStreamSamples = function () {
+    _this.updateDerived();
+  };
+
+  /**
+   * Remove a request from the queue, and destroy it.
+   *
+   * Destroying a request aborts it if it is active.
+   *
+   * @param request {TimeseriesManagerRequest}
+   *     request to remove.
+   */
+  _this.removeRequest = function (request) {
     var index;
 
-    // remove from pending requests
+    index = _this.activeRequests.indexOf(request);
+    if (index !== -1) {
+      _this.activeRequests.splice(index, 1);
+    }
+
     index = _this.pendingRequests.indexOf(request);
     if (index !== -1) {
       _this.pendingRequests.splice(index, 1);
     }
 
-    // destroy
     request.destroy();
   };
 
+  /**
+   * Start queued requests, highest priority first, while fewer than
+   * maxConcurrentRequests are active.
+   *
+   * Priority is checked each time a request starts, so plots that scroll
+   * into view are fetched next.
+   */
+  _this.startRequests = function () {
+    var next;
+
+    while (_this.activeRequests.length < _this.maxConcurrentRequests) {
+      next = _this.getNextRequest();
+      if (next === null) {
+        // nothing queued
+        break;
+      }
+
+      _this.activeRequests.push(next);
+      // may complete immediately, calling onFetchComplete
+      next.start();
+    }
+  };
+
+  /**
+   * Compute derived timeseries from their inputs.
+   *
+   * The status of a derived timeseries is the first status in _STATUS_ORDER
+   * that is used by any of its inputs.
+   */
+  _this.updateDerived = function () {
+    _this.derived.forEach(function (d) {
+      var data,
+          error,
+          status;
+
+      error = false;
+      status = _STATUS_ORDER.length - 1;
+      d.inputs.forEach(function (input) {
+        var index;
+
+        error = error || input.get('error');
+        index = _STATUS_ORDER.indexOf(input.get('status'));
+        if (index !== -1 && index < status) {
+          status = index;
+        }
+      });
+      status = _STATUS_ORDER[status];
+
+      if (error) {
+        d.timeseries.set({
+          error: error,
+          status: 'error',
+          times: [],
+          values: []
+        });
+        return;
+      }
+
+      data = DerivedElements.calculate(d.element.id, d.inputs,
+          _this.observatories.get(d.observatoryId),
+          _this.plotModel.get('alignment'));
+      d.timeseries.set({
+        error: false,
+        requested_sampling_period:
+            d.inputs[0].get('requested_sampling_period'),
+        sampling_period: d.inputs[0].get('sampling_period'),
+        status: status,
+        times: data.times,
+        type: d.inputs[0].get('type'),
+        values: data.values
+      });
+    });
+  };
+
+  /**
+   * Trigger a "loading" event when pending requests start or finish.
+   *
+   * The stream is updated when requests from #fetchData finish.
+   */
+  _this.updateLoading = function () {
+    var loading;
+
+    loading = (_this.pendingRequests.length > 0);
+    if (!loading && _this.streamUpdate) {
+      _this.streamUpdate = false;
+      _this.updateStream();
+    }
+    if (loading !== _this.loading) {
+      _this.loading = loading;
+      _this.trigger('loading', loading);
+    }
+  };
+
+  /**
+   * Subscribe the stream to fetched timeseries while "timemode" is
+   * "realtime", otherwise unsubscribe.
+   *
+   * Streamed samples start after the last sample with a value, and
+   * timeseries keep the duration of the configured interval.
+   */
+  _this.updateStream = function () {
+    var endtime,
+        since,
+        starttime,
+        timeseries;
+
+    if (_this.stream === null) {
+      return;
+    }
+
+    timeseries = _this.getFetchTimeseries();
+    if (_this.config.get('timemode') !== 'realtime' ||
+        timeseries.length === 0) {
+      _this.stream.unsubscribe();
+      return;
+    }
+
+    endtime = _this.config.get('endtime');
+    starttime = _this.config.get('starttime');
+    since = null;
+    timeseries.forEach(function (t) {
+      var i,
+          times,
+          values;
+
+      times = t.get('times') || [];
+      values = t.get('values') || [];
+      for (i = values.length - 1; i >= 0; i--) {
+        if (values[i] !== null) {
+          break;
+        }
+      }
+      if (i >= 0 && (since === null || times[i] < since)) {
+        since = times[i];
+      }
+    });
+
+    _this.stream.subscribe({
+      maxDuration: endtime - starttime,
+      sampling_period: timeseries[0].get('sampling_period') ||
+          _this.getSamplingPeriod(starttime, endtime, timeseries.length),
+      since: since,
+      timeseries: timeseries,
+      type: _this.config.get('type')
+    });
+  };
+
 
   _initialize(options);
   options = null;
@@ -3,11 +3,90 @@
 var Util = require('util/Util');
 
 
-var _DEFAULTS = {};
+var _DEFAULTS = {
+  maxRequestSamples: 86400,
+  retries: 3,
+  retryDelay: 1000,
+  timeout: 30000
+};
+
+// error used when a request does not complete before the timeout
+var _TIMEOUT_ERROR = 'Request timed out';
 
 
 /**
- * Manage request for a single timeseries.
+ * Merge two sets of samples into one set ordered by time.
+ *
+ * When both sets contain a sample at the same time, the sample from the
+ * second set is used.
+ *
+ * @param times1 {Array<Date>}
+ *     times of first set.
+ * @param values1 {Array<Number>}
+ *     values of first set.
+ * @param times2 {Array<Date>}
+ *     times of second set.
+ * @param values2 {Array<Number>}
+ *     values of second set.
+ * @return {Object}
+ *     obj.times {Array<Date>} merged times.
+ *     obj.values {Array<Number>} merged values.
+ */
+var __mergeData = function (times1, values1, times2, values2) {
+  var i1,
+      i2,
+      t1,
+      t2,
+      times,
+      values;
+
+  i1 = 0;
+  i2 = 0;
+  times = [];
+  values = [];
+
+  while (i1 < times1.length || i2 < times2.length) {
+    t1 = (i1 < times1.length ? times1[i1].getTime() : Infinity);
+    t2 = (i2 < times2.length ? times2[i2].getTime() : Infinity);
+
+    if (t1 < t2) {
+      times.push(times1[i1]);
+      values.push(values1[i1]);
+      i1++;
+    } else {
+      if (t1 === t2) {
+        // replace existing sample
+        i1++;
+      }
+      times.push(times2[i2]);
+      values.push(values2[i2]);
+      i2++;
+    }
+  }
+
+  return {
+    times: times,
+    values: values
+  };
+};
+
+
+/**
+ * Manage request for timeseries from a single observatory.
+ *
+ * All elements are fetched using one web service call, and the response is
+ * split into the matching timeseries using the element of each value.
+ *
+ * Requests that time out, fail to connect, or fail with a server (5xx)
+ * error are retried with exponential backoff. Other errors are not retried.
+ *
+ * Long ranges are split into chunks of at most maxRequestSamples, which
+ * are requested in order and merged as they arrive.
+ *
+ * The "status" of each timeseries is "loading" while data is requested,
+ * then "loaded" or "error" when the request completes, or "idle" if the
+ * request is aborted. Held data that was reused stays displayed when a
+ * request fails.
  *
  * @param options {Object}
  * @param options.callback {Function}
@@ -16,12 +95,31 @@ var _DEFAULTS = {};
  *     time of last sample to fetch.
  * @param options.factory {TimeseriesFactory}
  *     timeseries factory for request.
+ * @param options.maxRequestSamples {Number}
+ *     default 86400.
+ *     maximum number of samples, for all elements, in one web service call.
+ * @param options.requested_sampling_period {Number}
+ *     default null.
+ *     configured sampling period, when sampling_period is longer to limit
+ *     the number of samples. Set on each timeseries with the data.
+ * @param options.retries {Number}
+ *     default 3.
+ *     number of times a failed request is retried.
+ * @param options.retryDelay {Number}
+ *     default 1000.
+ *     milliseconds before first retry, doubled for each later retry.
  * @param options.sampling_period {Number}
  *     sampling period to fetch.
  * @param options.starttime {Date}
  *     time of first sample to fetch.
- * @param options.timeseries {Timeseries}
- *     Timeseries to fetch data into.
+ * @param options.timeseries {Array<Timeseries>}
+ *     Timeseries to fetch data into, all from the same observatory.
+ * @param options.timeout {Number}
+ *     default 30000.
+ *     milliseconds before an incomplete request is aborted,
+ *     or 0 to wait indefinitely.
+ * @param options.type {String}
+ *     data type to fetch, or null for the web service default.
  */
 var TimeseriesManagerRequest = function (options) {
   var _this,
@@ -33,27 +131,68 @@ var TimeseriesManagerRequest = function (options) {
   _initialize = function (options) {
     options = Util.extend({}, _DEFAULTS, options);
 
+    _this.attempts = 0;
     _this.callback = options.callback;
     _this.endtime = options.endtime;
     _this.factory = options.factory;
+    _this.maxRequestSamples = options.maxRequestSamples;
+    _this.range = null;
+    _this.ranges = [];
+    _this.replace = [];
+    _this.requested_sampling_period =
+        options.requested_sampling_period || null;
+    _this.retries = options.retries;
+    _this.retryDelay = options.retryDelay;
+    _this.retryTimer = null;
     _this.sampling_period = options.sampling_period;
     _this.starttime = options.starttime;
-    _this.timeseries = options.timeseries;
+    _this.timeout = options.timeout;
+    _this.timeoutTimer = null;
+    _this.timeseries = options.timeseries || [];
+    _this.type = options.type || null;
     _this.xhr = null;
   };
 
 
   /**
-   * Abort request if still active.
+   * Abort request if still active, including any scheduled retry.
+   *
+   * Status is reset to "idle" when the request was active, or queued and
+   * already marked "loading".
    */
   _this.abort = function () {
-    var xhr;
+    var active,
+        xhr;
+
+    active = (_this.xhr !== null || _this.retryTimer !== null ||
+        _this.timeseries.some(function (timeseries) {
+          return timeseries.get('status') === 'loading';
+        }));
+    _this.clearTimers();
 
     if (_this.xhr !== null) {
       xhr = _this.xhr;
       _this.xhr = null;
       xhr.abort();
     }
+
+    if (active) {
+      _this.setStatus('idle');
+    }
+  };
+
+  /**
+   * Cancel pending timeout and retry.
+   */
+  _this.clearTimers = function () {
+    if (_this.retryTimer !== null) {
+      clearTimeout(_this.retryTimer);
+      _this.retryTimer = null;
+    }
+    if (_this.timeoutTimer !== null) {
+      clearTimeout(_this.timeoutTimer);
+      _this.timeoutTimer = null;
+    }
   };
 
   /**
@@ -66,10 +205,189 @@ var TimeseriesManagerRequest = function (options) {
 
     _this.abort();
 
+    _this.range = null;
+    _this.ranges = null;
+    _this.replace = null;
+    _this.timeseries = null;
+
     _initialize = null;
     _this = null;
   };
 
+  /**
+   * Describe a request error.
+   *
+   * @param err {Number|String|Error}
+   *     http status code, error message, or error thrown while parsing.
+   * @param xhr {XMLHttpRequest}
+   *     the failed request, if any.
+   * @return {String}
+   *     message to display.
+   */
+  _this.formatError = function (err, xhr) {
+    var text;
+
+    if (typeof err === 'number') {
+      if (err === 0) {
+        return 'Unable to connect to web service';
+      }
+      text = (xhr && typeof xhr.responseText === 'string') ?
+          xhr.responseText.trim() : '';
+      return 'Error ' + err + (text ? ': ' + text : '');
+    }
+
+    if (err instanceof Error) {
+      return err.message;
+    }
+
+    // make sure message is truthy
+    return err || 'Error fetching data';
+  };
+
+  /**
+   * Find data already held by a timeseries.
+   *
+   * Held data is only reused when it has the requested sampling period
+   * and data type.
+   * Null values after the last valid sample are treated as missing, so
+   * data that was not yet available (e.g. in realtime mode) is requested
+   * again. Earlier null values were already answered by the web service,
+   * and are reused as gaps.
+   *
+   * @param timeseries {Timeseries}
+   *     timeseries to check.
+   * @return {Object}
+   *     obj.times {Array<Date>}
+   *         held times within the requested interval.
+   *     obj.values {Array<Number>}
+   *         held values within the requested interval.
+   */
+  _this.getCachedData = function (timeseries) {
+    var endtime,
+        first,
+        i,
+        last,
+        starttime,
+        time,
+        times,
+        values;
+
+    endtime = _this.endtime;
+    starttime = _this.starttime;
+    times = timeseries.get('times') || [];
+    values = timeseries.get('values') || [];
+
+    first = -1;
+    last = -1;
+    if (timeseries.get('sampling_period') === _this.sampling_period &&
+        timeseries.get('type') === _this.type &&
+        starttime && endtime) {
+      for (i = 0; i < times.length; i++) {
+        time = times[i];
+        if (time < starttime || time > endtime) {
+          continue;
+        }
+        if (first === -1) {
+          first = i;
+        }
+        if (values[i] !== null) {
+          last = i;
+        }
+      }
+    }
+
+    if (last === -1) {
+      // nothing to reuse
+      return {
+        times: [],
+        values: []
+      };
+    }
+
+    return {
+      times: times.slice(first, last + 1),
+      values: values.slice(first, last + 1)
+    };
+  };
+
+  /**
+   * Find the portions of the requested interval that still need to be
+   * fetched.
+   *
+   * Since all elements are fetched together, only the interval held by
+   * every timeseries is skipped.
+   *
+   * @param cached {Array<Object>}
+   *     data held by each timeseries, from getCachedData.
+   * @return {Array<Object>}
+   *     intervals to fetch, each with a starttime and endtime.
+   */
+  _this.getMissingRanges = function (cached) {
+    var endtime,
+        first,
+        last,
+        period,
+        ranges,
+        starttime;
+
+    endtime = _this.endtime;
+    starttime = _this.starttime;
+
+    first = -Infinity;
+    last = Infinity;
+    cached.forEach(function (data) {
+      var times = data.times;
+
+      if (times.length === 0) {
+        first = Infinity;
+        last = -Infinity;
+      } else {
+        first = Math.max(first, times[0].getTime());
+        last = Math.min(last, times[times.length - 1].getTime());
+      }
+    });
+
+    if (cached.length === 0 || first > last) {
+      // nothing to reuse
+      return [{
+        endtime: endtime,
+        starttime: starttime
+      }];
+    }
+
+    period = _this.sampling_period * 1000;
+    ranges = [];
+    if (first - period >= starttime.getTime()) {
+      ranges.push({
+        endtime: new Date(first - period),
+        starttime: starttime
+      });
+    }
+    if (last + period <= endtime.getTime()) {
+      ranges.push({
+        endtime: endtime,
+        starttime: new Date(last + period)
+      });
+    }
+
+    return ranges;
+  };
+
+  /**
+   * Check whether a failed request should be retried.
+   *
+   * @param err {Number|String|Error}
+   *     http status code, error message, or error thrown while parsing.
+   * @return {Boolean}
+   *     true for timeouts, connection failures, and server errors.
+   */
+  _this.isRetryable = function (err) {
+    if (err === _TIMEOUT_ERROR) {
+      return true;
+    }
+    return (typeof err === 'number' && (err === 0 || err >= 500));
+  };
+
   /**
    * Callback after request is complete, successfully or not.
    */
@@ -82,17 +400,60 @@ var TimeseriesManagerRequest = function (options) {
   /**
    * Callback after request error.
    *
-   * @param err
+   * @param err {Number|String|Error}
+   *     http status code, error message, or error thrown while parsing.
+   * @param xhr {XMLHttpRequest}
+   *     the failed request, if any.
    */
-  _this.onError = function (err) {
-    // request is complete
+  _this.onError = function (err, xhr) {
+    if (_this.xhr === null) {
+      // request was aborted
+      return;
+    }
+
+    _this.clearTimers();
     _this.xhr = null;
+    _this.onFailure(err, xhr);
+  };
 
-    _this.timeseries.set({
-      // make sure "error" is truthy
-      error: err || 'Error fetching data',
-      times: [],
-      values: []
+  /**
+   * Retry the current range, or give up and set the timeseries error.
+   *
+   * Held data that was reused stays displayed, other held data is
+   * discarded because it has a different sampling period, data type, or
+   * interval.
+   *
+   * @param err {Number|String|Error}
+   *     http status code, error message, or error thrown while parsing.
+   * @param xhr {XMLHttpRequest}
+   *     the failed request, if any.
+   */
+  _this.onFailure = function (err, xhr) {
+    var error;
+
+    if (_this.isRetryable(err) && _this.attempts < _this.retries) {
+      _this.retry();
+      return;
+    }
+
+    // request is complete
+    _this.ranges = [];
+
+    error = _this.formatError(err, xhr);
+    _this.timeseries.forEach(function (timeseries, index) {
+      if (_this.replace[index] === false) {
+        timeseries.set({
+          error: error,
+          status: 'error'
+        });
+      } else {
+        timeseries.set({
+          error: error,
+          status: 'error',
+          times: [],
+          values: []
+        });
+      }
     });
 
     _this.onDone();
@@ -101,63 +462,257 @@ var TimeseriesManagerRequest = function (options) {
   /**
    * Callback after request completes successfully.
    *
+   * Splits the response by element, and merges each element into data
+   * already held by the matching timeseries, then requests the next
+   * missing range, if any.
+   *
    * @param response {TimeseriesResponse}
    *     the response.
    */
   _this.onLoad = function (response) {
-    var times,
-        values;
+    var byElement,
+        status,
+        times;
 
-    // request is complete
-    _this.xhr = null;
+    if (_this.xhr === null) {
+      // request was aborted
+      return;
+    }
+
+    _this.clearTimers();
 
     times = response.get('times').map(function (t) {
       return new Date(Date.parse(t));
     });
 
-    values = response.get('values');
-    if (values && values.length > 0) {
-      values = values[0];
-      values = values.values;
-    } else {
-      values = [];
-    }
+    status = (_this.ranges.length > 0 ? 'loading' : 'loaded');
+    byElement = {};
+    (response.get('values') || []).forEach(function (value) {
+      var element;
+
+      element = (value.metadata && value.metadata.element) || value.id;
+      byElement[element] = value.values;
+    });
 
-    _this.timeseries.set({
-      error: false,
-      times: times,
-      values: values
+    _this.timeseries.forEach(function (timeseries, index) {
+      var merged,
+          values;
+
+      values = byElement[timeseries.get('element').id];
+      if (!values) {
+        // element missing from response, treat as gap
+        values = times.map(function () { return null; });
+      }
+
+      if (_this.replace[index] !== false) {
+        // held data was not reused, discard it
+        _this.replace[index] = false;
+        merged = {
+          times: times,
+          values: values
+        };
+      } else {
+        merged = __mergeData(timeseries.get('times') || [],
+            timeseries.get('values') || [], times, values);
+      }
+
+      timeseries.set({
+        error: false,
+        requested_sampling_period: _this.requested_sampling_period,
+        sampling_period: _this.sampling_period,
+        status: status,
+        times: merged.times,
+        type: _this.type,
+        values: merged.values
+      });
     });
 
+    // request is complete
+    _this.attempts = 0;
+    _this.xhr = null;
+
+    if (_this.ranges.length > 0) {
+      _this.requestRange(_this.ranges.shift());
+      return;
+    }
+
     _this.onDone();
   };
 
   /**
-   * Request data.
+   * Timeout callback, aborts the current request and retries it.
+   *
+   * Status stays "loading" while the request is retried.
    */
-  _this.start = function () {
-    var timeseries;
+  _this.onTimeout = function () {
+    var xhr;
 
-    if (_this.xhr) {
-      // only make one request at a time
-      _this.abort();
+    _this.clearTimers();
+    if (_this.xhr !== null) {
+      xhr = _this.xhr;
+      _this.xhr = null;
+      xhr.abort();
     }
+    _this.onFailure(_TIMEOUT_ERROR, null);
+  };
 
-    timeseries = _this.timeseries;
-    // TODO: clear timeseries data or set loading status
-    //     may be bad if updating, but other portions of interface will already
-    //     display new starttime/endtime
-
-    // TODO: check data already in timeseries and/or incrementally request.
+  /**
+   * Request one range of data.
+   *
+   * @param range {Object}
+   *     range.starttime {Date} time of first sample to fetch.
+   *     range.endtime {Date} time of last sample to fetch.
+   */
+  _this.requestRange = function (range) {
+    _this.range = range;
     _this.xhr = _this.factory.getTimeseries({
-      elements: timeseries.get('element').id,
-      id: timeseries.get('observatory').id,
-      endtime: _this.endtime,
-      starttime: _this.starttime,
+      elements: _this.timeseries.map(function (timeseries) {
+        return timeseries.get('element').id;
+      }),
+      id: _this.timeseries[0].get('observatory').id,
+      endtime: range.endtime,
+      starttime: range.starttime,
       sampling_period: _this.sampling_period,
+      type: _this.type,
       callback: _this.onLoad,
       errback: _this.onError
     });
+
+    if (_this.timeout > 0) {
+      _this.timeoutTimer = setTimeout(_this.onTimeout, _this.timeout);
+    }
+  };
+
+  /**
+   * Request the current range again, after a delay that doubles with each
+   * attempt.
+   */
+  _this.retry = function () {
+    var delay;
+
+    delay = _this.retryDelay * Math.pow(2, _this.attempts);
+    _this.attempts++;
+    _this.retryTimer = setTimeout(function () {
+      _this.retryTimer = null;
+      _this.requestRange(_this.range);
+    }, delay);
+  };
+
+  /**
+   * Set the status of all timeseries.
+   *
+   * @param status {String}
+   *     'idle', 'loading', 'loaded', or 'error'.
+   */
+  _this.setStatus = function (status) {
+    _this.timeseries.forEach(function (timeseries) {
+      if (timeseries.get('status') !== status) {
+        timeseries.set({
+          status: status
+        });
+      }
+    });
+  };
+
+  /**
+   * Split ranges into chunks the web service can return in one call.
+   *
+   * @param ranges {Array<Object>}
+   *     intervals to fetch, each with a starttime and endtime.
+   * @return {Array<Object>}
+   *     intervals to fetch, in order, each with at most maxRequestSamples
+   *     for all elements.
+   */
+  _this.splitRanges = function (ranges) {
+    var chunks,
+        count,
+        period;
+
+    period = _this.sampling_period * 1000;
+    // samples per element in each chunk
+    count = Math.max(1, Math.floor(_this.maxRequestSamples /
+        Math.max(1, _this.timeseries.length)));
+    if (!period || !isFinite(count)) {
+      return ranges;
+    }
+
+    chunks = [];
+    ranges.forEach(function (range) {
+      var end,
+          start;
+
+      end = range.endtime.getTime();
+      start = range.starttime.getTime();
+      while (start + count * period <= end) {
+        chunks.push({
+          endtime: new Date(start + (count - 1) * period),
+          starttime: new Date(start)
+        });
+        start += count * period;
+      }
+      // last chunk
+      chunks.push({
+        endtime: range.endtime,
+        starttime: (start === range.starttime.getTime() ?
+            range.starttime : new Date(start))
+      });
+    });
+
+    return chunks;
+  };
+
+  /**
+   * Request data.
+   *
+   * Only portions of the interval that are not already held by the
+   * timeseries are requested. Held data outside the interval is discarded,
+   * and held data inside the interval remains displayed while the missing
+   * portions load.
+   */
+  _this.start = function () {
+    var cached;
+
+    // only make one request at a time, queued requests stay loading
+    if (_this.xhr !== null || _this.retryTimer !== null) {
+      _this.abort();
+    }
+    _this.attempts = 0;
+
+    cached = _this.timeseries.map(function (timeseries) {
+      var data;
+
+      data = _this.getCachedData(timeseries);
+      if (data.times.length > 0 &&
+          data.times.length !== timeseries.get('times').length) {
+        // discard data outside the requested interval
+        timeseries.set({
+          times: data.times,
+          values: data.values
+        });
+      }
+      return data;
+    });
+    _this.ranges = _this.splitRanges(_this.getMissingRanges(cached));
+
+    if (_this.ranges.length === 0) {
+      // everything is already loaded
+      _this.timeseries.forEach(function (timeseries) {
+        timeseries.set({
+          requested_sampling_period: _this.requested_sampling_period
+        });
+      });
+      _this.setStatus('loaded');
+      _this.onDone();
+      return;
+    }
+
+    _this.setStatus('loading');
+
+    // when nothing is reused, existing data stays displayed until replaced
+    _this.replace = cached.map(function (data) {
+      return (data.times.length === 0);
+    });
+    _this.requestRange(_this.ranges.shift());
   };
 
 
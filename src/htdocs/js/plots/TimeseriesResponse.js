@@ -5,9 +5,6 @@ var Model = require('mvc/Model'),
     Timeseries = require('plots/Timeseries');
 
 
-var _ID_SEQUENCE = 0;
-
-
 /**
  * Wrapper for Timeseries webservice response.
  *
@@ -20,14 +17,112 @@ var TimeseriesResponse = function (options) {
 
   _this = Model(options);
 
+  /**
+   * Get coordinates of observatory.
+   *
+   * @return {Array<Number>}
+   *         [longitude, latitude, elevation], or null if not available.
+   */
+  _this.getCoordinates = function () {
+    var imo;
+
+    imo = _this.getIntermagnet().imo || {};
+    return imo.coordinates || null;
+  };
+
+  /**
+   * Get type of data.
+   *
+   * @return {String}
+   *         data type, e.g. "variation", or null if not available.
+   */
+  _this.getDataType = function () {
+    return _this.getIntermagnet().data_type || null;
+  };
+
+  /**
+   * Get element ids in this response.
+   *
+   * @return {Array<String>}
+   *         element ids, in response order.
+   */
+  _this.getElements = function () {
+    return (_this.get('values') || []).map(function (value) {
+      return _this.getValueMetadata(value).element || value.id;
+    });
+  };
+
+  /**
+   * Get IAGA code of observatory.
+   *
+   * @return {String}
+   *         IAGA code, e.g. "BOU", or null if not available.
+   */
+  _this.getIagaCode = function () {
+    var imo;
+
+    imo = _this.getIntermagnet().imo || {};
+    return imo.iaga_code || null;
+  };
+
+  /**
+   * Get intermagnet metadata.
+   *
+   * @return {Object}
+   *         "metadata.intermagnet" object, or an empty object
+   *         if not available.
+   */
+  _this.getIntermagnet = function () {
+    var metadata;
+
+    metadata = _this.get('metadata') || {};
+    return metadata.intermagnet || {};
+  };
+
+  /**
+   * Get orientation of reported data.
+   *
+   * @return {String}
+   *         reported orientation, e.g. "XYZF", or null if not available.
+   */
+  _this.getReportedOrientation = function () {
+    return _this.getIntermagnet().reported_orientation || null;
+  };
+
+  /**
+   * Get sampling period.
+   *
+   * @return {Number}
+   *         sampling period in seconds, or null if not available.
+   */
+  _this.getSamplingPeriod = function () {
+    return _this.getIntermagnet().sampling_period || null;
+  };
+
+  /**
+   * Get orientation of sensor.
+   *
+   * @return {String}
+   *         sensor orientation, e.g. "HDZF", or null if not available.
+   */
+  _this.getSensorOrientation = function () {
+    return _this.getIntermagnet().sensor_orientation || null;
+  };
+
   /**
    * Get Timeseries objects.
    *
+   * Each Timeseries has an id of the form "observatory_element",
+   * along with element, observatory, flag, type and
+   * sampling_period attributes.
+   *
    * @return {Array<Timeseries>}
    *         All of the Timeseries objects in this response
    */
   _this.getTimeseries = function () {
-    var times,
+    var dataType,
+        samplingPeriod,
+        times,
         timeseries;
 
     timeseries = [];
@@ -36,11 +131,28 @@ var TimeseriesResponse = function (options) {
       return new Date(Date.parse(t));
     });
 
+    dataType = _this.getDataType();
+    samplingPeriod = _this.getSamplingPeriod();
+
     _this.get('values').forEach(function (element) {
+      var elementId,
+          metadata,
+          observatory;
+
+      metadata = _this.getValueMetadata(element);
+      elementId = metadata.element || element.id;
+      observatory = metadata.station || _this.getIagaCode();
+
       timeseries.push(
         Timeseries({
-          id: _ID_SEQUENCE++,
+          id: observatory + '_' + elementId,
+          element: {id: elementId},
+          flag: metadata.flag || null,
+          metadata: metadata,
+          observatory: {id: observatory},
+          sampling_period: samplingPeriod,
           times: times,
+          type: dataType,
           values: element.values
         })
       );
@@ -49,6 +161,33 @@ var TimeseriesResponse = function (options) {
     return timeseries;
   };
 
+  /**
+   * Get metadata for one entry of values.
+   *
+   * @param value {Object|String}
+   *        entry from values, or element id of entry.
+   * @return {Object}
+   *         value metadata with element, network, station, location and
+   *         flag properties, or an empty object if not available.
+   */
+  _this.getValueMetadata = function (value) {
+    var id;
+
+    if (typeof value === 'string') {
+      id = value;
+      value = null;
+      (_this.get('values') || []).some(function (v) {
+        if ((v.metadata && v.metadata.element) === id || v.id === id) {
+          value = v;
+          return true;
+        }
+        return false;
+      });
+    }
+
+    return (value && value.metadata) || {};
+  };
+
   options = null;
   return _this;
 };
@@ -1,16 +1,37 @@
 'use strict';
 
 
-var Collection = require('mvc/Collection'),
+var AgencyView = require('plots/AgencyView'),
+    AlignmentView = require('plots/AlignmentView'),
+    BaselineView = require('plots/BaselineView'),
+    Collection = require('mvc/Collection'),
     CompactSelectView = require('plots/CompactSelectView'),
+    FilterView = require('plots/FilterView'),
     Formatter = require('util/Formatter'),
+    InterpolationView = require('plots/InterpolationView'),
+    Model = require('mvc/Model'),
+    OutlierView = require('plots/OutlierView'),
+    Products = require('plots/Products'),
     ScaleView = require('plots/ScaleView'),
     Util = require('util/Util'),
     View = require('mvc/View');
 
 
 var DEFAULTS = {
-  observatories: null
+  observatories: null,
+  samplingPeriods: [
+    {display: 'Auto', value: ''},
+    {display: '1 Second', value: 1},
+    {display: '1 Minute', value: 60},
+    {display: '1 Hour', value: 3600},
+    {display: '1 Day', value: 86400}
+  ],
+  types: [
+    {display: 'Variation', value: 'variation'},
+    {display: 'Adjusted', value: 'adjusted'},
+    {display: 'Quasi-Definitive', value: 'quasi-definitive'},
+    {display: 'Definitive', value: 'definitive'}
+  ]
 };
 
 
@@ -19,19 +40,39 @@ var DEFAULTS = {
  *
  * @param options {Object}
  *        all options are passed to View.
+ * @param options.allObservatories {Collection}
+ *        default options.observatories.
+ *        all loaded observatories, used to choose agencies,
+ *        see AgencyView.
  * @param options.elements {Array<String>}
  *        element names.
  * @param options.config {Model}.
  *        configuration model to update.
+ *        "agencies" is updated by AgencyView.
  * @param options.observatories {Array<String>}
  *        default array of 14 observatories.
  *        observatory codes.
+ * @param options.plotModel {Model}
+ *        default Model().
+ *        plot options, updated by ScaleView, AlignmentView,
+ *        InterpolationView, BaselineView, FilterView and OutlierView.
+ * @param options.samplingPeriods {Array<Object>}
+ *        sampling periods to choose from.
+ *        Each should be an object with "display" and "value" properties,
+ *        where value is seconds, or '' to choose automatically.
+ * @param options.types {Array<Object>}
+ *        data types to choose from.
+ *        Each type should be an object with "display" and "value" properties.
  */
 var TimeseriesSelectView = function (options) {
   var _this,
       _initialize,
       // variables
+      _agencyView,
+      _alignmentView,
       _autoUpdateTimeout,
+      _baselineView,
+      _clearCacheButton,
       _config,
       _elements,
       _elementsEl,
@@ -39,15 +80,23 @@ var TimeseriesSelectView = function (options) {
       _endTime,
       _endTimeError,
       _endTimeErrorLabel,
+      _filterView,
+      _interpolationView,
       _observatories,
       _observatoriesEl,
       _observatoriesView,
       _onElementSelect,
+      _onObservatoriesReset,
       _onObservatorySelect,
+      _outlierView,
+      _samplingPeriodEl,
+      _samplingPeriodLimitEl,
+      _samplingPeriods,
       _scaleView,
       _startTime,
       _startTimeError,
       _startTimeErrorLabel,
+      _streaming,
       _timeCustom,
       _timeEl,
       _timeError,
@@ -55,10 +104,14 @@ var TimeseriesSelectView = function (options) {
       _timePrevious,
       _timePastday,
       _timeRealtime,
+      _typeEl,
       // methods
+      _onClearCacheClick,
       _onModeChanged,
+      _onSamplingPeriodChange,
       _onTimeChange,
-      _onTimeIncrement;
+      _onTimeIncrement,
+      _onTypeChange;
 
 
   _this = View(options);
@@ -71,14 +124,43 @@ var TimeseriesSelectView = function (options) {
     _elements = options.elements || Collection();
 
     _observatories = options.observatories || Collection();
-    _this.plotModel = options.plotModel;
+    _samplingPeriods = options.samplingPeriods;
+    _this.plotModel = options.plotModel || Model();
     _autoUpdateTimeout = null;
+    _streaming = false;
 
     el = _this.el;
     el.classList.add('timeseries-selectview');
     el.innerHTML =
         '<div class="timeseries-elements"></div>' +
         '<div class="timeseries-observatories"></div>' +
+        '<div class="agency-view"></div>' +
+        '<h3>Data Type</h3>' +
+        '<div class="timeseries-type">' +
+          options.types.map(function (type) {
+            return '<input type="radio" name="type" ' +
+                'id="type-' + type.value + '" ' +
+                'value="' + type.value + '" />' +
+              '<label for="type-' + type.value + '">' +
+                type.display +
+              '</label>';
+          }).join('') +
+        '</div>' +
+        '<h3>Sampling Period</h3>' +
+        '<div class="timeseries-sampling-period">' +
+          options.samplingPeriods.map(function (period) {
+            var id;
+
+            id = 'sampling-period-' + (period.value || 'auto');
+            return '<input type="radio" name="sampling_period" ' +
+                'id="' + id + '" ' +
+                'value="' + period.value + '" />' +
+              '<label for="' + id + '">' +
+                period.display +
+              '</label>';
+          }).join('') +
+        '</div>' +
+        '<div class="sampling-period-limit"></div>' +
         '<h3>Time</h3>' +
         '<div class="timeseries-time">' +
           '<input type="radio" name="timemode" id="time-realtime" ' +
@@ -112,8 +194,15 @@ var TimeseriesSelectView = function (options) {
             '</button>' +
           '</div>' +
           '<div class="scale-view"></div>' +
-        '</div>';
-
+        '</div>' +
+        '<div class="alignment-view"></div>' +
+        '<div class="interpolation-view"></div>' +
+        '<div class="baseline-view"></div>' +
+        '<div class="filter-view"></div>' +
+        '<div class="outlier-options-view"></div>' +
+        '<button type="button" class="clear-cache">Clear Cache</button>';
+
+    _clearCacheButton = el.querySelector('.clear-cache');
     _elementsEl = el.querySelector('.timeseries-elements');
 
     _endTime = el.querySelector('#time-endtime');
@@ -137,8 +226,13 @@ var TimeseriesSelectView = function (options) {
     _startTimeErrorLabel = el.querySelector('.starttime-error-label');
     _timeError = el.querySelector('.time-input > .time-error');
 
+    _samplingPeriodEl = el.querySelector('.timeseries-sampling-period');
+    _samplingPeriodLimitEl = el.querySelector('.sampling-period-limit');
+    _typeEl = el.querySelector('.timeseries-type');
+
     _config.on('change', _this.render);
     _elements.on('select', _onElementSelect);
+    _observatories.on('reset', _onObservatoriesReset);
     _observatories.on('select', _onObservatorySelect);
 
     _timeRealtime.addEventListener('change', _onModeChanged);
@@ -151,6 +245,9 @@ var TimeseriesSelectView = function (options) {
     _startTime.addEventListener('change', _onTimeChange);
     _endTime.addEventListener('change', _onTimeChange);
 
+    _samplingPeriodEl.addEventListener('change', _onSamplingPeriodChange);
+    _typeEl.addEventListener('change', _onTypeChange);
+    _clearCacheButton.addEventListener('click', _onClearCacheClick);
 
     _elementsView = CompactSelectView({
       collection: _elements,
@@ -164,15 +261,53 @@ var TimeseriesSelectView = function (options) {
       title: 'Observatory'
     });
 
+    _agencyView = AgencyView({
+      el: _this.el.querySelector('.agency-view'),
+      model: _config,
+      observatories: options.allObservatories || _observatories
+    });
+
     _scaleView = ScaleView({
       el: _this.el.querySelector('.scale-view'),
       model: _this.plotModel
     });
 
+    _alignmentView = AlignmentView({
+      el: _this.el.querySelector('.alignment-view'),
+      model: _this.plotModel
+    });
+
+    _interpolationView = InterpolationView({
+      el: _this.el.querySelector('.interpolation-view'),
+      model: _this.plotModel
+    });
+
+    _baselineView = BaselineView({
+      el: _this.el.querySelector('.baseline-view'),
+      model: _this.plotModel
+    });
+
+    _filterView = FilterView({
+      el: _this.el.querySelector('.filter-view'),
+      model: _this.plotModel
+    });
+
+    _outlierView = OutlierView({
+      el: _this.el.querySelector('.outlier-options-view'),
+      model: _this.plotModel
+    });
+
     // initial render
     _this.render();
   };
 
+  /**
+   * Clear cache button click handler.
+   */
+  _onClearCacheClick = function () {
+    _this.onClearCacheClick();
+  };
+
   /**
    * Calls _this.onElementSelect()
    */
@@ -180,6 +315,13 @@ var TimeseriesSelectView = function (options) {
     _this.onElementSelect();
   };
 
+  /**
+   * Calls public function onObservatoriesReset
+   */
+  _onObservatoriesReset = function () {
+    _this.onObservatoriesReset();
+  };
+
   /**
    * Calls public function onObservatorySelect
    */
@@ -202,6 +344,13 @@ var TimeseriesSelectView = function (options) {
     }
   };
 
+  /**
+   * Sampling period radio button change handler.
+   */
+  _onSamplingPeriodChange = function (e) {
+    _this.onSamplingPeriodChange(e);
+  };
+
   /**
    * Time text input change handler.
    */
@@ -219,17 +368,31 @@ var TimeseriesSelectView = function (options) {
     _this.onTimeIncrement(e);
   };
 
+  /**
+   * Data type radio button change handler.
+   */
+  _onTypeChange = function (e) {
+    _this.onTypeChange(e);
+  };
+
   /**
    * Destroy this view.
    */
   _this.destroy = Util.compose(function () {
     _this.clearAutoUpdateTimeout();
+    _agencyView.destroy();
+    _alignmentView.destroy();
+    _baselineView.destroy();
     _elementsView.destroy();
+    _filterView.destroy();
+    _interpolationView.destroy();
+    _outlierView.destroy();
     _scaleView.destroy();
     _observatoriesView.destroy();
 
     _config.off('change', _this.render);
     _elements.off('select', _onElementSelect);
+    _observatories.off('reset', _onObservatoriesReset);
     _observatories.off('select', _onObservatorySelect);
 
     _timeRealtime.removeEventListener('change', _onModeChanged);
@@ -242,7 +405,16 @@ var TimeseriesSelectView = function (options) {
     _startTime.removeEventListener('change', _onTimeChange);
     _endTime.removeEventListener('change', _onTimeChange);
 
+    _samplingPeriodEl.removeEventListener('change',
+        _onSamplingPeriodChange);
+    _typeEl.removeEventListener('change', _onTypeChange);
+    _clearCacheButton.removeEventListener('click', _onClearCacheClick);
+
     // variables
+    _agencyView = null;
+    _alignmentView = null;
+    _baselineView = null;
+    _clearCacheButton = null;
     _config = null;
     _elements = null;
     _elementsEl = null;
@@ -250,15 +422,23 @@ var TimeseriesSelectView = function (options) {
     _endTime = null;
     _endTimeError = null;
     _endTimeErrorLabel = null;
+    _filterView = null;
+    _interpolationView = null;
     _observatories = null;
     _observatoriesEl = null;
     _observatoriesView = null;
     _onElementSelect = null;
+    _onObservatoriesReset = null;
     _onObservatorySelect = null;
+    _outlierView = null;
+    _samplingPeriodEl = null;
+    _samplingPeriodLimitEl = null;
+    _samplingPeriods = null;
     _scaleView = null;
     _startTime = null;
     _startTimeError = null;
     _startTimeErrorLabel = null;
+    _streaming = null;
     _timeCustom = null;
     _timeEl = null;
     _timeError = null;
@@ -266,10 +446,14 @@ var TimeseriesSelectView = function (options) {
     _timePrevious = null;
     _timePastday = null;
     _timeRealtime = null;
+    _typeEl = null;
 
     // methods
+    _onClearCacheClick = null;
+    _onSamplingPeriodChange = null;
     _onTimeChange = null;
     _onTimeIncrement = null;
+    _onTypeChange = null;
 
     _this = null;
   }, _this.destroy);
@@ -284,51 +468,78 @@ var TimeseriesSelectView = function (options) {
     }
   };
 
+  /**
+   * Handles clicks on the clear cache button.
+   *
+   * Triggers a "clearcache" event.
+   */
+  _this.onClearCacheClick = function () {
+    _this.trigger('clearcache');
+  };
+
   /**
    * Maintains the relationship between "elements" and "observatories" when
    * an item is selected in the "element" collection.
    *
    * Sets the config model with the selected "element" id, and removes any
-   * selected "observatories".
+   * selected "observatories". Products are only included when they
+   * display the selected element.
    */
   _this.onElementSelect = function () {
+    var element;
+
     if (_observatories.getSelected()) {
       _observatories.deselect();
     }
 
+    element = _elements.getSelected().id;
+
     // This set will trigger the render
     _config.set({
-      'observatories': _observatories.data().map(function (o) { return o.id; }),
-      'elements': [_elements.getSelected().id]
+      'observatories': Products.filterObservatories(
+          _observatories.data().map(function (o) { return o.id; }),
+          element),
+      'elements': [element]
     });
   };
 
+  /**
+   * Updates displayed observatories when the observatory list changes,
+   * for example when agencies change, and an element is selected.
+   *
+   * A selected observatory is reselected by the collection when it is still
+   * listed.
+   */
+  _this.onObservatoriesReset = function () {
+    if (_elements.getSelected()) {
+      _this.onElementSelect();
+    }
+  };
+
   /**
    * Maintains the relationship between "elements" and "observatories" when
    * an item is selected in the "observatory" collection.
    *
    * Sets the config model with the selected "observatory" id, and removes any
-   * selected "observatories".
+   * selected "observatories". Products display their own elements.
    */
   _this.onObservatorySelect = function () {
+    var elements,
+        observatory;
+
     // only set to null if, not already null
     if (_elements.getSelected()) {
       _elements.deselect();
     }
 
-    // special case, only display "Dist" when "USGS" is selected
-    if (_observatories.getSelected().id === 'USGS') {
-      _config.set({
-        'elements': ['MSD'],
-        'observatories': ['USGS']
-      });
-      return;
-    }
+    observatory = _observatories.getSelected().id;
+    elements = Products.getElements(observatory) ||
+        _elements.data().map(function (e) { return e.id; });
 
     // This set will trigger the render
     _config.set({
-      'elements': _elements.data().map(function (e) { return e.id; }),
-      'observatories': [_observatories.getSelected().id]
+      'elements': elements,
+      'observatories': [observatory]
     });
   };
 
@@ -377,6 +588,20 @@ var TimeseriesSelectView = function (options) {
     });
   };
 
+  /**
+   * Handles changes in sampling period inputs.
+   *
+   * @param e {Event}
+   *    change event from a sampling period radio button.
+   */
+  _this.onSamplingPeriodChange = function (e) {
+    if (e.target && e.target.checked) {
+      _config.set({
+        sampling_period: parseInt(e.target.value, 10) || null
+      });
+    }
+  };
+
   /**
    * Handles changes in time(s) inputs.
    */
@@ -403,6 +628,20 @@ var TimeseriesSelectView = function (options) {
     }
   };
 
+  /**
+   * Handles changes in data type inputs.
+   *
+   * @param e {Event}
+   *    change event from a data type radio button.
+   */
+  _this.onTypeChange = function (e) {
+    if (e.target && e.target.checked) {
+      _config.set({
+        type: e.target.value
+      });
+    }
+  };
+
   /**
    * Parse a date string.
    *
@@ -448,12 +687,29 @@ var TimeseriesSelectView = function (options) {
   _this.render = function () {
     var endTime,
         now,
+        samplingPeriod,
+        samplingPeriodInput,
         startTime,
-        timeMode;
+        timeMode,
+        type,
+        typeInput;
 
     endTime = _config.get('endtime');
+    samplingPeriod = _config.get('sampling_period') || '';
     startTime = _config.get('starttime');
     timeMode = _config.get('timemode');
+    type = _config.get('type');
+
+    samplingPeriodInput = _samplingPeriodEl.querySelector(
+        '[value="' + samplingPeriod + '"]');
+    if (samplingPeriodInput) {
+      samplingPeriodInput.checked = true;
+    }
+
+    typeInput = _typeEl.querySelector('[value="' + type + '"]');
+    if (typeInput) {
+      typeInput.checked = true;
+    }
 
     _endTime.value = Formatter.formatDate(endTime);
     _startTime.value = Formatter.formatDate(startTime);
@@ -511,6 +767,7 @@ var TimeseriesSelectView = function (options) {
    * Sets the config time to "Realtime"
    *
    * Realtime is defined as the current 15 minutes.
+   * The time is updated every 30 seconds, unless samples are streaming.
    */
   _this.setRealtime= function() {
     var endtime,
@@ -527,7 +784,66 @@ var TimeseriesSelectView = function (options) {
       timemode: 'realtime'
     });
 
-    _autoUpdateTimeout = setTimeout(_this.setRealtime, 30000);
+    if (!_streaming) {
+      _autoUpdateTimeout = setTimeout(_this.setRealtime, 30000);
+    }
+  };
+
+  /**
+   * Show when the selected sampling period is replaced by a longer one,
+   * because the data would exceed the sample limit.
+   *
+   * @param samplingPeriod {Number}
+   *        sampling period being fetched, in seconds.
+   */
+  _this.setSamplingPeriodLimit = function (samplingPeriod) {
+    var display,
+        selected;
+
+    display = function (value) {
+      var match;
+
+      match = _samplingPeriods.filter(function (period) {
+        return period.value === value;
+      })[0];
+      return match ? match.display : value + ' s';
+    };
+
+    selected = _config.get('sampling_period');
+    if (!selected || !samplingPeriod || selected === samplingPeriod) {
+      _samplingPeriodLimitEl.innerHTML = '';
+      _samplingPeriodLimitEl.classList.remove('alert');
+    } else {
+      _samplingPeriodLimitEl.innerHTML = display(selected) +
+          ' data exceeds the sample limit for this interval, using ' +
+          display(samplingPeriod) + '.';
+      _samplingPeriodLimitEl.classList.add('alert');
+    }
+  };
+
+  /**
+   * Set whether realtime samples are streaming.
+   *
+   * Streaming stops realtime updates, and updates start again when
+   * streaming stops.
+   *
+   * @param streaming {Boolean}
+   *        whether samples are streaming.
+   */
+  _this.setStreaming = function (streaming) {
+    streaming = !!streaming;
+    if (streaming === _streaming) {
+      return;
+    }
+
+    _streaming = streaming;
+    if (_config.get('timemode') === 'realtime') {
+      if (_streaming) {
+        _this.clearAutoUpdateTimeout();
+      } else {
+        _this.setRealtime();
+      }
+    }
   };
 
   /**
@@ -0,0 +1,425 @@
+'use strict';
+
+
+var Events = require('util/Events'),
+    Util = require('util/Util'),
+    Xhr = require('util/Xhr');
+
+
+var _DEFAULTS = {
+  connectTimeout: 30000,
+  EventSource: (typeof window === 'undefined' ? null : window.EventSource),
+  fallbackDelay: 300000,
+  maxErrors: 3,
+  reconnectDelay: 1000,
+  url: '/ws/edge/stream/'
+};
+
+// EventSource readyState when the connection will not be retried
+var _CLOSED = 2;
+
+
+/**
+ * Stream new samples for subscribed timeseries, using server sent events.
+ *
+ * Each message is a json object for one observatory and element:
+ *     {
+ *       "id": "BOU",
+ *       "element": "H",
+ *       "times": ["2016-01-01T00:00:00Z", ...],
+ *       "values": [20123.4, ...]
+ *     }
+ * Samples are added to the matching timeseries using
+ * Timeseries#appendSamples.
+ *
+ * Closed connections are opened again, waiting reconnectDelay milliseconds
+ * and doubling the delay after each error. A connection that does not open
+ * within connectTimeout milliseconds counts as an error. After maxErrors
+ * errors without a message, or when EventSource is not supported, the
+ * stream status is "fallback" and callers should poll instead. Subscribing
+ * again while in fallback only reconnects after fallbackDelay milliseconds.
+ *
+ * Triggers a "status" event, with the new status, when status changes:
+ * "closed", "connecting", "open", or "fallback".
+ * Triggers a "reopen" event when a connection opens again after an open
+ * connection failed, samples sent in between may have been missed.
+ * Triggers a "samples" event, with the changed timeseries, after samples
+ * are added.
+ *
+ * @param options {Object}
+ * @param options.connectTimeout {Number}
+ *     default 30000.
+ *     milliseconds to wait for a connection to open.
+ * @param options.EventSource {Function}
+ *     default window.EventSource.
+ *     EventSource constructor.
+ * @param options.fallbackDelay {Number}
+ *     default 300000.
+ *     milliseconds before reconnecting after falling back to polling.
+ * @param options.maxErrors {Number}
+ *     default 3.
+ *     number of errors before falling back to polling.
+ * @param options.reconnectDelay {Number}
+ *     default 1000.
+ *     milliseconds before first reconnect, doubled for each later error.
+ * @param options.url {String}
+ *     default '/ws/edge/stream/'.
+ *     stream url.
+ */
+var TimeseriesStream = function (options) {
+  var _this,
+      _initialize,
+
+      _connectTimeout,
+      _connectTimer,
+      _EventSource,
+      _errors,
+      _fallbackDelay,
+      _fallbackTime,
+      _maxDuration,
+      _maxErrors,
+      _onError,
+      _onMessage,
+      _onOpen,
+      _query,
+      _reconnectDelay,
+      _reconnectTimeout,
+      _reopen,
+      _source,
+      _timeseries,
+      _url;
+
+
+  _this = Events();
+
+  _initialize = function (options) {
+    options = Util.extend({}, _DEFAULTS, options);
+
+    _connectTimeout = options.connectTimeout;
+    _connectTimer = null;
+    _EventSource = options.EventSource;
+    _errors = 0;
+    _fallbackDelay = options.fallbackDelay;
+    _fallbackTime = null;
+    _maxErrors = options.maxErrors;
+    _query = null;
+    _reconnectDelay = options.reconnectDelay;
+    _reconnectTimeout = null;
+    _reopen = false;
+    _source = null;
+    _timeseries = {};
+    _url = options.url;
+
+    _this.status = 'closed';
+  };
+
+
+  /**
+   * Private EventSource error listener.
+   * This method only calls the public version `_this.onError`.
+   */
+  _onError = function () {
+    _this.onError();
+  };
+
+  /**
+   * Private EventSource message listener.
+   * This method only calls the public version `_this.onMessage`.
+   */
+  _onMessage = function (evt) {
+    _this.onMessage(evt);
+  };
+
+  /**
+   * Private EventSource open listener.
+   * This method only calls the public version `_this.onOpen`.
+   */
+  _onOpen = function () {
+    _this.onOpen();
+  };
+
+
+  /**
+   * Stop waiting for a connection to open.
+   */
+  _this.clearConnectTimer = function () {
+    if (_connectTimer !== null) {
+      clearTimeout(_connectTimer);
+      _connectTimer = null;
+    }
+  };
+
+  /**
+   * Close the current connection, if any.
+   */
+  _this.close = function () {
+    _this.clearConnectTimer();
+    if (_reconnectTimeout !== null) {
+      clearTimeout(_reconnectTimeout);
+      _reconnectTimeout = null;
+    }
+    if (_source !== null) {
+      _source.removeEventListener('error', _onError);
+      _source.removeEventListener('message', _onMessage);
+      _source.removeEventListener('open', _onOpen);
+      _source.close();
+      _source = null;
+    }
+  };
+
+  /**
+   * Open a connection for the current subscription.
+   */
+  _this.connect = function () {
+    _this.close();
+
+    if (typeof _EventSource !== 'function') {
+      _this.setStatus('fallback');
+      return;
+    }
+
+    _source = new _EventSource(_this.getUrl());
+    _source.addEventListener('error', _onError);
+    _source.addEventListener('message', _onMessage);
+    _source.addEventListener('open', _onOpen);
+    _this.setStatus('connecting');
+    _this.startConnectTimer();
+  };
+
+  /**
+   * Free references.
+   */
+  _this.destroy = Util.compose(function () {
+    if (_this === null) {
+      return;
+    }
+
+    _this.close();
+
+    _EventSource = null;
+    _onError = null;
+    _onMessage = null;
+    _onOpen = null;
+    _query = null;
+    _timeseries = null;
+
+    _initialize = null;
+    _this = null;
+  }, _this.destroy);
+
+  /**
+   * Get the key used to find the timeseries for a message.
+   *
+   * @param id {String}
+   *     observatory id.
+   * @param element {String}
+   *     element id.
+   * @return {String}
+   *     key, e.g. "BOU/H".
+   */
+  _this.getKey = function (id, element) {
+    return id + '/' + element;
+  };
+
+  /**
+   * Get the url for the current subscription.
+   *
+   * @return {String}
+   *     stream url, with subscription in the query string.
+   */
+  _this.getUrl = function () {
+    return _url + (_url.indexOf('?') === -1 ? '?' : '&') +
+        Xhr.urlEncode(_query);
+  };
+
+  /**
+   * Connect timeout handler.
+   *
+   * Closes the connection that did not open, and counts an error.
+   */
+  _this.onConnectTimeout = function () {
+    _connectTimer = null;
+    _this.close();
+    _this.onError();
+  };
+
+  /**
+   * EventSource error handler.
+   *
+   * Counts the error, and falls back to polling after maxErrors.
+   * When the EventSource will not retry on its own, a new connection is
+   * opened after a delay.
+   */
+  _this.onError = function () {
+    _errors++;
+    if (_this.status === 'open') {
+      _reopen = true;
+    }
+
+    if (_errors >= _maxErrors) {
+      _this.close();
+      _fallbackTime = new Date().getTime();
+      _this.setStatus('fallback');
+    } else if (_source === null || _source.readyState === _CLOSED) {
+      _this.close();
+      _this.setStatus('connecting');
+      _reconnectTimeout = setTimeout(_this.connect,
+          _reconnectDelay * Math.pow(2, _errors - 1));
+    } else {
+      // EventSource is reconnecting
+      _this.setStatus('connecting');
+      if (_connectTimer === null) {
+        _this.startConnectTimer();
+      }
+    }
+  };
+
+  /**
+   * EventSource message handler.
+   *
+   * Adds samples to the subscribed timeseries.
+   *
+   * @param evt {MessageEvent}
+   *     message, with json data.
+   */
+  _this.onMessage = function (evt) {
+    var data,
+        timeseries;
+
+    _this.onOpen();
+
+    try {
+      data = JSON.parse(evt.data);
+    } catch (e) {
+      return;
+    }
+
+    timeseries = _timeseries[_this.getKey(data.id, data.element)];
+    if (!timeseries || !data.times || !data.values) {
+      return;
+    }
+
+    if (timeseries.appendSamples(
+        data.times.map(function (time) {
+          return new Date(time);
+        }),
+        data.values,
+        {maxDuration: _maxDuration})) {
+      _this.trigger('samples', timeseries);
+    }
+  };
+
+  /**
+   * EventSource open handler.
+   *
+   * Triggers "reopen" when an open connection failed since the last open.
+   */
+  _this.onOpen = function () {
+    _errors = 0;
+    _this.clearConnectTimer();
+    _this.setStatus('open');
+    if (_reopen) {
+      _reopen = false;
+      _this.trigger('reopen');
+    }
+  };
+
+  /**
+   * Update status, and trigger "status" event when it changes.
+   *
+   * @param status {String}
+   *     new status.
+   */
+  _this.setStatus = function (status) {
+    if (status !== _this.status) {
+      _this.status = status;
+      _this.trigger('status', status);
+    }
+  };
+
+  /**
+   * Count an error when the connection does not open within
+   * connectTimeout.
+   */
+  _this.startConnectTimer = function () {
+    _this.clearConnectTimer();
+    _connectTimer = setTimeout(_this.onConnectTimeout, _connectTimeout);
+  };
+
+  /**
+   * Subscribe to samples for timeseries, replacing any earlier
+   * subscription.
+   *
+   * @param options {Object}
+   * @param options.maxDuration {Number}
+   *     optional, milliseconds of samples kept in each timeseries.
+   * @param options.sampling_period {Number}
+   *     sampling period in seconds.
+   * @param options.since {Date}
+   *     optional, samples after this time are sent first.
+   * @param options.timeseries {Array<Timeseries>}
+   *     timeseries to update.
+   * @param options.type {String}
+   *     data type.
+   */
+  _this.subscribe = function (options) {
+    var subscribe;
+
+    _timeseries = {};
+    subscribe = [];
+    options.timeseries.forEach(function (t) {
+      var key;
+
+      key = _this.getKey(t.get('observatory').id, t.get('element').id);
+      if (!_timeseries.hasOwnProperty(key)) {
+        _timeseries[key] = t;
+        subscribe.push(key);
+      }
+    });
+
+    if (subscribe.length === 0) {
+      _this.unsubscribe();
+      return;
+    }
+
+    _maxDuration = options.maxDuration || null;
+    _query = {
+      sampling_period: options.sampling_period,
+      subscribe: subscribe.join(','),
+      type: options.type
+    };
+    if (options.since) {
+      _query.since = options.since.toISOString();
+    }
+
+    if (_this.status === 'fallback' && _fallbackTime !== null &&
+        new Date().getTime() - _fallbackTime < _fallbackDelay) {
+      // keep polling
+      return;
+    }
+
+    _errors = 0;
+    _fallbackTime = null;
+    _reopen = false;
+    _this.connect();
+  };
+
+  /**
+   * Stop streaming.
+   */
+  _this.unsubscribe = function () {
+    _this.close();
+    _query = null;
+    _reopen = false;
+    _timeseries = {};
+    _this.setStatus('closed');
+  };
+
+
+  _initialize(options);
+  options = null;
+  return _this;
+};
+
+
+module.exports = TimeseriesStream;
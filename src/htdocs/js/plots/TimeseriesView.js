@@ -4,18 +4,48 @@ var Model = require('mvc/Model'),
     Util = require('util/Util'),
     View = require('mvc/View'),
 
-    D3TimeseriesView = require('plots/D3TimeseriesView');
+    Baseline = require('plots/Baseline'),
+    D3TimeseriesView = require('plots/D3TimeseriesView'),
+    Filters = require('plots/Filters'),
+    Interpolation = require('plots/Interpolation'),
+    Outliers = require('plots/Outliers'),
+    Timeseries = require('plots/Timeseries');
+
+
+// maximum number of suspect samples listed
+var _MAX_OUTLIERS = 20;
 
 
 /**
  * Display a Timeseries Response model.
  *
+ * When the timeseries has an error, the error is displayed with a button
+ * that triggers a "retry" event on the timeseries, above any data still
+ * held by the timeseries.
+ * While the timeseries status is "loading", the view has a "loading" class
+ * and any data already shown is styled as stale.
+ *
+ * The plot model "interpolation" and "interpolationMaxGap" attributes
+ * choose how short gaps are filled, see Interpolation#fill. Filled samples
+ * are drawn dashed and marked in the tooltip.
+ * The plot model "filters" attribute chooses filters applied to plotted
+ * values, see Filters#apply. The plot model "baseline" and
+ * "baselineConstant" attributes then choose a baseline that is removed,
+ * see Baseline#apply.
+ *
+ * When the plot model "outlierThreshold" attribute is set, suspect samples
+ * are found in the unfiltered values, see Outliers#detect. They are drawn
+ * as markers and listed with buttons that move the tooltip to each one.
+ * When "outlierExclude" is true, they are left out of the y extent.
+ *
  * @param options {Object}
  *        all options are passed to View.
  * @param options.el {DOMElement}
  *        parent element to attach the TimeseriesView elements to.
  * @param options.height {Integer}
  *        optional, initial height of the plotted data trace.
+ * @param options.plotModel {Model}
+ *        optional, model shared by all plots.
  * @param options.timeseries {Array<Timeseries>}
  *        timeseries to display.
  * @param options.width {Integer}
@@ -25,11 +55,25 @@ var TimeseriesView = function (options) {
   var _this,
       _initialize,
 
+      _baseline,
+      _display,
+      _errorMessageEl,
       _errorViewEl,
       _height,
+      _onBaselineChange,
+      _onFiltersChange,
+      _onInterpolationChange,
+      _onOutlierClick,
+      _onOutliersChange,
+      _outliers,
+      _outlierViewEl,
+      _onRetryClick,
+      _onTimeseriesChange,
       _metaViewEl,
-      _onTimeseriesError,
       _plotModel,
+      _process,
+      _processed,
+      _retryButton,
       _timeseries,
       _trace,
       _traceViewEl,
@@ -48,6 +92,11 @@ var TimeseriesView = function (options) {
     _timeseries = options.timeseries;
     _width = options.width || 960;   // 480 looks better for mobile
     _plotModel = options.plotModel || Model();
+    _baseline = null;
+    _outliers = [];
+    _processed = {};
+    // plotted data, with baseline removed
+    _display = Timeseries();
 
     el = _this.el;
     el.classList.add('timeseries-view');
@@ -55,18 +104,25 @@ var TimeseriesView = function (options) {
     el.innerHTML =
         '<div class="meta-view"></div>' +
         '<div class="error-view alert error">' +
-          '<p>Failed to load timeseries data.</p>' +
+          '<p class="error-message"></p>' +
+          '<button type="button" class="retry">Retry</button>' +
         '</div>' +
-        '<div class="trace-view"></div>';
+        '<div class="trace-view"></div>' +
+        '<div class="outlier-view"></div>';
 
+    _errorMessageEl = el.querySelector('.error-message');
     _errorViewEl = el.querySelector('.error-view');
+    _retryButton = el.querySelector('.retry');
+    _retryButton.addEventListener('click', _onRetryClick);
     _metaViewEl = el.querySelector('.meta-view');
     _traceViewEl = el.querySelector('.trace-view');
+    _outlierViewEl = el.querySelector('.outlier-view');
+    _outlierViewEl.addEventListener('click', _onOutlierClick);
 
     _trace = D3TimeseriesView({
       plotModel: _plotModel,
       el: _traceViewEl,
-      data: _timeseries,
+      data: _display,
       // title: meta.observatory,
       height: _height,
       width: _width,
@@ -80,10 +136,120 @@ var TimeseriesView = function (options) {
       yAxisTooltip: _this.formatTooltipValue
     });
 
-    _timeseries.on('change', _this.render);
+    _timeseries.on('change', _onTimeseriesChange);
+    _plotModel.on('change:baseline', _onBaselineChange);
+    _plotModel.on('change:baselineConstant', _onBaselineChange);
+    _plotModel.on('change:filters', _onFiltersChange);
+    _plotModel.on('change:interpolation', _onInterpolationChange);
+    _plotModel.on('change:interpolationMaxGap', _onInterpolationChange);
+    _plotModel.on('change:outlierExclude', _onOutliersChange);
+    _plotModel.on('change:outlierThreshold', _onOutliersChange);
     _this.render();
   };
 
+  /**
+   * Plot model baseline change listener.
+   */
+  _onBaselineChange = function () {
+    _this.render();
+  };
+
+  /**
+   * Plot model filters change listener.
+   */
+  _onFiltersChange = function () {
+    _this.render();
+  };
+
+  /**
+   * Plot model interpolation change listener.
+   */
+  _onInterpolationChange = function () {
+    _this.render();
+  };
+
+  /**
+   * Suspect sample list click handler.
+   *
+   * @param e {Event}
+   *        click event.
+   */
+  _onOutlierClick = function (e) {
+    var index;
+
+    index = e.target.getAttribute('data-index');
+    if (index !== null) {
+      _this.onOutlierClick(parseInt(index, 10));
+    }
+  };
+
+  /**
+   * Plot model outlier change listener.
+   */
+  _onOutliersChange = function () {
+    _this.render();
+  };
+
+  /**
+   * Timeseries "change" listener.
+   *
+   * Status only changes do not redraw the plot.
+   *
+   * @param changes {Object}
+   *        changed attributes.
+   */
+  _onTimeseriesChange = function (changes) {
+    var keys;
+
+    keys = Object.keys(changes || {});
+    if (keys.length === 1 && keys[0] === 'status') {
+      _this.renderStatus();
+    } else {
+      _this.render();
+    }
+  };
+
+  /**
+   * Retry button click handler.
+   */
+  _onRetryClick = function () {
+    _this.onRetry();
+  };
+
+  /**
+   * Run one processing step, reusing its last result when its data and
+   * options are unchanged.
+   *
+   * @param step {String}
+   *        name of step.
+   * @param data {Array<Array>}
+   *        input arrays, compared by reference.
+   * @param options {Object}
+   *        step options, compared by value.
+   * @param compute {Function}
+   *        called with no arguments to compute the result.
+   * @return {Object}
+   *         result of compute.
+   */
+  _process = function (step, data, options, compute) {
+    var last;
+
+    options = JSON.stringify(options);
+    last = _processed[step];
+    if (last && last.options === options &&
+        last.data.every(function (d, i) { return d === data[i]; })) {
+      return last.result;
+    }
+
+    last = {
+      data: data,
+      options: options,
+      result: compute()
+    };
+    _processed[step] = last;
+    return last.result;
+  };
+
   /**
    * Format ticks shown on y axis.
    *
@@ -109,7 +275,7 @@ var TimeseriesView = function (options) {
 
     if (y === _yExtent[0] || y === _yExtent[1]) {
       // display min/max
-      return y.toFixed(1) + ' ' + units;
+      return _this.formatValue(y.toFixed(1)) + ' ' + units;
     } else {
       // display range in middle
       range = _yExtent[1] - _yExtent[0];
@@ -140,13 +306,37 @@ var TimeseriesView = function (options) {
    * Destroy this view.
    */
   _this.destroy = Util.compose(function () {
-    _timeseries.off('change', _this.render);
+    _timeseries.off('change', _onTimeseriesChange);
+    _plotModel.off('change:baseline', _onBaselineChange);
+    _plotModel.off('change:baselineConstant', _onBaselineChange);
+    _plotModel.off('change:filters', _onFiltersChange);
+    _plotModel.off('change:interpolation', _onInterpolationChange);
+    _plotModel.off('change:interpolationMaxGap', _onInterpolationChange);
+    _plotModel.off('change:outlierExclude', _onOutliersChange);
+    _plotModel.off('change:outlierThreshold', _onOutliersChange);
+    _outlierViewEl.removeEventListener('click', _onOutlierClick);
+    _retryButton.removeEventListener('click', _onRetryClick);
     _trace.destroy();
 
+    _baseline = null;
+    _display = null;
+    _errorMessageEl = null;
+    _errorViewEl = null;
     _height = null;
     _metaViewEl = null;
-    _onTimeseriesError = null;
+    _onBaselineChange = null;
+    _onFiltersChange = null;
+    _onInterpolationChange = null;
+    _onOutlierClick = null;
+    _onOutliersChange = null;
+    _outliers = null;
+    _outlierViewEl = null;
+    _onRetryClick = null;
+    _onTimeseriesChange = null;
     _plotModel = null;
+    _process = null;
+    _processed = null;
+    _retryButton = null;
     _timeseries = null;
     _trace = null;
     _traceViewEl = null;
@@ -159,6 +349,65 @@ var TimeseriesView = function (options) {
     _this = null;
   }, _this.destroy);
 
+  /**
+   * Format the removed baseline for display.
+   *
+   * @return {String}
+   *         description of removed baseline, or empty string when no
+   *         baseline is removed.
+   */
+  _this.formatBaseline = function () {
+    var element,
+        mode,
+        units;
+
+    if (_baseline === null || _baseline.offsets === null) {
+      return '';
+    }
+
+    element = _timeseries.get('element') || {};
+    units = element.properties ? element.properties.units : 'nT';
+    mode = Baseline.get(_plotModel.get('baseline'));
+
+    return '− ' + mode.display +
+        (_baseline.offset !== null ?
+          ' (' + _baseline.offset.toFixed(1) + ' ' + units + ')' : '');
+  };
+
+  /**
+   * Format a plotted value, marking values that have a baseline removed.
+   *
+   * @param value {Number|String}
+   *        value to format.
+   * @return {String}
+   *         value, prefixed with "Δ" when a baseline is removed.
+   */
+  _this.formatValue = function (value) {
+    if (_baseline !== null && _baseline.offsets !== null) {
+      return 'Δ' + value;
+    }
+    return '' + value;
+  };
+
+  /**
+   * Format a sampling period for display.
+   *
+   * @param period {Number}
+   *        sampling period in seconds.
+   * @return {String}
+   *         formatted period, e.g. "1 min".
+   */
+  _this.formatSamplingPeriod = function (period) {
+    if (period === 86400) {
+      return '1 day';
+    } else if (period === 3600) {
+      return '1 hour';
+    } else if (period === 60) {
+      return '1 min';
+    }
+    return period + ' s';
+  };
+
   _this.formatTooltipValue = function (value) {
     var element,
         units;
@@ -166,16 +415,52 @@ var TimeseriesView = function (options) {
     element = _timeseries.get('element') || {};
     units = element.properties ? element.properties.units : 'nT';
 
-    return value + ' ' + units;
+    return _this.formatValue(value) + ' ' + units;
+  };
+
+  /**
+   * Move the tooltip to a suspect sample.
+   *
+   * @param index {Number}
+   *        index of sample.
+   */
+  _this.onOutlierClick = function (index) {
+    var times;
+
+    times = _timeseries.get('times') || [];
+    if (times[index]) {
+      _plotModel.set({tooltipX: times[index]});
+    }
+  };
+
+  /**
+   * Request timeseries data again.
+   */
+  _this.onRetry = function () {
+    _timeseries.trigger('retry', _timeseries);
   };
 
   _this.render = function () {
-    var element,
+    var baseline,
+        element,
         elementDisplay,
-        observatory;
+        error,
+        filters,
+        hasData,
+        observatory,
+        requested,
+        samplingPeriod,
+        type;
 
     element = _timeseries.get('element') || {};
     observatory = _timeseries.get('observatory') || {};
+    requested = _timeseries.get('requested_sampling_period');
+    samplingPeriod = _timeseries.get('sampling_period');
+    type = _timeseries.get('type');
+
+    _this.updateData();
+    baseline = _this.formatBaseline();
+    filters = Filters.format(_plotModel.get('filters'));
 
     elementDisplay = (element.properties && element.properties.abbreviation) ?
       element.properties.abbreviation :
@@ -183,15 +468,180 @@ var TimeseriesView = function (options) {
 
     _metaViewEl.innerHTML =
         '<span class="observatory">' + observatory.id + '</span>' +
-        '<span class="channel">' + elementDisplay + '</span>';
-
-    // render D3TimeseriesView, or show error
-    if (_timeseries && _timeseries.get('error')) {
+        '<span class="channel">' + elementDisplay + '</span>' +
+        (type ? '<span class="type">' + type + '</span>' : '') +
+        (samplingPeriod ?
+          (requested ?
+            // selected sampling period was replaced by a longer one
+            '<span class="sampling-period limited" title="' +
+                _this.formatSamplingPeriod(requested) +
+                ' data exceeds the sample limit">' +
+              _this.formatSamplingPeriod(samplingPeriod) + '*' +
+            '</span>' :
+            '<span class="sampling-period">' +
+              _this.formatSamplingPeriod(samplingPeriod) +
+            '</span>') : '') +
+        (filters ? '<span class="filters">' + filters + '</span>' : '') +
+        (baseline ? '<span class="baseline">' + baseline + '</span>' : '');
+
+    // render D3TimeseriesView, and error with any held data
+    error = _timeseries.get('error');
+    hasData = ((_timeseries.get('times') || []).length > 0);
+    if (error) {
+      _errorMessageEl.textContent = 'Failed to load timeseries data' +
+          (typeof error === 'string' ? ': ' + error : '.');
       _errorViewEl.classList.add('show');
     } else {
       _errorViewEl.classList.remove('show');
+    }
+    if (error && hasData) {
+      _errorViewEl.classList.add('with-data');
+    } else {
+      _errorViewEl.classList.remove('with-data');
+    }
+    if (!error || hasData) {
       _trace.render();
     }
+
+    _this.renderOutliers();
+
+    _this.renderStatus();
+  };
+
+  /**
+   * Get the number of seconds between samples.
+   *
+   * @return {Number}
+   *         timeseries sampling period, or the interval between the first
+   *         two samples when not set.
+   */
+  _this.getSamplingPeriod = function () {
+    var times;
+
+    times = _timeseries.get('times') || [];
+    if (_timeseries.get('sampling_period')) {
+      return _timeseries.get('sampling_period');
+    } else if (times.length > 1) {
+      return (times[1].getTime() - times[0].getTime()) / 1000;
+    }
+    return null;
+  };
+
+  /**
+   * Update plotted data from the timeseries, filling short gaps, applying
+   * the filters, then removing the baseline selected by the plot model.
+   *
+   * Each step is only repeated when its input data or options change.
+   */
+  _this.updateData = function () {
+    var extentData,
+        interpolation,
+        options,
+        threshold,
+        times,
+        values;
+
+    times = _timeseries.get('times') || [];
+    values = _timeseries.get('values') || [];
+    threshold = _plotModel.get('outlierThreshold');
+    _outliers = _process('outliers', [values], threshold, function () {
+      return (threshold ?
+          Outliers.detect(values, {threshold: threshold}) : []);
+    });
+
+    options = {
+      maxGap: _plotModel.get('interpolationMaxGap'),
+      method: _plotModel.get('interpolation')
+    };
+    interpolation = _process('interpolation', [times, values], options,
+        function () {
+          return Interpolation.fill(times, values, options);
+        });
+
+    options = {
+      filters: _plotModel.get('filters'),
+      samplingPeriod: _this.getSamplingPeriod()
+    };
+    values = _process('filters', [times, interpolation.values], options,
+        function () {
+          return Filters.apply(times, interpolation.values,
+              options.filters, options.samplingPeriod);
+        });
+
+    options = {
+      baseline: _plotModel.get('baseline'),
+      baselineConstant: _plotModel.get('baselineConstant')
+    };
+    _baseline = _process('baseline', [times, values], options, function () {
+      return Baseline.apply(times, values,
+          options.baseline, options.baselineConstant);
+    });
+
+    _display.set({
+      times: times,
+      values: _baseline.values
+    });
+
+    extentData = null;
+    if (_plotModel.get('outlierExclude') && _outliers.length > 0) {
+      values = _baseline.values.slice();
+      _outliers.forEach(function (index) {
+        values[index] = null;
+      });
+      extentData = Timeseries({
+        times: times,
+        values: values
+      });
+    }
+
+    _trace.model.set({
+      extentData: extentData,
+      interpolated: interpolation.interpolated,
+      outliers: _outliers
+    }, {silent: true});
+  };
+
+  /**
+   * List suspect samples.
+   */
+  _this.renderOutliers = function () {
+    var times,
+        values;
+
+    if (_outliers.length === 0) {
+      _outlierViewEl.innerHTML = '';
+      return;
+    }
+
+    times = _display.get('times');
+    values = _display.get('values');
+    _outlierViewEl.innerHTML =
+        '<span class="outlier-count">' +
+          _outliers.length + ' suspect sample' +
+          (_outliers.length === 1 ? '' : 's') +
+        '</span>' +
+        '<ul class="no-style">' +
+          _outliers.slice(0, _MAX_OUTLIERS).map(function (index) {
+            return '<li>' +
+                '<button type="button" data-index="' + index + '">' +
+                  times[index].toISOString().replace('.000Z', 'Z') +
+                  (values[index] === null ? '' :
+                    ' ' + _this.formatTooltipValue(values[index])) +
+                '</button>' +
+              '</li>';
+          }).join('') +
+        '</ul>';
+  };
+
+  /**
+   * Show whether timeseries data is loading.
+   */
+  _this.renderStatus = function () {
+    if (_timeseries.get('status') === 'loading') {
+      _this.el.classList.add('loading');
+    } else {
+      _this.el.classList.remove('loading');
+    }
   };
 
 
@@ -0,0 +1,134 @@
+'use strict';
+
+
+var Util = require('util/Util'),
+    Xhr = require('util/Xhr');
+
+
+var _DEFAULTS = {
+  AbortController: (typeof window === 'undefined' ?
+      null : window.AbortController),
+  fetch: (typeof window === 'undefined' ? null : window.fetch)
+};
+
+
+/**
+ * Transport that makes requests using the fetch api.
+ *
+ * @param options {Object}
+ * @param options.AbortController {Function}
+ *     default window.AbortController.
+ *     used to cancel requests when available.
+ * @param options.fetch {Function}
+ *     default window.fetch.
+ *     fetch function.
+ * @see XhrTransport#get
+ */
+var FetchTransport = function (options) {
+  var _this,
+      _initialize,
+
+      _AbortController,
+      _fetch;
+
+
+  _this = {};
+
+  _initialize = function (options) {
+    options = Util.extend({}, _DEFAULTS, options);
+    _AbortController = options.AbortController;
+    _fetch = options.fetch;
+  };
+
+
+  /**
+   * Free references.
+   */
+  _this.destroy = function () {
+    _AbortController = null;
+    _fetch = null;
+
+    _initialize = null;
+    _this = null;
+  };
+
+  /**
+   * Make a GET request.
+   *
+   * Responses with a json content type are parsed, others are text.
+   *
+   * @see XhrTransport#get
+   */
+  _this.get = function (options) {
+    var aborted,
+        controller,
+        url;
+
+    aborted = false;
+    controller = (typeof _AbortController === 'function' ?
+        new _AbortController() : null);
+    url = options.url;
+    if (options.data) {
+      url += (url.indexOf('?') === -1 ? '?' : '&') +
+          Xhr.urlEncode(options.data);
+    }
+
+    _fetch(url, (controller ? {signal: controller.signal} : {}))
+        .then(function (response) {
+          var contentType;
+
+          if (aborted) {
+            return;
+          }
+
+          contentType = response.headers.get('Content-Type');
+          return response.text().then(function (text) {
+            var data;
+
+            if (aborted) {
+              return;
+            }
+            if (response.status !== 200) {
+              options.error(response.status, {responseText: text});
+              return;
+            }
+            try {
+              data = (contentType && contentType.indexOf('json') !== -1) ?
+                  JSON.parse(text) : text;
+            } catch (e) {
+              options.error(e);
+              return;
+            }
+            options.success(data);
+          });
+        }, function () {
+          if (!aborted) {
+            // server not reached
+            options.error(0);
+          }
+        })
+        .catch(function (e) {
+          // thrown by callbacks, or while reading the response
+          if (!aborted) {
+            options.error(e);
+          }
+        });
+
+    return {
+      abort: function () {
+        aborted = true;
+        if (controller) {
+          controller.abort();
+        }
+      }
+    };
+  };
+
+
+  _initialize(options);
+  options = null;
+  return _this;
+};
+
+
+module.exports = FetchTransport;
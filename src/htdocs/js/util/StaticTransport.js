@@ -0,0 +1,119 @@
+'use strict';
+
+
+var Util = require('util/Util');
+
+
+var _DEFAULTS = {
+  delay: 0,
+  responses: {}
+};
+
+
+/**
+ * Transport that answers requests from fixed responses, for tests and
+ * static files.
+ *
+ * @param options {Object}
+ * @param options.delay {Number}
+ *     default 0.
+ *     milliseconds before callbacks are called, they are always called
+ *     asynchronously.
+ * @param options.responses {Object|Function(url, data)}
+ *     default {}.
+ *     responses by url, ignoring query string parameters,
+ *     or a function that returns the response for a url and parameters.
+ *     Undefined responses fail with status 404, and responses that are
+ *     numbers fail with that status.
+ * @see XhrTransport#get
+ */
+var StaticTransport = function (options) {
+  var _this,
+      _initialize,
+
+      _delay,
+      _responses;
+
+
+  _this = {};
+
+  _initialize = function (options) {
+    options = Util.extend({}, _DEFAULTS, options);
+    _delay = options.delay;
+    _responses = options.responses;
+  };
+
+
+  /**
+   * Free references.
+   */
+  _this.destroy = function () {
+    _responses = null;
+
+    _initialize = null;
+    _this = null;
+  };
+
+  /**
+   * Make a GET request.
+   *
+   * @see XhrTransport#get
+   */
+  _this.get = function (options) {
+    var timeout;
+
+    timeout = setTimeout(function () {
+      var response;
+
+      timeout = null;
+      try {
+        response = _this.getResponse(options.url, options.data);
+      } catch (e) {
+        options.error(e);
+        return;
+      }
+
+      if (typeof response === 'undefined') {
+        options.error(404);
+      } else if (typeof response === 'number') {
+        options.error(response);
+      } else {
+        options.success(response);
+      }
+    }, _delay);
+
+    return {
+      abort: function () {
+        if (timeout !== null) {
+          clearTimeout(timeout);
+          timeout = null;
+        }
+      }
+    };
+  };
+
+  /**
+   * Find the response for a request.
+   *
+   * @param url {String}
+   *     requested url.
+   * @param data {Object}
+   *     query string parameters.
+   * @return {Object|String|Number}
+   *     response, status code, or undefined.
+   */
+  _this.getResponse = function (url, data) {
+    if (typeof _responses === 'function') {
+      return _responses(url, data);
+    }
+    return _responses[url];
+  };
+
+
+  _initialize(options);
+  options = null;
+  return _this;
+};
+
+
+module.exports = StaticTransport;
@@ -0,0 +1,80 @@
+'use strict';
+
+
+var Xhr = require('util/Xhr');
+
+
+/**
+ * Transport that makes requests using XMLHttpRequest.
+ *
+ * Transports are used by TimeseriesFactory, and all have a `get` method
+ * with the same options, see #get.
+ */
+var XhrTransport = function () {
+  var _this;
+
+
+  _this = {};
+
+
+  /**
+   * Free references.
+   */
+  _this.destroy = function () {
+    _this = null;
+  };
+
+  /**
+   * Make a GET request.
+   *
+   * @param options {Object}
+   * @param options.data {Object}
+   *     query string parameters.
+   * @param options.error {Function(err, response)}
+   *     called when request fails,
+   *     err is the http status code, 0 when the server is not reached,
+   *     or an Error.
+   *     response, when available, has a `responseText` property.
+   * @param options.success {Function(data)}
+   *     called with the response, parsed when the content type is json.
+   * @param options.url {String}
+   *     url to request.
+   * @return {Object}
+   *     obj.abort {Function} cancel request, callbacks are not called.
+   */
+  _this.get = function (options) {
+    var aborted,
+        xhr;
+
+    aborted = false;
+    xhr = Xhr.ajax({
+      url: options.url,
+      data: options.data,
+      success: function (data) {
+        if (!aborted) {
+          options.success(data);
+        }
+      },
+      error: function (err, xhr) {
+        if (!aborted) {
+          options.error(err, xhr);
+        }
+      }
+    });
+
+    return {
+      abort: function () {
+        aborted = true;
+        if (xhr) {
+          xhr.abort();
+        }
+      }
+    };
+  };
+
+
+  return _this;
+};
+
+
+module.exports = XhrTransport;
@@ -37,6 +37,12 @@ $PROMPTS = array(
     'prompt' => 'Web service port for local development',
     'default' => 80,
     'secure' => false
+  ),
+
+  'MOCK_WS' => array(
+    'prompt' => 'Use local mock web service for development (true/false)',
+    'default' => 'false',
+    'secure' => false
   )
 
 );
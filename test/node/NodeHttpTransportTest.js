@@ -0,0 +1,127 @@
+/* global after, afterEach, before, beforeEach, describe, it */
+'use strict';
+
+var chai = require('chai'),
+    http = require('http'),
+    NodeHttpTransport = require('../../lib/node-http-transport');
+
+
+var expect = chai.expect;
+
+
+describe('NodeHttpTransport', function () {
+  var requests,
+      server,
+      transport,
+      url;
+
+  before(function (done) {
+    server = http.createServer(function (request, response) {
+      requests.push(request);
+      if (request.url.indexOf('/test.json') === 0) {
+        response.writeHead(200, {'Content-Type': 'application/json'});
+        response.end('{"test":true}');
+      } else if (request.url.indexOf('/slow') === 0) {
+        // respond after the request is aborted
+        setTimeout(function () {
+          response.end('slow');
+        }, 50);
+      } else {
+        response.writeHead(400, {'Content-Type': 'text/plain'});
+        response.end('Bad Request');
+      }
+    });
+    server.listen(0, '127.0.0.1', function () {
+      url = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    requests = [];
+    transport = NodeHttpTransport({headers: {'User-Agent': 'test'}});
+  });
+
+  afterEach(function () {
+    transport.destroy();
+  });
+
+  describe('get', function () {
+    it('requests url with data in query string', function (done) {
+      transport.get({
+        url: url + '/test.json',
+        data: {id: 'BOU', elements: 'H,Z'},
+        success: function () {
+          expect(requests[0].url).to.equal(
+              '/test.json?id=BOU&elements=H%2CZ');
+          expect(requests[0].headers['user-agent']).to.equal('test');
+          done();
+        },
+        error: done
+      });
+    });
+
+    it('parses json responses', function (done) {
+      transport.get({
+        url: url + '/test.json',
+        success: function (data) {
+          expect(data).to.deep.equal({test: true});
+          done();
+        },
+        error: done
+      });
+    });
+
+    it('passes status and text of failed responses', function (done) {
+      transport.get({
+        url: url + '/missing',
+        success: function () {
+          done(new Error('expected error'));
+        },
+        error: function (err, response) {
+          expect(err).to.equal(400);
+          expect(response.responseText).to.equal('Bad Request');
+          done();
+        }
+      });
+    });
+
+    it('fails with 0 when the server is not reached', function (done) {
+      // port 1 is reserved, and nothing listens there
+      transport.get({
+        url: 'http://127.0.0.1:1/test.json',
+        success: function () {
+          done(new Error('expected error'));
+        },
+        error: function (err) {
+          expect(err).to.equal(0);
+          done();
+        }
+      });
+    });
+
+    it('aborts without calling callbacks', function (done) {
+      var called;
+
+      called = false;
+      transport.get({
+        url: url + '/slow',
+        success: function () {
+          called = true;
+        },
+        error: function () {
+          called = true;
+        }
+      }).abort();
+
+      setTimeout(function () {
+        expect(called).to.equal(false);
+        done();
+      }, 100);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/* global chai, describe, it */
+'use strict';
+
+
+var AgencyView = require('plots/AgencyView'),
+    Collection = require('mvc/Collection'),
+    Model = require('mvc/Model');
+
+
+var expect = chai.expect;
+
+
+var _OBSERVATORIES = [
+  {
+    id: 'BOU',
+    properties: {
+      agency: 'USGS',
+      agency_name: 'United States Geological Survey (USGS)'
+    }
+  },
+  {
+    id: 'OTT',
+    properties: {
+      agency: 'GSC',
+      agency_name: 'Geological Survey of Canada (GSC)'
+    }
+  },
+  {
+    id: 'FRD',
+    properties: {
+      agency: 'USGS',
+      agency_name: 'United States Geological Survey (USGS)'
+    }
+  }
+];
+
+
+describe('plots/AgencyView', function () {
+  describe('constructor', function () {
+    it('is defined', function () {
+      expect(typeof AgencyView).to.equal('function');
+    });
+
+    it('can be destroyed', function () {
+      var view;
+
+      view = AgencyView();
+      expect(view.destroy).to.not.throw(Error);
+    });
+  });
+
+  describe('getAgencies', function () {
+    it('lists distinct agencies by name', function () {
+      var view;
+
+      view = AgencyView({observatories: Collection(_OBSERVATORIES.slice())});
+      expect(view.getAgencies().map(function (a) { return a.id; }))
+          .to.deep.equal(['GSC', 'USGS']);
+      view.destroy();
+    });
+  });
+
+  describe('renderAgencies', function () {
+    it('updates agencies when observatories load', function () {
+      var observatories,
+          view;
+
+      observatories = Collection();
+      view = AgencyView({
+        model: Model({agencies: ['USGS']}),
+        observatories: observatories
+      });
+      expect(view.el.querySelectorAll('input').length).to.equal(0);
+
+      observatories.reset(_OBSERVATORIES.slice());
+      expect(view.el.querySelectorAll('input').length).to.equal(2);
+      expect(view.el.querySelector('[value="USGS"]').checked).to.equal(true);
+      expect(view.el.querySelector('[value="GSC"]').checked).to.equal(false);
+      view.destroy();
+    });
+  });
+
+  describe('onChange', function () {
+    it('sets model agencies', function () {
+      var input,
+          model,
+          view;
+
+      model = Model({agencies: ['USGS']});
+      view = AgencyView({
+        model: model,
+        observatories: Collection(_OBSERVATORIES.slice())
+      });
+
+      input = view.el.querySelector('[value="GSC"]');
+      input.checked = true;
+      view.onChange({target: input});
+      expect(model.get('agencies')).to.deep.equal(['GSC', 'USGS']);
+
+      view.destroy();
+    });
+
+    it('keeps at least one agency', function () {
+      var input,
+          model,
+          view;
+
+      model = Model({agencies: ['USGS']});
+      view = AgencyView({
+        model: model,
+        observatories: Collection(_OBSERVATORIES.slice())
+      });
+
+      input = view.el.querySelector('[value="USGS"]');
+      input.checked = false;
+      view.onChange({target: input});
+      expect(model.get('agencies')).to.deep.equal(['USGS']);
+      expect(input.checked).to.equal(true);
+
+      view.destroy();
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/* global chai, describe, it */
+'use strict';
+
+
+var AlignmentView = require('plots/AlignmentView'),
+    Model = require('mvc/Model');
+
+
+var expect = chai.expect;
+
+
+describe('plots/AlignmentView', function () {
+  describe('constructor', function () {
+    it('is defined', function () {
+      expect(typeof AlignmentView).to.equal('function');
+    });
+
+    it('can be destroyed', function () {
+      var view;
+
+      view = AlignmentView();
+      expect(view.destroy).to.not.throw(Error);
+    });
+
+    it('initially selects the current method', function () {
+      var view;
+
+      view = AlignmentView({model: Model({alignment: 'linear'})});
+      expect(view.el.querySelector('[value="linear"]').checked)
+          .to.equal(true);
+      view.destroy();
+    });
+  });
+
+  describe('onChange', function () {
+    it('sets model alignment', function () {
+      var input,
+          model,
+          view;
+
+      model = Model({alignment: 'nearest'});
+      view = AlignmentView({model: model});
+
+      input = view.el.querySelector('[value="none"]');
+      input.checked = true;
+      view.onChange({target: input});
+      expect(model.get('alignment')).to.equal('none');
+
+      view.destroy();
+    });
+  });
+});
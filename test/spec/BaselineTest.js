@@ -0,0 +1,92 @@
+/* global chai, describe, it */
+'use strict';
+
+var Baseline = require('plots/Baseline');
+
+
+var expect = chai.expect;
+
+
+describe('plots/Baseline', function () {
+  var times,
+      values;
+
+  times = [
+    new Date(Date.UTC(2016, 0, 1, 22)),
+    new Date(Date.UTC(2016, 0, 1, 23)),
+    new Date(Date.UTC(2016, 0, 2, 0)),
+    new Date(Date.UTC(2016, 0, 2, 1)),
+    new Date(Date.UTC(2016, 0, 2, 2))
+  ];
+  values = [null, 4, 10, 20, 40];
+
+  describe('get', function () {
+    it('returns modes by id', function () {
+      expect(Baseline.get('mean').display).to.equal('Window Mean');
+      expect(Baseline.get('other')).to.equal(null);
+    });
+  });
+
+  describe('getAll', function () {
+    it('returns all modes', function () {
+      expect(Baseline.getAll().map(function (m) {
+        return m.id;
+      })).to.deep.equal(['none', 'mean', 'first', 'dailymedian', 'constant']);
+    });
+  });
+
+  describe('apply', function () {
+    it('does not change values for none', function () {
+      var result;
+
+      result = Baseline.apply(times, values, 'none');
+      expect(result.offsets).to.equal(null);
+      expect(result.offset).to.equal(null);
+      expect(result.values).to.deep.equal(values);
+    });
+
+    it('treats unknown modes as none', function () {
+      expect(Baseline.apply(times, values, 'other').values)
+          .to.deep.equal(values);
+    });
+
+    it('subtracts window mean', function () {
+      var result;
+
+      result = Baseline.apply(times, values, 'mean');
+      expect(result.offset).to.equal(18.5);
+      expect(result.values).to.deep.equal([null, -14.5, -8.5, 1.5, 21.5]);
+    });
+
+    it('subtracts first valid value', function () {
+      var result;
+
+      result = Baseline.apply(times, values, 'first');
+      expect(result.offset).to.equal(4);
+      expect(result.values).to.deep.equal([null, 0, 6, 16, 36]);
+    });
+
+    it('subtracts daily median', function () {
+      var result;
+
+      result = Baseline.apply(times, values, 'dailymedian');
+      expect(result.offset).to.equal(null);
+      expect(result.offsets).to.deep.equal([4, 4, 20, 20, 20]);
+      expect(result.values).to.deep.equal([null, 0, -10, 0, 20]);
+    });
+
+    it('subtracts constant', function () {
+      var result;
+
+      result = Baseline.apply(times, values, 'constant', 5);
+      expect(result.offset).to.equal(5);
+      expect(result.values).to.deep.equal([null, -1, 5, 15, 35]);
+    });
+
+    it('does not remove baseline when there are no values', function () {
+      expect(Baseline.apply(times, [null, null, null, null, null],
+          'mean').offsets).to.equal(null);
+    });
+  });
+
+});
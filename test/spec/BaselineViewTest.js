@@ -0,0 +1,76 @@
+/* global chai, describe, it */
+'use strict';
+
+
+var BaselineView = require('plots/BaselineView'),
+    Model = require('mvc/Model');
+
+
+var expect = chai.expect;
+
+
+describe('plots/BaselineView', function () {
+  describe('constructor', function () {
+    it('is defined', function () {
+      expect(typeof BaselineView).to.equal('function');
+    });
+
+    it('can be destroyed', function () {
+      var view;
+
+      view = BaselineView();
+      expect(view.destroy).to.not.throw(Error);
+    });
+
+    it('initially selects the current mode', function () {
+      var view;
+
+      view = BaselineView({
+        model: Model({baseline: 'mean', baselineConstant: 3})
+      });
+
+      expect(view.el.querySelector('[value="mean"]').checked)
+          .to.equal(true);
+      expect(view.el.querySelector('.baseline-constant').value)
+          .to.equal('3');
+      view.destroy();
+    });
+  });
+
+  describe('onChange', function () {
+    it('sets model baseline', function () {
+      var input,
+          model,
+          view;
+
+      model = Model({baseline: 'none', baselineConstant: 0});
+      view = BaselineView({model: model});
+
+      input = view.el.querySelector('[value="dailymedian"]');
+      input.checked = true;
+      view.onChange({target: input});
+      expect(model.get('baseline')).to.equal('dailymedian');
+
+      view.destroy();
+    });
+
+    it('sets model constant and selects constant mode', function () {
+      var input,
+          model,
+          view;
+
+      model = Model({baseline: 'none', baselineConstant: 0});
+      view = BaselineView({model: model});
+
+      input = view.el.querySelector('.baseline-constant');
+      input.value = '21000.5';
+      view.onChange({target: input});
+      expect(model.get('baseline')).to.equal('constant');
+      expect(model.get('baselineConstant')).to.equal(21000.5);
+      expect(view.el.querySelector('[value="constant"]').checked)
+          .to.equal(true);
+
+      view.destroy();
+    });
+  });
+});
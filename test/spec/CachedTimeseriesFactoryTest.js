@@ -0,0 +1,432 @@
+/* global chai, describe, it, Promise, sinon */
+'use strict';
+
+var CachedTimeseriesFactory = require('plots/CachedTimeseriesFactory'),
+    TimeseriesCache = require('plots/TimeseriesCache'),
+    TimeseriesResponse = require('plots/TimeseriesResponse');
+
+
+var expect = chai.expect;
+
+
+var T0 = Date.UTC(2016, 0, 1);
+
+/**
+ * Create a cache that returns ranges from a lookup by key.
+ */
+var _getCache = function (ranges) {
+  var cache;
+
+  cache = TimeseriesCache({indexedDB: null});
+  sinon.stub(cache, 'getRanges', function (key, starttime, endtime, callback) {
+    setTimeout(function () {
+      callback(ranges[key] || []);
+    }, 0);
+  });
+  sinon.stub(cache, 'putRange');
+  return cache;
+};
+
+/**
+ * Create a minute response with one value per minute for each element.
+ */
+var _getResponse = function (elements, starttime, endtime, value) {
+  var t,
+      times;
+
+  times = [];
+  for (t = starttime; t <= endtime; t += 60000) {
+    times.push(new Date(t).toISOString());
+  }
+
+  return TimeseriesResponse({
+    type: 'Timeseries',
+    metadata: {
+      intermagnet: {
+        imo: {iaga_code: 'BOU'},
+        sampling_period: 60
+      }
+    },
+    times: times,
+    values: elements.map(function (element) {
+      return {
+        id: element,
+        metadata: {element: element, station: 'BOU'},
+        values: times.map(function () { return value; })
+      };
+    })
+  });
+};
+
+
+describe('plots/CachedTimeseriesFactory', function () {
+
+  describe('constructor', function () {
+    it('is a function', function () {
+      expect(typeof CachedTimeseriesFactory).to.equal('function');
+    });
+
+    it('can be destroyed', function () {
+      var factory;
+
+      factory = CachedTimeseriesFactory({});
+      expect(factory.destroy).to.not.throw(Error);
+    });
+  });
+
+  describe('getMissingSpans', function () {
+    var factory;
+
+    factory = CachedTimeseriesFactory({});
+
+    it('returns no spans when all samples are cached', function () {
+      expect(factory.getMissingSpans([
+        [{starttime: 0, endtime: 600}],
+        [{starttime: 0, endtime: 300}, {starttime: 360, endtime: 600}]
+      ], 0, 600, 60)).to.deep.equal([]);
+    });
+
+    it('returns each interval missing for any element', function () {
+      expect(factory.getMissingSpans([
+        [{starttime: 0, endtime: 300}],
+        [{starttime: 0, endtime: 600}],
+        [{starttime: 0, endtime: 120}, {starttime: 300, endtime: 600}]
+      ], 0, 600, 60)).to.deep.equal([
+        {starttime: 180, endtime: 240},
+        {starttime: 360, endtime: 600}
+      ]);
+    });
+
+    it('combines overlapping and adjacent intervals', function () {
+      expect(factory.getMissingSpans([
+        [{starttime: 0, endtime: 120}, {starttime: 300, endtime: 600}],
+        [{starttime: 0, endtime: 240}, {starttime: 480, endtime: 600}]
+      ], 0, 600, 60)).to.deep.equal([
+        {starttime: 180, endtime: 420}
+      ]);
+    });
+
+    it('returns request when nothing is cached', function () {
+      expect(factory.getMissingSpans([[]], 0, 600, 60)).to.deep.equal([
+        {starttime: 0, endtime: 600}
+      ]);
+    });
+  });
+
+  describe('putResponse', function () {
+    it('stores the span covered by the response', function () {
+      var cache,
+          factory,
+          range;
+
+      cache = _getCache({});
+      factory = CachedTimeseriesFactory({cache: cache});
+      factory.putResponse({
+        elements: ['H'],
+        id: 'BOU',
+        sampling_period: 60,
+        type: 'variation'
+      }, {
+        starttime: T0,
+        endtime: T0 + 600000
+      }, _getResponse(['H'], T0 + 120000, T0 + 300000, 1));
+
+      expect(cache.putRange.callCount).to.equal(1);
+      range = cache.putRange.getCall(0).args[1];
+      expect(range.starttime).to.equal(T0 + 120000);
+      expect(range.endtime).to.equal(T0 + 300000);
+    });
+
+    it('stores nothing for an empty response', function () {
+      var cache,
+          factory;
+
+      cache = _getCache({});
+      factory = CachedTimeseriesFactory({cache: cache});
+      factory.putResponse({
+        elements: ['H'],
+        id: 'BOU',
+        sampling_period: 60,
+        type: 'variation'
+      }, {
+        starttime: T0,
+        endtime: T0 + 600000
+      }, _getResponse(['H'], T0 + 60000, T0, 1));
+
+      expect(cache.putRange.callCount).to.equal(0);
+    });
+  });
+
+  describe('getTimeseries', function () {
+    var options = {
+      elements: ['H', 'E'],
+      endtime: new Date(T0 + 600000),
+      id: 'BOU',
+      sampling_period: 60,
+      starttime: new Date(T0),
+      type: 'variation'
+    };
+
+    var _getCached = function (starttime, endtime, value) {
+      var t,
+          times;
+
+      times = [];
+      for (t = starttime; t <= endtime; t += 60000) {
+        times.push(t);
+      }
+      return {
+        endtime: endtime,
+        metadata: null,
+        starttime: starttime,
+        times: times,
+        values: times.map(function () { return value; })
+      };
+    };
+
+    it('answers from cache without fetching', function (done) {
+      var cache,
+          factory,
+          fetch;
+
+      cache = _getCache({
+        'BOU/H/variation/60': [_getCached(T0, T0 + 600000, 1)],
+        'BOU/E/variation/60': [_getCached(T0, T0 + 600000, 2)]
+      });
+      fetch = {getTimeseries: sinon.spy()};
+      factory = CachedTimeseriesFactory({cache: cache, factory: fetch});
+
+      factory.getTimeseries({
+        elements: options.elements,
+        endtime: options.endtime,
+        id: options.id,
+        sampling_period: options.sampling_period,
+        starttime: options.starttime,
+        type: options.type,
+        callback: function (response) {
+          expect(fetch.getTimeseries.callCount).to.equal(0);
+          expect(response.get('times').length).to.equal(11);
+          expect(response.get('values')[0].values[0]).to.equal(1);
+          expect(response.get('values')[1].values[10]).to.equal(2);
+          done();
+        }
+      });
+    });
+
+    it('fetches and stores missing span', function (done) {
+      var cache,
+          factory,
+          fetch;
+
+      cache = _getCache({
+        'BOU/H/variation/60': [_getCached(T0, T0 + 300000, 1)],
+        'BOU/E/variation/60': [_getCached(T0, T0 + 300000, 2)]
+      });
+      fetch = {
+        getTimeseries: sinon.spy(function (request) {
+          setTimeout(function () {
+            request.callback(_getResponse(['H', 'E'],
+                request.starttime.getTime(), request.endtime.getTime(), 3));
+          }, 0);
+          return {abort: function () {}};
+        })
+      };
+      factory = CachedTimeseriesFactory({cache: cache, factory: fetch});
+
+      factory.getTimeseries({
+        elements: options.elements,
+        endtime: options.endtime,
+        id: options.id,
+        sampling_period: options.sampling_period,
+        starttime: options.starttime,
+        type: options.type,
+        callback: function (response) {
+          var request;
+
+          request = fetch.getTimeseries.getCall(0).args[0];
+          expect(request.starttime.getTime()).to.equal(T0 + 360000);
+          expect(request.endtime.getTime()).to.equal(T0 + 600000);
+
+          expect(cache.putRange.callCount).to.equal(2);
+          expect(cache.putRange.getCall(0).args[0])
+              .to.equal('BOU/H/variation/60');
+
+          expect(response.get('times').length).to.equal(11);
+          expect(response.get('values')[0].values[5]).to.equal(1);
+          expect(response.get('values')[0].values[6]).to.equal(3);
+          expect(response.getSamplingPeriod()).to.equal(60);
+          done();
+        }
+      });
+    });
+
+    it('fetches each missing interval', function (done) {
+      var cache,
+          factory,
+          fetch;
+
+      cache = _getCache({
+        'BOU/H/variation/60': [_getCached(T0 + 120000, T0 + 300000, 1)],
+        'BOU/E/variation/60': [_getCached(T0 + 120000, T0 + 300000, 2)]
+      });
+      fetch = {
+        getTimeseries: sinon.spy(function (request) {
+          setTimeout(function () {
+            request.callback(_getResponse(['H', 'E'],
+                request.starttime.getTime(), request.endtime.getTime(), 3));
+          }, 0);
+          return {abort: function () {}};
+        })
+      };
+      factory = CachedTimeseriesFactory({cache: cache, factory: fetch});
+
+      factory.getTimeseries({
+        elements: options.elements,
+        endtime: options.endtime,
+        id: options.id,
+        sampling_period: options.sampling_period,
+        starttime: options.starttime,
+        type: options.type,
+        callback: function (response) {
+          var first,
+              second;
+
+          expect(fetch.getTimeseries.callCount).to.equal(2);
+          first = fetch.getTimeseries.getCall(0).args[0];
+          second = fetch.getTimeseries.getCall(1).args[0];
+          expect(first.starttime.getTime()).to.equal(T0);
+          expect(first.endtime.getTime()).to.equal(T0 + 60000);
+          expect(second.starttime.getTime()).to.equal(T0 + 360000);
+          expect(second.endtime.getTime()).to.equal(T0 + 600000);
+
+          expect(response.get('times').length).to.equal(11);
+          expect(response.get('values')[0].values[0]).to.equal(3);
+          expect(response.get('values')[0].values[2]).to.equal(1);
+          expect(response.get('values')[0].values[10]).to.equal(3);
+          done();
+        }
+      });
+    });
+
+    it('aborts other intervals when one fails', function (done) {
+      var abort,
+          cache,
+          factory,
+          fetch;
+
+      abort = sinon.spy();
+      cache = _getCache({
+        'BOU/H/variation/60': [_getCached(T0 + 120000, T0 + 300000, 1)]
+      });
+      fetch = {
+        getTimeseries: sinon.spy(function (request) {
+          if (request.starttime.getTime() === T0) {
+            setTimeout(function () {
+              request.errback(500);
+            }, 0);
+          }
+          return {abort: abort};
+        })
+      };
+      factory = CachedTimeseriesFactory({
+        cache: cache,
+        factory: fetch,
+        Promise: null
+      });
+
+      factory.getTimeseries({
+        elements: ['H'],
+        endtime: options.endtime,
+        id: options.id,
+        sampling_period: options.sampling_period,
+        starttime: options.starttime,
+        type: options.type,
+        callback: function () {
+          done(new Error('unexpected callback'));
+        },
+        errback: function (err) {
+          expect(err).to.equal(500);
+          expect(fetch.getTimeseries.callCount).to.equal(2);
+          expect(abort.callCount).to.equal(1);
+          done();
+        }
+      });
+    });
+
+    it('returns a promise with abort', function (done) {
+      var cache,
+          factory,
+          promise;
+
+      if (typeof Promise === 'undefined') {
+        return done();
+      }
+
+      cache = _getCache({
+        'BOU/H/variation/60': [_getCached(T0, T0 + 600000, 1)]
+      });
+      factory = CachedTimeseriesFactory({
+        cache: cache,
+        factory: {getTimeseries: sinon.spy()}
+      });
+
+      promise = factory.getTimeseries({
+        elements: ['H'],
+        endtime: options.endtime,
+        id: options.id,
+        sampling_period: options.sampling_period,
+        starttime: options.starttime,
+        type: options.type
+      });
+      expect(typeof promise.abort).to.equal('function');
+      promise.then(function (response) {
+        expect(response.get('times').length).to.equal(11);
+        done();
+      }).catch(done);
+    });
+
+    it('does not call back after abort', function (done) {
+      var cache,
+          callback,
+          factory,
+          fetch;
+
+      cache = _getCache({});
+      callback = sinon.spy();
+      fetch = {getTimeseries: sinon.spy()};
+      factory = CachedTimeseriesFactory({cache: cache, factory: fetch});
+
+      factory.getTimeseries({
+        elements: options.elements,
+        endtime: options.endtime,
+        id: options.id,
+        sampling_period: options.sampling_period,
+        starttime: options.starttime,
+        type: options.type,
+        callback: callback
+      }).abort();
+
+      setTimeout(function () {
+        expect(fetch.getTimeseries.callCount).to.equal(0);
+        expect(callback.callCount).to.equal(0);
+        done();
+      }, 10);
+    });
+
+    it('passes requests without sampling period to factory', function () {
+      var factory,
+          fetch;
+
+      fetch = {getTimeseries: sinon.spy()};
+      factory = CachedTimeseriesFactory({cache: _getCache({}), factory: fetch});
+      factory.getTimeseries({
+        elements: ['H'],
+        endtime: options.endtime,
+        id: 'BOU',
+        starttime: options.starttime
+      });
+      expect(fetch.getTimeseries.callCount).to.equal(1);
+    });
+  });
+
+});
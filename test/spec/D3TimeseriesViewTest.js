@@ -2,6 +2,7 @@
 'use strict';
 
 var D3TimeseriesView = require('plots/D3TimeseriesView'),
+    Timeseries = require('plots/Timeseries'),
     TimeseriesResponse = require('plots/TimeseriesResponse'),
     Xhr = require('util/Xhr');
 
@@ -21,6 +22,82 @@ describe('D3TimeseriesView', function () {
     });
   });
 
+  describe('renderTooltip', function () {
+    it('aligns shared tooltip time to samples', function () {
+      var minutes,
+          plotModel,
+          seconds;
+
+      minutes = D3TimeseriesView({
+        el: document.createElement('div'),
+        data: Timeseries({
+          times: [new Date(0), new Date(60000), new Date(120000)],
+          values: [1, 2, 3]
+        })
+      });
+      plotModel = minutes.plotModel;
+      seconds = D3TimeseriesView({
+        el: document.createElement('div'),
+        data: Timeseries({
+          times: [new Date(59000), new Date(60000), new Date(61000)],
+          values: [4, 5, 6]
+        }),
+        plotModel: plotModel
+      });
+      minutes.render();
+      seconds.render();
+
+      plotModel.set({alignment: 'nearest', tooltipX: new Date(61000)});
+      expect(minutes.el.querySelector('.tooltip .time').textContent)
+          .to.equal('00:01:00');
+      expect(seconds.el.querySelector('.tooltip .time').textContent)
+          .to.equal('00:01:01');
+
+      // outside coverage, other plots keep tooltip
+      plotModel.set({tooltipX: new Date(120000)});
+      expect(minutes.el.querySelector('.tooltip .time').textContent)
+          .to.equal('00:02:00');
+      expect(seconds.el.querySelector('.tooltip .time')).to.equal(null);
+      expect(plotModel.get('tooltipX').getTime()).to.equal(120000);
+
+      plotModel.set({alignment: 'none', tooltipX: new Date(61000)});
+      expect(minutes.el.querySelector('.tooltip .time')).to.equal(null);
+
+      seconds.destroy();
+      minutes.destroy();
+    });
+
+    it('flags interpolated and suspect neighbors', function () {
+      var view;
+
+      view = D3TimeseriesView({
+        el: document.createElement('div'),
+        data: Timeseries({
+          times: [new Date(0), new Date(60000), new Date(120000)],
+          values: [1, 2, 3]
+        })
+      });
+      view.model.set({
+        interpolated: [1],
+        outliers: [2]
+      }, {silent: true});
+      view.render();
+
+      view.plotModel.set({alignment: 'linear', tooltipX: new Date(30000)});
+      expect(view.el.querySelector('.tooltip .interpolated'))
+          .to.not.equal(null);
+      expect(view.el.querySelector('.tooltip .outlier')).to.equal(null);
+
+      view.plotModel.set({tooltipX: new Date(90000)});
+      expect(view.el.querySelector('.tooltip .interpolated'))
+          .to.not.equal(null);
+      expect(view.el.querySelector('.tooltip .outlier'))
+          .to.not.equal(null);
+
+      view.destroy();
+    });
+  });
+
   describe('getYExtent', function () {
     var normalView,
         nullView;
@@ -54,6 +131,26 @@ describe('D3TimeseriesView', function () {
       expect(normalView.getYExtent([0,1])[0]).to.equal(52334.6);
       expect(normalView.getYExtent([0,1])[1]).to.equal(52334.747);
     });
+
+    it('uses extentData when set', function () {
+      var data,
+          view;
+
+      data = Timeseries({
+        times: [new Date(0), new Date(60000), new Date(120000)],
+        values: [1, 1000, 3]
+      });
+      view = D3TimeseriesView({
+        el: document.createElement('div'),
+        data: data,
+        extentData: Timeseries({
+          times: data.get('times'),
+          values: [1, null, 3]
+        })
+      });
+      expect(view.getYExtent()).to.deep.equal([1, 3]);
+      view.destroy();
+    });
   });
 
 });
@@ -0,0 +1,97 @@
+/* global chai, describe, it */
+'use strict';
+
+var d3 = require('d3'),
+    Decimator = require('plots/Decimator');
+
+
+var expect = chai.expect;
+
+
+/**
+ * Create one sample per second starting at epoch.
+ */
+var __createTimes = function (count) {
+  return d3.range(count).map(function (i) {
+    return new Date(i * 1000);
+  });
+};
+
+
+describe('plots/Decimator', function () {
+
+  describe('minMax', function () {
+    it('returns all samples when below pixel resolution', function () {
+      var times,
+          x;
+
+      times = __createTimes(10);
+      x = d3.time.scale.utc()
+          .domain([times[0], times[9]])
+          .range([0, 100]);
+
+      expect(Decimator.minMax(times, d3.range(10), x))
+          .to.deep.equal(d3.range(10));
+    });
+
+    it('keeps first, min, max and last per column', function () {
+      var indices,
+          times,
+          values,
+          x;
+
+      times = __createTimes(100);
+      values = times.map(function () { return 0; });
+      values[37] = 1000;
+      values[42] = -1000;
+      x = d3.time.scale.utc()
+          .domain([times[0], times[99]])
+          .range([0, 2]);
+
+      indices = Decimator.minMax(times, values, x);
+      expect(indices.length).to.be.below(12);
+      // spikes are kept
+      expect(indices.indexOf(37)).to.not.equal(-1);
+      expect(indices.indexOf(42)).to.not.equal(-1);
+      // ordered
+      expect(indices.slice().sort(function (a, b) { return a - b; }))
+          .to.deep.equal(indices);
+    });
+
+    it('keeps gaps', function () {
+      var indices,
+          times,
+          values,
+          x;
+
+      times = __createTimes(100);
+      values = times.map(function (t, i) {
+        return (i >= 10 && i < 20) ? null : i;
+      });
+      x = d3.time.scale.utc()
+          .domain([times[0], times[99]])
+          .range([0, 2]);
+
+      indices = Decimator.minMax(times, values, x);
+      expect(indices.indexOf(10)).to.not.equal(-1);
+      expect(indices.indexOf(9)).to.not.equal(-1);
+      expect(indices.indexOf(20)).to.not.equal(-1);
+    });
+
+    it('only includes samples near x domain', function () {
+      var indices,
+          times,
+          x;
+
+      times = __createTimes(1000);
+      x = d3.time.scale.utc()
+          .domain([times[500], times[599]])
+          .range([0, 10]);
+
+      indices = Decimator.minMax(times, d3.range(1000), x);
+      expect(indices[0]).to.equal(499);
+      expect(indices[indices.length - 1]).to.equal(600);
+    });
+  });
+
+});
@@ -0,0 +1,109 @@
+/* global chai, describe, it */
+'use strict';
+
+var DerivedElements = require('plots/DerivedElements'),
+    Timeseries = require('plots/Timeseries');
+
+
+var expect = chai.expect;
+
+
+describe('plots/DerivedElements', function () {
+
+  describe('get', function () {
+    it('returns derived elements by id', function () {
+      expect(DerivedElements.get('HXY').inputs).to.deep.equal(['X', 'Y']);
+      expect(DerivedElements.get('H')).to.equal(null);
+    });
+  });
+
+  describe('getAll', function () {
+    it('returns all derived elements', function () {
+      expect(DerivedElements.getAll().map(function (e) {
+        return e.id;
+      })).to.deep.equal(['HXY', 'DHE', 'FV', 'DFV']);
+    });
+  });
+
+  describe('calculate', function () {
+    var __timeseries = function (values) {
+      return Timeseries({
+        times: values.map(function (v, i) {
+          return new Date(i * 60000);
+        }),
+        values: values
+      });
+    };
+
+    it('computes horizontal intensity', function () {
+      var data;
+
+      data = DerivedElements.calculate('HXY',
+          [__timeseries([3, null]), __timeseries([4, 1])]);
+      expect(data.values).to.deep.equal([5, null]);
+      expect(data.times.length).to.equal(2);
+    });
+
+    it('computes declination with observatory baseline', function () {
+      var data;
+
+      data = DerivedElements.calculate('DHE',
+          [__timeseries([1]), __timeseries([1])],
+          {properties: {declination_base: 100}});
+      // 10 minutes baseline + 45 degrees
+      expect(data.values[0]).to.be.closeTo(2710, 0.0001);
+    });
+
+    it('computes vector field and delta F', function () {
+      var inputs;
+
+      inputs = [__timeseries([2]), __timeseries([3]), __timeseries([6])];
+      expect(DerivedElements.calculate('FV', inputs).values)
+          .to.deep.equal([7]);
+      expect(DerivedElements.calculate('DFV',
+          [__timeseries([7.5])].concat(inputs)).values)
+          .to.deep.equal([0.5]);
+    });
+
+    it('matches samples by time', function () {
+      var data,
+          y;
+
+      y = Timeseries({
+        times: [new Date(60000)],
+        values: [4]
+      });
+      data = DerivedElements.calculate('HXY', [__timeseries([1, 3]), y]);
+      expect(data.values).to.deep.equal([null, 5]);
+    });
+
+    it('aligns samples using alignment method', function () {
+      var data,
+          y;
+
+      // one sample every two minutes
+      y = Timeseries({
+        times: [new Date(0), new Date(120000)],
+        values: [0, 8]
+      });
+      data = DerivedElements.calculate('HXY',
+          [__timeseries([6, 3, 6]), y], null, 'linear');
+      expect(data.values).to.deep.equal([6, 5, 10]);
+    });
+
+    it('only aligns samples within one sampling period', function () {
+      var data,
+          y;
+
+      y = Timeseries({
+        sampling_period: 60,
+        times: [new Date(0), new Date(240000)],
+        values: [4, 4]
+      });
+      data = DerivedElements.calculate('HXY',
+          [__timeseries([3, 3, 3, 3, 3]), y], null, 'nearest');
+      expect(data.values).to.deep.equal([5, 5, null, 5, 5]);
+    });
+  });
+
+});
@@ -0,0 +1,35 @@
+/* global chai, describe, it */
+'use strict';
+
+var ElementFactory = require('plots/ElementFactory'),
+    expect = chai.expect;
+
+
+describe('ElementFactory', function () {
+  describe('matches', function () {
+    var d,
+        factory,
+        h;
+
+    d = {id: 'D', properties: {name: 'Declination', units: '0.1′'}};
+    factory = ElementFactory();
+    h = {
+      id: 'H',
+      properties: {
+        name: 'Observatory North Component',
+        units: 'nT'
+      }
+    };
+
+    it('matches units', function () {
+      expect(factory.matches(h, {units: 'nT'})).to.equal(true);
+      expect(factory.matches(d, {units: 'nT'})).to.equal(false);
+    });
+
+    it('matches search text', function () {
+      expect(factory.matches(d, {search: 'decl'})).to.equal(true);
+      expect(factory.matches(h, {search: 'h'})).to.equal(true);
+      expect(factory.matches(d, {search: 'north'})).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/* global chai, describe, it, Promise, sinon */
+'use strict';
+
+var expect = chai.expect,
+    FetchTransport = require('util/FetchTransport');
+
+
+/**
+ * Create a fetch function that resolves with a response.
+ *
+ * @param status {Number}
+ *     response status.
+ * @param contentType {String}
+ *     response content type.
+ * @param text {String}
+ *     response body.
+ */
+var __fakeFetch = function (status, contentType, text) {
+  return sinon.spy(function () {
+    return Promise.resolve({
+      headers: {
+        get: function () {
+          return contentType;
+        }
+      },
+      status: status,
+      text: function () {
+        return Promise.resolve(text);
+      }
+    });
+  });
+};
+
+
+describe('FetchTransport', function () {
+  describe('get', function () {
+    it('parses json responses', function (done) {
+      var fetch,
+          transport;
+
+      if (typeof Promise === 'undefined') {
+        // fetch requires promises
+        return done();
+      }
+
+      fetch = __fakeFetch(200, 'application/json', '{"test":true}');
+      transport = FetchTransport({fetch: fetch});
+      transport.get({
+        url: 'test.json',
+        data: {id: 'BOU', elements: 'H,Z'},
+        success: function (data) {
+          expect(fetch.getCall(0).args[0]).to.equal(
+              'test.json?id=BOU&elements=H%2CZ');
+          expect(data).to.deep.equal({test: true});
+          transport.destroy();
+          done();
+        },
+        error: done
+      });
+    });
+
+    it('passes status and text of failed responses', function (done) {
+      var transport;
+
+      if (typeof Promise === 'undefined') {
+        return done();
+      }
+
+      transport = FetchTransport({
+        fetch: __fakeFetch(400, 'text/plain', 'Bad Request')
+      });
+      transport.get({
+        url: 'test.json',
+        success: function () {
+          done(new Error('expected error'));
+        },
+        error: function (err, response) {
+          expect(err).to.equal(400);
+          expect(response.responseText).to.equal('Bad Request');
+          transport.destroy();
+          done();
+        }
+      });
+    });
+
+    it('fails with 0 when the server is not reached', function (done) {
+      var transport;
+
+      if (typeof Promise === 'undefined') {
+        return done();
+      }
+
+      transport = FetchTransport({
+        fetch: function () {
+          return Promise.reject(new TypeError('Failed to fetch'));
+        }
+      });
+      transport.get({
+        url: 'test.json',
+        success: function () {
+          done(new Error('expected error'));
+        },
+        error: function (err) {
+          expect(err).to.equal(0);
+          transport.destroy();
+          done();
+        }
+      });
+    });
+
+    it('passes errors thrown by success to error', function (done) {
+      var error,
+          transport;
+
+      if (typeof Promise === 'undefined') {
+        return done();
+      }
+
+      error = new Error('success error');
+      transport = FetchTransport({
+        fetch: __fakeFetch(200, 'text/plain', 'text')
+      });
+      transport.get({
+        url: 'test.json',
+        success: function () {
+          throw error;
+        },
+        error: function (err) {
+          expect(err).to.equal(error);
+          transport.destroy();
+          done();
+        }
+      });
+    });
+
+    it('passes errors reading the response to error', function (done) {
+      var error,
+          transport;
+
+      if (typeof Promise === 'undefined') {
+        return done();
+      }
+
+      error = new Error('read error');
+      transport = FetchTransport({
+        fetch: function () {
+          return Promise.resolve({
+            headers: {
+              get: function () {
+                return 'text/plain';
+              }
+            },
+            status: 200,
+            text: function () {
+              return Promise.reject(error);
+            }
+          });
+        }
+      });
+      transport.get({
+        url: 'test.json',
+        success: function () {
+          done(new Error('expected error'));
+        },
+        error: function (err) {
+          expect(err).to.equal(error);
+          transport.destroy();
+          done();
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/* global chai, describe, it */
+'use strict';
+
+
+var FilterView = require('plots/FilterView'),
+    Model = require('mvc/Model');
+
+
+var expect = chai.expect;
+
+
+describe('plots/FilterView', function () {
+  describe('constructor', function () {
+    it('is defined', function () {
+      expect(typeof FilterView).to.equal('function');
+    });
+
+    it('can be destroyed', function () {
+      var view;
+
+      view = FilterView();
+      expect(view.destroy).to.not.throw(Error);
+    });
+
+    it('initially checks current filters', function () {
+      var view;
+
+      view = FilterView({
+        model: Model({filters: [{id: 'lowpass', period: 120}]})
+      });
+
+      expect(view.el.querySelector('[value="lowpass"]').checked)
+          .to.equal(true);
+      expect(view.el.querySelector('[value="detrend"]').checked)
+          .to.equal(false);
+      expect(view.el.querySelector(
+          '[data-filter="lowpass"][data-param="period"]').value)
+          .to.equal('120');
+      view.destroy();
+    });
+  });
+
+  describe('onChange', function () {
+    it('sets model filters in listed order', function () {
+      var model,
+          view;
+
+      model = Model({filters: []});
+      view = FilterView({model: model});
+
+      view.el.querySelector('[value="highpass"]').checked = true;
+      view.el.querySelector('[value="detrend"]').checked = true;
+      view.el.querySelector('[data-filter="highpass"][data-param="period"]')
+          .value = '1800';
+      view.onChange();
+
+      expect(model.get('filters')).to.deep.equal([
+        {id: 'detrend'},
+        {id: 'highpass', period: 1800}
+      ]);
+
+      view.destroy();
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/* global chai, describe, it */
+'use strict';
+
+var Filters = require('plots/Filters');
+
+
+var expect = chai.expect;
+
+
+/**
+ * Create times one minute apart.
+ */
+var _getTimes = function (count) {
+  var i,
+      times;
+
+  times = [];
+  for (i = 0; i < count; i++) {
+    times.push(new Date(i * 60000));
+  }
+  return times;
+};
+
+/**
+ * Create a sine wave with the given period, in seconds.
+ */
+var _getSine = function (count, period, amplitude) {
+  var i,
+      values;
+
+  values = [];
+  for (i = 0; i < count; i++) {
+    values.push(amplitude * Math.sin(2 * Math.PI * i * 60 / period));
+  }
+  return values;
+};
+
+/**
+ * Largest absolute value, ignoring the first and last samples.
+ */
+var _getAmplitude = function (values, edge) {
+  return Math.max.apply(null, values.slice(edge, values.length - edge)
+      .map(Math.abs));
+};
+
+
+describe('plots/Filters', function () {
+
+  describe('get', function () {
+    it('returns filters by id', function () {
+      expect(Filters.get('lowpass').display).to.equal('Low-pass');
+      expect(Filters.get('other')).to.equal(null);
+    });
+  });
+
+  describe('getAll', function () {
+    it('returns all filters', function () {
+      expect(Filters.getAll().map(function (f) {
+        return f.id;
+      })).to.deep.equal(['detrend', 'movingaverage', 'lowpass', 'highpass',
+          'bandpass']);
+    });
+  });
+
+  describe('format', function () {
+    it('describes pipeline', function () {
+      expect(Filters.format([
+        {id: 'detrend'},
+        {id: 'other'},
+        {id: 'bandpass', minPeriod: 30, maxPeriod: 300}
+      ])).to.equal('Detrended, Band-pass 30-300 s');
+      expect(Filters.format([])).to.equal('');
+    });
+
+    it('uses default parameters', function () {
+      expect(Filters.format([{id: 'lowpass'}])).to.equal('Low-pass 600 s');
+    });
+  });
+
+  describe('apply', function () {
+    it('returns values without filters', function () {
+      var values;
+
+      values = [1, 2, null, 4];
+      expect(Filters.apply(_getTimes(4), values, [], 60)).to.equal(values);
+    });
+
+    it('removes linear trend', function () {
+      expect(Filters.apply(_getTimes(5), [10, 12, null, 16, 18],
+          [{id: 'detrend'}], 60)).to.deep.equal([0, 0, null, 0, 0]);
+    });
+
+    it('averages each segment between gaps', function () {
+      expect(Filters.apply(_getTimes(7), [1, 2, 3, null, 10, 20, 30],
+          [{id: 'movingaverage', period: 180}], 60))
+          .to.deep.equal([1.5, 2, 2.5, null, 15, 20, 25]);
+    });
+
+    it('low-pass removes short periods', function () {
+      var filtered,
+          values;
+
+      values = _getSine(600, 600, 1).map(function (v, i) {
+        return v + _getSine(600, 150, 1)[i];
+      });
+      filtered = Filters.apply(_getTimes(600), values,
+          [{id: 'lowpass', period: 300}], 60);
+      // compare to long period component only
+      filtered = filtered.map(function (v, i) {
+        return v - _getSine(600, 600, 1)[i];
+      });
+      expect(_getAmplitude(filtered, 50)).to.be.below(0.3);
+    });
+
+    it('high-pass removes long periods', function () {
+      var filtered;
+
+      filtered = Filters.apply(_getTimes(600), _getSine(600, 36000, 10),
+          [{id: 'highpass', period: 600}], 60);
+      expect(_getAmplitude(filtered, 50)).to.be.below(0.5);
+    });
+
+    it('filters long segments without gaps', function () {
+      var filtered,
+          i,
+          values;
+
+      // more samples than can be passed as function arguments
+      values = [];
+      for (i = 0; i < 500000; i++) {
+        values.push(1);
+      }
+      filtered = Filters.apply(_getTimes(values.length), values,
+          [{id: 'movingaverage', period: 180}], 60);
+      expect(filtered.length).to.equal(values.length);
+      expect(filtered[0]).to.equal(1);
+      expect(filtered[values.length - 1]).to.equal(1);
+    });
+
+    it('preserves gaps', function () {
+      var filtered,
+          values;
+
+      values = _getSine(100, 600, 1);
+      values[50] = null;
+      filtered = Filters.apply(_getTimes(100), values,
+          [{id: 'bandpass', minPeriod: 300, maxPeriod: 1200}], 60);
+      expect(filtered[50]).to.equal(null);
+      expect(filtered[49]).to.not.equal(null);
+      expect(filtered.length).to.equal(100);
+    });
+
+    it('ignores cutoffs above nyquist frequency', function () {
+      var values;
+
+      values = [1, 2, 3];
+      expect(Filters.apply(_getTimes(3), values,
+          [{id: 'lowpass', period: 60}], 60)).to.deep.equal(values);
+    });
+  });
+
+});
@@ -0,0 +1,85 @@
+/* global chai, describe, it */
+'use strict';
+
+var expect = chai.expect,
+    Iaga2002Parser = require('plots/Iaga2002Parser');
+
+
+var IAGA2002 = [
+  ' Format                 IAGA-2002                                    |',
+  ' Source of Data         United States Geological Survey (USGS)       |',
+  ' Station Name           Boulder                                      |',
+  ' IAGA CODE              BOU                                          |',
+  ' Geodetic Latitude      40.137                                       |',
+  ' Geodetic Longitude     254.764                                      |',
+  ' Elevation              1682                                         |',
+  ' Reported               HDZF                                         |',
+  ' Sensor Orientation     HDZF                                         |',
+  ' Digital Sampling       0.01 second                                  |',
+  ' Data Interval Type     filtered 1-minute (00:15-01:45)              |',
+  ' Data Type              variation                                    |',
+  ' # DECBAS               5527    (Baseline declination value in       |',
+  'DATE       TIME         DOY     BOUH      BOUD      BOUZ      BOUF   |',
+  '2015-03-19 16:10:00.000 078     20827.93  8.19      47793.88  52215.47',
+  '2015-03-19 16:11:00.000 078     99999.00  8.20      47793.90  88888.00',
+  '2015-03-19 16:12:00.000 078     20828.01  8.21      47793.91  52215.50',
+  ''
+].join('\n');
+
+
+describe('plots/Iaga2002Parser', function () {
+
+  describe('parse', function () {
+    it('parses header into intermagnet metadata', function () {
+      var intermagnet;
+
+      intermagnet = Iaga2002Parser.parse(IAGA2002).metadata.intermagnet;
+      expect(intermagnet.imo.iaga_code).to.equal('BOU');
+      expect(intermagnet.imo.name).to.equal('Boulder');
+      expect(intermagnet.imo.coordinates).to.deep.equal([254.764, 40.137, 1682]);
+      expect(intermagnet.reported_orientation).to.equal('HDZF');
+      expect(intermagnet.sensor_orientation).to.equal('HDZF');
+      expect(intermagnet.data_type).to.equal('variation');
+      expect(intermagnet.sampling_period).to.equal(60);
+      expect(intermagnet.digital_sampling_rate).to.equal(0.01);
+    });
+
+    it('parses times', function () {
+      var times;
+
+      times = Iaga2002Parser.parse(IAGA2002).times;
+      expect(times).to.deep.equal([
+        '2015-03-19T16:10:00Z',
+        '2015-03-19T16:11:00Z',
+        '2015-03-19T16:12:00Z'
+      ]);
+    });
+
+    it('parses values with element metadata', function () {
+      var values;
+
+      values = Iaga2002Parser.parse(IAGA2002).values;
+      expect(values.length).to.equal(4);
+      expect(values[0].id).to.equal('H');
+      expect(values[0].metadata.element).to.equal('H');
+      expect(values[0].metadata.station).to.equal('BOU');
+      expect(values[1].id).to.equal('D');
+      expect(values[1].values).to.deep.equal([8.19, 8.20, 8.21]);
+    });
+
+    it('converts fill values to null', function () {
+      var values;
+
+      values = Iaga2002Parser.parse(IAGA2002).values;
+      expect(values[0].values[1]).to.equal(null);
+      expect(values[3].values[1]).to.equal(null);
+    });
+
+    it('throws an error without a data header', function () {
+      expect(function () {
+        Iaga2002Parser.parse('not iaga2002');
+      }).to.throw(Error);
+    });
+  });
+
+});
@@ -0,0 +1,68 @@
+/* global chai, describe, it */
+'use strict';
+
+var Interpolation = require('plots/Interpolation');
+
+
+var expect = chai.expect;
+
+
+describe('plots/Interpolation', function () {
+  var times;
+
+  times = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9].map(function (i) {
+    return new Date(i * 60000);
+  });
+
+  describe('fill', function () {
+    it('does not fill when method is none', function () {
+      var result;
+
+      result = Interpolation.fill(times.slice(0, 3), [1, null, 3]);
+      expect(result.interpolated).to.deep.equal([]);
+      expect(result.values).to.deep.equal([1, null, 3]);
+    });
+
+    it('fills gaps linearly', function () {
+      var result;
+
+      result = Interpolation.fill(times.slice(0, 5), [1, null, null, 4, 5],
+          {method: 'linear'});
+      expect(result.interpolated).to.deep.equal([1, 2]);
+      expect(result.values).to.deep.equal([1, 2, 3, 4, 5]);
+    });
+
+    it('fills gaps with spline', function () {
+      var result;
+
+      // quadratic values, closer to 4 than linear 5
+      result = Interpolation.fill(times.slice(0, 5), [0, 1, null, 9, 16],
+          {method: 'spline'});
+      expect(result.interpolated).to.deep.equal([2]);
+      expect(result.values[2]).to.be.closeTo(4.5, 1e-9);
+
+      // without neighbors, matches linear
+      result = Interpolation.fill(times.slice(0, 3), [1, null, 3],
+          {method: 'spline'});
+      expect(result.values[1]).to.be.closeTo(2, 1e-9);
+    });
+
+    it('leaves gaps longer than maxGap and at the ends', function () {
+      var result;
+
+      result = Interpolation.fill(times,
+          [null, 1, null, 3, null, null, null, null, 8, null],
+          {maxGap: 120, method: 'linear'});
+      expect(result.interpolated).to.deep.equal([2]);
+      expect(result.values).to.deep.equal(
+          [null, 1, 2, 3, null, null, null, null, 8, null]);
+    });
+  });
+
+  describe('get', function () {
+    it('returns null for unknown methods', function () {
+      expect(Interpolation.get('linear').display).to.equal('Linear');
+      expect(Interpolation.get('unknown')).to.equal(null);
+    });
+  });
+});
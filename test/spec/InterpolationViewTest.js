@@ -0,0 +1,78 @@
+/* global chai, describe, it */
+'use strict';
+
+
+var InterpolationView = require('plots/InterpolationView'),
+    Model = require('mvc/Model');
+
+
+var expect = chai.expect;
+
+
+describe('plots/InterpolationView', function () {
+  describe('constructor', function () {
+    it('is defined', function () {
+      expect(typeof InterpolationView).to.equal('function');
+    });
+
+    it('can be destroyed', function () {
+      var view;
+
+      view = InterpolationView();
+      expect(view.destroy).to.not.throw(Error);
+    });
+
+    it('initially selects the current method', function () {
+      var view;
+
+      view = InterpolationView({
+        model: Model({interpolation: 'spline', interpolationMaxGap: 120})
+      });
+
+      expect(view.el.querySelector('[value="spline"]').checked)
+          .to.equal(true);
+      expect(view.el.querySelector('.interpolation-max-gap').value)
+          .to.equal('120');
+      view.destroy();
+    });
+  });
+
+  describe('onChange', function () {
+    it('sets model interpolation', function () {
+      var input,
+          model,
+          view;
+
+      model = Model({interpolation: 'none', interpolationMaxGap: 300});
+      view = InterpolationView({model: model});
+
+      input = view.el.querySelector('[value="linear"]');
+      input.checked = true;
+      view.onChange({target: input});
+      expect(model.get('interpolation')).to.equal('linear');
+
+      view.destroy();
+    });
+
+    it('sets model max gap, ignoring invalid values', function () {
+      var input,
+          model,
+          view;
+
+      model = Model({interpolation: 'none', interpolationMaxGap: 300});
+      view = InterpolationView({model: model});
+
+      input = view.el.querySelector('.interpolation-max-gap');
+      input.value = '600';
+      view.onChange({target: input});
+      expect(model.get('interpolationMaxGap')).to.equal(600);
+
+      input.value = '-1';
+      view.onChange({target: input});
+      expect(model.get('interpolationMaxGap')).to.equal(600);
+      expect(input.value).to.equal('600');
+
+      view.destroy();
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/* global chai, describe, it, Promise, sinon */
+'use strict';
+
+var expect = chai.expect,
+    MetadataError = require('plots/MetadataError'),
+    MetadataFactory = require('plots/MetadataFactory'),
+    StaticTransport = require('util/StaticTransport');
+
+
+var _DATA = {
+  type: 'FeatureCollection',
+  features: [
+    {id: 'A'},
+    {id: 'B'}
+  ]
+};
+
+
+describe('MetadataFactory', function () {
+  describe('getFeatures', function () {
+    it('loads features and adds configured features', function (done) {
+      var factory,
+          transport;
+
+      transport = StaticTransport({responses: {'test.json': _DATA}});
+      factory = MetadataFactory({
+        features: [{id: 'B', extra: true}, {id: 'C'}],
+        transport: transport,
+        url: 'test.json'
+      });
+
+      factory.getFeatures({
+        callback: function (features) {
+          expect(features.map(function (f) { return f.id; }))
+              .to.deep.equal(['A', 'B', 'C']);
+          expect(features[1].extra).to.equal(undefined);
+          factory.destroy();
+          transport.destroy();
+          done();
+        },
+        errback: done
+      });
+    });
+
+    it('caches features, and shares pending requests', function (done) {
+      var callback,
+          factory,
+          transport;
+
+      callback = sinon.spy();
+      transport = StaticTransport({responses: {'test.json': _DATA}});
+      sinon.spy(transport, 'get');
+      factory = MetadataFactory({transport: transport, url: 'test.json'});
+
+      factory.getFeatures({callback: callback});
+      factory.getFeatures({
+        callback: function () {
+          expect(callback.callCount).to.equal(1);
+          expect(transport.get.callCount).to.equal(1);
+
+          factory.getFeatures({callback: callback});
+          // cached features are returned synchronously
+          expect(callback.callCount).to.equal(2);
+          expect(transport.get.callCount).to.equal(1);
+
+          factory.clearCache();
+          factory.getFeatures({callback: callback});
+          expect(transport.get.callCount).to.equal(2);
+
+          factory.destroy();
+          transport.destroy();
+          done();
+        }
+      });
+    });
+
+    it('filters features using matches', function (done) {
+      var factory,
+          transport;
+
+      transport = StaticTransport({responses: {'test.json': _DATA}});
+      factory = MetadataFactory({transport: transport, url: 'test.json'});
+      factory.matches = function (feature, options) {
+        return feature.id === options.id;
+      };
+
+      factory.getFeatures({
+        id: 'B',
+        callback: function (features) {
+          expect(features.length).to.equal(1);
+          expect(features[0].id).to.equal('B');
+          factory.destroy();
+          transport.destroy();
+          done();
+        }
+      });
+    });
+
+    it('returns a promise', function (done) {
+      var factory,
+          transport;
+
+      if (typeof Promise === 'undefined') {
+        return done();
+      }
+
+      transport = StaticTransport({responses: {'test.json': _DATA}});
+      factory = MetadataFactory({transport: transport, url: 'test.json'});
+
+      factory.getFeatures({}).then(function (features) {
+        expect(features.length).to.equal(2);
+      }).then(function () {
+        factory.destroy();
+        transport.destroy();
+        done();
+      }, done);
+    });
+
+    it('does not cache errors', function (done) {
+      var factory,
+          responses,
+          transport;
+
+      responses = {'test.json': 503};
+      transport = StaticTransport({responses: responses});
+      factory = MetadataFactory({transport: transport, url: 'test.json'});
+
+      factory.getFeatures({
+        errback: function () {
+          responses['test.json'] = _DATA;
+          factory.getFeatures({
+            callback: function (features) {
+              expect(features.length).to.equal(2);
+              factory.destroy();
+              transport.destroy();
+              done();
+            }
+          });
+        }
+      });
+    });
+  });
+
+  describe('createError', function () {
+    it('creates typed errors', function () {
+      var error,
+          factory;
+
+      factory = MetadataFactory({
+        transport: StaticTransport(),
+        url: 'test.json'
+      });
+
+      error = factory.createError(0);
+      expect(error instanceof Error).to.equal(true);
+      expect(error.name).to.equal('MetadataError');
+      expect(error.type).to.equal(MetadataError.NETWORK);
+      expect(error.url).to.equal('test.json');
+
+      error = factory.createError(404);
+      expect(error.type).to.equal(MetadataError.HTTP);
+      expect(error.status).to.equal(404);
+
+      error = factory.createError(new Error('bad json'));
+      expect(error.type).to.equal(MetadataError.PARSE);
+      expect(error.message).to.contain('bad json');
+
+      factory.destroy();
+    });
+
+    it('reports responses without features as parse errors', function (done) {
+      var factory,
+          transport;
+
+      transport = StaticTransport({responses: {'test.json': '{}'}});
+      factory = MetadataFactory({transport: transport, url: 'test.json'});
+
+      factory.getFeatures({
+        callback: function () {
+          done(new Error('expected error'));
+        },
+        errback: function (err) {
+          expect(err.type).to.equal(MetadataError.PARSE);
+          factory.destroy();
+          transport.destroy();
+          done();
+        }
+      });
+    });
+  });
+});
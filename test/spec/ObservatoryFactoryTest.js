@@ -0,0 +1,85 @@
+/* global chai, describe, it */
+'use strict';
+
+var expect = chai.expect,
+    ObservatoryFactory = require('plots/ObservatoryFactory');
+
+
+var _BOU = {
+  id: 'BOU',
+  properties: {
+    agency: 'USGS',
+    agency_name: 'United States Geological Survey (USGS)',
+    sensor_orientation: 'HDZF',
+    station_name: 'Boulder'
+  },
+  geometry: {
+    coordinates: [254.764, 40.137, 1682]
+  }
+};
+
+var _HON = {
+  id: 'HON',
+  properties: {
+    agency: 'USGS',
+    station_name: 'Honolulu'
+  },
+  geometry: {
+    coordinates: [202.0, 21.316, 4]
+  }
+};
+
+var _OTT = {
+  id: 'OTT',
+  properties: {
+    agency: 'GSC',
+    agency_name: 'Geological Survey of Canada (GSC)',
+    sensor_orientation: 'XYZF',
+    station_name: 'Ottawa'
+  },
+  geometry: {
+    coordinates: [284.448, 45.403, 75]
+  }
+};
+
+
+describe('ObservatoryFactory', function () {
+  describe('matches', function () {
+    var factory;
+
+    factory = ObservatoryFactory();
+
+    it('matches agency', function () {
+      expect(factory.matches(_BOU, {agency: 'USGS'})).to.equal(true);
+      expect(factory.matches(_OTT, {agency: 'USGS'})).to.equal(false);
+      expect(factory.matches(_OTT, {agency: ['USGS', 'GSC']}))
+          .to.equal(true);
+    });
+
+    it('matches bounding box', function () {
+      var bbox;
+
+      bbox = [-110, 35, -100, 45];
+      expect(factory.matches(_BOU, {bbox: bbox})).to.equal(true);
+      expect(factory.matches(_OTT, {bbox: bbox})).to.equal(false);
+      expect(factory.matches({id: 'USGS', geometry: null}, {bbox: bbox}))
+          .to.equal(false);
+
+      // crosses antimeridian
+      bbox = [170, 0, -150, 30];
+      expect(factory.matches(_HON, {bbox: bbox})).to.equal(true);
+      expect(factory.matches(_BOU, {bbox: bbox})).to.equal(false);
+    });
+
+    it('matches orientation', function () {
+      expect(factory.matches(_BOU, {orientation: 'hdzf'})).to.equal(true);
+      expect(factory.matches(_OTT, {orientation: 'HDZF'})).to.equal(false);
+    });
+
+    it('matches search text', function () {
+      expect(factory.matches(_BOU, {search: 'boulder'})).to.equal(true);
+      expect(factory.matches(_OTT, {search: 'canada'})).to.equal(true);
+      expect(factory.matches(_HON, {search: 'ott'})).to.equal(false);
+    });
+  });
+});
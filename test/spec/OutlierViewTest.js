@@ -0,0 +1,86 @@
+/* global chai, describe, it */
+'use strict';
+
+
+var Model = require('mvc/Model'),
+    OutlierView = require('plots/OutlierView');
+
+
+var expect = chai.expect;
+
+
+describe('plots/OutlierView', function () {
+  describe('constructor', function () {
+    it('is defined', function () {
+      expect(typeof OutlierView).to.equal('function');
+    });
+
+    it('can be destroyed', function () {
+      var view;
+
+      view = OutlierView();
+      expect(view.destroy).to.not.throw(Error);
+    });
+
+    it('renders current options', function () {
+      var view;
+
+      view = OutlierView({
+        model: Model({outlierExclude: true, outlierThreshold: 3})
+      });
+
+      expect(view.el.querySelector('.outlier-detect').checked)
+          .to.equal(true);
+      expect(view.el.querySelector('.outlier-exclude').checked)
+          .to.equal(true);
+      expect(view.el.querySelector('.outlier-threshold').value)
+          .to.equal('3');
+      view.destroy();
+    });
+  });
+
+  describe('onChange', function () {
+    it('turns detection on and off', function () {
+      var detect,
+          model,
+          view;
+
+      model = Model({outlierExclude: false, outlierThreshold: null});
+      view = OutlierView({model: model});
+      detect = view.el.querySelector('.outlier-detect');
+
+      detect.checked = true;
+      view.onChange({target: detect});
+      expect(model.get('outlierThreshold')).to.equal(5);
+
+      detect.checked = false;
+      view.onChange({target: detect});
+      expect(model.get('outlierThreshold')).to.equal(null);
+
+      view.destroy();
+    });
+
+    it('sets threshold and exclude', function () {
+      var exclude,
+          model,
+          threshold,
+          view;
+
+      model = Model({outlierExclude: false, outlierThreshold: null});
+      view = OutlierView({model: model});
+      exclude = view.el.querySelector('.outlier-exclude');
+      threshold = view.el.querySelector('.outlier-threshold');
+
+      threshold.value = '8';
+      view.onChange({target: threshold});
+      expect(model.get('outlierThreshold')).to.equal(8);
+
+      exclude.checked = true;
+      view.onChange({target: exclude});
+      expect(model.get('outlierExclude')).to.equal(true);
+      expect(model.get('outlierThreshold')).to.equal(8);
+
+      view.destroy();
+    });
+  });
+});
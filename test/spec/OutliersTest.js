@@ -0,0 +1,40 @@
+/* global chai, describe, it */
+'use strict';
+
+var Outliers = require('plots/Outliers');
+
+
+var expect = chai.expect;
+
+
+describe('plots/Outliers', function () {
+
+  describe('detect', function () {
+    var values;
+
+    values = [10, 11, 10, 12, 11, 10, 500, 11, 10, 12, null, 11, 10, -300,
+        12, 11];
+
+    it('finds spikes', function () {
+      expect(Outliers.detect(values)).to.deep.equal([6, 13]);
+    });
+
+    it('uses threshold', function () {
+      expect(Outliers.detect([10, 11, 10, 12, 11, 10, 14, 11, 10, 12, 11],
+          {threshold: 5})).to.deep.equal([]);
+      expect(Outliers.detect([10, 11, 10, 12, 11, 10, 14, 11, 10, 12, 11],
+          {threshold: 2})).to.deep.equal([6]);
+    });
+
+    it('ignores constant windows', function () {
+      expect(Outliers.detect([1, 1, 1, 1, 1, 1, 1, 2, 1, 1, 1, 1, 1, 1]))
+          .to.deep.equal([]);
+    });
+
+    it('handles empty values', function () {
+      expect(Outliers.detect([])).to.deep.equal([]);
+      expect(Outliers.detect(null)).to.deep.equal([]);
+    });
+  });
+
+});
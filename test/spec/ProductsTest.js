@@ -0,0 +1,46 @@
+/* global chai, describe, it */
+'use strict';
+
+var Products = require('plots/Products');
+
+
+var expect = chai.expect;
+
+
+describe('plots/Products', function () {
+
+  describe('get', function () {
+    it('returns products by id', function () {
+      expect(Products.get('USGS').defaultElement).to.equal('MSD');
+      expect(Products.get('BOU')).to.equal(null);
+    });
+  });
+
+  describe('getAll', function () {
+    it('returns all products', function () {
+      expect(Products.getAll().map(function (p) {
+        return p.id;
+      })).to.deep.equal(['USGS']);
+    });
+  });
+
+  describe('getElements', function () {
+    it('returns elements displayed for a product', function () {
+      expect(Products.getElements('USGS')).to.deep.equal(['MSD']);
+    });
+
+    it('returns null for observatories', function () {
+      expect(Products.getElements('BOU')).to.equal(null);
+    });
+  });
+
+  describe('filterObservatories', function () {
+    it('keeps observatories and products supporting element', function () {
+      expect(Products.filterObservatories(['BOU', 'USGS'], 'H'))
+          .to.deep.equal(['BOU']);
+      expect(Products.filterObservatories(['BOU', 'USGS'], 'MSD'))
+          .to.deep.equal(['BOU', 'USGS']);
+    });
+  });
+
+});
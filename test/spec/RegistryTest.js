@@ -0,0 +1,38 @@
+/* global chai, describe, it */
+'use strict';
+
+var Registry = require('plots/Registry');
+
+
+var expect = chai.expect;
+
+
+describe('plots/Registry', function () {
+
+  describe('get', function () {
+    it('returns entries by id', function () {
+      var registry;
+
+      registry = Registry([{id: 'a', value: 1}, {id: 'b', value: 2}]);
+      expect(registry.get('b').value).to.equal(2);
+      expect(registry.get('c')).to.equal(null);
+    });
+  });
+
+  describe('getAll', function () {
+    it('returns a copy of entries in declared order', function () {
+      var all,
+          registry;
+
+      registry = Registry([{id: 'b'}, {id: 'a'}]);
+      all = registry.getAll();
+      expect(all.map(function (e) {
+        return e.id;
+      })).to.deep.equal(['b', 'a']);
+
+      all.pop();
+      expect(registry.getAll().length).to.equal(2);
+    });
+  });
+
+});
@@ -0,0 +1,113 @@
+/* global chai, describe, it, sinon */
+'use strict';
+
+var expect = chai.expect,
+    StaticTransport = require('util/StaticTransport');
+
+
+describe('StaticTransport', function () {
+  describe('get', function () {
+    it('responds asynchronously by url', function (done) {
+      var success,
+          transport;
+
+      success = sinon.spy(function (data) {
+        expect(data).to.deep.equal({test: true});
+        transport.destroy();
+        done();
+      });
+      transport = StaticTransport({
+        responses: {
+          'test.json': {test: true}
+        }
+      });
+
+      transport.get({
+        url: 'test.json',
+        data: {id: 'BOU'},
+        success: success,
+        error: done
+      });
+      expect(success.callCount).to.equal(0);
+    });
+
+    it('uses response functions', function (done) {
+      var responses,
+          transport;
+
+      responses = sinon.spy(function () {
+        return 'text';
+      });
+      transport = StaticTransport({responses: responses});
+
+      transport.get({
+        url: 'test.txt',
+        data: {id: 'BOU'},
+        success: function (data) {
+          expect(data).to.equal('text');
+          expect(responses.calledWith('test.txt', {id: 'BOU'})).to.equal(true);
+          transport.destroy();
+          done();
+        },
+        error: done
+      });
+    });
+
+    it('fails with 404 for unknown urls', function (done) {
+      var transport;
+
+      transport = StaticTransport();
+      transport.get({
+        url: 'missing.json',
+        success: function () {
+          done(new Error('expected error'));
+        },
+        error: function (err) {
+          expect(err).to.equal(404);
+          transport.destroy();
+          done();
+        }
+      });
+    });
+
+    it('fails with numeric responses', function (done) {
+      var transport;
+
+      transport = StaticTransport({responses: {'error.json': 503}});
+      transport.get({
+        url: 'error.json',
+        success: function () {
+          done(new Error('expected error'));
+        },
+        error: function (err) {
+          expect(err).to.equal(503);
+          transport.destroy();
+          done();
+        }
+      });
+    });
+
+    it('does not respond after abort', function (done) {
+      var error,
+          success,
+          transport;
+
+      error = sinon.spy();
+      success = sinon.spy();
+      transport = StaticTransport({responses: {'test.json': {}}});
+
+      transport.get({
+        url: 'test.json',
+        success: success,
+        error: error
+      }).abort();
+
+      setTimeout(function () {
+        expect(error.callCount).to.equal(0);
+        expect(success.callCount).to.equal(0);
+        transport.destroy();
+        done();
+      }, 10);
+    });
+  });
+});
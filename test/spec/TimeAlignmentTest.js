@@ -0,0 +1,103 @@
+/* global chai, describe, it */
+'use strict';
+
+var TimeAlignment = require('plots/TimeAlignment'),
+    Timeseries = require('plots/Timeseries');
+
+
+var expect = chai.expect;
+
+
+describe('plots/TimeAlignment', function () {
+  var times,
+      values;
+
+  // one minute samples
+  times = [new Date(0), new Date(60000), new Date(120000)];
+  values = [0, 60, null];
+
+  describe('getSample', function () {
+    it('matches exact times with none', function () {
+      expect(TimeAlignment.getSample(times, values, new Date(60000),
+          {method: 'none'})).to.deep.equal({
+            index: 1,
+            indexes: [1],
+            time: times[1],
+            value: 60
+          });
+      expect(TimeAlignment.getSample(times, values, new Date(1000),
+          {method: 'none'})).to.equal(null);
+    });
+
+    it('uses nearest sample', function () {
+      expect(TimeAlignment.getSample(times, values, new Date(20000))
+          .index).to.equal(0);
+      expect(TimeAlignment.getSample(times, values, new Date(40000))
+          .index).to.equal(1);
+      expect(TimeAlignment.getSample(times, values, new Date(40000),
+          {maxDistance: 10000})).to.equal(null);
+    });
+
+    it('interpolates linearly', function () {
+      var sample;
+
+      sample = TimeAlignment.getSample(times, values, new Date(15000),
+          {method: 'linear'});
+      expect(sample.index).to.equal(null);
+      expect(sample.indexes).to.deep.equal([0, 1]);
+      expect(sample.time.getTime()).to.equal(15000);
+      expect(sample.value).to.equal(15);
+
+      // null neighbor
+      expect(TimeAlignment.getSample(times, values, new Date(90000),
+          {method: 'linear'}).value).to.equal(null);
+    });
+
+    it('does not align outside samples', function () {
+      expect(TimeAlignment.getSample(times, values, new Date(-1000)))
+          .to.equal(null);
+      expect(TimeAlignment.getSample(times, values, new Date(121000)))
+          .to.equal(null);
+      expect(TimeAlignment.getSample([], [], new Date(0))).to.equal(null);
+    });
+  });
+
+  describe('align', function () {
+    it('aligns timeseries onto common times', function () {
+      var aligned,
+          seconds;
+
+      seconds = Timeseries({
+        times: [new Date(0), new Date(1000), new Date(59000),
+            new Date(60000)],
+        values: [1, 2, 3, 4]
+      });
+      aligned = TimeAlignment.align(
+          [Timeseries({times: times, values: values}), seconds],
+          null, {method: 'nearest'});
+      expect(aligned.times).to.equal(times);
+      expect(aligned.values).to.deep.equal([
+        [0, 60, null],
+        [1, 4, null]
+      ]);
+    });
+  });
+
+  describe('union', function () {
+    it('combines times of all timeseries', function () {
+      var union;
+
+      union = TimeAlignment.union([
+        Timeseries({times: times, values: values}),
+        Timeseries({
+          times: [new Date(1000), new Date(60000), new Date(180000)],
+          values: [1, 2, 3]
+        }),
+        Timeseries()
+      ]);
+      expect(union.map(function (time) {
+        return time.getTime();
+      })).to.deep.equal([0, 1000, 60000, 120000, 180000]);
+    });
+  });
+});
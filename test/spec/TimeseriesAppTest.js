@@ -3,6 +3,7 @@
 
 
 var Collection = require('mvc/Collection'),
+    ObservatoryFactory = require('plots/ObservatoryFactory'),
     TimeseriesApp = require('plots/TimeseriesApp'),
     Xhr = require('util/Xhr');
 
@@ -17,58 +18,239 @@ describe('plots/TimeseriesApp', function () {
     });
   });
 
+  describe('destroy', function () {
+    it('destroys timeseries factories', function () {
+      var app,
+          factory,
+          innerFactory;
+
+      sinon.stub(Xhr, 'ajax', function () {});
+      app = TimeseriesApp();
+      factory = app.timeseriesManager.factory;
+      innerFactory = factory.factory;
+      sinon.spy(factory, 'destroy');
+      sinon.spy(innerFactory, 'destroy');
+
+      app.destroy();
+      expect(factory.destroy.calledOnce).to.equal(true);
+      expect(innerFactory.destroy.calledOnce).to.equal(true);
+      Xhr.ajax.restore();
+    });
+  });
+
   describe('loadCollection', function () {
     var app,
-        collection;
+        collection,
+        factory;
 
     beforeEach(function () {
+      sinon.stub(Xhr, 'ajax', function () {});
       app = TimeseriesApp();
       collection = Collection();
-      sinon.stub(Xhr, 'ajax', function () {});
+      factory = {
+        getFeatures: sinon.spy()
+      };
     });
 
     afterEach(function () {
+      app.destroy();
       app = null;
       collection = null;
+      factory = null;
       Xhr.ajax.restore();
     });
 
     it('sets collection error status', function () {
+      var error;
+
+      error = new Error('error status');
       collection.reset([{id: 1}, {id: 2}]);
       app.loadCollection({
         collection: collection,
-        url: 'test url'
+        factory: factory
       });
 
-      expect(Xhr.ajax.calledOnce).to.equal(true);
+      expect(factory.getFeatures.calledOnce).to.equal(true);
       // call error callback
-      Xhr.ajax.getCall(0).args[0].error('error status');
-      expect(collection.error).to.equal('error status');
+      factory.getFeatures.getCall(0).args[0].errback(error);
+      expect(collection.error).to.equal(error);
       expect(collection.data().length).to.equal(0);
     });
 
     it('resets collection with features', function () {
-      var data = {
-        features: [
-          {id: 3},
-          {id: 4}
-        ]
-      };
-
       collection.error = true;
       collection.reset([{id: 2}]);
       app.loadCollection({
         collection: collection,
-        url: 'test url'
+        factory: factory
       });
 
-      expect(Xhr.ajax.calledOnce).to.equal(true);
-      // call error callback
-      Xhr.ajax.getCall(0).args[0].success(data);
+      expect(factory.getFeatures.calledOnce).to.equal(true);
+      // call success callback
+      factory.getFeatures.getCall(0).args[0].callback([
+        {id: 3},
+        {id: 4}
+      ]);
       expect(collection.error).to.equal(false);
       expect(collection.data().length).to.equal(2);
       expect(collection.data()[0].id).to.equal(3);
     });
+
+    it('passes query options to factory', function () {
+      app.loadCollection({
+        collection: collection,
+        factory: factory,
+        query: {agency: 'USGS'}
+      });
+
+      expect(factory.getFeatures.getCall(0).args[0].agency)
+          .to.equal('USGS');
+    });
+  });
+
+  describe('metadata errors', function () {
+    var app,
+        elementFactory,
+        observatoryFactory;
+
+    beforeEach(function () {
+      sinon.stub(Xhr, 'ajax', function () {});
+      elementFactory = {
+        getFeatures: sinon.spy()
+      };
+      observatoryFactory = ObservatoryFactory();
+      sinon.stub(observatoryFactory, 'getFeatures');
+      app = TimeseriesApp({
+        elementFactory: elementFactory,
+        observatoryFactory: observatoryFactory
+      });
+    });
+
+    afterEach(function () {
+      app.destroy();
+      app = null;
+      observatoryFactory.destroy();
+      Xhr.ajax.restore();
+    });
+
+    it('shows an error when metadata fails to load', function () {
+      var errorEl;
+
+      errorEl = app.el.querySelector('.metadata-error');
+      expect(errorEl.classList.contains('show')).to.equal(false);
+
+      elementFactory.getFeatures.getCall(0).args[0].callback([{id: 'H'}]);
+      observatoryFactory.getFeatures.getCall(0).args[0].errback(
+          new Error('Unable to connect'));
+      expect(errorEl.classList.contains('show')).to.equal(true);
+      expect(errorEl.textContent).to.contain('Unable to connect');
+    });
+
+    it('retries collections that failed to load', function () {
+      var errorEl;
+
+      errorEl = app.el.querySelector('.metadata-error');
+      elementFactory.getFeatures.getCall(0).args[0].callback([{id: 'H'}]);
+      observatoryFactory.getFeatures.getCall(0).args[0].errback(
+          new Error('Unable to connect'));
+
+      errorEl.querySelector('.retry').click();
+      expect(elementFactory.getFeatures.callCount).to.equal(1);
+      expect(observatoryFactory.getFeatures.callCount).to.equal(2);
+
+      observatoryFactory.getFeatures.getCall(1).args[0].callback([
+        {id: 'BOU', properties: {agency: 'USGS'}}
+      ]);
+      expect(errorEl.classList.contains('show')).to.equal(false);
+      expect(app.observatories.data().length).to.equal(1);
+      expect(app.elements.getSelected().id).to.equal('H');
+    });
+  });
+
+  describe('filterObservatories', function () {
+    it('lists observatories from configured agencies', function () {
+      var app,
+          ids;
+
+      sinon.stub(Xhr, 'ajax', function () {});
+      app = TimeseriesApp();
+      ids = function () {
+        return app.observatories.data().map(function (o) { return o.id; });
+      };
+
+      app.allObservatories.reset([
+        {id: 'BOU', properties: {agency: 'USGS'}},
+        {id: 'ESK', properties: {agency: 'BGS'}},
+        {id: 'OTT', properties: {agency: 'GSC'}}
+      ]);
+      expect(ids()).to.deep.equal(['BOU']);
+
+      app.config.set({agencies: ['BGS', 'GSC']});
+      expect(ids()).to.deep.equal(['ESK', 'OTT']);
+
+      app.config.set({agencies: null});
+      expect(ids()).to.deep.equal(['BOU', 'ESK', 'OTT']);
+
+      app.destroy();
+      Xhr.ajax.restore();
+    });
+  });
+
+  describe('onLoading', function () {
+    it('shows loading mask while requests are pending', function () {
+      var app;
+
+      sinon.stub(Xhr, 'ajax', function () {});
+      app = TimeseriesApp();
+
+      app.timeseriesManager.trigger('loading', true);
+      expect(app.el.classList.contains('loading')).to.equal(true);
+      app.timeseriesManager.trigger('loading', false);
+      expect(app.el.classList.contains('loading')).to.equal(false);
+
+      Xhr.ajax.restore();
+    });
+  });
+
+  describe('onSamplingPeriod', function () {
+    it('shows when the selected sampling period is replaced', function () {
+      var app,
+          el;
+
+      sinon.stub(Xhr, 'ajax', function () {});
+      app = TimeseriesApp();
+      el = app.el.querySelector('.sampling-period-limit');
+
+      app.config.set({sampling_period: 1}, {silent: true});
+      app.timeseriesManager.trigger('samplingperiod', 60);
+      expect(el.classList.contains('alert')).to.equal(true);
+
+      app.destroy();
+      Xhr.ajax.restore();
+    });
+  });
+
+  describe('onStreamReopen', function () {
+    it('fetches the realtime interval again', function () {
+      var app;
+
+      sinon.stub(Xhr, 'ajax', function () {});
+      app = TimeseriesApp();
+      sinon.stub(app.timeseriesManager, 'fetchData', function () {});
+
+      app.config.set({timemode: 'custom'}, {silent: true});
+      app.stream.trigger('reopen');
+      expect(app.timeseriesManager.fetchData.callCount).to.equal(0);
+
+      app.config.set({timemode: 'realtime'}, {silent: true});
+      app.stream.trigger('reopen');
+      expect(app.timeseriesManager.fetchData.callCount).to.equal(1);
+      expect(app.config.get('endtime').getTime())
+          .to.be.above(new Date().getTime());
+
+      app.destroy();
+      Xhr.ajax.restore();
+    });
   });
 
   describe('sortByLatitudeDescending', function () {
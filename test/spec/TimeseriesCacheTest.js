@@ -0,0 +1,218 @@
+/* global chai, describe, it, sinon */
+'use strict';
+
+var TimeseriesCache = require('plots/TimeseriesCache');
+
+
+var expect = chai.expect;
+
+
+describe('plots/TimeseriesCache', function () {
+
+  describe('constructor', function () {
+    it('is a function', function () {
+      expect(typeof TimeseriesCache).to.equal('function');
+    });
+
+    it('can be destroyed', function () {
+      var cache;
+
+      cache = TimeseriesCache({indexedDB: null});
+      expect(cache.destroy).to.not.throw(Error);
+    });
+
+    it('closes the database when destroyed while opening', function () {
+      var cache,
+          request;
+
+      request = {};
+      cache = TimeseriesCache({
+        indexedDB: {
+          open: function () {
+            return request;
+          }
+        }
+      });
+      cache.destroy();
+
+      request.result = {close: sinon.spy()};
+      expect(request.onsuccess).to.not.throw(Error);
+      expect(request.result.close.calledOnce).to.equal(true);
+      expect(request.onerror).to.not.throw(Error);
+    });
+  });
+
+  describe('getEvictions', function () {
+    it('evicts least recently accessed ranges', function () {
+      var cache;
+
+      cache = TimeseriesCache({
+        indexedDB: null,
+        maxSamples: 100
+      });
+      expect(cache.getEvictions([
+        {id: 1, accessed: 3, size: 50},
+        {id: 2, accessed: 1, size: 50},
+        {id: 3, accessed: 2, size: 50},
+        {id: 4, accessed: 4, size: 20}
+      ])).to.deep.equal([2, 3]);
+      cache.destroy();
+    });
+
+    it('evicts nothing when below maxSamples', function () {
+      var cache;
+
+      cache = TimeseriesCache({
+        indexedDB: null,
+        maxSamples: 100
+      });
+      expect(cache.getEvictions([
+        {id: 1, accessed: 3, size: 50},
+        {id: 2, accessed: 1, size: 50}
+      ])).to.deep.equal([]);
+      cache.destroy();
+    });
+  });
+
+  describe('getExpires', function () {
+    var cache,
+        now;
+
+    cache = TimeseriesCache({
+      definitiveExpires: 3000,
+      historicalExpires: 2000,
+      indexedDB: null,
+      recentAge: 100,
+      recentExpires: 1000
+    });
+    now = 10000;
+
+    it('expires recent ranges quickly', function () {
+      expect(cache.getExpires('definitive', now - 50, now))
+          .to.equal(now + 1000);
+      expect(cache.getExpires('variation', now - 50, now))
+          .to.equal(now + 1000);
+    });
+
+    it('keeps historical definitive data longest', function () {
+      expect(cache.getExpires('definitive', now - 500, now))
+          .to.equal(now + 3000);
+      expect(cache.getExpires('quasi-definitive', now - 500, now))
+          .to.equal(now + 3000);
+    });
+
+    it('keeps other historical data', function () {
+      expect(cache.getExpires('variation', now - 500, now))
+          .to.equal(now + 2000);
+    });
+  });
+
+  describe('getKey', function () {
+    it('includes observatory, element, type and sampling period', function () {
+      var cache;
+
+      cache = TimeseriesCache({indexedDB: null});
+      expect(cache.getKey({
+        element: 'H',
+        id: 'BOU',
+        sampling_period: 60,
+        type: 'variation'
+      })).to.equal('BOU/H/variation/60');
+      cache.destroy();
+    });
+  });
+
+  describe('getRanges', function () {
+    it('returns no ranges, asynchronously, without indexedDB',
+        function (done) {
+      var cache,
+          called;
+
+      cache = TimeseriesCache({indexedDB: null});
+      called = false;
+      cache.getRanges('BOU/H/variation/60', 0, 1000, function (ranges) {
+        called = true;
+        expect(ranges).to.deep.equal([]);
+        cache.destroy();
+        done();
+      });
+      expect(called).to.equal(false);
+    });
+  });
+
+  describe('getRecords', function () {
+    var cache,
+        range;
+
+    cache = TimeseriesCache({
+      definitiveExpires: 3000,
+      indexedDB: null,
+      recentAge: 100000,
+      recentExpires: 1000
+    });
+    range = {
+      endtime: 960000,
+      metadata: null,
+      sampling_period: 60,
+      starttime: 600000,
+      times: [600000, 660000, 720000, 780000, 840000, 900000, 960000],
+      type: 'definitive',
+      values: [1, 2, 3, 4, 5, 6, 7]
+    };
+
+    it('stores recent samples separately', function () {
+      var records;
+
+      records = cache.getRecords('key', range, 1000000);
+      expect(records.length).to.equal(2);
+      expect(records[0].starttime).to.equal(600000);
+      expect(records[0].endtime).to.equal(840000);
+      expect(records[0].values).to.deep.equal([1, 2, 3, 4, 5]);
+      expect(records[0].expires).to.equal(1003000);
+      expect(records[1].starttime).to.equal(900000);
+      expect(records[1].endtime).to.equal(960000);
+      expect(records[1].values).to.deep.equal([6, 7]);
+      expect(records[1].expires).to.equal(1001000);
+    });
+
+    it('stores one record when nothing is recent', function () {
+      var records;
+
+      records = cache.getRecords('key', range, 2000000);
+      expect(records.length).to.equal(1);
+      expect(records[0].size).to.equal(7);
+      expect(records[0].expires).to.equal(2003000);
+    });
+  });
+
+  describe('getStoredEnd', function () {
+    var cache;
+
+    cache = TimeseriesCache({indexedDB: null});
+
+    it('ends at last sample with a value', function () {
+      expect(cache.getStoredEnd({
+        endtime: 4,
+        times: [0, 1, 2, 3, 4],
+        values: [1, null, 2, null, null]
+      }, 10)).to.equal(2);
+    });
+
+    it('ends before the current time', function () {
+      expect(cache.getStoredEnd({
+        endtime: 4,
+        times: [0, 1, 2, 3, 4],
+        values: [1, 2, 3, 4, 5]
+      }, 3)).to.equal(3);
+    });
+
+    it('returns null without values', function () {
+      expect(cache.getStoredEnd({
+        endtime: 2,
+        times: [0, 1, 2],
+        values: [null, null, null]
+      }, 10)).to.equal(null);
+    });
+  });
+
+});
@@ -1,4 +1,4 @@
-/* global chai, describe, it */
+/* global chai, describe, it, sinon */
 'use strict';
 
 var expect = chai.expect,
@@ -33,4 +33,46 @@ describe('TimeseriesCollectionView test suite.', function () {
     expect(timeseriesCollectionView.el.childNodes[0].
         childNodes.length).to.equal(1);
   });
+
+  describe('getViewportDistance', function () {
+    it('measures distance of plot from viewport', function () {
+      var collection,
+          li,
+          timeseries,
+          view;
+
+      collection = Collection();
+      view = TimeseriesCollectionView({
+        el: document.createElement('div'),
+        collection: collection
+      });
+      timeseries = Timeseries({
+        id: 'A_H',
+        times: [],
+        values: []
+      });
+
+      expect(view.getViewportDistance(timeseries)).to.equal(Infinity);
+
+      collection.add(timeseries);
+      li = view.el.querySelector('li');
+      sinon.stub(li, 'getBoundingClientRect', function () {
+        return {
+          bottom: window.innerHeight + 250,
+          top: window.innerHeight + 100
+        };
+      });
+      expect(view.getViewportDistance(timeseries)).to.equal(100);
+
+      li.getBoundingClientRect.restore();
+      sinon.stub(li, 'getBoundingClientRect', function () {
+        return {
+          bottom: 50,
+          top: -100
+        };
+      });
+      expect(view.getViewportDistance(timeseries)).to.equal(0);
+      view.destroy();
+    });
+  });
 });
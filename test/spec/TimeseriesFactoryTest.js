@@ -1,11 +1,26 @@
-/* global chai, describe, it, sinon */
+/* global chai, describe, it, Promise, sinon */
 'use strict';
 
 var expect = chai.expect,
+    StaticTransport = require('util/StaticTransport'),
     TimeseriesFactory = require('plots/TimeseriesFactory'),
     Xhr = require('util/Xhr');
 
 
+var _RESPONSE = {
+  type: 'Timeseries',
+  metadata: {},
+  times: ['2016-01-01T00:00:00Z', '2016-01-01T00:01:00Z'],
+  values: [
+    {
+      id: 'H',
+      metadata: {element: 'H'},
+      values: [1, 2]
+    }
+  ]
+};
+
+
 describe('TimeseriesFactory', function () {
   describe('construtor', function () {
     it('is defined', function () {
@@ -52,6 +67,43 @@ describe('TimeseriesFactory', function () {
       factory.destroy();
     });
 
+    it('parses iaga2002 responses', function () {
+      var callback,
+          factory,
+          parsed,
+          stub;
+
+      callback = sinon.stub();
+      parsed = {times: [], values: []};
+      factory = TimeseriesFactory({format: 'iaga2002'});
+      sinon.stub(factory, 'parseIaga2002', function () { return parsed; });
+      stub = sinon.stub(Xhr, 'ajax', function (o) { o.success('text'); });
+
+      factory.getTimeseries({callback: callback});
+      expect(stub.getCall(0).args[0].data.format).to.equal('iaga2002');
+      expect(factory.parseIaga2002.calledWith('text')).to.equal(true);
+      expect(callback.getCall(0).args[0].get('times')).to.equal(parsed.times);
+
+      stub.restore();
+      factory.destroy();
+    });
+
+    it('calls errback when iaga2002 response cannot be parsed', function () {
+      var errback,
+          factory,
+          stub;
+
+      errback = sinon.stub();
+      factory = TimeseriesFactory();
+      stub = sinon.stub(Xhr, 'ajax', function (o) { o.success('text'); });
+
+      factory.getTimeseries({errback: errback, format: 'iaga2002'});
+      expect(errback.calledOnce).to.equal(true);
+
+      stub.restore();
+      factory.destroy();
+    });
+
     it('has correct data', function (done) {
       var factory;
 
@@ -77,4 +129,215 @@ describe('TimeseriesFactory', function () {
       });
     });
   });
+
+  describe('getTimeseries with transport', function () {
+    it('parses json text responses', function (done) {
+      var factory,
+          transport;
+
+      transport = StaticTransport({
+        responses: {'ws/': JSON.stringify(_RESPONSE)}
+      });
+      factory = TimeseriesFactory({transport: transport, url: 'ws/'});
+
+      factory.getTimeseries({
+        callback: function (response) {
+          expect(response.getTimeseries()[0].get('values'))
+              .to.deep.equal([1, 2]);
+          factory.destroy();
+          transport.destroy();
+          done();
+        },
+        errback: done
+      });
+    });
+
+    it('returns a promise', function (done) {
+      var factory,
+          transport;
+
+      if (typeof Promise === 'undefined') {
+        return done();
+      }
+
+      transport = StaticTransport({responses: {'ws/': _RESPONSE}});
+      factory = TimeseriesFactory({transport: transport, url: 'ws/'});
+
+      factory.getTimeseries({}).then(function (response) {
+        expect(response.getTimeseries().length).to.equal(1);
+      }).then(function () {
+        factory.destroy();
+        transport.destroy();
+        done();
+      }, done);
+    });
+
+    it('rejects the promise with an error when a request fails',
+        function (done) {
+      var errback,
+          factory,
+          transport;
+
+      if (typeof Promise === 'undefined') {
+        return done();
+      }
+
+      errback = sinon.spy();
+      transport = StaticTransport({responses: {'ws/': 503}});
+      factory = TimeseriesFactory({transport: transport, url: 'ws/'});
+
+      factory.getTimeseries({errback: errback}).then(function () {
+        throw new Error('expected rejection');
+      }, function (err) {
+        expect(err).to.be.an.instanceof(Error);
+        expect(err.status).to.equal(503);
+        expect(err.responseText).to.equal(null);
+        expect(errback.calledWith(503)).to.equal(true);
+      }).then(function () {
+        factory.destroy();
+        transport.destroy();
+        done();
+      }, done);
+    });
+
+    it('aborts without calling callbacks', function (done) {
+      var callback,
+          errback,
+          factory,
+          request,
+          transport;
+
+      callback = sinon.spy();
+      errback = sinon.spy();
+      transport = StaticTransport({responses: {'ws/': _RESPONSE}});
+      factory = TimeseriesFactory({transport: transport, url: 'ws/'});
+
+      request = factory.getTimeseries({callback: callback, errback: errback});
+      request.abort();
+
+      setTimeout(function () {
+        expect(callback.callCount).to.equal(0);
+        expect(errback.callCount).to.equal(0);
+        factory.destroy();
+        transport.destroy();
+
+        if (typeof Promise === 'undefined') {
+          return done();
+        }
+        request.then(function () {
+          throw new Error('expected rejection');
+        }, function (err) {
+          expect(err.name).to.equal('AbortError');
+        }).then(done, done);
+      }, 10);
+    });
+
+    it('does not pass errors thrown by callback to errback', function () {
+      var errback,
+          error,
+          factory;
+
+      errback = sinon.spy();
+      error = new Error('callback error');
+      factory = TimeseriesFactory({
+        transport: {
+          get: function (options) {
+            options.success(_RESPONSE);
+            return {abort: function () {}};
+          }
+        }
+      });
+
+      expect(function () {
+        factory.getTimeseries({
+          callback: function () {
+            throw error;
+          },
+          errback: errback
+        });
+      }).to.throw(error);
+      expect(errback.callCount).to.equal(0);
+
+      factory.destroy();
+    });
+
+    it('aborts pending requests when destroyed', function () {
+      var abort,
+          callback,
+          errback,
+          factory,
+          requests;
+
+      abort = sinon.spy();
+      callback = sinon.spy();
+      errback = sinon.spy();
+      requests = [];
+      factory = TimeseriesFactory({
+        transport: {
+          get: function (options) {
+            requests.push(options);
+            return {abort: abort};
+          }
+        }
+      });
+
+      factory.getTimeseries({callback: callback, errback: errback});
+      factory.getTimeseries({callback: callback, errback: errback});
+      requests[0].success(_RESPONSE);
+      factory.destroy();
+      expect(abort.callCount).to.equal(1);
+
+      // responses after destroy are ignored
+      requests[1].success(_RESPONSE);
+      requests[1].error(500);
+      expect(callback.callCount).to.equal(1);
+      expect(errback.callCount).to.equal(0);
+    });
+
+    it('does not destroy transports it did not create', function () {
+      var factory,
+          transport;
+
+      transport = StaticTransport();
+      sinon.spy(transport, 'destroy');
+      factory = TimeseriesFactory({transport: transport});
+      factory.destroy();
+      expect(transport.destroy.callCount).to.equal(0);
+      transport.destroy();
+    });
+  });
+
+  describe('createError', function () {
+    it('adds status and response text', function () {
+      var err;
+
+      err = TimeseriesFactory().createError(500, {responseText: 'oops'});
+      expect(err).to.be.an.instanceof(Error);
+      expect(err.message).to.equal('Request failed with status 500');
+      expect(err.status).to.equal(500);
+      expect(err.responseText).to.equal('oops');
+
+      err = TimeseriesFactory().createError(0);
+      expect(err.message).to.equal('Server not reached');
+    });
+
+    it('returns errors unchanged', function () {
+      var err;
+
+      err = new Error('parse error');
+      expect(TimeseriesFactory().createError(err)).to.equal(err);
+    });
+  });
+
+  describe('parseTimeseriesOptions', function () {
+    it('requests json by default', function () {
+      var factory;
+
+      factory = TimeseriesFactory();
+      expect(factory.parseTimeseriesOptions({}).format).to.equal('json');
+      expect(factory.parseTimeseriesOptions({format: 'iaga2002'}).format)
+          .to.equal('iaga2002');
+      factory.destroy();
+    });
+  });
 });
@@ -38,6 +38,31 @@ describe('plots/TimeseriesManagerRequest', function () {
       request.xhr = null;
       expect(request.abort).to.not.throw(Error);
     });
+
+    it('cancels scheduled retry', function () {
+      var clock,
+          request;
+
+      clock = sinon.useFakeTimers();
+      request = TimeseriesManagerRequest();
+      sinon.stub(request, 'requestRange', function () {});
+      request.retry();
+      request.abort();
+      clock.tick(60000);
+      expect(request.requestRange.callCount).to.equal(0);
+      clock.restore();
+    });
+
+    it('resets status of queued requests', function () {
+      var request,
+          timeseries;
+
+      timeseries = Model({status: 'idle'});
+      request = TimeseriesManagerRequest({timeseries: [timeseries]});
+      request.setStatus('loading');
+      request.abort();
+      expect(timeseries.get('status')).to.equal('idle');
+    });
   });
 
   describe('destroy', function () {
@@ -51,6 +76,243 @@ describe('plots/TimeseriesManagerRequest', function () {
     });
   });
 
+  describe('formatError', function () {
+    var request;
+
+    beforeEach(function () {
+      request = TimeseriesManagerRequest();
+    });
+
+    afterEach(function () {
+      request = null;
+    });
+
+
+    it('includes status and web service response', function () {
+      expect(request.formatError(400, {responseText: 'Bad starttime\n'}))
+          .to.equal('Error 400: Bad starttime');
+      expect(request.formatError(500, {responseText: ''}))
+          .to.equal('Error 500');
+    });
+
+    it('describes connection failures', function () {
+      expect(request.formatError(0, null))
+          .to.equal('Unable to connect to web service');
+    });
+
+    it('uses error message', function () {
+      expect(request.formatError(new Error('parse error')))
+          .to.equal('parse error');
+      expect(request.formatError('message')).to.equal('message');
+    });
+  });
+
+  describe('getCachedData', function () {
+    var timeseries;
+
+    beforeEach(function () {
+      timeseries = Model({
+        sampling_period: 60,
+        times: [
+          new Date('2016-05-01T00:00:00Z'),
+          new Date('2016-05-01T00:01:00Z'),
+          new Date('2016-05-01T00:02:00Z'),
+          new Date('2016-05-01T00:03:00Z')
+        ],
+        values: [1, 2, 3, null]
+      });
+    });
+
+    afterEach(function () {
+      timeseries = null;
+    });
+
+
+    it('ignores data when sampling period differs', function () {
+      var cached,
+          request;
+
+      request = TimeseriesManagerRequest({
+        endtime: new Date('2016-05-01T00:03:00Z'),
+        sampling_period: 1,
+        starttime: new Date('2016-05-01T00:00:00Z')
+      });
+
+      cached = request.getCachedData(timeseries);
+      expect(cached.times.length).to.equal(0);
+    });
+
+    it('ignores data when type differs', function () {
+      var cached,
+          request;
+
+      request = TimeseriesManagerRequest({
+        endtime: new Date('2016-05-01T00:03:00Z'),
+        sampling_period: 60,
+        starttime: new Date('2016-05-01T00:00:00Z'),
+        type: 'adjusted'
+      });
+
+      cached = request.getCachedData(timeseries);
+      expect(cached.times.length).to.equal(0);
+    });
+
+    it('ignores trailing null values', function () {
+      var cached,
+          request;
+
+      request = TimeseriesManagerRequest({
+        endtime: new Date('2016-05-01T00:05:00Z'),
+        sampling_period: 60,
+        starttime: new Date('2016-04-30T23:58:00Z')
+      });
+
+      cached = request.getCachedData(timeseries);
+      expect(cached.values).to.deep.equal([1, 2, 3]);
+    });
+
+    it('reuses leading null values', function () {
+      var cached,
+          request;
+
+      timeseries.set({values: [null, 2, 3, null]});
+      request = TimeseriesManagerRequest({
+        endtime: new Date('2016-05-01T00:05:00Z'),
+        sampling_period: 60,
+        starttime: new Date('2016-05-01T00:00:00Z')
+      });
+
+      cached = request.getCachedData(timeseries);
+      expect(cached.values).to.deep.equal([null, 2, 3]);
+    });
+
+    it('reuses data after an error', function () {
+      var cached,
+          request;
+
+      timeseries.set({error: 'Request timed out'});
+      request = TimeseriesManagerRequest({
+        endtime: new Date('2016-05-01T00:03:00Z'),
+        sampling_period: 60,
+        starttime: new Date('2016-05-01T00:00:00Z')
+      });
+
+      cached = request.getCachedData(timeseries);
+      expect(cached.values).to.deep.equal([1, 2, 3]);
+    });
+
+    it('discards data outside interval', function () {
+      var cached,
+          request;
+
+      request = TimeseriesManagerRequest({
+        endtime: new Date('2016-05-01T00:02:00Z'),
+        sampling_period: 60,
+        starttime: new Date('2016-05-01T00:01:00Z')
+      });
+
+      cached = request.getCachedData(timeseries);
+      expect(cached.values).to.deep.equal([2, 3]);
+    });
+  });
+
+  describe('getMissingRanges', function () {
+    var request;
+
+    beforeEach(function () {
+      request = TimeseriesManagerRequest({
+        endtime: new Date('2016-05-01T00:05:00Z'),
+        sampling_period: 60,
+        starttime: new Date('2016-04-30T23:58:00Z')
+      });
+    });
+
+    afterEach(function () {
+      request = null;
+    });
+
+
+    it('requests entire interval when nothing is cached', function () {
+      var ranges;
+
+      ranges = request.getMissingRanges([
+        {
+          times: [new Date('2016-05-01T00:00:00Z')]
+        },
+        {
+          times: []
+        }
+      ]);
+      expect(ranges.length).to.equal(1);
+      expect(ranges[0].starttime).to.equal(request.starttime);
+      expect(ranges[0].endtime).to.equal(request.endtime);
+    });
+
+    it('requests missing head and tail', function () {
+      var ranges;
+
+      ranges = request.getMissingRanges([
+        {
+          times: [
+            new Date('2016-05-01T00:00:00Z'),
+            new Date('2016-05-01T00:02:00Z')
+          ]
+        }
+      ]);
+      expect(ranges.length).to.equal(2);
+      expect(ranges[0].starttime).to.equal(request.starttime);
+      expect(ranges[0].endtime.toISOString()).to.equal(
+          '2016-04-30T23:59:00.000Z');
+      expect(ranges[1].starttime.toISOString()).to.equal(
+          '2016-05-01T00:03:00.000Z');
+      expect(ranges[1].endtime).to.equal(request.endtime);
+    });
+
+    it('only skips interval held by every timeseries', function () {
+      var ranges;
+
+      ranges = request.getMissingRanges([
+        {
+          times: [
+            new Date('2016-04-30T23:58:00Z'),
+            new Date('2016-05-01T00:05:00Z')
+          ]
+        },
+        {
+          times: [
+            new Date('2016-04-30T23:58:00Z'),
+            new Date('2016-05-01T00:03:00Z')
+          ]
+        }
+      ]);
+      expect(ranges.length).to.equal(1);
+      expect(ranges[0].starttime.toISOString()).to.equal(
+          '2016-05-01T00:04:00.000Z');
+    });
+  });
+
+  describe('isRetryable', function () {
+    it('retries timeouts, connection and server errors', function () {
+      var request;
+
+      request = TimeseriesManagerRequest();
+      expect(request.isRetryable('Request timed out')).to.equal(true);
+      expect(request.isRetryable(0)).to.equal(true);
+      expect(request.isRetryable(500)).to.equal(true);
+      expect(request.isRetryable(503)).to.equal(true);
+    });
+
+    it('does not retry client or parse errors', function () {
+      var request;
+
+      request = TimeseriesManagerRequest();
+      expect(request.isRetryable(400)).to.equal(false);
+      expect(request.isRetryable(404)).to.equal(false);
+      expect(request.isRetryable(new Error('parse error'))).to.equal(false);
+      expect(request.isRetryable()).to.equal(false);
+    });
+  });
+
   describe('onDone', function () {
     it('calls callback when defined', function () {
       var callback,
@@ -91,7 +353,7 @@ describe('plots/TimeseriesManagerRequest', function () {
       sinon.stub(timeseries, 'set', function () {});
 
       request = TimeseriesManagerRequest({
-        timeseries: timeseries
+        timeseries: [timeseries]
       });
       sinon.stub(request, 'onDone', function () {});
       request.xhr = 'not null';
@@ -125,6 +387,97 @@ describe('plots/TimeseriesManagerRequest', function () {
       request.onError();
       expect(request.onDone.calledOnce).to.equal(true);
     });
+
+    it('ignores errors after abort', function () {
+      request.xhr = null;
+      request.onError(500);
+      expect(timeseries.set.callCount).to.equal(0);
+      expect(request.onDone.callCount).to.equal(0);
+    });
+
+    it('retries server errors', function () {
+      sinon.stub(request, 'retry', function () {});
+      request.onError(503, {responseText: 'Service Unavailable'});
+      expect(request.retry.calledOnce).to.equal(true);
+      expect(timeseries.set.callCount).to.equal(0);
+      expect(request.onDone.callCount).to.equal(0);
+    });
+
+    it('does not retry client errors', function () {
+      sinon.stub(request, 'retry', function () {});
+      request.onError(400, {responseText: 'Bad Request'});
+      expect(request.retry.callCount).to.equal(0);
+      expect(timeseries.set.getCall(0).args[0].error)
+          .to.equal('Error 400: Bad Request');
+      expect(timeseries.set.getCall(0).args[0].status).to.equal('error');
+    });
+
+    it('keeps reused data', function () {
+      request.replace = [false];
+      request.onError(400);
+      expect(timeseries.set.getCall(0).args[0].status).to.equal('error');
+      expect(timeseries.set.getCall(0).args[0].hasOwnProperty('times'))
+          .to.equal(false);
+      expect(timeseries.set.getCall(0).args[0].hasOwnProperty('values'))
+          .to.equal(false);
+    });
+
+    it('discards data that was not reused', function () {
+      request.replace = [true];
+      request.onError(400);
+      expect(timeseries.set.getCall(0).args[0].times).to.deep.equal([]);
+      expect(timeseries.set.getCall(0).args[0].values).to.deep.equal([]);
+    });
+
+    it('stops retrying after retries attempts', function () {
+      sinon.stub(request, 'retry', function () {});
+      request.attempts = request.retries;
+      request.onError(503, {responseText: 'Service Unavailable'});
+      expect(request.retry.callCount).to.equal(0);
+      expect(timeseries.set.getCall(0).args[0].error)
+          .to.equal('Error 503: Service Unavailable');
+      expect(request.onDone.calledOnce).to.equal(true);
+    });
+  });
+
+  describe('onLoad errors', function () {
+    it('ignores responses after abort', function () {
+      var request,
+          timeseries;
+
+      timeseries = Model({
+        element: {id: 'H'},
+        observatory: {id: 'BOU'}
+      });
+      request = TimeseriesManagerRequest({timeseries: [timeseries]});
+      sinon.stub(request, 'onDone', function () {});
+      sinon.spy(timeseries, 'set');
+
+      request.onLoad(Model({times: [], values: []}));
+      expect(timeseries.set.callCount).to.equal(0);
+      expect(request.onDone.callCount).to.equal(0);
+    });
+
+    it('does not catch callback errors', function () {
+      var request;
+
+      request = TimeseriesManagerRequest({
+        callback: function () {
+          throw new Error('callback error');
+        },
+        timeseries: [
+          Model({
+            element: {id: 'H'},
+            observatory: {id: 'BOU'}
+          })
+        ]
+      });
+      request.xhr = 'not null';
+
+      expect(function () {
+        request.onLoad(Model({times: [], values: []}));
+      }).to.throw('callback error');
+    });
   });
 
   describe('onLoad', function () {
@@ -149,7 +502,7 @@ describe('plots/TimeseriesManagerRequest', function () {
       sinon.stub(timeseries, 'set', function () {});
 
       request = TimeseriesManagerRequest({
-        timeseries: timeseries
+        timeseries: [timeseries]
       });
       sinon.stub(request, 'onDone', function () {});
       request.xhr = 'not null';
@@ -176,6 +529,245 @@ describe('plots/TimeseriesManagerRequest', function () {
     it('calls onDone', function () {
       expect(request.onDone.calledOnce).to.equal(true);
     });
+
+    it('merges response into existing data', function () {
+      var timeseries;
+
+      timeseries = Model({
+        element: {
+          id: 'H'
+        },
+        times: [
+          new Date('2016-05-01T00:01:00Z'),
+          new Date('2016-05-01T00:02:00Z')
+        ],
+        values: [2, 3]
+      });
+      request = TimeseriesManagerRequest({
+        sampling_period: 60,
+        timeseries: [timeseries]
+      });
+      sinon.stub(request, 'onDone', function () {});
+      request.xhr = 'not null';
+      request.replace = [false];
+      request.ranges = [];
+
+      request.onLoad(Model({
+        times: ['2016-05-01T00:00:00Z', '2016-05-01T00:03:00Z'],
+        values: [{id: 'H', metadata: {element: 'H'}, values: [1, 4]}]
+      }));
+      expect(timeseries.get('values')).to.deep.equal([1, 2, 3, 4]);
+      expect(timeseries.get('sampling_period')).to.equal(60);
+      expect(request.onDone.calledOnce).to.equal(true);
+    });
+
+    it('splits response by element', function () {
+      var e,
+          h,
+          z;
+
+      e = Model({element: {id: 'E'}});
+      h = Model({element: {id: 'H'}});
+      z = Model({element: {id: 'Z'}});
+      request = TimeseriesManagerRequest({
+        timeseries: [h, e, z]
+      });
+      sinon.stub(request, 'onDone', function () {});
+      request.xhr = 'not null';
+
+      request.onLoad(Model({
+        times: ['2016-05-01T00:00:00Z', '2016-05-01T00:01:00Z'],
+        values: [
+          {id: 'E', metadata: {element: 'E'}, values: [3, 4]},
+          {id: 'H', metadata: {element: 'H'}, values: [1, 2]}
+        ]
+      }));
+      expect(h.get('values')).to.deep.equal([1, 2]);
+      expect(e.get('values')).to.deep.equal([3, 4]);
+      // missing elements are a gap
+      expect(z.get('values')).to.deep.equal([null, null]);
+      expect(z.get('times').length).to.equal(2);
+    });
+
+    it('sets requested sampling period with data', function () {
+      var model;
+
+      model = Model({element: {id: 'H'}});
+      request = TimeseriesManagerRequest({
+        requested_sampling_period: 1,
+        sampling_period: 60,
+        timeseries: [model]
+      });
+      sinon.stub(request, 'onDone', function () {});
+      request.xhr = 'not null';
+
+      request.onLoad(Model({times: [], values: []}));
+      expect(model.get('requested_sampling_period')).to.equal(1);
+      expect(model.get('sampling_period')).to.equal(60);
+    });
+
+    it('sets status to loaded', function () {
+      expect(timeseries.set.getCall(0).args[0].status).to.equal('loaded');
+    });
+
+    it('requests next range before calling onDone', function () {
+      var range;
+
+      range = {};
+      request = TimeseriesManagerRequest({
+        timeseries: []
+      });
+      sinon.stub(request, 'onDone', function () {});
+      request.xhr = 'not null';
+      sinon.stub(request, 'requestRange', function () {});
+      request.ranges = [range];
+
+      request.onLoad(Model({
+        times: [],
+        values: []
+      }));
+      expect(request.requestRange.calledWith(range)).to.equal(true);
+      expect(request.onDone.callCount).to.equal(0);
+    });
+
+    it('keeps loading status while ranges remain', function () {
+      var model;
+
+      model = Model({
+        element: {
+          id: 'elementid'
+        }
+      });
+      request = TimeseriesManagerRequest({
+        timeseries: [model]
+      });
+      sinon.stub(request, 'onDone', function () {});
+      request.xhr = 'not null';
+      sinon.stub(request, 'requestRange', function () {});
+      request.ranges = [{}];
+
+      request.onLoad(Model({
+        times: [],
+        values: []
+      }));
+      expect(model.get('status')).to.equal('loading');
+    });
+  });
+
+  describe('onTimeout', function () {
+    it('aborts request and retries', function () {
+      var abort,
+          request;
+
+      abort = sinon.stub();
+      request = TimeseriesManagerRequest();
+      sinon.stub(request, 'retry', function () {});
+      request.xhr = {
+        abort: abort
+      };
+      request.onTimeout();
+      expect(abort.calledOnce).to.equal(true);
+      expect(request.retry.calledOnce).to.equal(true);
+    });
+
+    it('keeps loading status while retrying', function () {
+      var request,
+          timeseries;
+
+      timeseries = Model({status: 'loading'});
+      request = TimeseriesManagerRequest({timeseries: [timeseries]});
+      sinon.stub(request, 'retry', function () {});
+      request.xhr = {
+        abort: sinon.stub()
+      };
+      request.onTimeout();
+      expect(timeseries.get('status')).to.equal('loading');
+      expect(request.xhr).to.equal(null);
+    });
+  });
+
+  describe('retry', function () {
+    var clock;
+
+    beforeEach(function () {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(function () {
+      clock.restore();
+      clock = null;
+    });
+
+
+    it('requests current range after exponential backoff', function () {
+      var range,
+          request;
+
+      range = {
+        endtime: new Date(60000),
+        starttime: new Date(0)
+      };
+      request = TimeseriesManagerRequest({
+        retryDelay: 100
+      });
+      sinon.stub(request, 'requestRange', function () {});
+      request.range = range;
+
+      request.retry();
+      clock.tick(99);
+      expect(request.requestRange.callCount).to.equal(0);
+      clock.tick(1);
+      expect(request.requestRange.calledWith(range)).to.equal(true);
+
+      request.retry();
+      clock.tick(199);
+      expect(request.requestRange.callCount).to.equal(1);
+      clock.tick(1);
+      expect(request.requestRange.callCount).to.equal(2);
+    });
+  });
+
+  describe('splitRanges', function () {
+    it('splits ranges into chunks of maxRequestSamples', function () {
+      var chunks,
+          request;
+
+      request = TimeseriesManagerRequest({
+        maxRequestSamples: 20,
+        sampling_period: 60,
+        timeseries: [{}, {}]
+      });
+      // 25 minutes, in chunks of 10 samples per element
+      chunks = request.splitRanges([{
+        endtime: new Date('2016-05-01T00:24:00Z'),
+        starttime: new Date('2016-05-01T00:00:00Z')
+      }]);
+
+      expect(chunks.map(function (chunk) {
+        return [chunk.starttime.toISOString(), chunk.endtime.toISOString()];
+      })).to.deep.equal([
+        ['2016-05-01T00:00:00.000Z', '2016-05-01T00:09:00.000Z'],
+        ['2016-05-01T00:10:00.000Z', '2016-05-01T00:19:00.000Z'],
+        ['2016-05-01T00:20:00.000Z', '2016-05-01T00:24:00.000Z']
+      ]);
+    });
+
+    it('does not split short ranges', function () {
+      var range,
+          request;
+
+      range = {
+        endtime: new Date('2016-05-01T00:09:00Z'),
+        starttime: new Date('2016-05-01T00:00:00Z')
+      };
+      request = TimeseriesManagerRequest({
+        maxRequestSamples: 10,
+        sampling_period: 60,
+        timeseries: [{}]
+      });
+
+      expect(request.splitRanges([range])).to.deep.equal([range]);
+    });
   });
 
   describe('start', function () {
@@ -212,7 +804,7 @@ describe('plots/TimeseriesManagerRequest', function () {
 
       request = TimeseriesManagerRequest({
         factory: factory,
-        timeseries: timeseries
+        timeseries: [timeseries]
       });
 
       request.start();
@@ -220,12 +812,58 @@ describe('plots/TimeseriesManagerRequest', function () {
       expect(request.xhr).to.equal(xhr);
     });
 
+    it('times out incomplete requests', function () {
+      var clock,
+          request;
+
+      clock = sinon.useFakeTimers();
+      request = TimeseriesManagerRequest({
+        factory: factory,
+        timeout: 1000,
+        timeseries: [timeseries]
+      });
+      sinon.stub(request, 'onTimeout', function () {});
+
+      request.start();
+      clock.tick(999);
+      expect(request.onTimeout.callCount).to.equal(0);
+      clock.tick(1);
+      expect(request.onTimeout.calledOnce).to.equal(true);
+      clock.restore();
+    });
+
+    it('requests all elements in one call', function () {
+      var args,
+          request;
+
+      request = TimeseriesManagerRequest({
+        factory: factory,
+        timeseries: [
+          timeseries,
+          Model({
+            element: {
+              id: 'otherid'
+            },
+            observatory: {
+              id: 'observatoryid'
+            }
+          })
+        ]
+      });
+
+      request.start();
+      expect(factory.getTimeseries.calledOnce).to.equal(true);
+      args = factory.getTimeseries.getCall(0).args[0];
+      expect(args.id).to.equal('observatoryid');
+      expect(args.elements).to.deep.equal(['elementid', 'otherid']);
+    });
+
     it('can be aborted', function () {
       var request;
 
       request = TimeseriesManagerRequest({
         factory: factory,
-        timeseries: timeseries
+        timeseries: [timeseries]
       });
 
       request.start();
@@ -233,6 +871,105 @@ describe('plots/TimeseriesManagerRequest', function () {
       request.abort();
       expect(xhr.abort.calledOnce).to.equal(true);
     });
+
+    it('sets status to loading, and idle when aborted', function () {
+      var request;
+
+      request = TimeseriesManagerRequest({
+        factory: factory,
+        timeseries: [timeseries]
+      });
+
+      request.start();
+      expect(timeseries.get('status')).to.equal('loading');
+      request.abort();
+      expect(timeseries.get('status')).to.equal('idle');
+    });
+
+    it('only requests missing data', function () {
+      var args,
+          request;
+
+      timeseries.set({
+        sampling_period: 60,
+        times: [
+          new Date('2016-05-01T00:00:00Z'),
+          new Date('2016-05-01T00:01:00Z')
+        ],
+        values: [1, 2]
+      });
+      request = TimeseriesManagerRequest({
+        endtime: new Date('2016-05-01T00:03:00Z'),
+        factory: factory,
+        sampling_period: 60,
+        starttime: new Date('2016-05-01T00:01:00Z'),
+        timeseries: [timeseries]
+      });
+
+      request.start();
+      expect(timeseries.get('values')).to.deep.equal([2]);
+      expect(factory.getTimeseries.calledOnce).to.equal(true);
+      args = factory.getTimeseries.getCall(0).args[0];
+      expect(args.starttime.toISOString()).to.equal('2016-05-01T00:02:00.000Z');
+      expect(args.endtime).to.equal(request.endtime);
+    });
+
+    it('fills timeseries progressively as chunks load', function () {
+      var request;
+
+      request = TimeseriesManagerRequest({
+        endtime: new Date('2016-05-01T00:03:00Z'),
+        factory: factory,
+        maxRequestSamples: 2,
+        sampling_period: 60,
+        starttime: new Date('2016-05-01T00:00:00Z'),
+        timeseries: [timeseries]
+      });
+
+      request.start();
+      expect(request.ranges.length).to.equal(1);
+      request.onLoad(Model({
+        times: ['2016-05-01T00:00:00Z', '2016-05-01T00:01:00Z'],
+        values: [{id: 'elementid', values: [1, 2]}]
+      }));
+      expect(timeseries.get('values')).to.deep.equal([1, 2]);
+      expect(timeseries.get('status')).to.equal('loading');
+      expect(factory.getTimeseries.callCount).to.equal(2);
+      expect(factory.getTimeseries.getCall(1).args[0].starttime.toISOString())
+          .to.equal('2016-05-01T00:02:00.000Z');
+
+      request.onLoad(Model({
+        times: ['2016-05-01T00:02:00Z', '2016-05-01T00:03:00Z'],
+        values: [{id: 'elementid', values: [3, 4]}]
+      }));
+      expect(timeseries.get('values')).to.deep.equal([1, 2, 3, 4]);
+      expect(timeseries.get('status')).to.equal('loaded');
+    });
+
+    it('calls onDone without request when data is loaded', function () {
+      var callback,
+          request;
+
+      callback = sinon.stub();
+      timeseries.set({
+        sampling_period: 60,
+        times: [new Date('2016-05-01T00:00:00Z')],
+        values: [1]
+      });
+      request = TimeseriesManagerRequest({
+        callback: callback,
+        endtime: new Date('2016-05-01T00:00:00Z'),
+        factory: factory,
+        sampling_period: 60,
+        starttime: new Date('2016-05-01T00:00:00Z'),
+        timeseries: [timeseries]
+      });
+
+      request.start();
+      expect(factory.getTimeseries.callCount).to.equal(0);
+      expect(callback.calledOnce).to.equal(true);
+      expect(timeseries.get('status')).to.equal('loaded');
+    });
   });
 
 });
@@ -2,7 +2,9 @@
 'use strict';
 
 
-var TimeseriesManager = require('plots/TimeseriesManager');
+var Timeseries = require('plots/Timeseries'),
+    TimeseriesManager = require('plots/TimeseriesManager'),
+    TimeseriesManagerRequest = require('plots/TimeseriesManagerRequest');
 
 
 var expect = chai.expect;
@@ -35,14 +37,14 @@ describe('plots/TimeseriesManager', function () {
       manager = TimeseriesManager();
 
       pendingRequests = [
-        {abort: sinon.stub()},
-        {abort: sinon.stub()}
+        {destroy: sinon.stub()},
+        {destroy: sinon.stub()}
       ];
       manager.pendingRequests = pendingRequests;
 
       manager.abortRequests();
       pendingRequests.forEach(function (r) {
-        expect(r.abort.calledOnce).to.equal(true);
+        expect(r.destroy.calledOnce).to.equal(true);
       });
       expect(manager.pendingRequests.length).to.equal(0);
     });
@@ -109,6 +111,263 @@ describe('plots/TimeseriesManager', function () {
       expect(manager.timeseries.get('A_B')).to.equal(null);
       expect(manager.timeseries.get('B_A')).to.not.equal(null);
     });
+
+    it('creates inputs for derived elements', function () {
+      var derived;
+
+      manager.config.set({
+        elements: ['X', 'HXY'],
+        observatories: ['A']
+      }, {silent: true});
+      manager.createTimeseries();
+
+      expect(manager.timeseries.data().length).to.equal(2);
+      expect(manager.derived.length).to.equal(1);
+      derived = manager.derived[0];
+      expect(derived.timeseries).to.equal(manager.timeseries.get('A_HXY'));
+      // displayed input is reused
+      expect(derived.inputs[0]).to.equal(manager.timeseries.get('A_X'));
+      expect(manager.inputTimeseries.length).to.equal(1);
+      expect(manager.inputTimeseries[0].id).to.equal('A_Y');
+      expect(manager.getFetchTimeseries().map(function (t) {
+        return t.id;
+      })).to.deep.equal(['A_X', 'A_Y']);
+    });
+  });
+
+  describe('startRequests', function () {
+    var createRequest;
+
+    createRequest = function (priority) {
+      return {
+        destroy: sinon.stub(),
+        priority: priority,
+        start: sinon.stub()
+      };
+    };
+
+    it('limits number of active requests', function () {
+      var manager,
+          requests;
+
+      manager = TimeseriesManager({
+        maxConcurrentRequests: 2
+      });
+      requests = [createRequest(), createRequest(), createRequest()];
+      manager.pendingRequests = requests.slice();
+
+      manager.startRequests();
+      expect(manager.activeRequests).to.deep.equal(requests.slice(0, 2));
+      expect(requests[0].start.calledOnce).to.equal(true);
+      expect(requests[1].start.calledOnce).to.equal(true);
+      expect(requests[2].start.callCount).to.equal(0);
+
+      // queued requests are removed when aborting
+      manager.abortRequests();
+      expect(manager.activeRequests.length).to.equal(0);
+      expect(manager.pendingRequests.length).to.equal(0);
+      requests.forEach(function (r) {
+        expect(r.destroy.calledOnce).to.equal(true);
+      });
+    });
+
+    it('starts highest priority requests first', function () {
+      var manager,
+          requests;
+
+      manager = TimeseriesManager({
+        maxConcurrentRequests: 1
+      });
+      sinon.stub(manager, 'getRequestPriority', function (request) {
+        return request.priority;
+      });
+      requests = [createRequest(2), createRequest(0), createRequest(1)];
+      manager.pendingRequests = requests.slice();
+
+      manager.startRequests();
+      expect(manager.activeRequests).to.deep.equal([requests[1]]);
+    });
+  });
+
+  describe('updateDerived', function () {
+    it('computes derived timeseries from inputs', function () {
+      var manager,
+          times;
+
+      manager = TimeseriesManager();
+      manager.config.set({
+        elements: ['HXY'],
+        observatories: ['A']
+      }, {silent: true});
+      manager.createTimeseries();
+
+      times = [new Date(0), new Date(60000)];
+      manager.inputTimeseries[0].set({
+        sampling_period: 60,
+        times: times,
+        values: [3, null]
+      });
+      manager.inputTimeseries[1].set({
+        sampling_period: 60,
+        times: times,
+        values: [4, 5]
+      });
+      manager.updateDerived();
+
+      expect(manager.timeseries.get('A_HXY').get('values'))
+          .to.deep.equal([5, null]);
+      expect(manager.timeseries.get('A_HXY').get('sampling_period'))
+          .to.equal(60);
+
+      manager.inputTimeseries[1].set({error: 'error'});
+      manager.updateDerived();
+      expect(manager.timeseries.get('A_HXY').get('error')).to.equal('error');
+    });
+
+    it('uses plot model alignment', function () {
+      var manager;
+
+      manager = TimeseriesManager();
+      manager.config.set({
+        elements: ['HXY'],
+        observatories: ['A']
+      }, {silent: true});
+      manager.createTimeseries();
+
+      manager.inputTimeseries[0].set({
+        times: [new Date(0), new Date(60000)],
+        values: [3, 6]
+      });
+      manager.inputTimeseries[1].set({
+        times: [new Date(0), new Date(61000)],
+        values: [4, 8]
+      });
+      manager.updateDerived();
+      expect(manager.timeseries.get('A_HXY').get('values'))
+          .to.deep.equal([5, null]);
+
+      manager.plotModel.set({alignment: 'nearest'});
+      expect(manager.timeseries.get('A_HXY').get('values'))
+          .to.deep.equal([5, 10]);
+      manager.destroy();
+    });
+
+    it('combines status of inputs', function () {
+      var derived,
+          manager;
+
+      manager = TimeseriesManager();
+      manager.config.set({
+        elements: ['HXY'],
+        observatories: ['A']
+      }, {silent: true});
+      manager.createTimeseries();
+      derived = manager.timeseries.get('A_HXY');
+
+      manager.inputTimeseries[0].set({status: 'loaded'});
+      manager.inputTimeseries[1].set({status: 'loaded'});
+      manager.updateDerived();
+      expect(derived.get('status')).to.equal('loaded');
+
+      manager.inputTimeseries[1].set({status: 'loading'});
+      manager.updateDerived();
+      expect(derived.get('status')).to.equal('loading');
+
+      manager.inputTimeseries[0].set({error: 'error', status: 'error'});
+      manager.updateDerived();
+      expect(derived.get('status')).to.equal('error');
+    });
+  });
+
+  describe('updateLoading', function () {
+    it('triggers loading event when pending requests change', function () {
+      var listener,
+          manager;
+
+      listener = sinon.spy();
+      manager = TimeseriesManager();
+      manager.on('loading', listener);
+
+      manager.pendingRequests = [{}];
+      manager.updateLoading();
+      manager.updateLoading();
+      expect(listener.callCount).to.equal(1);
+      expect(listener.getCall(0).args[0]).to.equal(true);
+      expect(manager.loading).to.equal(true);
+
+      manager.pendingRequests = [];
+      manager.updateLoading();
+      expect(listener.callCount).to.equal(2);
+      expect(listener.getCall(1).args[0]).to.equal(false);
+    });
+  });
+
+  describe('updateStream', function () {
+    var manager,
+        stream;
+
+    beforeEach(function () {
+      stream = {
+        off: sinon.stub(),
+        on: sinon.stub(),
+        subscribe: sinon.stub(),
+        unsubscribe: sinon.stub()
+      };
+      manager = TimeseriesManager({stream: stream});
+      manager.config.set({
+        endtime: new Date(900000),
+        starttime: new Date(0),
+        timemode: 'realtime',
+        type: 'variation'
+      }, {silent: true});
+      manager.timeseries.reset([
+        Timeseries({
+          id: 'A_H',
+          element: {id: 'H'},
+          observatory: {id: 'A'},
+          sampling_period: 1,
+          times: [new Date(0), new Date(1000), new Date(2000)],
+          values: [1, 2, null]
+        })
+      ]);
+    });
+
+    afterEach(function () {
+      manager.destroy();
+    });
+
+    it('subscribes after fetched data in realtime mode', function () {
+      var options;
+
+      manager.updateStream();
+      expect(stream.subscribe.callCount).to.equal(1);
+      options = stream.subscribe.getCall(0).args[0];
+      expect(options.maxDuration).to.equal(900000);
+      expect(options.sampling_period).to.equal(1);
+      expect(options.since.getTime()).to.equal(1000);
+      expect(options.timeseries).to.deep.equal(manager.timeseries.data());
+      expect(options.type).to.equal('variation');
+    });
+
+    it('unsubscribes in other modes', function () {
+      manager.config.set({timemode: 'pastday'}, {silent: true});
+      manager.updateStream();
+      expect(stream.subscribe.callCount).to.equal(0);
+      expect(stream.unsubscribe.callCount).to.equal(1);
+    });
+
+    it('is called when fetched requests finish', function () {
+      sinon.stub(manager, 'updateStream');
+      manager.streamUpdate = true;
+      manager.pendingRequests = [{}];
+      manager.updateLoading();
+      expect(manager.updateStream.callCount).to.equal(0);
+
+      manager.pendingRequests = [];
+      manager.updateLoading();
+      manager.updateLoading();
+      expect(manager.updateStream.callCount).to.equal(1);
+    });
   });
 
   describe('destroy', function () {
@@ -160,6 +419,22 @@ describe('plots/TimeseriesManager', function () {
       expect(manager.fetchData.callCount).to.equal(3);
     });
 
+    it('calls fetchData when sampling_period changes', function () {
+      manager.onConfigChange({
+        sampling_period: 1
+      });
+      expect(manager.createTimeseries.callCount).to.equal(0);
+      expect(manager.fetchData.callCount).to.equal(1);
+    });
+
+    it('calls fetchData when type changes', function () {
+      manager.onConfigChange({
+        type: 'adjusted'
+      });
+      expect(manager.createTimeseries.callCount).to.equal(0);
+      expect(manager.fetchData.callCount).to.equal(1);
+    });
+
     it('calls createTimeseries when element/observatory change', function () {
       manager.onConfigChange({
         elements: true
@@ -182,7 +457,8 @@ describe('plots/TimeseriesManager', function () {
 
   describe('fetchData', function () {
     var manager,
-        request;
+        request,
+        timeseries;
 
     beforeEach(function () {
       manager = TimeseriesManager();
@@ -193,6 +469,10 @@ describe('plots/TimeseriesManager', function () {
       sinon.stub(manager, 'getTimeseriesRequest', function () {
         return request;
       });
+      timeseries = Timeseries({
+        element: {id: 'H'},
+        observatory: {id: 'BOU'}
+      });
     });
 
     afterEach(function () {
@@ -206,10 +486,8 @@ describe('plots/TimeseriesManager', function () {
     });
 
     it('uses 1 second sampling_period when <= 30 mintues', function () {
-      var args,
-          timeseries;
+      var args;
 
-      timeseries = {};
       manager.config.set({
         starttime: new Date('2016-05-01T00:00:00Z'),
         endtime: new Date('2016-05-01T00:30:00Z')
@@ -219,15 +497,13 @@ describe('plots/TimeseriesManager', function () {
       manager.fetchData();
       expect(manager.getTimeseriesRequest.calledOnce).to.equal(true);
       args = manager.getTimeseriesRequest.getCall(0).args[0];
-      expect(args.timeseries).to.equal(timeseries);
+      expect(args.timeseries).to.deep.equal([timeseries]);
       expect(args.sampling_period).to.equal(1);
     });
 
     it('uses 1 minute sampling_period when > 30 mintues', function () {
-      var args,
-          timeseries;
+      var args;
 
-      timeseries = {};
       manager.config.set({
         starttime: new Date('2016-05-01T00:00:00Z'),
         endtime: new Date('2016-05-01T00:30:01Z')
@@ -237,16 +513,187 @@ describe('plots/TimeseriesManager', function () {
       manager.fetchData();
       expect(manager.getTimeseriesRequest.calledOnce).to.equal(true);
       args = manager.getTimeseriesRequest.getCall(0).args[0];
-      expect(args.timeseries).to.equal(timeseries);
+      expect(args.timeseries).to.deep.equal([timeseries]);
+      expect(args.sampling_period).to.equal(60);
+    });
+
+    it('flags a configured sampling period that is replaced', function () {
+      var args,
+          listener;
+
+      listener = sinon.spy();
+      manager.maxTotalSamples = 1000;
+      manager.on('samplingperiod', listener);
+      manager.config.set({
+        sampling_period: 1,
+        starttime: new Date('2016-05-01T00:00:00Z'),
+        endtime: new Date('2016-05-01T01:00:00Z')
+      }, {silent: true});
+      manager.timeseries.reset([timeseries], {silent: true});
+
+      manager.fetchData();
+      args = manager.getTimeseriesRequest.getCall(0).args[0];
       expect(args.sampling_period).to.equal(60);
+      expect(args.requested_sampling_period).to.equal(1);
+      expect(listener.calledWith(60)).to.equal(true);
+
+      // not flagged when the configured period is used
+      manager.config.set({sampling_period: 60}, {silent: true});
+      manager.fetchData();
+      args = manager.getTimeseriesRequest.getCall(1).args[0];
+      expect(args.requested_sampling_period).to.equal(null);
     });
 
     it('adds requests to pending, and starts request', function () {
-      manager.timeseries.reset([{}], {silent: true});
+      manager.timeseries.reset([timeseries], {silent: true});
       manager.fetchData();
       expect(manager.pendingRequests[0]).to.equal(request);
       expect(request.start.calledOnce).to.equal(true);
     });
+
+    it('makes one request per observatory', function () {
+      var other,
+          z;
+
+      other = Timeseries({
+        element: {id: 'H'},
+        observatory: {id: 'FRD'}
+      });
+      z = Timeseries({
+        element: {id: 'Z'},
+        observatory: {id: 'BOU'}
+      });
+      manager.timeseries.reset([timeseries, other, z], {silent: true});
+      manager.fetchData();
+      expect(manager.getTimeseriesRequest.callCount).to.equal(2);
+      expect(manager.getTimeseriesRequest.getCall(0).args[0].timeseries)
+          .to.deep.equal([timeseries, z]);
+      expect(manager.getTimeseriesRequest.getCall(1).args[0].timeseries)
+          .to.deep.equal([other]);
+      expect(manager.pendingRequests.length).to.equal(2);
+    });
+  });
+
+  describe('fetchGroup', function () {
+    it('starts and tracks request', function () {
+      var manager,
+          request;
+
+      manager = TimeseriesManager();
+      request = {
+        start: sinon.stub()
+      };
+      sinon.stub(manager, 'getTimeseriesRequest', function () {
+        return request;
+      });
+
+      manager.fetchGroup(['group']);
+      expect(manager.getTimeseriesRequest.getCall(0).args[0].timeseries)
+          .to.deep.equal(['group']);
+      expect(manager.pendingRequests).to.deep.equal([request]);
+      expect(manager.activeRequests).to.deep.equal([request]);
+      expect(request.start.calledOnce).to.equal(true);
+    });
+
+    it('marks queued requests loading', function () {
+      var manager,
+          request;
+
+      manager = TimeseriesManager({
+        maxConcurrentRequests: 0
+      });
+      request = TimeseriesManagerRequest({
+        timeseries: [Timeseries()]
+      });
+      sinon.stub(request, 'start', function () {});
+      sinon.stub(manager, 'getTimeseriesRequest', function () {
+        return request;
+      });
+
+      manager.fetchGroup(request.timeseries);
+      expect(request.start.callCount).to.equal(0);
+      expect(request.timeseries[0].get('status')).to.equal('loading');
+      request.destroy();
+    });
+  });
+
+  describe('getRequestPriority', function () {
+    it('uses priority of displayed and derived timeseries', function () {
+      var manager,
+          priorities;
+
+      priorities = {
+        'A_H': 3,
+        'A_HXY': 2
+      };
+      manager = TimeseriesManager({
+        getPriority: function (t) {
+          return priorities[t.id];
+        }
+      });
+      sinon.stub(manager, 'fetchData', function () {});
+      manager.config.set({
+        elements: ['H', 'HXY'],
+        observatories: ['A']
+      });
+
+      expect(manager.getRequestPriority({
+        timeseries: [manager.timeseries.get('A_H')]
+      })).to.equal(3);
+      expect(manager.getRequestPriority({
+        timeseries: manager.getFetchTimeseries()
+      })).to.equal(2);
+      manager.destroy();
+    });
+  });
+
+  describe('getSamplingPeriod', function () {
+    var manager;
+
+    beforeEach(function () {
+      manager = TimeseriesManager({
+        maxTotalSamples: 100000
+      });
+    });
+
+    afterEach(function () {
+      manager.destroy();
+      manager = null;
+    });
+
+
+    it('uses second data for 30 minutes or less', function () {
+      expect(manager.getSamplingPeriod(new Date(0), new Date(1800000), 1))
+          .to.equal(1);
+      expect(manager.getSamplingPeriod(new Date(0), new Date(1800001), 1))
+          .to.equal(60);
+    });
+
+    it('uses automatic tiers for longer intervals', function () {
+      // 7 days
+      expect(manager.getSamplingPeriod(new Date(0), new Date(604800000), 1))
+          .to.equal(60);
+      // 31 days
+      expect(manager.getSamplingPeriod(new Date(0), new Date(2678400000), 1))
+          .to.equal(3600);
+      // 2 years
+      expect(manager.getSamplingPeriod(new Date(0), new Date(63158400000), 1))
+          .to.equal(86400);
+    });
+
+    it('uses configured sampling period', function () {
+      manager.config.set({sampling_period: 1}, {silent: true});
+      // 12 hours of second data for 2 timeseries
+      expect(manager.getSamplingPeriod(new Date(0), new Date(43200000), 2))
+          .to.equal(1);
+    });
+
+    it('uses a longer period when data exceeds maxTotalSamples', function () {
+      manager.config.set({sampling_period: 1}, {silent: true});
+      // one day of second data for 2 timeseries
+      expect(manager.getSamplingPeriod(new Date(0), new Date(86400000), 2))
+          .to.equal(60);
+    });
   });
 
   describe('getTimeseriesRequest', function () {
@@ -257,17 +704,39 @@ describe('plots/TimeseriesManager', function () {
       manager = TimeseriesManager();
       request = manager.getTimeseriesRequest({
         endtime: 'endtime',
+        requested_sampling_period: 'requested sampling period',
         sampling_period: 'sampling period',
         starttime: 'starttime',
-        timeseries: 'timeseries'
+        timeseries: 'timeseries',
+        type: 'type'
       });
 
       expect(request.callback).to.equal(manager.onFetchComplete);
       expect(request.endtime).to.equal('endtime');
       expect(request.factory).to.equal(manager.factory);
+      expect(request.requested_sampling_period)
+          .to.equal('requested sampling period');
       expect(request.sampling_period).to.equal('sampling period');
       expect(request.starttime).to.equal('starttime');
       expect(request.timeseries).to.equal('timeseries');
+      expect(request.type).to.equal('type');
+    });
+
+    it('passes retry and timeout options', function () {
+      var manager,
+          request;
+
+      manager = TimeseriesManager({
+        requestRetries: 5,
+        requestRetryDelay: 10,
+        requestTimeout: 100
+      });
+      request = manager.getTimeseriesRequest({});
+
+      expect(request.maxRequestSamples).to.equal(86400);
+      expect(request.retries).to.equal(5);
+      expect(request.retryDelay).to.equal(10);
+      expect(request.timeout).to.equal(100);
     });
   });
 
@@ -285,6 +754,94 @@ describe('plots/TimeseriesManager', function () {
       expect(manager.pendingRequests.length).to.equal(0);
       expect(request.destroy.calledOnce).to.equal(true);
     });
+
+    it('starts next queued request', function () {
+      var manager,
+          queued,
+          request;
+
+      manager = TimeseriesManager({
+        maxConcurrentRequests: 1
+      });
+      request = {
+        destroy: sinon.stub()
+      };
+      queued = {
+        start: sinon.stub()
+      };
+      manager.activeRequests = [request];
+      manager.pendingRequests = [request, queued];
+
+      manager.onFetchComplete(request);
+      expect(queued.start.calledOnce).to.equal(true);
+      expect(manager.activeRequests).to.deep.equal([queued]);
+    });
+  });
+
+  describe('onRetry', function () {
+    var a,
+        b,
+        manager;
+
+    beforeEach(function () {
+      manager = TimeseriesManager();
+      sinon.stub(manager, 'fetchData', function () {});
+      sinon.stub(manager, 'fetchGroup', function () {});
+      manager.observatories.reset([{id: 'A'}, {id: 'B'}]);
+      manager.elements.reset([{id: 'H'}, {id: 'Z'}]);
+      manager.config.set({
+        elements: ['H', 'Z'],
+        observatories: ['A', 'B']
+      });
+      a = manager.timeseries.get('A_H');
+      b = manager.timeseries.get('B_H');
+    });
+
+    afterEach(function () {
+      manager.destroy();
+      a = null;
+      b = null;
+      manager = null;
+    });
+
+
+    it('is called when timeseries triggers retry', function () {
+      sinon.stub(manager, 'onRetry', function () {});
+      a.trigger('retry', a);
+      expect(manager.onRetry.calledWith(a)).to.equal(true);
+    });
+
+    it('fetches timeseries from the same observatory', function () {
+      manager.onRetry(a);
+      expect(manager.fetchGroup.calledOnce).to.equal(true);
+      expect(manager.fetchGroup.getCall(0).args[0]).to.deep.equal([
+        a,
+        manager.timeseries.get('A_Z')
+      ]);
+    });
+
+    it('replaces pending request for the observatory', function () {
+      var requestA,
+          requestB;
+
+      requestA = {
+        destroy: sinon.stub(),
+        timeseries: [a]
+      };
+      requestB = {
+        abort: sinon.stub(),
+        destroy: sinon.stub(),
+        timeseries: [b]
+      };
+      manager.activeRequests = [requestA, requestB];
+      manager.pendingRequests = [requestA, requestB];
+
+      manager.onRetry(a);
+      expect(requestA.destroy.calledOnce).to.equal(true);
+      expect(requestB.destroy.callCount).to.equal(0);
+      expect(manager.activeRequests).to.deep.equal([requestB]);
+      expect(manager.pendingRequests).to.deep.equal([requestB]);
+    });
   });
 
 });
@@ -36,6 +36,68 @@ describe('TimeseriesResponse Test', function () {
     it('Converts times to date objects', function () {
       expect(response.getTimeseries()[0].get('times')[0]).to.be.an.instanceof(Date);
     });
+
+    it('Sets element, observatory and flag', function () {
+      var timeseries;
+
+      timeseries = response.getTimeseries()[0];
+      expect(timeseries.id).to.equal('BOU_X');
+      expect(timeseries.get('element').id).to.equal('X');
+      expect(timeseries.get('observatory').id).to.equal('BOU');
+      expect(timeseries.get('flag')).to.equal('FL');
+      expect(timeseries.get('type')).to.equal('variation');
+      expect(timeseries.get('sampling_period')).to.equal(60);
+    });
+  });
+
+  describe('metadata accessors', function () {
+    var response;
+
+    before(
+      function (done) {
+        Xhr.ajax({
+          url: 'observatory_data.json',
+          success: function (data) {
+            response = TimeseriesResponse(data);
+            done();
+          }
+        });
+      }
+    );
+
+    it('returns intermagnet metadata', function () {
+      expect(response.getIagaCode()).to.equal('BOU');
+      expect(response.getCoordinates()).to.deep.equal([254.764, 40.137, 1682]);
+      expect(response.getReportedOrientation()).to.equal('XYZF');
+      expect(response.getSensorOrientation()).to.equal('HDZF');
+      expect(response.getDataType()).to.equal('variation');
+      expect(response.getSamplingPeriod()).to.equal(60);
+    });
+
+    it('returns elements', function () {
+      expect(response.getElements()).to.deep.equal(['X', 'Y', 'Z', 'F']);
+    });
+
+    it('returns value metadata by element', function () {
+      var metadata;
+
+      metadata = response.getValueMetadata('Z');
+      expect(metadata.network).to.equal('NT');
+      expect(metadata.station).to.equal('BOU');
+      expect(metadata.location).to.equal('R0');
+      expect(metadata.flag).to.equal('F');
+      expect(response.getValueMetadata('unknown')).to.deep.equal({});
+    });
+
+    it('handles missing metadata', function () {
+      var empty;
+
+      empty = TimeseriesResponse({times: [], values: []});
+      expect(empty.getIagaCode()).to.equal(null);
+      expect(empty.getCoordinates()).to.equal(null);
+      expect(empty.getDataType()).to.equal(null);
+      expect(empty.getSamplingPeriod()).to.equal(null);
+    });
   });
 
 });
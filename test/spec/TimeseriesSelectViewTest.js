@@ -1,4 +1,4 @@
-/* global afterEach, beforeEach, chai, describe, it */
+/* global afterEach, beforeEach, chai, describe, it, sinon */
 'use strict';
 
 var expect = chai.expect,
@@ -94,6 +94,169 @@ describe('TimeSeriesSelectView', function () {
 
   });
 
+  describe('onClearCacheClick', function () {
+    it('triggers clearcache when button is clicked', function () {
+      var listener,
+          view;
+
+      listener = sinon.spy();
+      view = TimeseriesSelectView({config: Model()});
+      view.on('clearcache', listener);
+
+      _fireClickEvent(view.el.querySelector('.clear-cache'));
+      expect(listener.callCount).to.equal(1);
+
+      view.destroy();
+    });
+  });
+
+  describe('onElementSelect', function () {
+    it('only includes products that display the element', function () {
+      var config,
+          elements,
+          observatories,
+          view;
+
+      config = Model();
+      elements = Collection([{id: 'H'}, {id: 'MSD'}]);
+      observatories = Collection([{id: 'BOU'}, {id: 'USGS'}]);
+      view = TimeseriesSelectView({
+        config: config,
+        elements: elements,
+        observatories: observatories
+      });
+
+      elements.selectById('H');
+      expect(config.get('observatories')).to.deep.equal(['BOU']);
+
+      elements.selectById('MSD');
+      expect(config.get('observatories')).to.deep.equal(['BOU', 'USGS']);
+
+      view.destroy();
+    });
+  });
+
+  describe('onObservatoriesReset', function () {
+    it('updates displayed observatories for selected element', function () {
+      var config,
+          elements,
+          observatories,
+          view;
+
+      config = Model();
+      elements = Collection([{id: 'H'}]);
+      observatories = Collection([{id: 'BOU'}]);
+      view = TimeseriesSelectView({
+        config: config,
+        elements: elements,
+        observatories: observatories
+      });
+
+      elements.selectById('H');
+      observatories.reset([{id: 'BOU'}, {id: 'OTT'}]);
+      expect(config.get('observatories')).to.deep.equal(['BOU', 'OTT']);
+
+      view.destroy();
+    });
+  });
+
+  describe('onObservatorySelect', function () {
+    it('displays all elements for an observatory', function () {
+      var config,
+          elements,
+          observatories,
+          view;
+
+      config = Model();
+      elements = Collection([{id: 'H'}, {id: 'E'}]);
+      observatories = Collection([{id: 'BOU'}, {id: 'USGS'}]);
+      view = TimeseriesSelectView({
+        config: config,
+        elements: elements,
+        observatories: observatories
+      });
+
+      observatories.selectById('BOU');
+      expect(config.get('elements')).to.deep.equal(['H', 'E']);
+      expect(config.get('observatories')).to.deep.equal(['BOU']);
+
+      view.destroy();
+    });
+
+    it('displays product elements for a product', function () {
+      var config,
+          elements,
+          observatories,
+          view;
+
+      config = Model();
+      elements = Collection([{id: 'H'}, {id: 'E'}]);
+      observatories = Collection([{id: 'BOU'}, {id: 'USGS'}]);
+      view = TimeseriesSelectView({
+        config: config,
+        elements: elements,
+        observatories: observatories
+      });
+
+      observatories.selectById('USGS');
+      expect(config.get('elements')).to.deep.equal(['MSD']);
+      expect(config.get('observatories')).to.deep.equal(['USGS']);
+
+      view.destroy();
+    });
+  });
+
+  describe('onSamplingPeriodChange', function () {
+    it('sets config sampling_period', function () {
+      var config,
+          input,
+          view;
+
+      config = Model({
+        sampling_period: null
+      });
+      view = TimeseriesSelectView({config: config});
+
+      input = view.el.querySelector('#sampling-period-auto');
+      expect(input.checked).to.equal(true);
+
+      input = view.el.querySelector('#sampling-period-3600');
+      input.checked = true;
+      view.onSamplingPeriodChange({target: input});
+      expect(config.get('sampling_period')).to.equal(3600);
+
+      input = view.el.querySelector('#sampling-period-auto');
+      input.checked = true;
+      view.onSamplingPeriodChange({target: input});
+      expect(config.get('sampling_period')).to.equal(null);
+
+      view.destroy();
+    });
+  });
+
+  describe('onTypeChange', function () {
+    it('sets config type', function () {
+      var config,
+          input,
+          view;
+
+      config = Model({
+        type: 'variation'
+      });
+      view = TimeseriesSelectView({config: config});
+
+      input = view.el.querySelector('#type-variation');
+      expect(input.checked).to.equal(true);
+
+      input = view.el.querySelector('#type-adjusted');
+      input.checked = true;
+      view.onTypeChange({target: input});
+      expect(config.get('type')).to.equal('adjusted');
+
+      view.destroy();
+    });
+  });
+
   describe('onTimeIncrement', function () {
     it('sets starttime/endtime corretcly', function () {
       var config,
@@ -149,6 +312,59 @@ describe('TimeSeriesSelectView', function () {
 
   });
 
+  describe('setSamplingPeriodLimit', function () {
+    it('shows when the selected sampling period is replaced', function () {
+      var config,
+          el,
+          view;
+
+      config = Model({sampling_period: 1});
+      view = TimeseriesSelectView({config: config});
+      el = view.el.querySelector('.sampling-period-limit');
+
+      view.setSamplingPeriodLimit(60);
+      expect(el.textContent).to.equal('1 Second data exceeds the sample ' +
+          'limit for this interval, using 1 Minute.');
+      expect(el.classList.contains('alert')).to.equal(true);
+
+      view.setSamplingPeriodLimit(1);
+      expect(el.textContent).to.equal('');
+      expect(el.classList.contains('alert')).to.equal(false);
+
+      // automatic sampling periods are not flagged
+      config.set({sampling_period: null});
+      view.setSamplingPeriodLimit(60);
+      expect(el.textContent).to.equal('');
+
+      view.destroy();
+    });
+  });
+
+  describe('setStreaming', function () {
+    it('stops realtime updates while streaming', function () {
+      var config,
+          view;
+
+      config = Model({
+        timemode: 'pastday'
+      });
+      view = TimeseriesSelectView({config: config});
+      view.setRealtime();
+      sinon.spy(view, 'setRealtime');
+      sinon.spy(view, 'clearAutoUpdateTimeout');
+
+      view.setStreaming(true);
+      expect(view.clearAutoUpdateTimeout.callCount).to.equal(1);
+      expect(view.setRealtime.callCount).to.equal(0);
+
+      // polls again when streaming stops
+      view.setStreaming(false);
+      expect(view.setRealtime.callCount).to.equal(1);
+
+      view.destroy();
+    });
+  });
+
   describe('setPastDay', function () {
     it('sets startime and endtime to past day', function () {
       var config,
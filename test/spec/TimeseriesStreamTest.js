@@ -0,0 +1,196 @@
+/* global afterEach, beforeEach, chai, describe, it, sinon */
+'use strict';
+
+
+var Timeseries = require('plots/Timeseries'),
+    TimeseriesStream = require('plots/TimeseriesStream');
+
+
+var expect = chai.expect;
+
+
+/**
+ * Stand-in for the EventSource constructor.
+ */
+var FakeEventSource = function (url) {
+  var _this;
+
+  _this = {
+    addEventListener: sinon.spy(function (type, listener) {
+      _this.listeners[type] = listener;
+    }),
+    close: sinon.spy(),
+    listeners: {},
+    readyState: 0,
+    removeEventListener: sinon.spy(),
+    url: url
+  };
+  FakeEventSource.instances.push(_this);
+
+  return _this;
+};
+
+
+describe('plots/TimeseriesStream', function () {
+  var stream,
+      timeseries;
+
+  beforeEach(function () {
+    FakeEventSource.instances = [];
+    stream = TimeseriesStream({
+      EventSource: FakeEventSource,
+      maxErrors: 2,
+      url: '/ws/edge/stream/'
+    });
+    timeseries = Timeseries({
+      element: {id: 'H'},
+      observatory: {id: 'BOU'},
+      times: [new Date(0)],
+      values: [1]
+    });
+  });
+
+  afterEach(function () {
+    stream.destroy();
+  });
+
+  describe('constructor', function () {
+    it('is a function', function () {
+      expect(typeof TimeseriesStream).to.equal('function');
+    });
+
+    it('is initially closed', function () {
+      expect(stream.status).to.equal('closed');
+    });
+  });
+
+  describe('subscribe', function () {
+    it('connects with subscriptions in url', function () {
+      stream.subscribe({
+        sampling_period: 1,
+        since: new Date(0),
+        timeseries: [timeseries],
+        type: 'variation'
+      });
+
+      expect(FakeEventSource.instances.length).to.equal(1);
+      expect(FakeEventSource.instances[0].url).to.equal(
+          '/ws/edge/stream/?sampling_period=1&subscribe=BOU%2FH' +
+          '&type=variation&since=1970-01-01T00%3A00%3A00.000Z');
+      expect(stream.status).to.equal('connecting');
+    });
+
+    it('falls back without EventSource', function () {
+      var listener;
+
+      listener = sinon.spy();
+      stream.destroy();
+      stream = TimeseriesStream({EventSource: null});
+      stream.on('status', listener);
+      stream.subscribe({timeseries: [timeseries]});
+      expect(listener.calledWith('fallback')).to.equal(true);
+    });
+  });
+
+  describe('onMessage', function () {
+    it('appends samples to matching timeseries', function () {
+      var listener;
+
+      listener = sinon.spy();
+      stream.on('samples', listener);
+      stream.subscribe({timeseries: [timeseries]});
+      FakeEventSource.instances[0].listeners.message({
+        data: JSON.stringify({
+          id: 'BOU',
+          element: 'H',
+          times: ['1970-01-01T00:00:01Z'],
+          values: [2]
+        })
+      });
+
+      expect(stream.status).to.equal('open');
+      expect(timeseries.get('values')).to.deep.equal([1, 2]);
+      expect(listener.calledWith(timeseries)).to.equal(true);
+    });
+  });
+
+  describe('onError', function () {
+    it('reconnects, then falls back after maxErrors', function () {
+      var clock,
+          source;
+
+      clock = sinon.useFakeTimers();
+      stream.subscribe({timeseries: [timeseries]});
+      source = FakeEventSource.instances[0];
+
+      source.readyState = 2;
+      source.listeners.error();
+      expect(source.close.callCount).to.equal(1);
+      expect(stream.status).to.equal('connecting');
+      clock.tick(1000);
+      expect(FakeEventSource.instances.length).to.equal(2);
+
+      FakeEventSource.instances[1].listeners.error();
+      expect(stream.status).to.equal('fallback');
+      expect(FakeEventSource.instances[1].close.callCount).to.equal(1);
+
+      // keeps polling until fallbackDelay
+      stream.subscribe({timeseries: [timeseries]});
+      expect(FakeEventSource.instances.length).to.equal(2);
+
+      clock.restore();
+    });
+
+    it('counts an error when connection does not open', function () {
+      var clock;
+
+      clock = sinon.useFakeTimers();
+      stream.subscribe({timeseries: [timeseries]});
+
+      clock.tick(30000);
+      expect(FakeEventSource.instances[0].close.callCount).to.equal(1);
+      expect(stream.status).to.equal('connecting');
+      clock.tick(1000);
+      expect(FakeEventSource.instances.length).to.equal(2);
+
+      clock.tick(30000);
+      expect(stream.status).to.equal('fallback');
+
+      clock.restore();
+    });
+
+    it('triggers reopen after an open connection fails', function () {
+      var clock,
+          reopen,
+          source;
+
+      clock = sinon.useFakeTimers();
+      reopen = sinon.spy();
+      stream.on('reopen', reopen);
+      stream.subscribe({timeseries: [timeseries]});
+      source = FakeEventSource.instances[0];
+
+      source.listeners.open();
+      expect(reopen.callCount).to.equal(0);
+
+      // EventSource retries on its own
+      source.listeners.error();
+      expect(stream.status).to.equal('connecting');
+      source.listeners.open();
+      expect(stream.status).to.equal('open');
+      expect(reopen.callCount).to.equal(1);
+
+      stream.off('reopen', reopen);
+      clock.restore();
+    });
+  });
+
+  describe('unsubscribe', function () {
+    it('closes connection', function () {
+      stream.subscribe({timeseries: [timeseries]});
+      stream.unsubscribe();
+      expect(FakeEventSource.instances[0].close.callCount).to.equal(1);
+      expect(stream.status).to.equal('closed');
+    });
+  });
+});
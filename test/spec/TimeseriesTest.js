@@ -1,4 +1,4 @@
-/* global before, chai, describe, it */
+/* global afterEach, before, beforeEach, chai, describe, it, sinon */
 'use strict';
 
 var expect = chai.expect,
@@ -10,6 +10,46 @@ describe('Timeseries Test', function () {
     it('is defined', function () {
       expect(Timeseries).to.not.equal(null);
     });
+
+    it('defaults status to idle', function () {
+      expect(Timeseries().get('status')).to.equal('idle');
+    });
+  });
+
+  describe('appendSamples', function () {
+    it('appends new samples and replaces existing values', function () {
+      var listener,
+          timeseries;
+
+      listener = sinon.spy();
+      timeseries = Timeseries({
+        times: [new Date(0), new Date(1000), new Date(2000)],
+        values: [1, 2, null]
+      });
+      timeseries.on('change', listener);
+
+      expect(timeseries.appendSamples(
+          [new Date(1000), new Date(2000), new Date(3000)],
+          [2, 3, 4])).to.equal(true);
+      expect(listener.callCount).to.equal(1);
+      expect(timeseries.get('values')).to.deep.equal([1, 2, 3, 4]);
+      expect(timeseries.get('times')[3].getTime()).to.equal(3000);
+
+      // nothing changed
+      expect(timeseries.appendSamples([new Date(0)], [1])).to.equal(false);
+      expect(listener.callCount).to.equal(1);
+    });
+
+    it('removes samples older than maxDuration', function () {
+      var timeseries;
+
+      timeseries = Timeseries({
+        times: [new Date(0), new Date(1000), new Date(2000)],
+        values: [1, 2, 3]
+      });
+      timeseries.appendSamples([new Date(3000)], [4], {maxDuration: 2000});
+      expect(timeseries.get('values')).to.deep.equal([2, 3, 4]);
+    });
   });
 
   describe('Test getGaps', function () {
@@ -45,4 +85,117 @@ describe('Timeseries Test', function () {
       expect(gap.end).to.equal('2015-03-19T21:29:10Z');
     });
   });
+
+  describe('getStatistics', function () {
+    var timeseries;
+
+    beforeEach(function () {
+      timeseries = Timeseries({
+        times: [
+          new Date('2016-05-01T00:00:00Z'),
+          new Date('2016-05-01T00:01:00Z'),
+          new Date('2016-05-01T00:02:00Z'),
+          new Date('2016-05-01T00:03:00Z'),
+          new Date('2016-05-01T00:04:00Z')
+        ],
+        values: [4, null, 1, 3, 2]
+      });
+    });
+
+    afterEach(function () {
+      timeseries = null;
+    });
+
+
+    it('computes statistics for full series', function () {
+      var stats;
+
+      stats = timeseries.getStatistics();
+      expect(stats.count).to.equal(4);
+      expect(stats.total).to.equal(5);
+      expect(stats.completeness).to.equal(80);
+      expect(stats.min).to.equal(1);
+      expect(stats.max).to.equal(4);
+      expect(stats.mean).to.equal(2.5);
+      expect(stats.median).to.equal(2.5);
+      expect(stats.standardDeviation).to.be.closeTo(1.118, 0.001);
+    });
+
+    it('computes statistics for a time range', function () {
+      var endtime,
+          starttime;
+
+      starttime = new Date('2016-05-01T00:01:00Z');
+      endtime = new Date('2016-05-01T00:03:00Z');
+      expect(timeseries.getCount(starttime, endtime)).to.equal(2);
+      expect(timeseries.getCompleteness(starttime, endtime))
+          .to.be.closeTo(66.667, 0.001);
+      expect(timeseries.getMin(starttime, endtime)).to.equal(1);
+      expect(timeseries.getMax(starttime, endtime)).to.equal(3);
+      expect(timeseries.getMean(starttime, endtime)).to.equal(2);
+      expect(timeseries.getMedian(starttime, endtime)).to.equal(2);
+      expect(timeseries.getStandardDeviation(starttime, endtime))
+          .to.equal(1);
+    });
+
+    it('returns null values when there is no data', function () {
+      var stats;
+
+      stats = Timeseries({times: [], values: []}).getStatistics();
+      expect(stats.count).to.equal(0);
+      expect(stats.completeness).to.equal(null);
+      expect(stats.min).to.equal(null);
+      expect(stats.mean).to.equal(null);
+    });
+
+    it('caches statistics until values change', function () {
+      var stats;
+
+      stats = timeseries.getStatistics();
+      expect(timeseries.getStatistics()).to.equal(stats);
+
+      timeseries.set({values: [1, 1, 1, 1, 1]});
+      expect(timeseries.getStatistics()).to.not.equal(stats);
+      expect(timeseries.getMax()).to.equal(1);
+    });
+
+    it('recomputes statistics after a silent change', function () {
+      var stats;
+
+      stats = timeseries.getStatistics();
+      timeseries.set({values: [1, 1, 1, 1, 1]}, {silent: true});
+      expect(timeseries.getStatistics()).to.not.equal(stats);
+      expect(timeseries.getMax()).to.equal(1);
+    });
+
+    it('limits the number of cached ranges', function () {
+      var stats;
+
+      stats = timeseries.getStatisticsByIndex(0, 1);
+      expect(timeseries.getStatisticsByIndex(0, 1)).to.equal(stats);
+      for (var i = 0; i < 20; i++) {
+        timeseries.getStatisticsByIndex(i, i + 100);
+      }
+      expect(timeseries.getStatisticsByIndex(0, 1)).to.not.equal(stats);
+    });
+
+    it('only sorts values when median is read', function () {
+      var sort,
+          stats;
+
+      sort = sinon.spy(Array.prototype, 'sort');
+      try {
+        stats = timeseries.getStatisticsByIndex(1, 5);
+        expect(sort.callCount).to.equal(0);
+        expect(stats.min).to.equal(1);
+        expect(stats.max).to.equal(3);
+        expect(stats.median).to.equal(2);
+        expect(sort.callCount).to.equal(1);
+        expect(stats.median).to.equal(2);
+        expect(sort.callCount).to.equal(1);
+      } finally {
+        sort.restore();
+      }
+    });
+  });
 });
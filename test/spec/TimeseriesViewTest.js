@@ -1,7 +1,11 @@
-/* global before, chai, describe, it */
+/* global before, chai, describe, it, sinon */
 'use strict';
 
 var expect = chai.expect,
+    Filters = require('plots/Filters'),
+    Model = require('mvc/Model'),
+    Outliers = require('plots/Outliers'),
+    Timeseries = require('plots/Timeseries'),
     TimeseriesResponse = require('plots/TimeseriesResponse'),
     TimeseriesView = require('plots/TimeseriesView'),
     Xhr = require('util/Xhr');
@@ -40,4 +44,348 @@ describe('TimeseriesView Test', function () {
     });
   });
 
+  describe('render', function () {
+    it('shows web service error', function () {
+      var el,
+          timeseries,
+          view;
+
+      el = document.createElement('div');
+      timeseries = Timeseries({
+        element: {id: 'H'},
+        error: 'Error 400: Bad Request',
+        observatory: {id: 'BOU'},
+        times: [],
+        values: []
+      });
+      view = TimeseriesView({
+        el: el,
+        timeseries: timeseries
+      });
+
+      expect(el.querySelector('.error-view').classList.contains('show'))
+          .to.equal(true);
+      expect(el.querySelector('.error-message').textContent).to.equal(
+          'Failed to load timeseries data: Error 400: Bad Request');
+      view.destroy();
+    });
+
+    it('keeps held data displayed with error', function () {
+      var el,
+          timeseries,
+          view;
+
+      el = document.createElement('div');
+      timeseries = Timeseries({
+        element: {id: 'H'},
+        error: 'Request timed out',
+        observatory: {id: 'BOU'},
+        times: [new Date('2016-05-01T00:00:00Z')],
+        values: [1]
+      });
+      view = TimeseriesView({
+        el: el,
+        timeseries: timeseries
+      });
+
+      expect(el.querySelector('.error-view').classList.contains('show'))
+          .to.equal(true);
+      expect(el.querySelector('.error-view').classList.contains('with-data'))
+          .to.equal(true);
+      view.destroy();
+    });
+  });
+
+  describe('formatSamplingPeriod', function () {
+    it('formats sampling periods', function () {
+      var view;
+
+      view = TimeseriesView({
+        el: document.createElement('div'),
+        timeseries: Timeseries({
+          element: {id: 'H'},
+          observatory: {id: 'BOU'},
+          sampling_period: 3600,
+          times: [],
+          values: []
+        })
+      });
+
+      expect(view.el.querySelector('.sampling-period').textContent)
+          .to.equal('1 hour');
+      expect(view.formatSamplingPeriod(1)).to.equal('1 s');
+      expect(view.formatSamplingPeriod(60)).to.equal('1 min');
+      expect(view.formatSamplingPeriod(86400)).to.equal('1 day');
+      view.destroy();
+    });
+
+    it('flags a selected sampling period that was replaced', function () {
+      var el,
+          view;
+
+      view = TimeseriesView({
+        el: document.createElement('div'),
+        timeseries: Timeseries({
+          element: {id: 'H'},
+          observatory: {id: 'BOU'},
+          requested_sampling_period: 1,
+          sampling_period: 60,
+          times: [],
+          values: []
+        })
+      });
+
+      el = view.el.querySelector('.sampling-period');
+      expect(el.classList.contains('limited')).to.equal(true);
+      expect(el.textContent).to.equal('1 min*');
+      expect(el.getAttribute('title'))
+          .to.equal('1 s data exceeds the sample limit');
+      view.destroy();
+    });
+  });
+
+  describe('baseline', function () {
+    it('plots values with baseline removed', function () {
+      var plotModel,
+          timeseries,
+          view;
+
+      plotModel = Model({baseline: 'none', baselineConstant: 0});
+      timeseries = Timeseries({
+        element: {id: 'H', properties: {units: 'nT'}},
+        observatory: {id: 'BOU'},
+        times: [new Date(0), new Date(60000), new Date(120000)],
+        values: [10, 20, null]
+      });
+      view = TimeseriesView({
+        el: document.createElement('div'),
+        plotModel: plotModel,
+        timeseries: timeseries
+      });
+
+      expect(view.formatBaseline()).to.equal('');
+      expect(view.formatTooltipValue(10)).to.equal('10 nT');
+
+      plotModel.set({baseline: 'first'});
+      expect(view.formatBaseline()).to.equal('− First Value (10.0 nT)');
+      expect(view.formatTooltipValue(10)).to.equal('Δ10 nT');
+      expect(view.el.querySelector('.meta-view > .baseline').textContent)
+          .to.equal('− First Value (10.0 nT)');
+
+      plotModel.set({baseline: 'none'});
+      expect(view.el.querySelector('.meta-view > .baseline')).to.equal(null);
+
+      view.destroy();
+    });
+  });
+
+  describe('outliers', function () {
+    it('lists suspect samples and jumps to them', function () {
+      var buttons,
+          plotModel,
+          timeseries,
+          values,
+          view;
+
+      values = [10, 11, 10, 12, 11, 10, 500, 11, 10, 12, 11, 10];
+      plotModel = Model({outlierThreshold: null, tooltipX: null});
+      timeseries = Timeseries({
+        element: {id: 'H', properties: {units: 'nT'}},
+        observatory: {id: 'BOU'},
+        times: values.map(function (v, i) {
+          return new Date(i * 60000);
+        }),
+        values: values
+      });
+      view = TimeseriesView({
+        el: document.createElement('div'),
+        plotModel: plotModel,
+        timeseries: timeseries
+      });
+
+      expect(view.el.querySelector('.outlier-view button')).to.equal(null);
+
+      plotModel.set({outlierThreshold: 5});
+      buttons = view.el.querySelectorAll('.outlier-view button');
+      expect(buttons.length).to.equal(1);
+      expect(buttons[0].getAttribute('data-index')).to.equal('6');
+
+      buttons[0].click();
+      expect(plotModel.get('tooltipX').getTime()).to.equal(360000);
+
+      view.destroy();
+    });
+  });
+
+  describe('interpolation', function () {
+    it('fills short gaps and marks them interpolated', function () {
+      var plotModel,
+          timeseries,
+          view;
+
+      plotModel = Model({
+        interpolation: 'none',
+        interpolationMaxGap: 120,
+        tooltipX: null
+      });
+      timeseries = Timeseries({
+        element: {id: 'H', properties: {units: 'nT'}},
+        observatory: {id: 'BOU'},
+        times: [0, 1, 2, 3, 4, 5, 6].map(function (i) {
+          return new Date(i * 60000);
+        }),
+        values: [10, null, 30, null, null, null, 70]
+      });
+      view = TimeseriesView({
+        el: document.createElement('div'),
+        plotModel: plotModel,
+        timeseries: timeseries
+      });
+
+      expect(view.el.querySelector('path.interpolated').getAttribute('d'))
+          .to.equal(null);
+      expect(view.el.querySelectorAll('.gap').length).to.equal(2);
+
+      plotModel.set({interpolation: 'linear'});
+      expect(view.el.querySelector('path.interpolated').getAttribute('d'))
+          .to.not.equal(null);
+      // longer gap is still a gap
+      expect(view.el.querySelectorAll('.gap').length).to.equal(1);
+
+      plotModel.set({tooltipX: new Date(60000)});
+      expect(view.el.querySelector('.tooltip .interpolated').textContent)
+          .to.equal('INTERPOLATED');
+
+      view.destroy();
+    });
+  });
+
+  describe('filters', function () {
+    it('plots filtered values and shows filters', function () {
+      var plotModel,
+          timeseries,
+          view;
+
+      plotModel = Model({filters: []});
+      timeseries = Timeseries({
+        element: {id: 'H', properties: {units: 'nT'}},
+        observatory: {id: 'BOU'},
+        sampling_period: 60,
+        times: [new Date(0), new Date(60000), new Date(120000)],
+        values: [10, 20, 30]
+      });
+      view = TimeseriesView({
+        el: document.createElement('div'),
+        plotModel: plotModel,
+        timeseries: timeseries
+      });
+
+      expect(view.el.querySelector('.meta-view > .filters')).to.equal(null);
+
+      plotModel.set({filters: [{id: 'detrend'}]});
+      expect(view.el.querySelector('.meta-view > .filters').textContent)
+          .to.equal('Detrended');
+      expect(view.getSamplingPeriod()).to.equal(60);
+
+      view.destroy();
+    });
+
+    it('only reprocesses data when inputs change', function () {
+      var plotModel,
+          timeseries,
+          view;
+
+      sinon.spy(Filters, 'apply');
+      sinon.spy(Outliers, 'detect');
+      try {
+        plotModel = Model({filters: [], outlierThreshold: 3});
+        timeseries = Timeseries({
+          element: {id: 'H', properties: {units: 'nT'}},
+          observatory: {id: 'BOU'},
+          sampling_period: 60,
+          times: [new Date(0), new Date(60000), new Date(120000)],
+          values: [10, 20, 30]
+        });
+        view = TimeseriesView({
+          el: document.createElement('div'),
+          plotModel: plotModel,
+          timeseries: timeseries
+        });
+        expect(Filters.apply.callCount).to.equal(1);
+        expect(Outliers.detect.callCount).to.equal(1);
+
+        // unrelated changes reuse processed data
+        timeseries.set({error: 'oops'});
+        plotModel.set({baseline: 'mean'});
+        expect(Filters.apply.callCount).to.equal(1);
+        expect(Outliers.detect.callCount).to.equal(1);
+
+        // filters do not change outliers
+        plotModel.set({filters: [{id: 'detrend'}]});
+        expect(Filters.apply.callCount).to.equal(2);
+        expect(Outliers.detect.callCount).to.equal(1);
+
+        timeseries.set({values: [10, 20, 40]});
+        expect(Filters.apply.callCount).to.equal(3);
+        expect(Outliers.detect.callCount).to.equal(2);
+
+        view.destroy();
+      } finally {
+        Filters.apply.restore();
+        Outliers.detect.restore();
+      }
+    });
+  });
+
+  describe('renderStatus', function () {
+    it('adds loading class while loading', function () {
+      var timeseries,
+          view;
+
+      timeseries = Timeseries({
+        element: {id: 'H'},
+        observatory: {id: 'BOU'},
+        times: [],
+        values: []
+      });
+      view = TimeseriesView({
+        el: document.createElement('div'),
+        timeseries: timeseries
+      });
+
+      timeseries.set({status: 'loading'});
+      expect(view.el.classList.contains('loading')).to.equal(true);
+      timeseries.set({status: 'loaded'});
+      expect(view.el.classList.contains('loading')).to.equal(false);
+      view.destroy();
+    });
+  });
+
+  describe('onRetry', function () {
+    it('triggers retry event on timeseries', function () {
+      var listener,
+          timeseries,
+          view;
+
+      listener = sinon.spy();
+      timeseries = Timeseries({
+        element: {id: 'H'},
+        error: 'Error 500',
+        observatory: {id: 'BOU'},
+        times: [],
+        values: []
+      });
+      timeseries.on('retry', listener);
+      view = TimeseriesView({
+        el: document.createElement('div'),
+        timeseries: timeseries
+      });
+
+      view.el.querySelector('.retry').click();
+      expect(listener.calledOnce).to.equal(true);
+      expect(listener.getCall(0).args[0]).to.equal(timeseries);
+      view.destroy();
+    });
+  });
+
 });
@@ -0,0 +1,77 @@
+/* global chai, describe, it, sinon */
+'use strict';
+
+var expect = chai.expect,
+    Xhr = require('util/Xhr'),
+    XhrTransport = require('util/XhrTransport');
+
+
+describe('XhrTransport', function () {
+  describe('get', function () {
+    it('makes an ajax call', function () {
+      var stub,
+          success,
+          transport;
+
+      stub = sinon.stub(Xhr, 'ajax', function (o) { o.success({}); });
+      success = sinon.spy();
+      transport = XhrTransport();
+
+      transport.get({
+        url: 'test.json',
+        data: {id: 'BOU'},
+        success: success,
+        error: sinon.spy()
+      });
+      expect(stub.getCall(0).args[0].url).to.equal('test.json');
+      expect(stub.getCall(0).args[0].data).to.deep.equal({id: 'BOU'});
+      expect(success.callCount).to.equal(1);
+
+      stub.restore();
+      transport.destroy();
+    });
+
+    it('passes errors and the failed request', function () {
+      var error,
+          stub,
+          transport,
+          xhr;
+
+      error = sinon.spy();
+      xhr = {responseText: 'Bad Request'};
+      stub = sinon.stub(Xhr, 'ajax', function (o) { o.error(400, xhr); });
+      transport = XhrTransport();
+
+      transport.get({url: 'test.json', success: sinon.spy(), error: error});
+      expect(error.calledWith(400, xhr)).to.equal(true);
+
+      stub.restore();
+      transport.destroy();
+    });
+
+    it('aborts requests without calling callbacks', function () {
+      var error,
+          stub,
+          transport,
+          xhr;
+
+      error = sinon.spy();
+      stub = sinon.stub(Xhr, 'ajax', function (o) {
+        xhr = {
+          abort: function () {
+            o.error(0);
+          }
+        };
+        return xhr;
+      });
+      transport = XhrTransport();
+
+      transport.get({url: 'test.json', success: sinon.spy(), error: error})
+          .abort();
+      expect(error.callCount).to.equal(0);
+
+      stub.restore();
+      transport.destroy();
+    });
+  });
+});
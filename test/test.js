@@ -9,18 +9,43 @@ mocha.setup('bdd');
 require('./spec/D3GraphViewTest');
 require('./spec/ExampleTest');
 
+require('./spec/AgencyViewTest');
+require('./spec/AlignmentViewTest');
+require('./spec/BaselineTest');
+require('./spec/BaselineViewTest');
+require('./spec/CachedTimeseriesFactoryTest');
 require('./spec/CompactSelectViewTest');
 require('./spec/D3TimeseriesViewTest');
+require('./spec/DecimatorTest');
+require('./spec/DerivedElementsTest');
+require('./spec/ElementFactoryTest');
+require('./spec/FetchTransportTest');
+require('./spec/FiltersTest');
+require('./spec/FilterViewTest');
+require('./spec/Iaga2002ParserTest');
+require('./spec/InterpolationTest');
+require('./spec/InterpolationViewTest');
+require('./spec/MetadataFactoryTest');
+require('./spec/ObservatoryFactoryTest');
+require('./spec/OutliersTest');
+require('./spec/OutlierViewTest');
+require('./spec/ProductsTest');
+require('./spec/RegistryTest');
 require('./spec/ScaleViewTest');
+require('./spec/StaticTransportTest');
+require('./spec/TimeAlignmentTest');
 require('./spec/TimeseriesAppTest');
+require('./spec/TimeseriesCacheTest');
 require('./spec/TimeseriesCollectionViewTest');
 require('./spec/TimeseriesFactoryTest');
 require('./spec/TimeseriesManagerTest');
 require('./spec/TimeseriesManagerRequestTest');
 require('./spec/TimeseriesResponseTest');
 require('./spec/TimeseriesSelectViewTest');
+require('./spec/TimeseriesStreamTest');
 require('./spec/TimeseriesTest');
 require('./spec/TimeseriesViewTest');
+require('./spec/XhrTransportTest');
 
 
 if (window.mochaPhantomJS) {